@@ -56,28 +56,23 @@ const FriendsPage = () => {
   const loadFriends = useCallback(async () => {
     setLoadingFriends(true);
     try {
-      const response = await apiClient.get('/friends');
+      const response = await apiClient.get('/social/friends');
       const data = response.data?.data?.friends || [];
-      if (data.length > 0) {
-        setFriends(
-          data.map((friend) => ({
-            id: friend.friendshipId || friend._id,
-            name: friend.profile?.displayName || friend.username,
-            handle: `@${friend.username || friend.profile?.displayName || 'friend'}`,
-            status: friend.statusMessage || 'Ready to game',
-            avatar:
-              friend.profile?.avatarSeed
-                ? `https://api.dicebear.com/7.x/bottts/svg?seed=${friend.profile.avatarSeed}`
-                : 'https://api.dicebear.com/7.x/bottts/svg?seed=Maoga',
-            favouriteGame: friend.favoriteGame || friend.primaryGame || 'Multiplayer',
-            lastOnline: dayjs(friend.lastOnline || new Date())
-          }))
-        );
-      } else {
-        setFriends(mockFriends);
-      }
+      setFriends(
+        data.map((friend) => ({
+          id: friend.friendshipId || friend._id,
+          name: friend.displayName || friend.username,
+          handle: `@${friend.username || friend.displayName || 'friend'}`,
+          status: friend.isOnline ? 'Online' : 'Offline',
+          avatar:
+            friend.profileImage ||
+            `https://api.dicebear.com/7.x/bottts/svg?seed=${friend.username || 'Maoga'}`,
+          favouriteGame: friend.favoriteGame || friend.primaryGame || 'Multiplayer',
+          lastOnline: dayjs(friend.isOnline ? new Date() : friend.lastActive || new Date())
+        }))
+      );
     } catch (err) {
-      console.info('Falling back to mock friends. Friend API not ready yet.', err.message);
+      console.info('Falling back to mock friends. Friend API unavailable.', err.message);
       setFriends(mockFriends);
     } finally {
       setLoadingFriends(false);
@@ -2,12 +2,13 @@ import { useCallback, useEffect, useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../services/apiClient.js';
 import { useAuth } from '../context/AuthContext.jsx';
-import { MOCK_ACTIVE_LOBBIES, isMockLobbyId } from '../services/mockLobbies.js';
+import { isMockLobbyId } from '../services/mockLobbies.js';
 
 const LobbiesPage = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const [lobbies, setLobbies] = useState([]);
+  const [publicLobbies, setPublicLobbies] = useState([]);
   const [loading, setLoading] = useState(false);
   const [includeHistory, setIncludeHistory] = useState(false);
   const [joinId, setJoinId] = useState('');
@@ -17,14 +18,17 @@ const LobbiesPage = () => {
     setLoading(true);
     setFeedback(null);
     try {
-      const response = await apiClient.get('/lobbies', {
-        params: { includeHistory }
-      });
-      setLobbies(response.data?.data?.lobbies || []);
+      const [mineResponse, publicResponse] = await Promise.all([
+        apiClient.get('/lobbies', { params: { includeHistory } }),
+        apiClient.get('/lobbies', { params: { scope: 'public' } })
+      ]);
+      setLobbies(mineResponse.data?.data?.lobbies || []);
+      setPublicLobbies(publicResponse.data?.data?.lobbies || []);
     } catch (err) {
       console.error('Failed to load lobbies', err);
-      setFeedback('Showing sample lobbies while we reconnect…');
+      setFeedback('Could not load lobbies. Try refreshing in a moment.');
       setLobbies([]);
+      setPublicLobbies([]);
     } finally {
       setLoading(false);
     }
@@ -82,22 +86,19 @@ const LobbiesPage = () => {
   );
 
   const activeLobbies = useMemo(
-    () =>
-      lobbies.filter((lobby) => {
-        const memberCount = lobby.memberCount ?? lobby.members?.length ?? 0;
-        const readyCount = lobby.readyCount ?? 0;
-        const needsPlayers = memberCount - readyCount;
-        return (lobby.status === 'forming' || lobby.status === 'ready') && needsPlayers > 0;
-      }),
+    () => lobbies.filter((lobby) => lobby.status === 'forming' || lobby.status === 'ready'),
     [lobbies]
   );
 
+  const getOpenSlots = (lobby) => {
+    const memberCount = lobby.memberCount ?? lobby.members?.length ?? 0;
+    return Math.max((lobby.capacity?.max ?? memberCount) - memberCount, 0);
+  };
+
   const prioritizedLobbies = useMemo(() => {
     const computePriority = (lobby) => {
       const gameName = lobby.gameId?.name?.toLowerCase() || '';
-      const memberCount = lobby.memberCount ?? lobby.members?.length ?? 0;
-      const readyCount = lobby.readyCount ?? 0;
-      const playersNeeded = Math.max(memberCount - readyCount, 0);
+      const playersNeeded = getOpenSlots(lobby);
       const matchesPreference = preferredGameNames.some((name) => gameName.includes(name));
       return {
         lobby,
@@ -106,7 +107,7 @@ const LobbiesPage = () => {
       };
     };
 
-    return activeLobbies
+    return publicLobbies
       .map((lobby) => computePriority(lobby))
       .sort((a, b) => {
         if (a.matchesPreference !== b.matchesPreference) {
@@ -118,10 +119,12 @@ const LobbiesPage = () => {
         return 0;
       })
       .map((entry) => entry.lobby);
-  }, [activeLobbies, preferredGameNames]);
+  }, [publicLobbies, preferredGameNames]);
 
-  const showMockLobbies = prioritizedLobbies.length === 0 && !loading;
-  const displayLobbies = showMockLobbies ? MOCK_ACTIVE_LOBBIES : prioritizedLobbies;
+  const displayLobbies = useMemo(() => {
+    const joinedIds = new Set(activeLobbies.map((lobby) => lobby._id));
+    return [...activeLobbies, ...prioritizedLobbies.filter((lobby) => !joinedIds.has(lobby._id))];
+  }, [activeLobbies, prioritizedLobbies]);
 
   return (
     <div className="page">
@@ -166,7 +169,7 @@ const LobbiesPage = () => {
           {displayLobbies.map((lobby) => {
             const memberCount = lobby.memberCount ?? lobby.members?.length ?? 0;
             const readyCount = lobby.readyCount ?? 0;
-            const playersNeeded = Math.max(memberCount - readyCount, 0);
+            const playersNeeded = getOpenSlots(lobby);
             const host = lobby.members?.find((member) => member.isHost);
             const gameName = lobby.gameId?.name || 'Unknown game';
             const isPreferred = preferredGameNames.some((name) => gameName.toLowerCase().includes(name));
@@ -214,7 +217,7 @@ const LobbiesPage = () => {
           })}
           {displayLobbies.length === 0 && !loading ? (
             <div className="empty-state">
-              <p>No active lobbies yet. Join a match to get started!</p>
+              <p>No open lobbies right now. Join a match or create your own!</p>
             </div>
           ) : null}
         </div>
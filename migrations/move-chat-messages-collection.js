@@ -0,0 +1,79 @@
+const BATCH_SIZE = 500;
+
+module.exports = {
+    async up(db, client) {
+        // Create chatmessages collection if it doesn't exist
+        const collections = await db.listCollections().toArray();
+        const collectionNames = collections.map(col => col.name);
+
+        if (!collectionNames.includes('chatmessages')) {
+            await db.createCollection('chatmessages');
+            console.log('Created chatmessages collection');
+        }
+
+        const messagesCollection = db.collection('chatmessages');
+
+        await messagesCollection.createIndex(
+            { chatId: 1, createdAt: -1, _id: -1 },
+            { name: 'chat_created_index' }
+        );
+
+        await messagesCollection.createIndex(
+            { senderId: 1, createdAt: -1 },
+            { name: 'sender_created_index' }
+        );
+
+        // Copy embedded messages over, keeping their ids so the move can be re-run safely
+        const chatsCollection = db.collection('chats');
+        const cursor = chatsCollection.find(
+            { 'messages.0': { $exists: true } },
+            { projection: { messages: 1 } }
+        );
+
+        let chatCount = 0;
+        let messageCount = 0;
+
+        for await (const chat of cursor) {
+            for (let i = 0; i < chat.messages.length; i += BATCH_SIZE) {
+                const operations = chat.messages.slice(i, i + BATCH_SIZE).map(message => ({
+                    replaceOne: {
+                        filter: { _id: message._id },
+                        replacement: { ...message, chatId: chat._id },
+                        upsert: true
+                    }
+                }));
+
+                await messagesCollection.bulkWrite(operations, { ordered: false });
+            }
+
+            await chatsCollection.updateOne({ _id: chat._id }, { $unset: { messages: '' } });
+
+            chatCount += 1;
+            messageCount += chat.messages.length;
+        }
+
+        console.log(`Moved ${messageCount} messages from ${chatCount} chats`);
+    },
+
+    async down(db, client) {
+        // Fold messages back into their chats, oldest first
+        const messagesCollection = db.collection('chatmessages');
+        const chatsCollection = db.collection('chats');
+
+        const chatIds = await messagesCollection.distinct('chatId');
+
+        for (const chatId of chatIds) {
+            const messages = await messagesCollection
+                .find({ chatId })
+                .sort({ createdAt: 1, _id: 1 })
+                .toArray();
+
+            const embedded = messages.map(({ chatId: _chatId, ...message }) => message);
+
+            await chatsCollection.updateOne({ _id: chatId }, { $set: { messages: embedded } });
+        }
+
+        await messagesCollection.drop();
+        console.log(`Moved messages back into ${chatIds.length} chats and dropped chatmessages`);
+    }
+};
@@ -0,0 +1,46 @@
+module.exports = {
+    async up(db, client) {
+        const friendships = db.collection('friendships');
+
+        await friendships.createIndex({ 'blocks.userId': 1 }, { name: 'blocks_user_index' });
+
+        // Move the single blocker of each blocked pair into its own block entry
+        const result = await friendships.updateMany(
+            { status: 'blocked', blockedBy: { $exists: true } },
+            [
+                {
+                    $set: {
+                        blocks: [
+                            {
+                                userId: '$blockedBy',
+                                blockedAt: { $ifNull: ['$blockedAt', '$updatedAt'] }
+                            }
+                        ]
+                    }
+                },
+                { $unset: ['blockedBy', 'blockedAt'] }
+            ]
+        );
+
+        console.log(`Split blocks out of ${result.modifiedCount} friendships`);
+    },
+
+    async down(db, client) {
+        const friendships = db.collection('friendships');
+
+        // Keep the earliest block of each pair; a second side's block cannot be kept
+        const result = await friendships.updateMany({ 'blocks.0': { $exists: true } }, [
+            {
+                $set: {
+                    blockedBy: { $arrayElemAt: ['$blocks.userId', 0] },
+                    blockedAt: { $arrayElemAt: ['$blocks.blockedAt', 0] }
+                }
+            },
+            { $unset: 'blocks' }
+        ]);
+
+        await friendships.dropIndex('blocks_user_index');
+
+        console.log(`Folded blocks back into ${result.modifiedCount} friendships`);
+    }
+};
@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+
+/**
+ * Matchmaking Simulator and Benchmark
+ *
+ * Generates a synthetic player population and runs it through the matchmaking
+ * algorithm and queue on a virtual clock, without a database. Reports wait-time
+ * percentiles, match quality, starvation and relaxation usage so algorithm
+ * changes can be compared before deployment. Runs with the same seed and
+ * options see the same population.
+ *
+ * Usage:
+ *   node scripts/simulate-matchmaking.js [options]
+ *
+ * Options:
+ *   --duration <min>       Minutes during which players arrive (default 30)
+ *   --arrival-rate <n>     Average requests arriving per minute (default 20)
+ *   --tick <sec>           Seconds between matchmaking passes (default 5)
+ *   --max-wait <min>       Requests still waiting after this long are starved (default 10)
+ *   --regions <list>       Regions players queue in (default NA,EU,AS)
+ *   --languages <list>     Languages players speak (default en,es,de)
+ *   --games <n>            Games in the population (default 1)
+ *   --multi-game <p>       Share of requests also listing a second game (default 0.3)
+ *   --group-size <n>       Largest group a request accepts (default 5)
+ *   --skill-mean <n>       Mean skill level (default 50)
+ *   --skill-sd <n>         Skill level standard deviation (default 15)
+ *   --party-rate <p>       Share of requests queueing as a party of 2-3 (default 0.2)
+ *   --flexible-rate <p>    Share of requests accepting any region, language and skill (default 0.2)
+ *   --seed <n>             Random seed (default 1)
+ *   --json                 Print the report as JSON, e.g. to diff two runs
+ */
+
+// Queues live in an in-memory Redis and only errors are logged
+process.env.USE_REDIS_MOCK = 'true';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const matchAlgorithmService = require('../src/modules/matchmaking/services/matchAlgorithmService');
+const queueManager = require('../src/modules/matchmaking/services/queueManager');
+const MatchRequest = require('../src/modules/matchmaking/models/MatchRequest');
+const MatchHistory = require('../src/modules/matchmaking/models/MatchHistory');
+
+const MINUTE_MS = 60 * 1000;
+
+const optionSpec = {
+    duration: { type: 'string', default: '30' },
+    'arrival-rate': { type: 'string', default: '20' },
+    tick: { type: 'string', default: '5' },
+    'max-wait': { type: 'string', default: '10' },
+    regions: { type: 'string', default: 'NA,EU,AS' },
+    languages: { type: 'string', default: 'en,es,de' },
+    games: { type: 'string', default: '1' },
+    'multi-game': { type: 'string', default: '0.3' },
+    'group-size': { type: 'string', default: '5' },
+    'skill-mean': { type: 'string', default: '50' },
+    'skill-sd': { type: 'string', default: '15' },
+    'party-rate': { type: 'string', default: '0.2' },
+    'flexible-rate': { type: 'string', default: '0.2' },
+    seed: { type: 'string', default: '1' },
+    json: { type: 'boolean', default: false }
+};
+
+function parseOptions(argv) {
+    const { values } = parseArgs({ args: argv, options: optionSpec });
+    const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+    return {
+        durationMs: Number(values.duration) * MINUTE_MS,
+        arrivalRate: Number(values['arrival-rate']),
+        tickMs: Number(values.tick) * 1000,
+        maxWaitMs: Number(values['max-wait']) * MINUTE_MS,
+        regions: list(values.regions),
+        languages: list(values.languages),
+        gameCount: Math.max(1, Number(values.games)),
+        multiGameRate: Number(values['multi-game']),
+        groupSize: Number(values['group-size']),
+        skillMean: Number(values['skill-mean']),
+        skillSd: Number(values['skill-sd']),
+        partyRate: Number(values['party-rate']),
+        flexibleRate: Number(values['flexible-rate']),
+        seed: Number(values.seed),
+        json: values.json
+    };
+}
+
+/**
+ * Seeded random source (mulberry32), so a population can be replayed exactly
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        pick: (items) => items.at(Math.floor(next() * items.length)),
+        // Box-Muller transform
+        normal: (mean, sd) =>
+            mean + sd * Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+        // Time until the next arrival of a Poisson process
+        exponential: (mean) => -Math.log(1 - next()) * mean
+    };
+}
+
+/**
+ * Stands in for the wall clock so minutes of queueing run in moments.
+ * Everything reading Date.now(), such as a request's search duration, sees virtual time.
+ */
+class VirtualClock {
+    constructor(start) {
+        this.now = start;
+        this.realNow = Date.now;
+    }
+
+    install() {
+        Date.now = () => this.now;
+    }
+
+    uninstall() {
+        Date.now = this.realNow;
+    }
+
+    set(time) {
+        this.now = time;
+    }
+}
+
+/**
+ * Nothing reaches a database: matches and requests only live for the run
+ */
+function keepInMemory() {
+    MatchHistory.prototype.save = function () {
+        return Promise.resolve(this);
+    };
+    MatchRequest.prototype.save = function () {
+        return Promise.resolve(this);
+    };
+    MatchRequest.updateMany = () => Promise.resolve({ acknowledged: true, modifiedCount: 0 });
+}
+
+function clampSkill(skill) {
+    return Math.min(100, Math.max(1, Math.round(skill)));
+}
+
+/**
+ * Build a synthetic request, with its party and their users, arriving at `arrivalTime`
+ */
+function createRequest(random, options, gameIds, arrivalTime, index) {
+    const partySize = random.next() < options.partyRate ? 2 + Math.floor(random.next() * 2) : 1;
+    const flexible = random.next() < options.flexibleRate;
+    const region = random.pick(options.regions);
+    const language = random.pick(options.languages);
+    const partySkill = random.normal(options.skillMean, options.skillSd);
+
+    const members = Array.from({ length: partySize }, (_, memberIndex) => {
+        const skillLevel = clampSkill(partySkill + random.normal(0, 5));
+        return {
+            _id: new mongoose.Types.ObjectId(),
+            username: `sim_${index}_${memberIndex}`,
+            skillLevel,
+            gameProfiles: gameIds.map((gameId) => ({ gameId, skillLevel }))
+        };
+    });
+
+    const primaryGameId = random.pick(gameIds);
+    const games = [{ gameId: primaryGameId, weight: 10 }];
+    if (gameIds.length > 1 && random.next() < options.multiGameRate) {
+        const others = gameIds.filter((gameId) => !gameId.equals(primaryGameId));
+        games.push({ gameId: random.pick(others), weight: 1 + Math.floor(random.next() * 9) });
+    }
+
+    const request = new MatchRequest({
+        userId: members[0]._id,
+        preselectedUsers: members.slice(1).map((member) => member._id),
+        status: 'searching',
+        criteria: {
+            games,
+            gameMode: 'competitive',
+            groupSize: { min: 1, max: options.groupSize },
+            regions: [region],
+            regionPreference: flexible ? 'any' : 'preferred',
+            languages: [language],
+            languagePreference: flexible ? 'any' : 'preferred',
+            skillPreference: flexible ? 'any' : 'similar'
+        },
+        searchStartTime: new Date(arrivalTime),
+        matchExpireTime: new Date(arrivalTime + options.maxWaitMs)
+    });
+
+    return {
+        request,
+        user: members[0],
+        members,
+        memberIds: members.map((member) => member._id.toString()),
+        blockedUserIds: new Set(),
+        avoidUserIds: new Set(),
+        preferredUserIds: new Set()
+    };
+}
+
+/**
+ * Arrival times of a Poisson process over the run
+ */
+function generateArrivals(random, options, start) {
+    const arrivals = [];
+    const meanGapMs = MINUTE_MS / options.arrivalRate;
+    let time = start + random.exponential(meanGapMs);
+
+    while (time < start + options.durationMs) {
+        arrivals.push(Math.round(time));
+        time += random.exponential(meanGapMs);
+    }
+
+    return arrivals;
+}
+
+/**
+ * Requests waiting in a queue, plus those waiting in the queues of other games they list,
+ * as the matchmaking service pools them
+ */
+async function getQueuePool(waiting, gameId, gameMode, region) {
+    const client = await queueManager._getRedisClient();
+    const queued = async (id) =>
+        (await client.zrange(queueManager._queueKey(id, gameMode, region), 0, -1))
+            .map((requestId) => waiting.get(requestId))
+            .filter(Boolean);
+
+    const requests = await queued(gameId);
+    const gameIds = [
+        ...new Set([
+            gameId,
+            ...requests.flatMap((r) => r.request.criteria.games.map((g) => g.gameId.toString()))
+        ])
+    ];
+
+    const pool = new Map(requests.map((r) => [r.request._id.toString(), r]));
+    for (const otherGameId of gameIds.slice(1)) {
+        (await queued(otherGameId)).forEach((r) => pool.set(r.request._id.toString(), r));
+    }
+
+    return { pool: [...pool.values()], games: new Map(gameIds.map((id) => [id, []])) };
+}
+
+/**
+ * One pass over every waiting queue, as the matchmaking service runs on each interval
+ */
+async function runMatchmakingPass(waiting) {
+    const { queueSizes } = await queueManager.getStats();
+    const matches = [];
+
+    for (const [gameId, gameQueues] of Object.entries(queueSizes)) {
+        for (const [gameMode, modeQueues] of Object.entries(gameQueues)) {
+            for (const [region, queueSize] of Object.entries(modeQueues)) {
+                if (queueSize === 0) {
+                    continue;
+                }
+
+                const { pool, games } = await getQueuePool(waiting, gameId, gameMode, region);
+                if (pool.length < matchAlgorithmService.config.minGroupSize) {
+                    continue;
+                }
+
+                const found = await matchAlgorithmService.findMatches(
+                    pool,
+                    gameId,
+                    gameMode,
+                    region,
+                    { games }
+                );
+
+                for (const match of found) {
+                    const requestIds = [
+                        ...new Set(match.participants.map((p) => p.requestId.toString()))
+                    ];
+                    const requests = requestIds.map((requestId) => waiting.get(requestId));
+                    for (const enriched of requests) {
+                        waiting.delete(enriched.request._id.toString());
+                        await queueManager.removeRequest(
+                            enriched.request.userId.toString(),
+                            enriched.request._id.toString(),
+                            { silent: true }
+                        );
+                    }
+                    matches.push({ match, requests });
+                }
+            }
+        }
+    }
+
+    return matches;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+    return sorted.at(Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1));
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Run the simulation and summarise it
+ */
+async function simulate(options) {
+    const random = createRandom(options.seed);
+    const start = Date.UTC(2026, 0, 1, 18);
+    const clock = new VirtualClock(start);
+    const gameIds = Array.from({ length: options.gameCount }, () => new mongoose.Types.ObjectId());
+
+    const arrivals = generateArrivals(random, options, start).map((time, index) => ({
+        time,
+        enriched: createRequest(random, options, gameIds, time, index)
+    }));
+
+    keepInMemory();
+    // The simulator expires starved requests itself, on virtual time
+    queueManager.destroy();
+    await queueManager.clearQueues();
+    clock.install();
+
+    const waiting = new Map();
+    const waits = [];
+    const matchRecords = [];
+    const relaxationLevels = new Map();
+    const starved = [];
+    let nextArrival = 0;
+    const end = start + options.durationMs + options.maxWaitMs;
+
+    try {
+        for (let time = start; time <= end; time += options.tickMs) {
+            clock.set(time);
+
+            while (nextArrival < arrivals.length && arrivals.at(nextArrival).time <= time) {
+                const { enriched } = arrivals.at(nextArrival);
+                waiting.set(enriched.request._id.toString(), enriched);
+                await queueManager.addRequest(enriched.request);
+                nextArrival++;
+            }
+
+            for (const enriched of [...waiting.values()]) {
+                if (time - enriched.request.searchStartTime.getTime() >= options.maxWaitMs) {
+                    waiting.delete(enriched.request._id.toString());
+                    await queueManager.removeRequest(
+                        enriched.request.userId.toString(),
+                        enriched.request._id.toString(),
+                        { silent: true }
+                    );
+                    starved.push(enriched);
+                } else {
+                    await matchAlgorithmService.applyCriteriaRelaxation(enriched.request);
+                }
+            }
+
+            for (const { match, requests } of await runMatchmakingPass(waiting)) {
+                requests.forEach(({ request }) => {
+                    waits.push(time - request.searchStartTime.getTime());
+                    relaxationLevels.set(
+                        request.relaxationLevel,
+                        (relaxationLevels.get(request.relaxationLevel) || 0) + 1
+                    );
+                });
+
+                const skills = requests.flatMap((r) => r.members.map((m) => m.skillLevel));
+                matchRecords.push({
+                    players: match.participants.length,
+                    quality: match.matchHistory.matchQuality,
+                    skillSpread: Math.max(...skills) - Math.min(...skills)
+                });
+            }
+
+            if (nextArrival === arrivals.length && waiting.size === 0) {
+                break;
+            }
+        }
+    } finally {
+        clock.uninstall();
+    }
+
+    const sortedWaits = [...waits].sort((a, b) => a - b);
+    const seconds = (ms) => round(ms / 1000);
+    const playerCount = (requests) => requests.reduce((sum, r) => sum + r.memberIds.length, 0);
+    const allRequests = arrivals.map((arrival) => arrival.enriched);
+    const relaxed = waits.length - (relaxationLevels.get(0) || 0);
+
+    return {
+        population: {
+            requests: allRequests.length,
+            players: playerCount(allRequests),
+            parties: allRequests.filter((r) => r.memberIds.length > 1).length,
+            games: options.gameCount,
+            regions: options.regions
+        },
+        waitSeconds: {
+            matchedRequests: waits.length,
+            p50: seconds(percentile(sortedWaits, 0.5)),
+            p75: seconds(percentile(sortedWaits, 0.75)),
+            p90: seconds(percentile(sortedWaits, 0.9)),
+            p95: seconds(percentile(sortedWaits, 0.95)),
+            p99: seconds(percentile(sortedWaits, 0.99)),
+            max: seconds(sortedWaits.at(-1) || 0)
+        },
+        quality: {
+            matches: matchRecords.length,
+            averagePlayers: round(average(matchRecords.map((m) => m.players))),
+            averageScore: round(average(matchRecords.map((m) => m.quality.overallScore))),
+            averageSkillBalance: round(average(matchRecords.map((m) => m.quality.skillBalance))),
+            averageTeamSkillGap: round(
+                average(matchRecords.map((m) => m.quality.teamSkillGap || 0))
+            ),
+            averageSkillSpread: round(average(matchRecords.map((m) => m.skillSpread)))
+        },
+        starvation: {
+            starvedRequests: starved.length,
+            starvedPlayers: playerCount(starved),
+            rate: round((starved.length / Math.max(allRequests.length, 1)) * 100),
+            maxWaitSeconds: seconds(options.maxWaitMs)
+        },
+        relaxation: {
+            matchedByLevel: Object.fromEntries(
+                [...relaxationLevels.entries()].sort(([a], [b]) => a - b)
+            ),
+            relaxedRate: round((relaxed / Math.max(waits.length, 1)) * 100)
+        }
+    };
+}
+
+function printReport(report, options) {
+    const line = '='.repeat(60);
+    const { population, waitSeconds, quality, starvation, relaxation } = report;
+
+    console.log('🎮 Matchmaking Simulator');
+    console.log(
+        `Seed ${options.seed}, ${options.arrivalRate} requests/min for ${options.durationMs / MINUTE_MS} min, ` +
+            `passes every ${options.tickMs / 1000}s`
+    );
+
+    console.log(`\n${line}\nPopulation\n${line}`);
+    console.log(`- Requests: ${population.requests} (${population.parties} parties)`);
+    console.log(`- Players: ${population.players}`);
+    console.log(`- Games: ${population.games}, regions: ${population.regions.join(', ')}`);
+
+    console.log(`\n${line}\nWait times (seconds)\n${line}`);
+    console.log(`- Matched requests: ${waitSeconds.matchedRequests}`);
+    console.log(
+        `- p50 ${waitSeconds.p50} | p75 ${waitSeconds.p75} | p90 ${waitSeconds.p90} | ` +
+            `p95 ${waitSeconds.p95} | p99 ${waitSeconds.p99} | max ${waitSeconds.max}`
+    );
+
+    console.log(`\n${line}\nMatch quality\n${line}`);
+    console.log(`- Matches: ${quality.matches}, ${quality.averagePlayers} players on average`);
+    console.log(`- Quality score: ${quality.averageScore}%`);
+    console.log(`- Skill balance: ${quality.averageSkillBalance}%`);
+    console.log(`- Team rating gap: ${quality.averageTeamSkillGap}`);
+    console.log(`- Skill spread within a match: ${quality.averageSkillSpread} levels`);
+
+    console.log(`\n${line}\nStarvation\n${line}`);
+    console.log(
+        `- ${starvation.starvedRequests} requests (${starvation.starvedPlayers} players, ` +
+            `${starvation.rate}%) waited ${starvation.maxWaitSeconds}s without a match`
+    );
+
+    console.log(`\n${line}\nRelaxation\n${line}`);
+    Object.entries(relaxation.matchedByLevel).forEach(([level, count]) => {
+        console.log(`- Level ${level}: ${count} matched requests`);
+    });
+    console.log(`- ${relaxation.relaxedRate}% of matched requests needed relaxed criteria`);
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const report = await simulate(options);
+
+    if (options.json) {
+        console.log(JSON.stringify({ options, report }, null, 2));
+    } else {
+        printReport(report, options);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('Simulation failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { simulate, parseOptions };
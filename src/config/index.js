@@ -33,6 +33,30 @@ function parseModuleLogLevels(rawValue) {
   return Object.fromEntries(entries);
 }
 
+function parseList(rawValue) {
+  if (!rawValue) {
+    return [];
+  }
+
+  return rawValue
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseJsonList(rawValue) {
+  if (!rawValue) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(rawValue);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
 const baseConfig = {
   env: env,
   port: parseInt(process.env.PORT, 10) || 3000,
@@ -100,7 +124,10 @@ const baseConfig = {
   // Jobs Configuration
   jobs: {
     gameSyncInterval: parseInt(process.env.GAME_SYNC_INTERVAL, 10) || 24 * 60 * 60 * 1000, // 24 hours
-    gameSyncEnabled: process.env.GAME_SYNC_ENABLED !== 'false' // Default true
+    gameSyncEnabled: process.env.GAME_SYNC_ENABLED !== 'false', // Default true
+    scheduledMatchmakingInterval:
+      parseInt(process.env.SCHEDULED_MATCHMAKING_INTERVAL, 10) || 60 * 1000, // 1 minute
+    scheduledMatchmakingEnabled: process.env.SCHEDULED_MATCHMAKING_ENABLED !== 'false' // Default true
   },
   socketIO: {
     pingTimeout: parseInt(process.env.SOCKET_PING_TIMEOUT, 10) || (env === 'test' ? 3000 : 60000),
@@ -120,6 +147,17 @@ const baseConfig = {
     }
   },
 
+  // Chat configuration
+  chat: {
+    filter: {
+      enabled: parseBoolean(process.env.CHAT_FILTER_ENABLED, true),
+      action: process.env.CHAT_FILTER_ACTION || 'mask', // mask | reject | flag
+      words: parseList(process.env.CHAT_FILTER_WORDS),
+      patterns: parseJsonList(process.env.CHAT_FILTER_PATTERNS) // JSON array of regex sources
+    },
+    editWindowMs: parseInt(process.env.CHAT_EDIT_WINDOW_MS, 10) || 15 * 60 * 1000 // 15 minutes
+  },
+
   // Firebase configuration
   firebase: {
     serviceAccount: process.env.FIREBASE_SERVICE_ACCOUNT
@@ -176,7 +214,60 @@ const mergedConfig = {
   rateLimit: { ...baseConfig.rateLimit, ...envConfig.rateLimit },
   matchmaking: {
     // matchmaking-specific config
-    processIntervalMs: env === 'test' ? 2000 : 5000 // 2s for test, 5s for others
+    processIntervalMs: env === 'test' ? 2000 : 5000, // 2s for test, 5s for others
+    // Matching settings for games and modes an admin has not configured; group sizes
+    // come from the game's player counts when it has them
+    defaults: {
+      minGroupSize: 2,
+      maxGroupSize: 10,
+      skillRangeTiers: [2, 4, 6, 10, 15],
+      compatibilityThreshold: 0.5,
+      // Criteria relax a level once a request has waited each of these long
+      relaxationIntervals: [30000, 60000, 120000, 180000, 300000] // 30s, 1m, 2m, 3m, 5m
+    },
+    scheduled: {
+      // Scheduled requests match others planning to play within this window
+      toleranceMs: parseInt(process.env.SCHEDULED_MATCH_TOLERANCE_MS, 10) || 15 * 60 * 1000,
+      // Lobby members are reminded, and can ready up, this long before the start
+      reminderLeadMs: parseInt(process.env.SCHEDULED_MATCH_REMINDER_MS, 10) || 15 * 60 * 1000
+    },
+    latency: {
+      // Region scores fall from full marks at the ideal ping to the floor at the poor one
+      idealPingMs: 50,
+      poorPingMs: 200,
+      floorScore: 0.4
+    },
+    teammates: {
+      // Commends and avoids from matches formed within this window shape matching
+      historyWindowMs: 14 * 24 * 60 * 60 * 1000,
+      // Compatibility is scaled by this when either side avoids the other
+      avoidFactor: 0.5,
+      // Added to compatibility when a player who opted in commended someone on the other side
+      preferBonus: 0.15
+    },
+    acceptance: {
+      // Players have this long to accept a found match before it is called off
+      timeoutMs: parseInt(process.env.MATCH_ACCEPT_TIMEOUT_MS, 10) || 20 * 1000
+    },
+    penalties: {
+      // Queue cooldown for the first strike, doubling with each further strike
+      baseCooldownMs: parseInt(process.env.MATCHMAKING_PENALTY_MS, 10) || 60 * 1000,
+      maxCooldownMs: 60 * 60 * 1000,
+      // One strike wears off for every this long without another offense
+      strikeDecayMs: 12 * 60 * 60 * 1000,
+      // Strikes each offense adds; leaving a formed lobby wastes everyone's search
+      strikes: {
+        dodge: 1,
+        no_show: 1,
+        early_leave: 2,
+        repeated_cancel: 1
+      },
+      // Cancelling this many searches within the window counts as an offense
+      cancelLimit: 5,
+      cancelWindowMs: 10 * 60 * 1000,
+      // How far back admins see a player's offenses
+      historyWindowMs: 30 * 24 * 60 * 60 * 1000
+    }
   },
   database: {
     // Ensure database config is also well-merged
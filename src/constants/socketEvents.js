@@ -11,6 +11,13 @@ module.exports = {
   MATCHMAKING_SUBSCRIBED: 'matchmaking:subscribed',
   MATCHMAKING_UNSUBSCRIBED: 'matchmaking:unsubscribed',
   MATCHMAKING_STATUS: 'matchmaking:status',
+  MATCHMAKING_PARTY_INVITE: 'matchmaking:party:invite',
+  MATCHMAKING_PARTY_UPDATED: 'matchmaking:party:updated',
+  MATCHMAKING_MATCH_FOUND: 'matchmaking:match:found',
+  MATCHMAKING_ACCEPT: 'matchmaking:accept',
+  MATCHMAKING_DECLINE: 'matchmaking:decline',
+  MATCHMAKING_ACCEPT_UPDATED: 'matchmaking:match:accept:updated',
+  MATCH_RESULT_UPDATED: 'match:result:updated',
 
   // User status events
   USER_STATUS_SUBSCRIBE: 'user:status:subscribe',
@@ -28,11 +35,25 @@ module.exports = {
   LOBBY_MEMBER_JOINED: 'lobby:member:joined',
   LOBBY_MEMBER_LEFT: 'lobby:member:left',
   LOBBY_MEMBER_READY: 'lobby:member:ready',
+  LOBBY_MEMBER_KICKED: 'lobby:member:kicked',
+  LOBBY_SPECTATOR_JOINED: 'lobby:spectator:joined',
+  LOBBY_SPECTATOR_LEFT: 'lobby:spectator:left',
+  LOBBY_HOST_TRANSFERRED: 'lobby:host:transferred',
+  LOBBY_LOCKED: 'lobby:locked',
+  LOBBY_TEAMS_UPDATED: 'lobby:teams:updated',
+  LOBBY_REMINDER: 'lobby:reminder',
+  LOBBY_BACKFILL_JOINED: 'lobby:backfill:joined',
   LOBBY_CLOSED: 'lobby:closed',
+  LOBBY_INVITE: 'lobby:invite',
+  LOBBY_INVITE_ACCEPTED: 'lobby:invite:accepted',
+  LOBBY_INVITE_DECLINED: 'lobby:invite:declined',
 
   // Chat events
   CHAT_MESSAGE: 'chat:message',
   CHAT_SEND: 'chat:send',
+  CHAT_MESSAGE_EDITED: 'chat:message:edited',
+  CHAT_MESSAGE_DELETED: 'chat:message:deleted',
+  CHAT_MESSAGE_REACTION: 'chat:message:reaction',
   CHAT_TYPING: 'chat:typing',
 
   // Future events (Sprint 8+)
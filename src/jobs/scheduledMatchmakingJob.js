@@ -0,0 +1,67 @@
+const scheduledMatchService = require('../modules/matchmaking/services/scheduledMatchService');
+const logger = require('../utils/logger').forModule('jobs:scheduledMatchmaking');
+const config = require('../config');
+
+class ScheduledMatchmakingJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.runInterval = config.jobs?.scheduledMatchmakingInterval || 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Run one scheduled matchmaking pass
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.debug('Scheduled matchmaking job already running, skipping');
+      return;
+    }
+
+    try {
+      this.isRunning = true;
+      const result = await scheduledMatchService.run();
+      this.lastRun = new Date();
+
+      if (result.expired || result.matched || result.reminded) {
+        logger.info('Scheduled matchmaking job completed', result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Scheduled matchmaking job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Schedule periodic runs
+   */
+  schedule() {
+    setInterval(() => {
+      this.run().catch((error) => {
+        logger.error('Scheduled matchmaking run failed', { error: error.message });
+      });
+    }, this.runInterval);
+
+    logger.info('Scheduled matchmaking job scheduled', { interval: this.runInterval });
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      nextRun: this.lastRun ? new Date(this.lastRun.getTime() + this.runInterval) : null
+    };
+  }
+}
+
+module.exports = new ScheduledMatchmakingJob();
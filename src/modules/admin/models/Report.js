@@ -5,9 +5,16 @@ const reportSchema = new mongoose.Schema(
     reporterId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return this.source !== 'auto';
+      },
       index: true
     },
+    source: {
+      type: String,
+      enum: ['user', 'auto'],
+      default: 'user'
+    },
     reportedId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
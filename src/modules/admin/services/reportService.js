@@ -75,6 +75,42 @@ class ReportService {
     }
   }
 
+  /**
+   * Open a report raised automatically by the system rather than a user
+   */
+  async submitAutoReport(reportData) {
+    try {
+      const { reportedId, reportType, reason, description, evidence } = reportData;
+
+      const report = new Report({
+        source: 'auto',
+        reportedId,
+        reportType,
+        reason,
+        description,
+        evidence,
+        priority: this.determinePriority(reason)
+      });
+
+      await report.save();
+
+      logger.info('Automatic report opened', {
+        reportId: report._id,
+        reportedId,
+        reportType,
+        reason
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to open automatic report', {
+        error: error.message,
+        reportedId: reportData.reportedId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get user's submitted reports
    */
@@ -133,7 +169,8 @@ class ReportService {
    */
   async getReportById(reportId, userId) {
     try {
-      const report = await Report.findById(reportId).populate(
+      // Users can only view their own reports; automatic reports have no reporter
+      const report = await Report.findOne({ _id: reportId, reporterId: userId }).populate(
         'reportedId',
         'username profile.displayName'
       );
@@ -142,11 +179,6 @@ class ReportService {
         throw new NotFoundError('Report not found');
       }
 
-      // Users can only view their own reports
-      if (report.reporterId.toString() !== userId) {
-        throw new NotFoundError('Report not found');
-      }
-
       return report;
     } catch (error) {
       logger.error('Failed to get report', { error: error.message, reportId, userId });
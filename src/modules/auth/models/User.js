@@ -86,6 +86,11 @@ const userSchema = new mongoose.Schema(
       },
       regions: [String],
       languages: [String],
+      // Opt in to being matched with players they recently commended
+      groupWithCommended: {
+        type: Boolean,
+        default: false
+      },
       playTimePreferences: {
         weekdays: {
           start: String, // e.g., "19:00"
@@ -118,6 +123,12 @@ const userSchema = new mongoose.Schema(
           min: 0,
           max: 100
         },
+        // Match-result rating, maintained by the rating service
+        rating: Number,
+        ratedMatches: {
+          type: Number,
+          default: 0
+        },
         stats: {
           type: Map,
           of: mongoose.Schema.Types.Mixed
@@ -185,6 +196,20 @@ const userSchema = new mongoose.Schema(
         ref: 'User'
       }
     },
+    // Queue cooldown for players who dodge, miss or leave matches; strikes wear off over time
+    matchmakingRestrictions: {
+      strikes: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      lastOffense: {
+        type: String,
+        enum: ['dodge', 'no_show', 'early_leave', 'repeated_cancel']
+      },
+      lastOffenseAt: Date,
+      queueBlockedUntil: Date
+    },
     lastActive: {
       type: Date,
       default: Date.now
@@ -255,6 +280,12 @@ userSchema.methods.cleanExpiredTokens = function () {
   this.refreshTokens = this.refreshTokens.filter((tokenObj) => tokenObj.expiresAt > new Date());
 };
 
+// Instance method to get the remaining matchmaking cooldown in milliseconds
+userSchema.methods.getMatchmakingCooldown = function (now = new Date()) {
+  const blockedUntil = this.matchmakingRestrictions?.queueBlockedUntil;
+  return blockedUntil ? Math.max(0, blockedUntil.getTime() - now.getTime()) : 0;
+};
+
 // Static method to find by email or username
 userSchema.statics.findByCredential = async function (credential) {
   return await this.findOne({
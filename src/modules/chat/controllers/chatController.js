@@ -16,12 +16,13 @@ const sendLobbyMessage = asyncHandler(async (req, res) => {
 
 const getLobbyChatHistory = asyncHandler(async (req, res) => {
   const { lobbyId } = req.params;
-  const { limit = 50, before } = req.query;
+  const { limit = 50, before, cursor } = req.query;
   const userId = req.user.id;
 
   const result = await chatService.getLobbyChatHistory(lobbyId, userId, {
     limit: parseInt(limit, 10),
-    before
+    before,
+    cursor
   });
 
   res.status(200).json({
@@ -30,7 +31,161 @@ const getLobbyChatHistory = asyncHandler(async (req, res) => {
   });
 });
 
+const getConversations = asyncHandler(async (req, res) => {
+  const { limit } = req.query;
+
+  const conversations = await chatService.getConversations(req.user.id, { limit });
+
+  res.status(200).json({
+    status: 'success',
+    data: { conversations }
+  });
+});
+
+const startDirectChat = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  const { chat, created } = await chatService.getOrCreateDirectChat(req.user.id, userId);
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    data: { chat }
+  });
+});
+
+const createGroupChat = asyncHandler(async (req, res) => {
+  const chat = await chatService.createGroupChat(req.user.id, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: { chat }
+  });
+});
+
+const sendChatMessage = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const { content, contentType = 'text' } = req.body;
+
+  const message = await chatService.sendChatMessage(chatId, req.user.id, content, contentType);
+
+  res.status(201).json({
+    status: 'success',
+    data: { message }
+  });
+});
+
+const getChatHistory = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const { limit = 50, before, cursor } = req.query;
+
+  const result = await chatService.getChatHistory(chatId, req.user.id, {
+    limit: parseInt(limit, 10),
+    before,
+    cursor
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+const markChatRead = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+
+  const result = await chatService.markChatRead(chatId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+const editMessage = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+
+  const message = await chatService.editMessage(chatId, messageId, req.user.id, req.body.content);
+
+  res.status(200).json({
+    status: 'success',
+    data: { message }
+  });
+});
+
+const deleteMessage = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+
+  await chatService.deleteMessage(chatId, messageId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { message: 'Message deleted' }
+  });
+});
+
+const addReaction = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+
+  const message = await chatService.addReaction(chatId, messageId, req.user.id, req.body.emoji);
+
+  res.status(200).json({
+    status: 'success',
+    data: { messageId: message._id, reactions: message.reactions }
+  });
+});
+
+const removeReaction = asyncHandler(async (req, res) => {
+  const { chatId, messageId, emoji } = req.params;
+
+  const message = await chatService.removeReaction(chatId, messageId, req.user.id, emoji);
+
+  res.status(200).json({
+    status: 'success',
+    data: { messageId: message._id, reactions: message.reactions }
+  });
+});
+
+const getMutedUsers = asyncHandler(async (req, res) => {
+  const mutes = await chatService.getMutedUsers(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { mutes }
+  });
+});
+
+const muteUser = asyncHandler(async (req, res) => {
+  const mute = await chatService.muteUser(req.user.id, req.body.userId);
+
+  res.status(201).json({
+    status: 'success',
+    data: { mute, message: 'User muted' }
+  });
+});
+
+const unmuteUser = asyncHandler(async (req, res) => {
+  await chatService.unmuteUser(req.user.id, req.params.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { message: 'User unmuted' }
+  });
+});
+
 module.exports = {
   sendLobbyMessage,
-  getLobbyChatHistory
+  getLobbyChatHistory,
+  getConversations,
+  startDirectChat,
+  createGroupChat,
+  sendChatMessage,
+  getChatHistory,
+  markChatRead,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  getMutedUsers,
+  muteUser,
+  unmuteUser
 };
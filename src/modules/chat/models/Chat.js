@@ -1,34 +1,5 @@
 const mongoose = require('mongoose');
-
-const messageSchema = new mongoose.Schema({
-  senderId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: function () {
-      return this.contentType !== 'system';
-    }
-  },
-  content: {
-    type: String,
-    required: true,
-    maxlength: 1000
-  },
-  contentType: {
-    type: String,
-    enum: ['text', 'emoji', 'system', 'auto'],
-    default: 'text'
-  },
-  metadata: {
-    type: Map,
-    of: mongoose.Schema.Types.Mixed
-  },
-  editedAt: Date,
-  deletedAt: Date,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+const ChatMessage = require('./ChatMessage');
 
 const chatSchema = new mongoose.Schema(
   {
@@ -50,7 +21,26 @@ const chatSchema = new mongoose.Schema(
       ref: 'Lobby',
       index: true
     },
-    messages: [messageSchema],
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readState: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        lastReadAt: Date
+      }
+    ],
     lastMessageAt: Date,
     metadata: {
       type: Map,
@@ -75,22 +65,22 @@ chatSchema.index({ participants: 1, chatType: 1 });
 chatSchema.index({ lastMessageAt: -1 });
 
 // Instance methods
-chatSchema.methods.addMessage = function (senderId, content, contentType = 'text') {
+chatSchema.methods.addMessage = async function (senderId, content, contentType = 'text') {
+  // Keep message order stable when several land within the same millisecond
   const now = new Date();
-  const lastMessage = this.messages[this.messages.length - 1];
   const createdAt =
-    lastMessage && lastMessage.createdAt >= now
-      ? new Date(lastMessage.createdAt.getTime() + 1)
+    this.lastMessageAt && this.lastMessageAt >= now
+      ? new Date(this.lastMessageAt.getTime() + 1)
       : now;
 
-  const message = {
+  const message = await ChatMessage.create({
+    chatId: this._id,
     senderId,
     content,
     contentType,
     createdAt
-  };
+  });
 
-  this.messages.push(message);
   this.lastMessageAt = message.createdAt;
 
   return message;
@@ -100,7 +90,42 @@ chatSchema.methods.addSystemMessage = function (content) {
   return this.addMessage(null, content, 'system');
 };
 
+chatSchema.methods.markRead = function (userId, readAt = new Date()) {
+  const entry = this.readState.find((r) => r.userId.toString() === userId.toString());
+  if (entry) {
+    entry.lastReadAt = readAt;
+  } else {
+    this.readState.push({ userId, lastReadAt: readAt });
+  }
+};
+
+chatSchema.methods.getUnreadCount = function (userId, excludeSenderIds = []) {
+  const entry = this.readState.find((r) => r.userId.toString() === userId.toString());
+  const query = {
+    chatId: this._id,
+    senderId: { $ne: userId },
+    deletedAt: null
+  };
+
+  if (excludeSenderIds.length > 0) {
+    query.senderId.$nin = excludeSenderIds;
+  }
+
+  if (entry?.lastReadAt) {
+    query.createdAt = { $gt: entry.lastReadAt };
+  }
+
+  return ChatMessage.countDocuments(query);
+};
+
 // Static methods
+chatSchema.statics.findDirectChat = function (userId1, userId2) {
+  return this.findOne({
+    chatType: 'direct',
+    participants: { $all: [userId1, userId2], $size: 2 }
+  });
+};
+
 chatSchema.statics.createLobbyChat = async function (lobbyId, participants, options = {}) {
   const chat = new this({
     chatType: 'lobby',
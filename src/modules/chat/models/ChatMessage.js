@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema(
+  {
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+      required: true
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: function () {
+        return this.contentType !== 'system';
+      }
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 1000
+    },
+    contentType: {
+      type: String,
+      enum: ['text', 'emoji', 'system', 'auto'],
+      default: 'text'
+    },
+    metadata: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed
+    },
+    reactions: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          required: true,
+          maxlength: 32
+        },
+        userIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          }
+        ]
+      }
+    ],
+    editedAt: Date,
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        // Soft-deleted messages keep their original content for moderation only
+        delete ret.__v;
+        if (ret.deletedAt) {
+          ret.content = null;
+          ret.reactions = [];
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+chatMessageSchema.virtual('isEdited').get(function () {
+  return Boolean(this.editedAt);
+});
+
+chatMessageSchema.virtual('isDeleted').get(function () {
+  return Boolean(this.deletedAt);
+});
+
+chatMessageSchema.methods.addReaction = function (userId, emoji) {
+  let reaction = this.reactions.find((r) => r.emoji === emoji);
+  if (!reaction) {
+    this.reactions.push({ emoji, userIds: [] });
+    reaction = this.reactions[this.reactions.length - 1];
+  }
+
+  if (reaction.userIds.some((id) => id.toString() === userId.toString())) {
+    return false;
+  }
+
+  reaction.userIds.push(userId);
+  return true;
+};
+
+chatMessageSchema.methods.removeReaction = function (userId, emoji) {
+  const reaction = this.reactions.find((r) => r.emoji === emoji);
+  if (!reaction) {
+    return false;
+  }
+
+  const before = reaction.userIds.length;
+  reaction.userIds = reaction.userIds.filter((id) => id.toString() !== userId.toString());
+  if (reaction.userIds.length === before) {
+    return false;
+  }
+
+  if (reaction.userIds.length === 0) {
+    this.reactions = this.reactions.filter((r) => r.emoji !== emoji);
+  }
+  return true;
+};
+
+// Indexes
+chatMessageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
+chatMessageSchema.index({ senderId: 1, createdAt: -1 });
+
+// Static methods
+chatMessageSchema.statics.encodeCursor = function (message) {
+  return Buffer.from(`${message.createdAt.getTime()}:${message._id}`).toString('base64url');
+};
+
+chatMessageSchema.statics.decodeCursor = function (cursor) {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split(':');
+  const createdAt = new Date(Number(time));
+
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Fetch a page of messages older than the cursor, returned oldest first
+ */
+chatMessageSchema.statics.findPage = async function (chatId, options = {}) {
+  const { limit = 50, cursor, before, excludeSenderIds = [], populate } = options;
+
+  const query = { chatId };
+
+  if (excludeSenderIds.length > 0) {
+    query.senderId = { $nin: excludeSenderIds };
+  }
+
+  if (cursor) {
+    query.$or = [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+    ];
+  } else if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+
+  let finder = this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+  if (populate) {
+    finder = finder.populate('senderId', populate);
+  }
+
+  const results = await finder;
+  const hasMore = results.length > limit;
+  const messages = results.slice(0, limit).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? this.encodeCursor(messages[0]) : null
+  };
+};
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+
+module.exports = ChatMessage;
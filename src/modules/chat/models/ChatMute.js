@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const chatMuteSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    mutedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// One mute per pair
+chatMuteSchema.index({ userId: 1, mutedUserId: 1 }, { unique: true });
+
+const ChatMute = mongoose.model('ChatMute', chatMuteSchema);
+
+module.exports = ChatMute;
@@ -1,5 +1,9 @@
 const Chat = require('./Chat');
+const ChatMessage = require('./ChatMessage');
+const ChatMute = require('./ChatMute');
 
 module.exports = {
-  Chat
+  Chat,
+  ChatMessage,
+  ChatMute
 };
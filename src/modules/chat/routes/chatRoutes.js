@@ -3,7 +3,19 @@ const chatController = require('../controllers/chatController');
 const { validateRequest, validateParams, validateQuery } = require('../../../middleware/validator');
 const { authenticate } = require('../../../middleware/auth');
 const { rateLimiter } = require('../../../middleware/rateLimiter');
-const { sendMessageSchema, getChatHistoryQuerySchema } = require('../validations/chatValidation');
+const {
+  sendMessageSchema,
+  getChatHistoryQuerySchema,
+  startDirectChatSchema,
+  createGroupChatSchema,
+  getConversationsQuerySchema,
+  chatIdParamSchema,
+  messageParamsSchema,
+  editMessageSchema,
+  addReactionSchema,
+  reactionParamsSchema,
+  muteUserSchema
+} = require('../validations/chatValidation');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -42,4 +54,107 @@ router.get(
   chatController.getLobbyChatHistory
 );
 
+// List direct and group conversations
+router.get(
+  '/conversations',
+  rateLimiter.relaxed,
+  validateQuery(getConversationsQuerySchema),
+  chatController.getConversations
+);
+
+// Start (or reopen) a direct conversation with a friend
+router.post(
+  '/direct',
+  rateLimiter.standard,
+  validateRequest(startDirectChatSchema),
+  chatController.startDirectChat
+);
+
+// Create a group chat
+router.post(
+  '/groups',
+  rateLimiter.strict,
+  validateRequest(createGroupChatSchema),
+  chatController.createGroupChat
+);
+
+// Send message to a conversation
+router.post(
+  '/conversations/:chatId/messages',
+  rateLimiter.standard,
+  validateParams(chatIdParamSchema),
+  validateRequest(sendMessageSchema),
+  chatController.sendChatMessage
+);
+
+// Get conversation history
+router.get(
+  '/conversations/:chatId/messages',
+  rateLimiter.relaxed,
+  validateParams(chatIdParamSchema),
+  validateQuery(getChatHistoryQuerySchema),
+  chatController.getChatHistory
+);
+
+// Mark conversation as read
+router.post(
+  '/conversations/:chatId/read',
+  rateLimiter.relaxed,
+  validateParams(chatIdParamSchema),
+  chatController.markChatRead
+);
+
+// List muted users
+router.get('/mutes', rateLimiter.relaxed, chatController.getMutedUsers);
+
+// Mute a user's messages
+router.post(
+  '/mutes',
+  rateLimiter.standard,
+  validateRequest(muteUserSchema),
+  chatController.muteUser
+);
+
+// Unmute a user
+router.delete(
+  '/mutes/:userId',
+  rateLimiter.standard,
+  validateParams(muteUserSchema),
+  chatController.unmuteUser
+);
+
+// Edit a message (lobby, direct or group chat)
+router.patch(
+  '/:chatId/messages/:messageId',
+  rateLimiter.standard,
+  validateParams(messageParamsSchema),
+  validateRequest(editMessageSchema),
+  chatController.editMessage
+);
+
+// Delete a message
+router.delete(
+  '/:chatId/messages/:messageId',
+  rateLimiter.standard,
+  validateParams(messageParamsSchema),
+  chatController.deleteMessage
+);
+
+// React to a message
+router.post(
+  '/:chatId/messages/:messageId/reactions',
+  rateLimiter.standard,
+  validateParams(messageParamsSchema),
+  validateRequest(addReactionSchema),
+  chatController.addReaction
+);
+
+// Remove a reaction
+router.delete(
+  '/:chatId/messages/:messageId/reactions/:emoji',
+  rateLimiter.standard,
+  validateParams(reactionParamsSchema),
+  chatController.removeReaction
+);
+
 module.exports = router;
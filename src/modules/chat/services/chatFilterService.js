@@ -0,0 +1,83 @@
+const config = require('../../../config');
+const { escapeRegExp } = require('../../../utils/validation');
+const logger = require('../../../utils/logger');
+
+const FILTER_ACTIONS = ['mask', 'reject', 'flag'];
+
+const DEFAULT_WORDS = [
+  'fuck',
+  'fucking',
+  'shit',
+  'bitch',
+  'cunt',
+  'asshole',
+  'bastard',
+  'dickhead'
+];
+
+class ChatFilterService {
+  constructor() {
+    this.configure(config.chat?.filter);
+  }
+
+  /**
+   * Load the filter settings; extra words and patterns extend the defaults
+   */
+  configure(options = {}) {
+    const { enabled = true, action = 'mask', words = [], patterns = [] } = options;
+
+    if (!FILTER_ACTIONS.includes(action)) {
+      throw new Error(`Unknown chat filter action: ${action}`);
+    }
+
+    this.enabled = enabled;
+    this.action = action;
+    this.rules = [];
+
+    for (const word of new Set([...DEFAULT_WORDS, ...words])) {
+      // eslint-disable-next-line security/detect-non-literal-regexp
+      this.rules.push(new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi'));
+    }
+
+    for (const pattern of patterns) {
+      try {
+        // eslint-disable-next-line security/detect-non-literal-regexp
+        this.rules.push(new RegExp(pattern, 'gi'));
+      } catch (error) {
+        logger.warn('Ignoring invalid chat filter pattern', { pattern, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check a message against the filter.
+   * Returns the action to take, the (possibly masked) content and the matched terms.
+   */
+  check(content) {
+    if (!this.enabled) {
+      return { action: 'allow', content, matches: [] };
+    }
+
+    const matches = [];
+    let masked = content;
+
+    for (const rule of this.rules) {
+      masked = masked.replace(rule, (match) => {
+        matches.push(match);
+        return '*'.repeat(match.length);
+      });
+    }
+
+    if (matches.length === 0) {
+      return { action: 'allow', content, matches };
+    }
+
+    return {
+      action: this.action,
+      content: this.action === 'mask' ? masked : content,
+      matches
+    };
+  }
+}
+
+module.exports = new ChatFilterService();
@@ -1,8 +1,24 @@
 const Chat = require('../models/Chat');
+const ChatMessage = require('../models/ChatMessage');
+const ChatMute = require('../models/ChatMute');
+const chatFilterService = require('./chatFilterService');
+const Lobby = require('../../lobby/models/Lobby');
 const socketManager = require('../../../services/socketManager');
-const { NotFoundError, BadRequestError } = require('../../../utils/errors');
+const User = require('../../auth/models/User');
+const friendService = require('../../social/services/friendService');
+const notificationService = require('../../notification/services/notificationService');
+const reportService = require('../../admin/services/reportService');
+const {
+  NotFoundError,
+  BadRequestError,
+  AuthorizationError,
+  ConflictError
+} = require('../../../utils/errors');
+const config = require('../../../config');
 const logger = require('../../../utils/logger');
 
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
 class ChatService {
   /**
    * Send message to lobby chat
@@ -18,33 +34,48 @@ class ChatService {
       const mongoose = require('mongoose');
       const userObjectId = new mongoose.Types.ObjectId(userId);
 
-      // Verify user is a participant
+      // Verify user is a participant, or a spectator the host lets talk
       const isParticipant = chat.participants.some((p) => p.equals(userObjectId));
       if (!isParticipant) {
-        throw new BadRequestError('User is not a participant in this chat');
+        const lobby = await Lobby.findById(lobbyId);
+        const canSpectatorPost = lobby?.settings?.allowSpectatorChat && lobby.isSpectator(userId);
+        if (!canSpectatorPost) {
+          throw new BadRequestError('User is not a participant in this chat');
+        }
       }
 
+      const filtered = this.filterContent(content);
+
       // Add message
-      const message = chat.addMessage(userObjectId, content, contentType);
+      const message = await chat.addMessage(userObjectId, filtered.content, contentType);
       await chat.save();
 
+      if (filtered.action === 'flag') {
+        await this.reportFlaggedMessage(message, filtered.matches);
+      }
+
       // Get sender info
-      const User = require('../../auth/models/User');
       const sender = await User.findById(userObjectId, 'username profile.displayName');
 
-      // Emit to lobby members
-      socketManager.emitToRoom(`lobby:${lobbyId}`, 'chat:message', {
-        lobbyId,
-        message: {
-          _id: message._id,
-          senderId: userId,
-          senderName: sender.username,
-          senderDisplayName: sender.profile?.displayName,
-          content: message.content,
-          contentType: message.contentType,
-          createdAt: message.createdAt
-        }
-      });
+      // Emit to lobby members, skipping blocks in either direction and anyone who muted the sender
+      const hiddenUserIds = await this.getHiddenRecipientIds(userId);
+      socketManager.emitToRoom(
+        `lobby:${lobbyId}`,
+        'chat:message',
+        {
+          lobbyId,
+          message: {
+            _id: message._id,
+            senderId: userId,
+            senderName: sender.username,
+            senderDisplayName: sender.profile?.displayName,
+            content: message.content,
+            contentType: message.contentType,
+            createdAt: message.createdAt
+          }
+        },
+        { excludeUserIds: [...hiddenUserIds] }
+      );
 
       logger.info('Lobby message sent', {
         lobbyId,
@@ -68,48 +99,677 @@ class ChatService {
    */
   async getLobbyChatHistory(lobbyId, userId, options = {}) {
     try {
-      const { limit = 50, before } = options;
+      const { limit = 50, before, cursor } = options;
 
-      const chat = await Chat.findOne({ lobbyId, chatType: 'lobby' }).populate(
-        'messages.senderId',
-        'username profile.displayName profile.profileImage'
-      );
+      const chat = await Chat.findOne({ lobbyId, chatType: 'lobby' });
 
       if (!chat) {
         throw new NotFoundError('Chat not found');
       }
 
-      // Verify user is a participant
+      // Verify user is a participant or spectator
       const isParticipant = chat.participants.some((p) => p.toString() === userId);
       if (!isParticipant) {
-        throw new BadRequestError('User is not authorized to view this chat');
+        const lobby = await Lobby.findById(lobbyId);
+        if (!lobby?.isSpectator(userId)) {
+          throw new BadRequestError('User is not authorized to view this chat');
+        }
+      }
+
+      return this.getMessagePage(chat, userId, { limit, before, cursor });
+    } catch (error) {
+      logger.error('Failed to get lobby chat history', {
+        error: error.message,
+        lobbyId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get or start a direct conversation with a friend
+   */
+  async getOrCreateDirectChat(userId, otherUserId) {
+    try {
+      if (userId === otherUserId) {
+        throw new BadRequestError('Cannot start a conversation with yourself');
+      }
+
+      if (!(await friendService.areFriends(userId, otherUserId))) {
+        throw new BadRequestError('You can only message friends');
+      }
+
+      let chat = await Chat.findDirectChat(userId, otherUserId);
+      let created = false;
+
+      if (!chat) {
+        chat = await Chat.create({
+          chatType: 'direct',
+          participants: [userId, otherUserId],
+          createdBy: userId
+        });
+        created = true;
+
+        logger.info('Direct chat created', { chatId: chat._id, userId, otherUserId });
+      }
+
+      return { chat: await this.toConversationSummary(chat, userId), created };
+    } catch (error) {
+      logger.error('Failed to get direct chat', {
+        error: error.message,
+        userId,
+        otherUserId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a named group chat with friends
+   */
+  async createGroupChat(userId, { name, participantIds }) {
+    try {
+      const memberIds = [...new Set(participantIds.filter((id) => id !== userId))];
+
+      if (memberIds.length === 0) {
+        throw new BadRequestError('A group chat needs at least one other participant');
+      }
+
+      for (const memberId of memberIds) {
+        if (!(await friendService.areFriends(userId, memberId))) {
+          throw new BadRequestError('You can only add friends to a group chat');
+        }
+      }
+
+      const chat = await Chat.create({
+        chatType: 'group',
+        name,
+        participants: [userId, ...memberIds],
+        createdBy: userId
+      });
+
+      const creator = await User.findById(userId, 'username');
+      await chat.addSystemMessage(`${creator?.username || 'Someone'} created the group`);
+      chat.markRead(userId);
+      await chat.save();
+
+      logger.info('Group chat created', {
+        chatId: chat._id,
+        userId,
+        participantCount: chat.participants.length
+      });
+
+      return this.toConversationSummary(chat, userId);
+    } catch (error) {
+      logger.error('Failed to create group chat', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's direct and group conversations, most recent first
+   */
+  async getConversations(userId, options = {}) {
+    try {
+      const { limit = 20 } = options;
+
+      const chats = await Chat.find({
+        participants: userId,
+        chatType: { $in: ['direct', 'group'] }
+      })
+        .sort({ lastMessageAt: -1, updatedAt: -1 })
+        .limit(limit);
+
+      const hiddenSenderIds = await this.getHiddenSenderIds(userId);
+
+      return Promise.all(
+        chats.map((chat) => this.toConversationSummary(chat, userId, hiddenSenderIds))
+      );
+    } catch (error) {
+      logger.error('Failed to get conversations', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message to a direct or group conversation
+   */
+  async sendChatMessage(chatId, userId, content, contentType = 'text') {
+    try {
+      const chat = await this.getConversationForParticipant(chatId, userId);
+
+      const blockedUserIds = await friendService.getBlockedUserIds(userId);
+      const recipientIds = chat.participants.map((p) => p.toString()).filter((id) => id !== userId);
+
+      if (chat.chatType === 'direct' && recipientIds.some((id) => blockedUserIds.has(id))) {
+        throw new BadRequestError('Cannot message this user');
       }
 
-      let messages = chat.messages;
+      const filtered = this.filterContent(content);
 
-      // Filter by before timestamp if provided
-      if (before) {
-        messages = messages.filter((m) => m.createdAt < new Date(before));
+      const message = await chat.addMessage(userId, filtered.content, contentType);
+      chat.markRead(userId, message.createdAt);
+      await chat.save();
+
+      if (filtered.action === 'flag') {
+        await this.reportFlaggedMessage(message, filtered.matches);
       }
 
-      // Get latest messages up to limit
-      messages = messages.slice(-limit);
+      const sender = await User.findById(userId, 'username profile.displayName');
+      const hiddenUserIds = await this.getHiddenRecipientIds(userId);
+      const deliverTo = recipientIds.filter((id) => !hiddenUserIds.has(id));
 
-      return {
+      const payload = {
         chatId: chat._id,
-        messages,
-        hasMore: chat.messages.length > messages.length
+        chatType: chat.chatType,
+        message: {
+          _id: message._id,
+          senderId: userId,
+          senderName: sender?.username,
+          senderDisplayName: sender?.profile?.displayName,
+          content: message.content,
+          contentType: message.contentType,
+          createdAt: message.createdAt
+        }
       };
+
+      socketManager.emitToUsers([userId, ...deliverTo], 'chat:message', payload);
+
+      // Only offline recipients get a notification; the rest already see the message live
+      const onlineIds = new Set(socketManager.getOnlineUsers(deliverTo));
+      const notifyIds = deliverTo.filter((id) => !onlineIds.has(id));
+      await Promise.all(
+        notifyIds.map((recipientId) =>
+          notificationService
+            .createNotification(recipientId, {
+              type: 'message_received',
+              title: chat.chatType === 'group' ? chat.name : 'New Message',
+              message: `${sender?.username || 'Someone'}: ${message.content.slice(0, 100)}`,
+              data: {
+                entityType: 'user',
+                entityId: userId,
+                actionUrl: `/chat/${chat._id}`
+              },
+              priority: 'low'
+            })
+            .catch((error) => {
+              logger.warn('Failed to notify chat recipient', {
+                error: error.message,
+                chatId,
+                recipientId
+              });
+            })
+        )
+      );
+
+      logger.info('Chat message sent', {
+        chatId,
+        userId,
+        messageId: message._id
+      });
+
+      return message;
     } catch (error) {
-      logger.error('Failed to get lobby chat history', {
+      logger.error('Failed to send chat message', {
         error: error.message,
-        lobbyId,
+        chatId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get message history for a direct or group conversation
+   */
+  async getChatHistory(chatId, userId, options = {}) {
+    try {
+      const { limit = 50, before, cursor } = options;
+
+      const chat = await this.getConversationForParticipant(chatId, userId);
+
+      return this.getMessagePage(chat, userId, { limit, before, cursor });
+    } catch (error) {
+      logger.error('Failed to get chat history', {
+        error: error.message,
+        chatId,
         userId
       });
       throw error;
     }
   }
 
+  /**
+   * Mark a conversation as read up to its latest message
+   */
+  async markChatRead(chatId, userId) {
+    try {
+      const chat = await this.getConversationForParticipant(chatId, userId);
+      chat.markRead(userId, chat.lastMessageAt || new Date());
+      await chat.save();
+
+      return { chatId: chat._id, unreadCount: 0 };
+    } catch (error) {
+      logger.error('Failed to mark chat read', {
+        error: error.message,
+        chatId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Edit one of your own messages within the edit window
+   */
+  async editMessage(chatId, messageId, userId, content) {
+    try {
+      const { chat, message } = await this.getMessageForAction(chatId, messageId, userId);
+
+      if (!message.senderId || message.senderId.toString() !== userId) {
+        throw new AuthorizationError('You can only edit your own messages');
+      }
+
+      if (Date.now() - message.createdAt.getTime() > config.chat.editWindowMs) {
+        throw new BadRequestError('Message can no longer be edited');
+      }
+
+      const filtered = this.filterContent(content);
+
+      message.content = filtered.content;
+      message.editedAt = new Date();
+      await message.save();
+
+      if (filtered.action === 'flag') {
+        await this.reportFlaggedMessage(message, filtered.matches);
+      }
+
+      const hiddenUserIds = await this.getHiddenRecipientIds(userId);
+      this.emitMessageEvent(
+        chat,
+        'chat:message:edited',
+        {
+          messageId: message._id,
+          content: message.content,
+          editedAt: message.editedAt
+        },
+        { excludeUserIds: [...hiddenUserIds] }
+      );
+
+      logger.info('Chat message edited', { chatId, messageId, userId });
+
+      return message;
+    } catch (error) {
+      logger.error('Failed to edit chat message', {
+        error: error.message,
+        chatId,
+        messageId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete a message; authors and lobby hosts may delete
+   */
+  async deleteMessage(chatId, messageId, userId) {
+    try {
+      const { chat, message, lobby } = await this.getMessageForAction(chatId, messageId, userId);
+
+      const isAuthor = message.senderId && message.senderId.toString() === userId;
+      const isLobbyHost = lobby && lobby.hostId.toString() === userId;
+      if (!isAuthor && !isLobbyHost) {
+        throw new AuthorizationError('You can only delete your own messages');
+      }
+
+      message.deletedAt = new Date();
+      message.deletedBy = userId;
+      await message.save();
+
+      this.emitMessageEvent(chat, 'chat:message:deleted', {
+        messageId: message._id,
+        deletedAt: message.deletedAt,
+        deletedBy: userId
+      });
+
+      logger.info('Chat message deleted', { chatId, messageId, userId, byHost: !isAuthor });
+
+      return message;
+    } catch (error) {
+      logger.error('Failed to delete chat message', {
+        error: error.message,
+        chatId,
+        messageId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add an emoji reaction to a message
+   */
+  async addReaction(chatId, messageId, userId, emoji) {
+    try {
+      const { chat, message } = await this.getMessageForAction(chatId, messageId, userId);
+
+      const isNewEmoji = !message.reactions.some((r) => r.emoji === emoji);
+      if (isNewEmoji && message.reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+        throw new BadRequestError('Too many different reactions on this message');
+      }
+
+      if (message.addReaction(userId, emoji)) {
+        await message.save();
+        await this.emitReactionEvent(chat, message, userId, emoji, 'added');
+      }
+
+      return message;
+    } catch (error) {
+      logger.error('Failed to add reaction', {
+        error: error.message,
+        chatId,
+        messageId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove your emoji reaction from a message
+   */
+  async removeReaction(chatId, messageId, userId, emoji) {
+    try {
+      const { chat, message } = await this.getMessageForAction(chatId, messageId, userId);
+
+      if (message.removeReaction(userId, emoji)) {
+        await message.save();
+        await this.emitReactionEvent(chat, message, userId, emoji, 'removed');
+      }
+
+      return message;
+    } catch (error) {
+      logger.error('Failed to remove reaction', {
+        error: error.message,
+        chatId,
+        messageId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a live message from any chat the user can post in
+   */
+  async getMessageForAction(chatId, messageId, userId) {
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      throw new NotFoundError('Chat not found');
+    }
+
+    const isParticipant = chat.participants.some((p) => p.toString() === userId);
+    let lobby = null;
+
+    if (chat.chatType === 'lobby') {
+      lobby = await Lobby.findById(chat.lobbyId);
+      const canSpectatorPost = lobby?.settings?.allowSpectatorChat && lobby.isSpectator(userId);
+      if (!isParticipant && !canSpectatorPost) {
+        throw new NotFoundError('Chat not found');
+      }
+    } else if (!isParticipant) {
+      throw new NotFoundError('Chat not found');
+    }
+
+    const message = await ChatMessage.findOne({ _id: messageId, chatId: chat._id });
+    if (!message || message.deletedAt) {
+      throw new NotFoundError('Message not found');
+    }
+
+    return { chat, message, lobby };
+  }
+
+  /**
+   * Broadcast a message update to everyone who can see the chat
+   */
+  emitMessageEvent(chat, event, data, options = {}) {
+    if (chat.chatType === 'lobby') {
+      socketManager.emitToRoom(
+        `lobby:${chat.lobbyId}`,
+        event,
+        { lobbyId: chat.lobbyId, chatId: chat._id, ...data },
+        options
+      );
+      return;
+    }
+
+    const excluded = new Set(options.excludeUserIds || []);
+    const recipientIds = chat.participants
+      .map((p) => p.toString())
+      .filter((id) => !excluded.has(id));
+    socketManager.emitToUsers(recipientIds, event, { chatId: chat._id, ...data });
+  }
+
+  /**
+   * Broadcast a reaction change with the message's current reactions
+   */
+  async emitReactionEvent(chat, message, userId, emoji, action) {
+    const hiddenUserIds = await this.getHiddenRecipientIds(userId);
+    this.emitMessageEvent(
+      chat,
+      'chat:message:reaction',
+      {
+        messageId: message._id,
+        userId,
+        emoji,
+        action,
+        reactions: message.reactions
+      },
+      { excludeUserIds: [...hiddenUserIds] }
+    );
+  }
+
+  /**
+   * Page through a chat's messages, hiding senders the viewer blocked or muted
+   */
+  async getMessagePage(chat, userId, { limit, before, cursor }) {
+    let decodedCursor;
+    if (cursor) {
+      decodedCursor = ChatMessage.decodeCursor(cursor);
+      if (!decodedCursor) {
+        throw new BadRequestError('Invalid cursor');
+      }
+    }
+
+    const page = await ChatMessage.findPage(chat._id, {
+      limit,
+      before,
+      cursor: decodedCursor,
+      excludeSenderIds: await this.getHiddenSenderIds(userId),
+      populate: 'username profile.displayName profile.profileImage'
+    });
+
+    return {
+      chatId: chat._id,
+      ...page
+    };
+  }
+
+  /**
+   * Mute a user's chat messages for yourself
+   */
+  async muteUser(userId, targetUserId) {
+    try {
+      if (userId === targetUserId) {
+        throw new BadRequestError('Cannot mute yourself');
+      }
+
+      const target = await User.findById(targetUserId, 'username');
+      if (!target) {
+        throw new NotFoundError('User not found');
+      }
+
+      const existing = await ChatMute.findOne({ userId, mutedUserId: targetUserId });
+      if (existing) {
+        throw new ConflictError('User already muted');
+      }
+
+      const mute = await ChatMute.create({ userId, mutedUserId: targetUserId });
+
+      logger.info('User muted in chat', { userId, targetUserId });
+
+      return mute;
+    } catch (error) {
+      logger.error('Failed to mute user', { error: error.message, userId, targetUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * Unmute a user
+   */
+  async unmuteUser(userId, targetUserId) {
+    try {
+      const result = await ChatMute.deleteOne({ userId, mutedUserId: targetUserId });
+      if (result.deletedCount === 0) {
+        throw new NotFoundError('User is not muted');
+      }
+
+      logger.info('User unmuted in chat', { userId, targetUserId });
+    } catch (error) {
+      logger.error('Failed to unmute user', { error: error.message, userId, targetUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * List the users you have muted
+   */
+  async getMutedUsers(userId) {
+    try {
+      return await ChatMute.find({ userId })
+        .populate('mutedUserId', 'username profile.displayName profile.profileImage')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      logger.error('Failed to get muted users', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of users the given user has muted
+   */
+  async getMutedUserIds(userId) {
+    const ids = await ChatMute.distinct('mutedUserId', { userId });
+    return new Set(ids.map((id) => id.toString()));
+  }
+
+  /**
+   * IDs of senders whose messages a user should not see: anyone they blocked or muted
+   */
+  async getHiddenSenderIds(userId) {
+    const [blockedUserIds, mutedUserIds] = await Promise.all([
+      friendService.getBlockedUserIds(userId),
+      this.getMutedUserIds(userId)
+    ]);
+    return [...new Set([...blockedUserIds, ...mutedUserIds])];
+  }
+
+  /**
+   * Users who should not get a sender's messages live: blocks either way, plus anyone who muted them
+   */
+  async getHiddenRecipientIds(senderId) {
+    const [blockedUserIds, mutedByIds] = await Promise.all([
+      friendService.getBlockedUserIds(senderId),
+      ChatMute.distinct('userId', { mutedUserId: senderId })
+    ]);
+
+    return new Set([...blockedUserIds, ...mutedByIds.map((id) => id.toString())]);
+  }
+
+  /**
+   * Run content through the chat filter, refusing it outright when configured to
+   */
+  filterContent(content) {
+    const result = chatFilterService.check(content);
+
+    if (result.action === 'reject') {
+      throw new BadRequestError('Message contains blocked language');
+    }
+
+    return result;
+  }
+
+  /**
+   * Open a moderation report for a message the filter flagged
+   */
+  async reportFlaggedMessage(message, matches) {
+    try {
+      await reportService.submitAutoReport({
+        reportedId: message.senderId,
+        reportType: 'chat_message',
+        reason: 'inappropriate_content',
+        description: `Chat filter flagged a message for: ${[...new Set(matches)].join(', ')}`.slice(
+          0,
+          1000
+        ),
+        evidence: { chatLogIds: [message._id] }
+      });
+    } catch (error) {
+      // The message is already stored; a missing report should not fail the send
+      logger.warn('Failed to report flagged chat message', {
+        error: error.message,
+        messageId: message._id
+      });
+    }
+  }
+
+  /**
+   * Load a direct or group chat the user takes part in
+   */
+  async getConversationForParticipant(chatId, userId) {
+    const chat = await Chat.findOne({ _id: chatId, chatType: { $in: ['direct', 'group'] } });
+
+    if (!chat || !chat.participants.some((p) => p.toString() === userId)) {
+      throw new NotFoundError('Chat not found');
+    }
+
+    return chat;
+  }
+
+  /**
+   * Build the conversation list entry for a chat. Unread counts leave out senders the user
+   * blocked or muted.
+   */
+  async toConversationSummary(chat, userId, hiddenSenderIds) {
+    await chat.populate('participants', 'username profile.displayName profile.profileImage');
+
+    const [lastMessage, unreadCount] = await Promise.all([
+      ChatMessage.findOne({ chatId: chat._id }).sort({ createdAt: -1, _id: -1 }),
+      chat.getUnreadCount(userId, hiddenSenderIds || (await this.getHiddenSenderIds(userId)))
+    ]);
+
+    return {
+      _id: chat._id,
+      chatType: chat.chatType,
+      name: chat.name,
+      participants: chat.participants,
+      lastMessage: lastMessage
+        ? {
+            _id: lastMessage._id,
+            senderId: lastMessage.senderId,
+            content: lastMessage.deletedAt ? null : lastMessage.content,
+            contentType: lastMessage.contentType,
+            createdAt: lastMessage.createdAt
+          }
+        : null,
+      lastMessageAt: chat.lastMessageAt,
+      unreadCount
+    };
+  }
+
   /**
    * Handle typing indicator
    */
@@ -1,5 +1,7 @@
 const chatService = require('./chatService');
+const chatFilterService = require('./chatFilterService');
 
 module.exports = {
-  chatService
+  chatService,
+  chatFilterService
 };
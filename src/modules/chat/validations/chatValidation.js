@@ -11,10 +11,104 @@ const sendMessageSchema = Joi.object({
 
 const getChatHistoryQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(50),
-  before: Joi.date().iso().optional()
+  before: Joi.date().iso().optional(),
+  cursor: Joi.string().max(100).optional()
+});
+
+const objectId = () => Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const startDirectChatSchema = Joi.object({
+  userId: objectId().required().messages({
+    'string.pattern.base': 'Invalid user ID format',
+    'any.required': 'User ID is required'
+  })
+});
+
+const createGroupChatSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'any.required': 'Group name is required'
+  }),
+  participantIds: Joi.array()
+    .items(
+      objectId().messages({
+        'string.pattern.base': 'Invalid user ID format'
+      })
+    )
+    .min(1)
+    .max(20)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'A group chat needs at least one other participant',
+      'array.max': 'A group chat can have at most 20 other participants'
+    })
+});
+
+const getConversationsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const chatIdParamSchema = Joi.object({
+  chatId: objectId().required().messages({
+    'string.pattern.base': 'Invalid chat ID format'
+  })
+});
+
+const messageParamsSchema = Joi.object({
+  chatId: objectId().required().messages({
+    'string.pattern.base': 'Invalid chat ID format'
+  }),
+  messageId: objectId().required().messages({
+    'string.pattern.base': 'Invalid message ID format'
+  })
+});
+
+const editMessageSchema = Joi.object({
+  content: Joi.string().min(1).max(1000).required().messages({
+    'string.min': 'Message cannot be empty',
+    'string.max': 'Message cannot exceed 1000 characters',
+    'any.required': 'Message content is required'
+  })
+});
+
+// A single emoji: a flag, a keycap, or pictographs joined into one sequence, each with
+// optional presentation selector, skin tone or tag sequence
+const EMOJI_PATTERN =
+  /^(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?[\u{E0020}-\u{E007F}]*(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*)$/u;
+
+const emoji = () =>
+  Joi.string().trim().min(1).max(32).pattern(EMOJI_PATTERN).messages({
+    'string.max': 'Reaction cannot exceed 32 characters',
+    'string.pattern.base': 'Reaction must be a single emoji'
+  });
+
+const addReactionSchema = Joi.object({
+  emoji: emoji().required().messages({
+    'any.required': 'Emoji is required'
+  })
+});
+
+const reactionParamsSchema = messageParamsSchema.keys({
+  emoji: emoji().required()
+});
+
+const muteUserSchema = Joi.object({
+  userId: objectId().required().messages({
+    'string.pattern.base': 'Invalid user ID format',
+    'any.required': 'User ID is required'
+  })
 });
 
 module.exports = {
   sendMessageSchema,
-  getChatHistoryQuerySchema
+  getChatHistoryQuerySchema,
+  startDirectChatSchema,
+  createGroupChatSchema,
+  getConversationsQuerySchema,
+  chatIdParamSchema,
+  messageParamsSchema,
+  editMessageSchema,
+  addReactionSchema,
+  reactionParamsSchema,
+  muteUserSchema
 };
@@ -1,6 +1,27 @@
-const { sendMessageSchema, getChatHistoryQuerySchema } = require('./chatValidation');
+const {
+  sendMessageSchema,
+  getChatHistoryQuerySchema,
+  startDirectChatSchema,
+  createGroupChatSchema,
+  getConversationsQuerySchema,
+  chatIdParamSchema,
+  messageParamsSchema,
+  editMessageSchema,
+  addReactionSchema,
+  reactionParamsSchema,
+  muteUserSchema
+} = require('./chatValidation');
 
 module.exports = {
   sendMessageSchema,
-  getChatHistoryQuerySchema
+  getChatHistoryQuerySchema,
+  startDirectChatSchema,
+  createGroupChatSchema,
+  getConversationsQuerySchema,
+  chatIdParamSchema,
+  messageParamsSchema,
+  editMessageSchema,
+  addReactionSchema,
+  reactionParamsSchema,
+  muteUserSchema
 };
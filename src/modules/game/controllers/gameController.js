@@ -115,11 +115,23 @@ const updateGameStats = asyncHandler(async (req, res) => {
   });
 });
 
+const updateRoleSlots = asyncHandler(async (req, res) => {
+  const { gameId } = req.params;
+
+  const game = await gameService.updateRoleSlots(gameId, req.body.roleSlots);
+
+  res.status(200).json({
+    status: 'success',
+    data: { roleSlots: game.maogaData.roleSlots }
+  });
+});
+
 module.exports = {
   getGame,
   searchGames,
   getOrFetchGame,
   getTrendingGames,
   syncPopularGames,
-  updateGameStats
+  updateGameStats,
+  updateRoleSlots
 };
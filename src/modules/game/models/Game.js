@@ -188,7 +188,43 @@ const gameSchema = new mongoose.Schema(
       trending: {
         type: Boolean,
         default: false
-      }
+      },
+      // Team composition matchmaking must fill, e.g. 2 tanks, 2 healers, 6 dps.
+      // Slots describe the whole matched group and each team gets an even share of
+      // every role; an empty list means no roles.
+      roleSlots: [
+        {
+          _id: false,
+          role: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true
+          },
+          count: {
+            type: Number,
+            min: 1,
+            default: 1
+          }
+        }
+      ],
+      // Admin overrides of the matchmaking defaults, game-wide ('all') or for one mode;
+      // a mode's own entry wins over the game-wide one, and unset fields are inherited
+      matchmakingSettings: [
+        {
+          _id: false,
+          gameMode: {
+            type: String,
+            enum: ['all', 'casual', 'competitive', 'ranked', 'custom'],
+            required: true
+          },
+          minGroupSize: { type: Number, min: 2, max: 100 },
+          maxGroupSize: { type: Number, min: 2, max: 100 },
+          skillRangeTiers: { type: [Number], default: undefined },
+          compatibilityThreshold: { type: Number, min: 0, max: 1 },
+          relaxationIntervals: { type: [Number], default: undefined }
+        }
+      ]
     }
   },
   {
@@ -9,6 +9,7 @@ const {
   gameIdParamSchema,
   syncGamesSchema,
   updateGameStatsSchema,
+  updateRoleSlotsSchema,
   trendingGamesQuerySchema
 } = require('../validations/gameValidation');
 
@@ -55,6 +56,16 @@ router.post(
   gameController.syncPopularGames
 );
 
+router.put(
+  '/admin/games/:gameId/roles',
+  authenticate,
+  authorize('admin'),
+  rateLimiter.standard,
+  validateParams(gameIdParamSchema),
+  validateRequest(updateRoleSlotsSchema),
+  gameController.updateRoleSlots
+);
+
 // Internal routes (for other services)
 router.patch(
   '/internal/games/:gameId/stats',
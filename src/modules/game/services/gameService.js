@@ -239,6 +239,32 @@ class GameService {
     }
   }
 
+  /**
+   * Replace the role slots matchmaking fills for a game
+   */
+  async updateRoleSlots(gameId, roleSlots) {
+    try {
+      const game = await Game.findByIdAndUpdate(
+        gameId,
+        { $set: { 'maogaData.roleSlots': roleSlots } },
+        { new: true, runValidators: true }
+      );
+
+      if (!game) {
+        throw new NotFoundError('Game not found');
+      }
+
+      await cacheService.del(`game:${gameId}`);
+
+      logger.info('Game role slots updated', { gameId, roleSlots });
+
+      return game;
+    } catch (error) {
+      logger.error('Failed to update game role slots', { error: error.message, gameId });
+      throw error;
+    }
+  }
+
   /**
    * Create game from IGDB data
    */
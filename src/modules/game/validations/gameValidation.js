@@ -49,6 +49,23 @@ const updateGameStatsSchema = Joi.object({
     'object.min': 'At least one stat field is required'
   });
 
+// Role slots validation (admin)
+const updateRoleSlotsSchema = Joi.object({
+  roleSlots: Joi.array()
+    .items(
+      Joi.object({
+        role: Joi.string().trim().lowercase().min(1).max(30).required(),
+        count: Joi.number().integer().min(1).max(10).default(1)
+      })
+    )
+    .max(10)
+    .unique('role')
+    .required()
+    .messages({
+      'array.unique': 'Each role can only be listed once'
+    })
+});
+
 // Trending games query validation
 const trendingGamesQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(50).default(20)
@@ -60,5 +77,6 @@ module.exports = {
   gameIdParamSchema,
   syncGamesSchema,
   updateGameStatsSchema,
+  updateRoleSlotsSchema,
   trendingGamesQuerySchema
 };
@@ -1,5 +1,7 @@
 const lobbyController = require('./lobbyController');
+const lobbyInviteController = require('./lobbyInviteController');
 
 module.exports = {
-  lobbyController
+  lobbyController,
+  lobbyInviteController
 };
@@ -59,12 +59,33 @@ const setReady = asyncHandler(async (req, res) => {
   });
 });
 
+const createLobby = asyncHandler(async (req, res) => {
+  const lobby = await lobbyService.createCustomLobby(req.user.id, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Lobby created'
+    }
+  });
+});
+
 const getUserLobbies = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { includeHistory = false } = req.query;
+  const { scope = 'mine', includeHistory = false, ...filters } = req.query;
+
+  if (scope === 'public') {
+    const lobbies = await lobbyService.browsePublicLobbies(filters);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { lobbies }
+    });
+  }
 
   const lobbies = await lobbyService.getUserLobbies(userId, {
-    includeHistory: includeHistory === 'true'
+    includeHistory: includeHistory === true
   });
 
   res.status(200).json({
@@ -73,10 +94,174 @@ const getUserLobbies = asyncHandler(async (req, res) => {
   });
 });
 
+const kickMember = asyncHandler(async (req, res) => {
+  const { lobbyId, userId } = req.params;
+
+  const lobby = await lobbyService.kickMember(lobbyId, req.user.id, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Member kicked'
+    }
+  });
+});
+
+const banMember = asyncHandler(async (req, res) => {
+  const { lobbyId, userId } = req.params;
+
+  const lobby = await lobbyService.kickMember(lobbyId, req.user.id, userId, { ban: true });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'User banned from lobby'
+    }
+  });
+});
+
+const unbanMember = asyncHandler(async (req, res) => {
+  const { lobbyId, userId } = req.params;
+
+  const lobby = await lobbyService.unbanUser(lobbyId, req.user.id, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'User unbanned'
+    }
+  });
+});
+
+const transferHost = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+  const { userId } = req.body;
+
+  const lobby = await lobbyService.transferHostTo(lobbyId, req.user.id, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Host transferred'
+    }
+  });
+});
+
+const setLocked = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+  const { locked } = req.body;
+
+  const lobby = await lobbyService.setLocked(lobbyId, req.user.id, locked);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: locked ? 'Lobby locked' : 'Lobby unlocked'
+    }
+  });
+});
+
+const requestBackfill = asyncHandler(async (req, res) => {
+  const lobby = await lobbyService.requestBackfill(req.params.lobbyId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Looking for players to fill the open slots'
+    }
+  });
+});
+
+const cancelBackfill = asyncHandler(async (req, res) => {
+  const lobby = await lobbyService.cancelBackfill(req.params.lobbyId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Stopped looking for players'
+    }
+  });
+});
+
+const reshuffleTeams = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+  const { mode } = req.body;
+
+  const lobby = await lobbyService.reshuffleTeams(lobbyId, req.user.id, { mode });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Teams reshuffled'
+    }
+  });
+});
+
+const spectateLobby = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+
+  const lobby = await lobbyService.spectateLobby(lobbyId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Now spectating lobby'
+    }
+  });
+});
+
+const stopSpectating = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+
+  await lobbyService.stopSpectating(lobbyId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'Stopped spectating lobby'
+    }
+  });
+});
+
+const updateSpectatorSettings = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+
+  const lobby = await lobbyService.updateSpectatorSettings(lobbyId, req.user.id, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Spectator settings updated'
+    }
+  });
+});
+
 module.exports = {
+  createLobby,
   getLobby,
   joinLobby,
   leaveLobby,
   setReady,
-  getUserLobbies
+  getUserLobbies,
+  kickMember,
+  banMember,
+  unbanMember,
+  transferHost,
+  setLocked,
+  requestBackfill,
+  cancelBackfill,
+  reshuffleTeams,
+  spectateLobby,
+  stopSpectating,
+  updateSpectatorSettings
 };
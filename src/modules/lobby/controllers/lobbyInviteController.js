@@ -0,0 +1,92 @@
+const lobbyInviteService = require('../services/lobbyInviteService');
+const asyncHandler = require('../../../utils/asyncHandler');
+
+const inviteUsers = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+  const { userIds, expiresInMinutes } = req.body;
+
+  const invites = await lobbyInviteService.inviteUsers(lobbyId, req.user.id, userIds, {
+    expiresInMinutes
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      invites,
+      message: `${invites.length} invite${invites.length === 1 ? '' : 's'} sent`
+    }
+  });
+});
+
+const getInvites = asyncHandler(async (req, res) => {
+  const invites = await lobbyInviteService.getPendingInvites(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { invites }
+  });
+});
+
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+
+  const { lobby } = await lobbyInviteService.acceptInvite(inviteId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Invite accepted'
+    }
+  });
+});
+
+const declineInvite = asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+
+  await lobbyInviteService.declineInvite(inviteId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'Invite declined'
+    }
+  });
+});
+
+const createInviteCode = asyncHandler(async (req, res) => {
+  const { lobbyId } = req.params;
+  const { expiresInMinutes } = req.body;
+
+  const inviteCode = await lobbyInviteService.createInviteCode(lobbyId, req.user.id, {
+    expiresInMinutes
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { inviteCode }
+  });
+});
+
+const joinWithCode = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+
+  const lobby = await lobbyInviteService.joinWithCode(code, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lobby,
+      message: 'Successfully joined lobby'
+    }
+  });
+});
+
+module.exports = {
+  inviteUsers,
+  getInvites,
+  acceptInvite,
+  declineInvite,
+  createInviteCode,
+  joinWithCode
+};
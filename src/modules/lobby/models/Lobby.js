@@ -55,6 +55,16 @@ const lobbySchema = new mongoose.Schema(
           type: Boolean,
           default: false
         },
+        team: {
+          type: Number,
+          min: 1
+        },
+        role: String,
+        // Joined from the matchmaking queue to fill a slot someone left
+        backfill: {
+          type: Boolean,
+          default: false
+        },
         joinedAt: {
           type: Date,
           default: Date.now
@@ -79,10 +89,24 @@ const lobbySchema = new mongoose.Schema(
         type: Boolean,
         default: false
       },
+      isLocked: {
+        type: Boolean,
+        default: false
+      },
       allowSpectators: {
         type: Boolean,
         default: false
       },
+      allowSpectatorChat: {
+        type: Boolean,
+        default: false
+      },
+      maxSpectators: {
+        type: Number,
+        default: 10,
+        min: 0,
+        max: 50
+      },
       autoStart: {
         type: Boolean,
         default: true
@@ -96,11 +120,34 @@ const lobbySchema = new mongoose.Schema(
         of: mongoose.Schema.Types.Mixed
       }
     },
+    spectators: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    bannedUserIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
     chatId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Chat'
     },
     region: String,
+    inviteCode: {
+      code: String,
+      expiresAt: Date
+    },
     autoMessages: {
       type: Boolean,
       default: true
@@ -109,6 +156,11 @@ const lobbySchema = new mongoose.Schema(
       type: Date,
       default: Date.now
     },
+    // Start time of a lobby formed from scheduled matchmaking
+    scheduledFor: Date,
+    // Set while the lobby is offering its open slots to searching players
+    backfillRequestedAt: Date,
+    reminderSentAt: Date,
     readyAt: Date,
     activeAt: Date,
     closedAt: Date
@@ -129,12 +181,18 @@ const lobbySchema = new mongoose.Schema(
 lobbySchema.index({ status: 1, gameId: 1 });
 lobbySchema.index({ 'members.userId': 1, status: 1 });
 lobbySchema.index({ hostId: 1, status: 1 });
+lobbySchema.index({ 'inviteCode.code': 1 }, { sparse: true });
+lobbySchema.index({ status: 1, scheduledFor: 1 }, { sparse: true });
 
 // Virtuals
 lobbySchema.virtual('memberCount').get(function () {
   return this.members.filter((m) => m.status === 'joined' || m.status === 'ready').length;
 });
 
+lobbySchema.virtual('spectatorCount').get(function () {
+  return (this.spectators || []).length;
+});
+
 lobbySchema.virtual('readyCount').get(function () {
   return this.members.filter((m) => m.readyStatus === true).length;
 });
@@ -145,7 +203,9 @@ lobbySchema.virtual('isReady').get(function () {
 });
 
 // Instance methods
-lobbySchema.methods.addMember = function (userId, isHost = false) {
+// `slot` carries the team and role a matchmade member was assigned, and whether they
+// joined as backfill
+lobbySchema.methods.addMember = function (userId, isHost = false, slot = {}) {
   const existingMember = this.members.find((m) => {
     const memberId = m.userId && m.userId._id ? m.userId._id : m.userId;
     return memberId.toString() === userId.toString();
@@ -157,6 +217,12 @@ lobbySchema.methods.addMember = function (userId, isHost = false) {
       existingMember.readyStatus = false;
       existingMember.joinedAt = new Date();
       existingMember.leftAt = undefined;
+      // A backfilled player takes the slot they were offered, as in the match history
+      if (slot.backfill) {
+        existingMember.team = slot.team;
+        existingMember.role = slot.role;
+        existingMember.backfill = true;
+      }
     }
     return existingMember;
   }
@@ -165,13 +231,34 @@ lobbySchema.methods.addMember = function (userId, isHost = false) {
     userId,
     isHost,
     status: 'joined',
-    readyStatus: false
+    readyStatus: false,
+    team: slot.team,
+    role: slot.role,
+    backfill: Boolean(slot.backfill)
   };
 
   this.members.push(newMember);
   return newMember;
 };
 
+// Team and role of each slot matchmade members left that no backfill has taken yet
+lobbySchema.methods.getOpenSlots = function () {
+  const open = this.members
+    .filter((m) => !m.backfill && (m.status === 'left' || m.status === 'kicked'))
+    .map((m) => ({ team: m.team, role: m.role }));
+
+  this.members
+    .filter((m) => m.backfill && (m.status === 'joined' || m.status === 'ready'))
+    .forEach((m) => {
+      const index = open.findIndex((slot) => slot.team === m.team && slot.role === m.role);
+      if (index !== -1) {
+        open.splice(index, 1);
+      }
+    });
+
+  return open.slice(0, Math.max(0, this.capacity.max - this.memberCount));
+};
+
 lobbySchema.methods.removeMember = function (userId, reason = 'left') {
   const member = this.members.find((m) => {
     const memberId = m.userId && m.userId._id ? m.userId._id : m.userId;
@@ -187,6 +274,29 @@ lobbySchema.methods.removeMember = function (userId, reason = 'left') {
   return member;
 };
 
+// Team with the fewest active members, or undefined when the lobby has no teams
+lobbySchema.methods.getSmallestTeam = function () {
+  const sizes = new Map();
+  this.members.forEach((m) => {
+    if (m.team && (m.status === 'joined' || m.status === 'ready')) {
+      sizes.set(m.team, (sizes.get(m.team) || 0) + 1);
+    }
+  });
+  this.members.forEach((m) => {
+    if (m.team && !sizes.has(m.team)) {
+      sizes.set(m.team, 0);
+    }
+  });
+
+  let smallest;
+  for (const [team, size] of sizes) {
+    if (smallest === undefined || size < sizes.get(smallest)) {
+      smallest = team;
+    }
+  }
+  return smallest;
+};
+
 lobbySchema.methods.setMemberReady = function (userId, readyStatus) {
   const member = this.members.find((m) => {
     const memberId = m.userId && m.userId._id ? m.userId._id : m.userId;
@@ -203,6 +313,32 @@ lobbySchema.methods.setMemberReady = function (userId, readyStatus) {
   return member;
 };
 
+lobbySchema.methods.isSpectator = function (userId) {
+  return (this.spectators || []).some((s) => {
+    const spectatorId = s.userId && s.userId._id ? s.userId._id : s.userId;
+    return spectatorId.toString() === userId.toString();
+  });
+};
+
+lobbySchema.methods.addSpectator = function (userId) {
+  if (!this.isSpectator(userId)) {
+    this.spectators.push({ userId, joinedAt: new Date() });
+  }
+};
+
+lobbySchema.methods.removeSpectator = function (userId) {
+  const before = this.spectators.length;
+  this.spectators = this.spectators.filter((s) => {
+    const spectatorId = s.userId && s.userId._id ? s.userId._id : s.userId;
+    return spectatorId.toString() !== userId.toString();
+  });
+  return this.spectators.length !== before;
+};
+
+lobbySchema.methods.isBanned = function (userId) {
+  return (this.bannedUserIds || []).some((id) => id.toString() === userId.toString());
+};
+
 lobbySchema.methods.canTransitionToReady = function () {
   return this.status === 'forming' && this.isReady;
 };
@@ -212,11 +348,13 @@ lobbySchema.methods.canTransitionToActive = function () {
 };
 
 // Static methods
+// Lobbies scheduled for later don't stop members playing in the meantime
 lobbySchema.statics.findActiveLobby = function (userId) {
   return this.findOne({
     'members.userId': userId,
     'members.status': { $in: ['joined', 'ready'] },
-    status: { $in: ['forming', 'ready', 'active'] }
+    status: { $in: ['forming', 'ready', 'active'] },
+    $or: [{ scheduledFor: null }, { scheduledFor: { $lte: new Date() } }]
   });
 };
 
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const lobbyInviteSchema = new mongoose.Schema(
+  {
+    lobbyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lobby',
+      required: true,
+      index: true
+    },
+    inviterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    inviteeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired'],
+      default: 'pending',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    respondedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes
+lobbyInviteSchema.index({ inviteeId: 1, status: 1, expiresAt: 1 });
+lobbyInviteSchema.index({ lobbyId: 1, inviteeId: 1, status: 1 });
+
+// Virtuals
+lobbyInviteSchema.virtual('isExpired').get(function () {
+  return this.expiresAt <= new Date();
+});
+
+const LobbyInvite = mongoose.model('LobbyInvite', lobbyInviteSchema);
+
+module.exports = LobbyInvite;
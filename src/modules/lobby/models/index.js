@@ -1,5 +1,7 @@
 const Lobby = require('./Lobby');
+const LobbyInvite = require('./LobbyInvite');
 
 module.exports = {
-  Lobby
+  Lobby,
+  LobbyInvite
 };
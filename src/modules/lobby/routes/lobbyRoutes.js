@@ -1,13 +1,24 @@
 const express = require('express');
 const lobbyController = require('../controllers/lobbyController');
+const lobbyInviteController = require('../controllers/lobbyInviteController');
 const { validateRequest, validateParams, validateQuery } = require('../../../middleware/validator');
 const { authenticate } = require('../../../middleware/auth');
 const { rateLimiter } = require('../../../middleware/rateLimiter');
 const {
   lobbyIdParamSchema,
+  lobbyMemberParamSchema,
+  transferHostSchema,
+  lockLobbySchema,
+  shuffleTeamsSchema,
+  spectatorSettingsSchema,
+  createLobbySchema,
   joinLobbySchema,
   setReadySchema,
-  getUserLobbiesQuerySchema
+  getUserLobbiesQuerySchema,
+  inviteUsersSchema,
+  createInviteCodeSchema,
+  inviteIdParamSchema,
+  inviteCodeParamSchema
 } = require('../validations/lobbyValidation');
 
 const router = express.Router();
@@ -15,7 +26,15 @@ const router = express.Router();
 // All lobby routes require authentication
 router.use(authenticate);
 
-// Get user's lobbies
+// Create a custom lobby
+router.post(
+  '/',
+  rateLimiter.strict,
+  validateRequest(createLobbySchema),
+  lobbyController.createLobby
+);
+
+// Get user's lobbies, or browse public ones with scope=public
 router.get(
   '/',
   rateLimiter.standard,
@@ -23,6 +42,33 @@ router.get(
   lobbyController.getUserLobbies
 );
 
+// Pending lobby invites for the current user
+router.get('/invites', rateLimiter.relaxed, lobbyInviteController.getInvites);
+
+// Accept lobby invite
+router.post(
+  '/invites/:inviteId/accept',
+  rateLimiter.standard,
+  validateParams(inviteIdParamSchema),
+  lobbyInviteController.acceptInvite
+);
+
+// Decline lobby invite
+router.post(
+  '/invites/:inviteId/decline',
+  rateLimiter.standard,
+  validateParams(inviteIdParamSchema),
+  lobbyInviteController.declineInvite
+);
+
+// Join lobby with an invite code
+router.post(
+  '/join/:code',
+  rateLimiter.strict,
+  validateParams(inviteCodeParamSchema),
+  lobbyInviteController.joinWithCode
+);
+
 // Get specific lobby
 router.get(
   '/:lobbyId',
@@ -57,4 +103,114 @@ router.post(
   lobbyController.setReady
 );
 
+// Spectate lobby
+router.post(
+  '/:lobbyId/spectate',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  lobbyController.spectateLobby
+);
+
+// Stop spectating lobby
+router.delete(
+  '/:lobbyId/spectate',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  lobbyController.stopSpectating
+);
+
+// Update spectator settings (host only)
+router.patch(
+  '/:lobbyId/spectator-settings',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  validateRequest(spectatorSettingsSchema),
+  lobbyController.updateSpectatorSettings
+);
+
+// Kick member (host only)
+router.post(
+  '/:lobbyId/members/:userId/kick',
+  rateLimiter.standard,
+  validateParams(lobbyMemberParamSchema),
+  lobbyController.kickMember
+);
+
+// Kick and ban user from rejoining (host only)
+router.post(
+  '/:lobbyId/members/:userId/ban',
+  rateLimiter.standard,
+  validateParams(lobbyMemberParamSchema),
+  lobbyController.banMember
+);
+
+// Lift a ban (host only)
+router.delete(
+  '/:lobbyId/bans/:userId',
+  rateLimiter.standard,
+  validateParams(lobbyMemberParamSchema),
+  lobbyController.unbanMember
+);
+
+// Transfer host role (host only)
+router.post(
+  '/:lobbyId/host',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  validateRequest(transferHostSchema),
+  lobbyController.transferHost
+);
+
+// Lock or unlock lobby against new joins (host only)
+router.post(
+  '/:lobbyId/lock',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  validateRequest(lockLobbySchema),
+  lobbyController.setLocked
+);
+
+// Offer open slots to players searching matchmaking (host only)
+router.post(
+  '/:lobbyId/backfill',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  lobbyController.requestBackfill
+);
+
+// Stop offering open slots (host only)
+router.delete(
+  '/:lobbyId/backfill',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  lobbyController.cancelBackfill
+);
+
+// Reshuffle teams (host only)
+router.post(
+  '/:lobbyId/teams/shuffle',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  validateRequest(shuffleTeamsSchema),
+  lobbyController.reshuffleTeams
+);
+
+// Invite friends to lobby (host only)
+router.post(
+  '/:lobbyId/invites',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  validateRequest(inviteUsersSchema),
+  lobbyInviteController.inviteUsers
+);
+
+// Create shareable invite code (host only)
+router.post(
+  '/:lobbyId/invite-code',
+  rateLimiter.standard,
+  validateParams(lobbyIdParamSchema),
+  validateRequest(createInviteCodeSchema),
+  lobbyInviteController.createInviteCode
+);
+
 module.exports = router;
@@ -1,5 +1,7 @@
 const lobbyService = require('./lobbyService');
+const lobbyInviteService = require('./lobbyInviteService');
 
 module.exports = {
-  lobbyService
+  lobbyService,
+  lobbyInviteService
 };
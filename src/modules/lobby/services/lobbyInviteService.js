@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const Lobby = require('../models/Lobby');
+const LobbyInvite = require('../models/LobbyInvite');
+const User = require('../../auth/models/User');
+const lobbyService = require('./lobbyService');
+const friendService = require('../../social/services/friendService');
+const notificationService = require('../../notification/services/notificationService');
+const socketManager = require('../../../services/socketManager');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../../utils/errors');
+const logger = require('../../../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+class LobbyInviteService {
+  /**
+   * Invite friends to a lobby
+   */
+  async inviteUsers(lobbyId, hostId, userIds, options = {}) {
+    try {
+      const { expiresInMinutes = 60 } = options;
+
+      const lobby = await lobbyService.getLobbyById(lobbyId);
+      lobbyService.assertHost(lobby, hostId);
+
+      if (lobby.status !== 'forming') {
+        throw new BadRequestError('Lobby is not accepting new members');
+      }
+
+      const inviteeIds = [...new Set(userIds.map((id) => id.toString()))];
+
+      for (const inviteeId of inviteeIds) {
+        if (inviteeId === hostId) {
+          throw new BadRequestError('Cannot invite yourself');
+        }
+        if (lobbyService.isActiveMember(lobby, inviteeId)) {
+          throw new ConflictError('User is already in this lobby');
+        }
+        if (!(await friendService.areFriends(hostId, inviteeId))) {
+          throw new BadRequestError('You can only invite friends');
+        }
+      }
+
+      const host = await User.findById(hostId, 'username');
+      const expiresAt = new Date(Date.now() + expiresInMinutes * MINUTE_MS);
+      const invites = [];
+
+      for (const inviteeId of inviteeIds) {
+        // Re-inviting refreshes the pending invite instead of stacking duplicates
+        let invite = await LobbyInvite.findOne({
+          lobbyId: lobby._id,
+          inviteeId,
+          status: 'pending'
+        });
+
+        if (invite) {
+          invite.expiresAt = expiresAt;
+          invite.inviterId = hostId;
+        } else {
+          invite = new LobbyInvite({
+            lobbyId: lobby._id,
+            inviterId: hostId,
+            inviteeId,
+            expiresAt
+          });
+        }
+        await invite.save();
+        invites.push(invite);
+
+        socketManager.emitToUser(inviteeId, 'lobby:invite', {
+          inviteId: invite._id,
+          lobbyId: lobby._id,
+          lobbyName: lobby.name,
+          inviterId: hostId,
+          inviterName: host?.username,
+          expiresAt
+        });
+
+        await notificationService.createNotification(inviteeId, {
+          type: 'lobby_invite',
+          title: 'Lobby Invite',
+          message: `${host?.username || 'A friend'} invited you to ${lobby.name}`,
+          data: {
+            entityType: 'lobby',
+            entityId: lobby._id,
+            actionUrl: `/lobbies/${lobby._id}`,
+            metadata: { inviteId: invite._id.toString() }
+          },
+          expiresAt
+        });
+      }
+
+      logger.info('Lobby invites sent', {
+        lobbyId,
+        hostId,
+        inviteCount: invites.length
+      });
+
+      return invites;
+    } catch (error) {
+      logger.error('Failed to send lobby invites', {
+        error: error.message,
+        lobbyId,
+        hostId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending, unexpired invites for a user
+   */
+  async getPendingInvites(userId) {
+    try {
+      const invites = await LobbyInvite.find({
+        inviteeId: userId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('lobbyId', 'name gameId gameMode status region')
+        .populate('inviterId', 'username profile.displayName profile.profileImage')
+        .sort({ createdAt: -1 });
+
+      return invites;
+    } catch (error) {
+      logger.error('Failed to get lobby invites', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept an invite and join its lobby
+   */
+  async acceptInvite(inviteId, userId) {
+    try {
+      const invite = await this.getPendingInviteForUser(inviteId, userId);
+
+      const lobby = await lobbyService.joinLobby(invite.lobbyId.toString(), userId, {
+        viaInvite: true
+      });
+
+      invite.status = 'accepted';
+      invite.respondedAt = new Date();
+      await invite.save();
+
+      await this.notifyInviter(invite, userId, lobby, 'accepted');
+
+      logger.info('Lobby invite accepted', {
+        inviteId,
+        lobbyId: invite.lobbyId,
+        userId
+      });
+
+      return { invite, lobby };
+    } catch (error) {
+      logger.error('Failed to accept lobby invite', {
+        error: error.message,
+        inviteId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Decline an invite
+   */
+  async declineInvite(inviteId, userId) {
+    try {
+      const invite = await this.getPendingInviteForUser(inviteId, userId);
+
+      invite.status = 'declined';
+      invite.respondedAt = new Date();
+      await invite.save();
+
+      const lobby = await Lobby.findById(invite.lobbyId, 'name');
+      await this.notifyInviter(invite, userId, lobby, 'declined');
+
+      logger.info('Lobby invite declined', {
+        inviteId,
+        lobbyId: invite.lobbyId,
+        userId
+      });
+
+      return invite;
+    } catch (error) {
+      logger.error('Failed to decline lobby invite', {
+        error: error.message,
+        inviteId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a pending invite addressed to the user, expiring it if it is stale
+   */
+  async getPendingInviteForUser(inviteId, userId) {
+    const invite = await LobbyInvite.findById(inviteId);
+
+    if (!invite || invite.inviteeId.toString() !== userId) {
+      throw new NotFoundError('Invite not found');
+    }
+
+    if (invite.status !== 'pending') {
+      throw new BadRequestError('Invite is no longer pending');
+    }
+
+    if (invite.isExpired) {
+      invite.status = 'expired';
+      await invite.save();
+      throw new BadRequestError('Invite has expired');
+    }
+
+    return invite;
+  }
+
+  /**
+   * Tell the inviter how their invite was answered
+   */
+  async notifyInviter(invite, userId, lobby, response) {
+    const invitee = await User.findById(userId, 'username');
+    const inviterId = invite.inviterId.toString();
+    const lobbyName = lobby?.name || 'your lobby';
+
+    socketManager.emitToUser(inviterId, `lobby:invite:${response}`, {
+      inviteId: invite._id,
+      lobbyId: invite.lobbyId,
+      userId,
+      username: invitee?.username
+    });
+
+    await notificationService.createNotification(inviterId, {
+      type: `lobby_invite_${response}`,
+      title: response === 'accepted' ? 'Lobby Invite Accepted' : 'Lobby Invite Declined',
+      message: `${invitee?.username || 'A user'} ${response} your invite to ${lobbyName}`,
+      data: {
+        entityType: 'lobby',
+        entityId: invite.lobbyId,
+        actionUrl: `/lobbies/${invite.lobbyId}`
+      }
+    });
+  }
+
+  /**
+   * Generate a shareable invite code for a lobby
+   */
+  async createInviteCode(lobbyId, hostId, options = {}) {
+    try {
+      const { expiresInMinutes = 1440 } = options;
+
+      const lobby = await lobbyService.getLobbyById(lobbyId);
+      lobbyService.assertHost(lobby, hostId);
+
+      if (lobby.status !== 'forming') {
+        throw new BadRequestError('Lobby is not accepting new members');
+      }
+
+      lobby.inviteCode = {
+        code: crypto.randomBytes(4).toString('hex').toUpperCase(),
+        expiresAt: new Date(Date.now() + expiresInMinutes * MINUTE_MS)
+      };
+      await lobby.save();
+
+      logger.info('Lobby invite code created', {
+        lobbyId,
+        hostId,
+        expiresAt: lobby.inviteCode.expiresAt
+      });
+
+      return {
+        code: lobby.inviteCode.code,
+        expiresAt: lobby.inviteCode.expiresAt,
+        link: `/lobbies/join/${lobby.inviteCode.code}`
+      };
+    } catch (error) {
+      logger.error('Failed to create lobby invite code', {
+        error: error.message,
+        lobbyId,
+        hostId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Join a lobby using an invite code
+   */
+  async joinWithCode(code, userId) {
+    try {
+      const lobby = await Lobby.findOne({
+        'inviteCode.code': code,
+        'inviteCode.expiresAt': { $gt: new Date() }
+      });
+
+      if (!lobby) {
+        throw new NotFoundError('Invite code is invalid or has expired');
+      }
+
+      return await lobbyService.joinLobby(lobby._id.toString(), userId, { viaInvite: true });
+    } catch (error) {
+      logger.error('Failed to join lobby with invite code', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new LobbyInviteService();
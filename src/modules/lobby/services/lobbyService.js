@@ -1,9 +1,21 @@
 const Lobby = require('../models/Lobby');
 const Chat = require('../../chat/models/Chat');
-const _MatchHistory = require('../../matchmaking/models/MatchHistory');
+const MatchHistory = require('../../matchmaking/models/MatchHistory');
 const User = require('../../auth/models/User');
+const Game = require('../../game/models/Game');
 const socketManager = require('../../../services/socketManager');
-const { NotFoundError, BadRequestError, ConflictError } = require('../../../utils/errors');
+const friendService = require('../../social/services/friendService');
+const matchAlgorithmService = require('../../matchmaking/services/matchAlgorithmService');
+const ratingService = require('../../matchmaking/services/ratingService');
+const penaltyService = require('../../matchmaking/services/penaltyService');
+const queueManager = require('../../matchmaking/services/queueManager');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  AuthorizationError
+} = require('../../../utils/errors');
+const config = require('../../../config');
 const logger = require('../../../utils/logger');
 
 class LobbyService {
@@ -13,7 +25,7 @@ class LobbyService {
 
   async createLobby(matchData, options = {}) {
     try {
-      const { matchHistory, participants } = matchData;
+      const { matchHistory, participants, scheduledTime } = matchData;
       const { session } = options;
 
       if (!matchHistory) {
@@ -33,7 +45,8 @@ class LobbyService {
           max: participants.length
         },
         region: matchHistory.region,
-        status: 'forming'
+        status: 'forming',
+        scheduledFor: scheduledTime
       });
 
       if (session) {
@@ -42,7 +55,10 @@ class LobbyService {
       }
 
       participants.forEach((participant, index) => {
-        lobby.addMember(participant.userId, index === 0);
+        lobby.addMember(participant.userId, index === 0, {
+          team: participant.team,
+          role: participant.role
+        });
       });
 
       await lobby.save({ session });
@@ -95,6 +111,75 @@ class LobbyService {
     }
   }
 
+  /**
+   * Create a custom lobby hosted by a player
+   */
+  async createCustomLobby(hostId, lobbyData) {
+    try {
+      const { name, gameId, gameMode, region, capacity, settings = {} } = lobbyData;
+
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new NotFoundError('Game not found');
+      }
+
+      if (game.multiplayer?.maxPlayers && capacity.max > game.multiplayer.maxPlayers) {
+        throw new BadRequestError(
+          `Lobby capacity cannot exceed ${game.multiplayer.maxPlayers} players for this game`
+        );
+      }
+
+      const host = await User.findById(hostId);
+      if (!host || host.status !== 'active') {
+        throw new BadRequestError('User cannot create lobby');
+      }
+
+      const activeLobby = await Lobby.findActiveLobby(hostId);
+      if (activeLobby) {
+        throw new ConflictError('User is already in another lobby');
+      }
+
+      const lobby = new Lobby({
+        name,
+        gameId,
+        gameMode,
+        hostId,
+        capacity,
+        region,
+        settings,
+        status: 'forming'
+      });
+
+      lobby.addMember(hostId, true);
+      await lobby.save();
+
+      const chat = await Chat.createLobbyChat(lobby._id, [hostId]);
+      lobby.chatId = chat._id;
+      await lobby.save();
+
+      await lobby.populate('gameId', 'name slug coverImage');
+      await lobby.populate('members.userId', 'username profile.displayName profile.profileImage');
+
+      await this.sendSystemMessage(lobby._id, `${host.username} created the lobby`);
+      this.emitLobbyUpdate(lobby);
+
+      logger.info('Custom lobby created', {
+        lobbyId: lobby._id,
+        hostId,
+        gameId,
+        isPrivate: lobby.settings.isPrivate
+      });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to create custom lobby', {
+        error: error.message,
+        hostId
+      });
+      throw error;
+    }
+  }
+
   async getLobbyById(lobbyId, userId = null) {
     try {
       const lobby = await Lobby.findById(lobbyId)
@@ -131,14 +216,28 @@ class LobbyService {
   /**
    * Join lobby
    */
-  async joinLobby(lobbyId, userId) {
+  async joinLobby(lobbyId, userId, options = {}) {
     try {
+      const { viaInvite = false } = options;
       const lobby = await this.getLobbyById(lobbyId);
 
+      // Private lobbies can only be joined through an invite or invite code
+      if (lobby.settings?.isPrivate && !viaInvite && !this.isActiveMember(lobby, userId)) {
+        throw new NotFoundError('Lobby not found');
+      }
+
       if (lobby.status !== 'forming') {
         throw new BadRequestError('Lobby is not accepting new members');
       }
 
+      if (lobby.isBanned(userId)) {
+        throw new AuthorizationError('You are banned from this lobby');
+      }
+
+      if (lobby.settings?.isLocked && !this.isActiveMember(lobby, userId)) {
+        throw new BadRequestError('Lobby is locked');
+      }
+
       if (lobby.memberCount >= lobby.capacity.max) {
         throw new BadRequestError('Lobby is full');
       }
@@ -148,14 +247,20 @@ class LobbyService {
         throw new BadRequestError('User cannot join lobby');
       }
 
+      // Users who have blocked each other never share a lobby
+      if (await this.hasBlockedMember(lobby, userId)) {
+        throw new BadRequestError('Cannot join this lobby');
+      }
+
       // Check if user is already in another active lobby
       const activeLobby = await Lobby.findActiveLobby(userId);
       if (activeLobby && activeLobby._id.toString() !== lobbyId) {
         throw new ConflictError('User is already in another lobby');
       }
 
-      // Add member
-      lobby.addMember(userId);
+      // Add member, promoting them out of the spectator list if they were watching
+      lobby.removeSpectator(userId);
+      lobby.addMember(userId, false, { team: lobby.getSmallestTeam() });
       await lobby.save();
 
       // Add to chat
@@ -190,12 +295,227 @@ class LobbyService {
     }
   }
 
+  /**
+   * Watch a lobby as a spectator
+   */
+  async spectateLobby(lobbyId, userId) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId);
+
+      if (lobby.settings?.isPrivate || !lobby.settings?.allowSpectators) {
+        throw new BadRequestError('Lobby does not allow spectators');
+      }
+
+      if (lobby.status === 'closed') {
+        throw new BadRequestError('Lobby is closed');
+      }
+
+      if (lobby.isBanned(userId)) {
+        throw new AuthorizationError('You are banned from this lobby');
+      }
+
+      if (this.isActiveMember(lobby, userId)) {
+        throw new ConflictError('User is already a member of this lobby');
+      }
+
+      if (lobby.isSpectator(userId)) {
+        return lobby;
+      }
+
+      if (lobby.spectatorCount >= lobby.settings.maxSpectators) {
+        throw new BadRequestError('Spectator limit reached');
+      }
+
+      const user = await User.findById(userId);
+      if (!user || user.status !== 'active') {
+        throw new BadRequestError('User cannot spectate lobby');
+      }
+
+      if (await this.hasBlockedMember(lobby, userId)) {
+        throw new BadRequestError('Cannot spectate this lobby');
+      }
+
+      lobby.addSpectator(userId);
+      await lobby.save();
+
+      socketManager.emitToRoom(`lobby:${lobby._id}`, 'lobby:spectator:joined', {
+        lobbyId: lobby._id,
+        userId,
+        username: user.username,
+        spectatorCount: lobby.spectatorCount
+      });
+
+      logger.info('User started spectating lobby', {
+        lobbyId,
+        userId,
+        spectatorCount: lobby.spectatorCount
+      });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to spectate lobby', {
+        error: error.message,
+        lobbyId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop watching a lobby
+   */
+  async stopSpectating(lobbyId, userId) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId);
+
+      if (!lobby.removeSpectator(userId)) {
+        throw new BadRequestError('User is not spectating this lobby');
+      }
+      await lobby.save();
+
+      this.emitSpectatorLeft(lobby, userId);
+
+      logger.info('User stopped spectating lobby', { lobbyId, userId });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to stop spectating lobby', {
+        error: error.message,
+        lobbyId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update spectator settings (host only)
+   */
+  async updateSpectatorSettings(lobbyId, hostId, updates) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      const { allowSpectators, allowSpectatorChat, maxSpectators } = updates;
+      if (allowSpectators !== undefined) {
+        lobby.settings.allowSpectators = allowSpectators;
+      }
+      if (allowSpectatorChat !== undefined) {
+        lobby.settings.allowSpectatorChat = allowSpectatorChat;
+      }
+      if (maxSpectators !== undefined) {
+        lobby.settings.maxSpectators = maxSpectators;
+      }
+
+      // Turning spectating off sends everyone watching away; lowering the cap sends away
+      // the latest arrivals over it
+      const removed = lobby.spectators.splice(
+        lobby.settings.allowSpectators ? lobby.settings.maxSpectators : 0
+      );
+      await lobby.save();
+
+      removed.forEach((spectator) => {
+        const spectatorId = (spectator.userId._id || spectator.userId).toString();
+        socketManager.removeUserFromRoom(spectatorId, `lobby:${lobby._id}`);
+        this.emitSpectatorLeft(lobby, spectatorId);
+      });
+
+      this.emitLobbyUpdate(lobby);
+
+      logger.info('Lobby spectator settings updated', {
+        lobbyId,
+        hostId,
+        removedSpectators: removed.length
+      });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to update spectator settings', {
+        error: error.message,
+        lobbyId,
+        hostId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user is a joined or ready member of the lobby
+   */
+  isActiveMember(lobby, userId) {
+    return lobby.members.some(
+      (m) =>
+        (m.userId._id || m.userId).toString() === userId.toString() &&
+        (m.status === 'joined' || m.status === 'ready')
+    );
+  }
+
+  /**
+   * Check whether a joined or ready member and the user have blocked each other
+   */
+  async hasBlockedMember(lobby, userId) {
+    const blockedUserIds = await friendService.getBlockedUserIds(userId);
+    return lobby.members.some(
+      (m) =>
+        (m.status === 'joined' || m.status === 'ready') &&
+        blockedUserIds.has((m.userId._id || m.userId).toString())
+    );
+  }
+
+  /**
+   * Check whether a scheduled lobby is still too far from its start to ready up
+   */
+  isBeforeReadyWindow(lobby) {
+    if (!lobby.scheduledFor) {
+      return false;
+    }
+    const opensAt = lobby.scheduledFor.getTime() - config.matchmaking.scheduled.reminderLeadMs;
+    return Date.now() < opensAt;
+  }
+
+  /**
+   * Check whether leaving now abandons a matchmade lobby the others are waiting to start.
+   * Scheduled lobbies can be left freely until their ready check opens.
+   */
+  isEarlyLeave(lobby) {
+    return (
+      Boolean(lobby.matchHistoryId) &&
+      (lobby.status === 'forming' || lobby.status === 'ready') &&
+      !this.isBeforeReadyWindow(lobby)
+    );
+  }
+
+  /**
+   * Mark the leaver in the match history and give them a queue cooldown
+   */
+  async recordEarlyLeave(lobby, userId) {
+    const matchHistory = await MatchHistory.findById(lobby.matchHistoryId);
+    if (matchHistory) {
+      matchHistory.removeParticipant(userId, 'left');
+      await matchHistory.save();
+    }
+
+    await penaltyService.applyPenalty([userId], 'early_leave');
+  }
+
+  /**
+   * Ensure the user is the lobby host
+   */
+  assertHost(lobby, userId) {
+    const hostId = lobby.hostId?._id || lobby.hostId;
+    if (!hostId || hostId.toString() !== userId.toString()) {
+      throw new AuthorizationError('Only the lobby host can do this');
+    }
+  }
+
   /**
    * Leave lobby
    */
   async leaveLobby(lobbyId, userId) {
     try {
       const lobby = await this.getLobbyById(lobbyId, userId);
+      const earlyLeave = this.isEarlyLeave(lobby);
 
       const member = lobby.removeMember(userId, 'left');
       if (!member) {
@@ -209,6 +529,10 @@ class LobbyService {
 
       await lobby.save();
 
+      if (earlyLeave) {
+        await this.recordEarlyLeave(lobby, userId);
+      }
+
       const user = await User.findById(userId);
       await this.sendSystemMessage(lobbyId, `${user.username} left the lobby`);
 
@@ -249,6 +573,10 @@ class LobbyService {
         throw new BadRequestError('Cannot change ready status in current lobby state');
       }
 
+      if (readyStatus && this.isBeforeReadyWindow(lobby)) {
+        throw new BadRequestError('Ready check opens shortly before the scheduled start');
+      }
+
       const member = lobby.setMemberReady(userId, readyStatus);
       if (!member) {
         throw new BadRequestError('User is not an active member of this lobby');
@@ -380,12 +708,19 @@ class LobbyService {
   }
 
   /**
-   * Transfer host to another member
+   * Transfer host to another member, or to the next active member if none is given
    */
-  async transferHost(lobby) {
-    const activeMember = lobby.members.find(
-      (m) => (m.status === 'joined' || m.status === 'ready') && !m.isHost
-    );
+  async transferHost(lobby, targetUserId = null) {
+    const activeMember = lobby.members.find((m) => {
+      if (!(m.status === 'joined' || m.status === 'ready') || m.isHost) {
+        return false;
+      }
+      if (!targetUserId) {
+        return true;
+      }
+      const memberId = m.userId && m.userId._id ? m.userId._id : m.userId;
+      return memberId.toString() === targetUserId.toString();
+    });
 
     if (activeMember) {
       // Remove host status from current host
@@ -396,14 +731,418 @@ class LobbyService {
 
       // Set new host
       activeMember.isHost = true;
-      lobby.hostId = activeMember.userId;
+      lobby.hostId = activeMember.userId._id || activeMember.userId;
+
+      const hostName = activeMember.userId.username || activeMember.userId;
+      await this.sendSystemMessage(lobby._id, `Host transferred to ${hostName}`);
 
-      await this.sendSystemMessage(lobby._id, `Host transferred to ${activeMember.userId}`);
+      socketManager.emitToRoom(`lobby:${lobby._id}`, 'lobby:host:transferred', {
+        lobbyId: lobby._id,
+        hostId: lobby.hostId
+      });
 
       logger.info('Host transferred', {
         lobbyId: lobby._id,
-        newHostId: activeMember.userId
+        newHostId: lobby.hostId
+      });
+    }
+
+    return activeMember;
+  }
+
+  /**
+   * Hand the host role to a chosen member
+   */
+  async transferHostTo(lobbyId, hostId, targetUserId) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (hostId === targetUserId) {
+        throw new BadRequestError('You are already the host');
+      }
+
+      const newHost = await this.transferHost(lobby, targetUserId);
+      if (!newHost) {
+        throw new BadRequestError('User is not an active member of this lobby');
+      }
+
+      await lobby.save();
+      this.emitLobbyUpdate(lobby);
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to transfer host', {
+        error: error.message,
+        lobbyId,
+        hostId,
+        targetUserId
       });
+      throw error;
+    }
+  }
+
+  /**
+   * Kick a member from the lobby, optionally banning them from rejoining
+   */
+  async kickMember(lobbyId, hostId, targetUserId, options = {}) {
+    try {
+      const { ban = false } = options;
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (hostId === targetUserId) {
+        throw new BadRequestError('You cannot remove yourself from the lobby');
+      }
+
+      const wasMember = this.isActiveMember(lobby, targetUserId);
+      const wasSpectator = lobby.isSpectator(targetUserId);
+      if (!wasMember && !wasSpectator && !ban) {
+        throw new BadRequestError('User is not an active member of this lobby');
+      }
+      if (ban && lobby.isBanned(targetUserId)) {
+        throw new ConflictError('User is already banned from this lobby');
+      }
+
+      if (wasMember) {
+        lobby.removeMember(targetUserId, 'kicked');
+      }
+      if (wasSpectator) {
+        lobby.removeSpectator(targetUserId);
+      }
+      if (ban) {
+        lobby.bannedUserIds.push(targetUserId);
+      }
+      await lobby.save();
+
+      if (wasMember) {
+        const chat = await Chat.findById(lobby.chatId);
+        if (chat) {
+          chat.participants = chat.participants.filter((p) => p.toString() !== targetUserId);
+          await chat.save();
+        }
+      }
+
+      const target = await User.findById(targetUserId);
+      const action = ban ? 'banned from' : 'kicked from';
+      await this.sendSystemMessage(
+        lobbyId,
+        `${target?.username || 'A player'} was ${action} the lobby`
+      );
+
+      if (wasMember || wasSpectator) {
+        socketManager.emitToUser(targetUserId, 'lobby:member:kicked', {
+          lobbyId: lobby._id,
+          banned: ban
+        });
+        socketManager.removeUserFromRoom(targetUserId, `lobby:${lobby._id}`);
+
+        socketManager.emitToRoom(`lobby:${lobby._id}`, 'lobby:member:kicked', {
+          lobbyId: lobby._id,
+          userId: targetUserId,
+          banned: ban
+        });
+        this.emitLobbyUpdate(lobby);
+      }
+
+      logger.info(ban ? 'User banned from lobby' : 'Member kicked from lobby', {
+        lobbyId,
+        hostId,
+        targetUserId
+      });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to kick lobby member', {
+        error: error.message,
+        lobbyId,
+        hostId,
+        targetUserId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a lobby ban
+   */
+  async unbanUser(lobbyId, hostId, targetUserId) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (!lobby.isBanned(targetUserId)) {
+        throw new NotFoundError('User is not banned from this lobby');
+      }
+
+      lobby.bannedUserIds = lobby.bannedUserIds.filter((id) => id.toString() !== targetUserId);
+      await lobby.save();
+
+      logger.info('User unbanned from lobby', { lobbyId, hostId, targetUserId });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to unban lobby user', {
+        error: error.message,
+        lobbyId,
+        hostId,
+        targetUserId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Lock or unlock the lobby against new joins
+   */
+  async setLocked(lobbyId, hostId, locked) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (Boolean(lobby.settings.isLocked) === locked) {
+        return lobby;
+      }
+
+      lobby.settings.isLocked = locked;
+      await lobby.save();
+
+      await this.sendSystemMessage(
+        lobbyId,
+        locked ? 'The host locked the lobby' : 'The host unlocked the lobby'
+      );
+
+      socketManager.emitToRoom(`lobby:${lobby._id}`, 'lobby:locked', {
+        lobbyId: lobby._id,
+        locked
+      });
+      this.emitLobbyUpdate(lobby);
+
+      logger.info('Lobby lock changed', { lobbyId, hostId, locked });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to change lobby lock', {
+        error: error.message,
+        lobbyId,
+        hostId,
+        locked
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Offer the slots players left in a matchmade lobby to players searching the same
+   * game, mode and region (host only). Backfill stops once the slots are filled.
+   */
+  async requestBackfill(lobbyId, hostId) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (!lobby.matchHistoryId) {
+        throw new BadRequestError('Only matchmade lobbies can be backfilled from the queue');
+      }
+      if (lobby.status !== 'forming' && lobby.status !== 'ready') {
+        throw new BadRequestError('Lobby is not accepting new members');
+      }
+      if (this.isBeforeReadyWindow(lobby)) {
+        throw new BadRequestError('Backfill opens shortly before the scheduled start');
+      }
+      if (lobby.settings.isLocked) {
+        throw new BadRequestError('Lobby is locked');
+      }
+
+      const openSlots = lobby.getOpenSlots().length;
+      if (openSlots === 0) {
+        throw new BadRequestError('Lobby has no open slots');
+      }
+      if (lobby.backfillRequestedAt) {
+        return lobby;
+      }
+
+      lobby.backfillRequestedAt = new Date();
+      await lobby.save();
+      await queueManager.addBackfill(lobby);
+
+      await this.sendSystemMessage(
+        lobbyId,
+        `Looking for ${openSlots === 1 ? 'a player' : `${openSlots} players`} to fill the open slots`
+      );
+      this.emitLobbyUpdate(lobby);
+
+      logger.info('Lobby backfill requested', { lobbyId, hostId, openSlots });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to request lobby backfill', {
+        error: error.message,
+        lobbyId,
+        hostId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop offering the lobby's open slots to searching players (host only)
+   */
+  async cancelBackfill(lobbyId, hostId) {
+    try {
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (!lobby.backfillRequestedAt) {
+        return lobby;
+      }
+
+      lobby.backfillRequestedAt = undefined;
+      await lobby.save();
+      await queueManager.removeBackfill(lobby);
+
+      await this.sendSystemMessage(lobbyId, 'The host stopped looking for players');
+      this.emitLobbyUpdate(lobby);
+
+      logger.info('Lobby backfill cancelled', { lobbyId, hostId });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to cancel lobby backfill', {
+        error: error.message,
+        lobbyId,
+        hostId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-split the lobby's members into teams (host only). `balanced` evens out ratings for the
+   * lobby's game, `random` only evens out headcount; players who queued together stay together.
+   * Matchmade members keep their roles and every team keeps its share of the game's role slots.
+   */
+  async reshuffleTeams(lobbyId, hostId, options = {}) {
+    try {
+      const { mode = 'balanced' } = options;
+      const lobby = await this.getLobbyById(lobbyId, hostId);
+      this.assertHost(lobby, hostId);
+
+      if (!['forming', 'ready'].includes(lobby.status)) {
+        throw new BadRequestError('Teams can only be changed before the game starts');
+      }
+
+      const members = lobby.members.filter((m) => m.status === 'joined' || m.status === 'ready');
+      if (members.length < 2) {
+        throw new BadRequestError('At least two players are needed to form teams');
+      }
+
+      const memberId = (member) => (member.userId._id || member.userId).toString();
+      const gameId = (lobby.gameId._id || lobby.gameId).toString();
+
+      const [matchHistory, users] = await Promise.all([
+        lobby.matchHistoryId ? MatchHistory.findById(lobby.matchHistoryId) : null,
+        User.find({ _id: { $in: members.map(memberId) } }).select('gameProfiles')
+      ]);
+
+      const requestByUser = new Map(
+        (matchHistory?.participants || [])
+          .filter((p) => p.requestId)
+          .map((p) => [p.userId.toString(), p.requestId.toString()])
+      );
+      const ratingByUser = new Map(
+        users.map((user) => [
+          user._id.toString(),
+          ratingService.getRating(user.gameProfiles?.find((p) => p.gameId.toString() === gameId))
+        ])
+      );
+
+      // Members who queued on the same request are a party and move as one unit
+      const units = new Map();
+      members.forEach((member) => {
+        const userId = memberId(member);
+        const key = requestByUser.get(userId) || userId;
+        const unit = units.get(key) || { members: [], ratings: [] };
+        unit.members.push(member);
+        unit.ratings.push(ratingByUser.get(userId) ?? ratingService.config.defaultRating);
+        units.set(key, unit);
+      });
+
+      const unitList = [...units.values()];
+      const teamCount = Math.max(
+        new Set(members.map((m) => m.team).filter(Boolean)).size,
+        matchAlgorithmService.config.teamCount
+      );
+      const roleSlots = members.some((m) => m.role)
+        ? await matchAlgorithmService.getRoleSlots(gameId)
+        : [];
+      const lineup =
+        roleSlots.length > 0
+          ? matchAlgorithmService.balanceRoleTeams(
+              unitList.map((unit) => ({
+                members: unit.members,
+                roles: unit.members.map((m) => m.role)
+              })),
+              unitList,
+              roleSlots,
+              teamCount,
+              { random: mode === 'random' }
+            )
+          : {
+              teams: matchAlgorithmService.balanceTeams(unitList, teamCount, {
+                random: mode === 'random'
+              })
+            };
+      if (!lineup) {
+        throw new BadRequestError('Teams cannot be reshuffled so that every team fills its roles');
+      }
+      const teamSkillGap = matchAlgorithmService.getTeamRatingGap(
+        matchAlgorithmService.summariseTeams(unitList, lineup.teams)
+      );
+
+      unitList.forEach((unit, index) => {
+        unit.members.forEach((member, memberIndex) => {
+          member.team = lineup.teams.at(index);
+          if (lineup.roles) {
+            member.role = lineup.roles.at(index).at(memberIndex);
+          }
+        });
+      });
+      await lobby.save();
+
+      if (matchHistory) {
+        const seatByUser = new Map(members.map((m) => [memberId(m), m]));
+        matchHistory.participants.forEach((participant) => {
+          const seat = seatByUser.get(participant.userId.toString());
+          if (seat) {
+            participant.team = seat.team;
+            participant.role = seat.role;
+          }
+        });
+        matchHistory.matchQuality.teamSkillGap = teamSkillGap;
+        await matchHistory.save();
+      }
+
+      await this.sendSystemMessage(lobbyId, 'The host reshuffled the teams');
+
+      socketManager.emitToRoom(`lobby:${lobby._id}`, 'lobby:teams:updated', {
+        lobbyId: lobby._id,
+        mode,
+        teamSkillGap,
+        teams: members.map((m) => ({ userId: memberId(m), team: m.team, role: m.role }))
+      });
+      this.emitLobbyUpdate(lobby);
+
+      logger.info('Lobby teams reshuffled', { lobbyId, hostId, mode, teamSkillGap });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to reshuffle lobby teams', {
+        error: error.message,
+        lobbyId,
+        hostId
+      });
+      throw error;
     }
   }
 
@@ -422,7 +1161,7 @@ class LobbyService {
         return;
       }
 
-      const message = chat.addSystemMessage(content);
+      const message = await chat.addSystemMessage(content);
       await chat.save();
 
       // Emit to lobby members
@@ -484,6 +1223,17 @@ class LobbyService {
     });
   }
 
+  /**
+   * Emit spectator left event
+   */
+  emitSpectatorLeft(lobby, userId) {
+    socketManager.emitToRoom(`lobby:${lobby._id}`, 'lobby:spectator:left', {
+      lobbyId: lobby._id,
+      userId,
+      spectatorCount: lobby.spectatorCount
+    });
+  }
+
   /**
    * Emit member ready event
    */
@@ -530,6 +1280,63 @@ class LobbyService {
       throw error;
     }
   }
+
+  /**
+   * Browse public lobbies that still have open slots
+   */
+  async browsePublicLobbies(filters = {}) {
+    try {
+      const { gameId, gameMode, region, openSlots = 1, limit = 20 } = filters;
+
+      const query = {
+        status: 'forming',
+        'settings.isPrivate': { $ne: true },
+        'settings.isLocked': { $ne: true },
+        $expr: {
+          $gte: [
+            {
+              $subtract: [
+                '$capacity.max',
+                {
+                  $size: {
+                    $filter: {
+                      input: '$members',
+                      cond: { $in: ['$$this.status', ['joined', 'ready']] }
+                    }
+                  }
+                }
+              ]
+            },
+            openSlots
+          ]
+        }
+      };
+
+      if (gameId) {
+        query.gameId = gameId;
+      }
+      if (gameMode) {
+        query.gameMode = gameMode;
+      }
+      if (region && region !== 'ANY') {
+        query.region = { $in: [region, 'ANY'] };
+      }
+
+      const lobbies = await Lobby.find(query)
+        .populate('gameId', 'name slug coverImage')
+        .populate('members.userId', 'username profile.displayName')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      return lobbies;
+    } catch (error) {
+      logger.error('Failed to browse lobbies', {
+        error: error.message,
+        filters
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = new LobbyService();
@@ -1,13 +1,31 @@
 const {
   lobbyIdParamSchema,
+  lobbyMemberParamSchema,
+  transferHostSchema,
+  lockLobbySchema,
+  spectatorSettingsSchema,
+  createLobbySchema,
   joinLobbySchema,
   setReadySchema,
-  getUserLobbiesQuerySchema
+  getUserLobbiesQuerySchema,
+  inviteUsersSchema,
+  createInviteCodeSchema,
+  inviteIdParamSchema,
+  inviteCodeParamSchema
 } = require('./lobbyValidation');
 
 module.exports = {
   lobbyIdParamSchema,
+  lobbyMemberParamSchema,
+  transferHostSchema,
+  lockLobbySchema,
+  spectatorSettingsSchema,
+  createLobbySchema,
   joinLobbySchema,
   setReadySchema,
-  getUserLobbiesQuerySchema
+  getUserLobbiesQuerySchema,
+  inviteUsersSchema,
+  createInviteCodeSchema,
+  inviteIdParamSchema,
+  inviteCodeParamSchema
 };
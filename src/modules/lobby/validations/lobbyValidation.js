@@ -9,21 +9,177 @@ const lobbyIdParamSchema = Joi.object({
     })
 });
 
+const lobbyMemberParamSchema = Joi.object({
+  lobbyId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid lobby ID format'
+    }),
+  userId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid user ID format'
+    })
+});
+
+const transferHostSchema = Joi.object({
+  userId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid user ID format',
+      'any.required': 'User ID is required'
+    })
+});
+
+const lockLobbySchema = Joi.object({
+  locked: Joi.boolean().default(true)
+});
+
+const shuffleTeamsSchema = Joi.object({
+  mode: Joi.string().valid('balanced', 'random').default('balanced')
+});
+
+const spectatorSettingsSchema = Joi.object({
+  allowSpectators: Joi.boolean(),
+  allowSpectatorChat: Joi.boolean(),
+  maxSpectators: Joi.number().integer().min(0).max(50)
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one spectator setting is required'
+  });
+
+const createLobbySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'any.required': 'Lobby name is required'
+  }),
+
+  gameId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid game ID format',
+      'any.required': 'Game ID is required'
+    }),
+
+  gameMode: Joi.string().valid('casual', 'competitive', 'ranked', 'custom').required().messages({
+    'any.required': 'Game mode is required'
+  }),
+
+  region: Joi.string().valid('NA', 'EU', 'AS', 'SA', 'OC', 'AF', 'ANY').default('ANY'),
+
+  capacity: Joi.object({
+    min: Joi.number().integer().min(1).max(100).default(2),
+    max: Joi.number().integer().min(1).max(100).default(10)
+  })
+    .custom((value, helpers) => {
+      if (value.min > value.max) {
+        return helpers.error('custom.capacity');
+      }
+      return value;
+    })
+    .default({ min: 2, max: 10 })
+    .messages({
+      'custom.capacity': 'Minimum capacity cannot be greater than maximum'
+    }),
+
+  settings: Joi.object({
+    isPrivate: Joi.boolean().default(false),
+    autoStart: Joi.boolean().default(true),
+    autoClose: Joi.boolean().default(true),
+    allowSpectators: Joi.boolean().default(false),
+    allowSpectatorChat: Joi.boolean().default(false),
+    maxSpectators: Joi.number().integer().min(0).max(50).default(10),
+    customSettings: Joi.object().pattern(Joi.string().max(50), Joi.any()).max(20)
+  }).default({})
+});
+
 const joinLobbySchema = Joi.object({
   // Can be extended with password for private lobbies
 });
 
+const inviteUsersSchema = Joi.object({
+  userIds: Joi.array()
+    .items(
+      Joi.string()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          'string.pattern.base': 'Invalid user ID format'
+        })
+    )
+    .min(1)
+    .max(10)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one user must be invited',
+      'array.max': 'Maximum 10 users can be invited at once'
+    }),
+  expiresInMinutes: Joi.number()
+    .integer()
+    .min(5)
+    .max(7 * 24 * 60)
+    .default(60)
+});
+
+const createInviteCodeSchema = Joi.object({
+  expiresInMinutes: Joi.number()
+    .integer()
+    .min(5)
+    .max(7 * 24 * 60)
+    .default(24 * 60)
+});
+
+const inviteIdParamSchema = Joi.object({
+  inviteId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid invite ID format'
+    })
+});
+
+const inviteCodeParamSchema = Joi.object({
+  code: Joi.string().hex().length(8).uppercase().required().messages({
+    'string.hex': 'Invalid invite code',
+    'string.length': 'Invalid invite code'
+  })
+});
+
 const setReadySchema = Joi.object({
   ready: Joi.boolean().default(true)
 });
 
 const getUserLobbiesQuerySchema = Joi.object({
-  includeHistory: Joi.boolean().default(false)
+  scope: Joi.string().valid('mine', 'public').default('mine'),
+  includeHistory: Joi.boolean().default(false),
+  gameId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid game ID format'
+    }),
+  gameMode: Joi.string().valid('casual', 'competitive', 'ranked', 'custom'),
+  region: Joi.string().valid('NA', 'EU', 'AS', 'SA', 'OC', 'AF', 'ANY'),
+  openSlots: Joi.number().integer().min(1).max(100).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
 });
 
 module.exports = {
   lobbyIdParamSchema,
+  lobbyMemberParamSchema,
+  transferHostSchema,
+  lockLobbySchema,
+  shuffleTeamsSchema,
+  spectatorSettingsSchema,
+  createLobbySchema,
   joinLobbySchema,
   setReadySchema,
-  getUserLobbiesQuerySchema
+  getUserLobbiesQuerySchema,
+  inviteUsersSchema,
+  createInviteCodeSchema,
+  inviteIdParamSchema,
+  inviteCodeParamSchema
 };
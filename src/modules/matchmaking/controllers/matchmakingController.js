@@ -1,6 +1,24 @@
 const matchmakingService = require('../services/matchmakingService');
+const matchResultService = require('../services/matchResultService');
+const matchAcceptService = require('../services/matchAcceptService');
+const ratingService = require('../services/ratingService');
+const matchSettingsService = require('../services/matchSettingsService');
+const penaltyService = require('../services/penaltyService');
+const teammateService = require('../services/teammateService');
 const asyncHandler = require('../../../utils/asyncHandler');
 
+const RESULT_MESSAGES = new Map([
+  ['pending', 'Result recorded, waiting for the other team to confirm'],
+  ['confirmed', 'Match result confirmed'],
+  ['disputed', 'Match result disputed; it will be reviewed']
+]);
+
+const ACCEPTANCE_MESSAGES = new Map([
+  ['pending', 'Match accepted, waiting for the other players'],
+  ['accepted', 'Everyone accepted, the lobby is being created'],
+  ['declined', 'Match declined']
+]);
+
 /**
  * Submit a matchmaking request
  */
@@ -37,6 +55,43 @@ const cancelMatchRequest = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Confirm a party invite
+ */
+const acceptPartyInvite = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const matchRequest = await matchmakingService.acceptPartyInvite(req.user.id, requestId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      matchRequest,
+      message:
+        matchRequest.status === 'searching'
+          ? 'Party confirmed and queued for matchmaking'
+          : 'Party invite accepted'
+    }
+  });
+});
+
+/**
+ * Decline a party invite or leave a queued party
+ */
+const leaveParty = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const matchRequest = await matchmakingService.leaveParty(req.user.id, requestId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      matchRequest,
+      message: 'Left party'
+    }
+  });
+});
+
 /**
  * Get current matchmaking status
  */
@@ -81,6 +136,110 @@ const getMatchHistory = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Accept or decline a found match
+ */
+const respondToMatch = (accepted) =>
+  asyncHandler(async (req, res) => {
+    const { matchId } = req.params;
+
+    const acceptance = await matchAcceptService.respond(matchId, req.user.id, accepted);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        acceptance,
+        message: ACCEPTANCE_MESSAGES.get(acceptance.status)
+      }
+    });
+  });
+
+const acceptMatch = respondToMatch(true);
+const declineMatch = respondToMatch(false);
+
+/**
+ * Report the outcome of a matchmade game
+ */
+const reportMatchResult = asyncHandler(async (req, res) => {
+  const { matchId } = req.params;
+
+  const result = await matchResultService.reportResult(matchId, req.user.id, req.body.outcomes);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      result,
+      message: RESULT_MESSAGES.get(result.status)
+    }
+  });
+});
+
+/**
+ * Commend a player from a match or mark them to avoid as a teammate
+ */
+const ratePlayer = asyncHandler(async (req, res) => {
+  const { matchId, userId } = req.params;
+
+  const feedback = await teammateService.recordFeedback(
+    matchId,
+    req.user.id,
+    userId,
+    req.body.type
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      feedback,
+      message: feedback.type === 'commend' ? 'Player commended' : 'Player added to your avoid list'
+    }
+  });
+});
+
+/**
+ * Take back a commend or avoid given to a player in a match
+ */
+const removePlayerRating = asyncHandler(async (req, res) => {
+  const { matchId, userId } = req.params;
+
+  await teammateService.removeFeedback(matchId, req.user.id, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { message: 'Rating removed' }
+  });
+});
+
+/**
+ * Get the user's own avoid and prefer-again lists
+ */
+const getTeammateLists = asyncHandler(async (req, res) => {
+  const teammates = await teammateService.getTeammateLists(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { teammates }
+  });
+});
+
+/**
+ * Get the user's rating and rating changes for a game
+ */
+const getRatingHistory = asyncHandler(async (req, res) => {
+  const { gameId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await ratingService.getRatingHistory(req.user.id, gameId, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
 /**
  * Get matchmaking statistics (admin only)
  */
@@ -97,10 +256,82 @@ const getMatchmakingStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get a game's matchmaking settings (admin only)
+ */
+const getMatchSettings = asyncHandler(async (req, res) => {
+  const settings = await matchSettingsService.getGameSettings(req.params.gameId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { settings }
+  });
+});
+
+/**
+ * Override a game's matchmaking settings for one mode or all of them (admin only)
+ */
+const updateMatchSettings = asyncHandler(async (req, res) => {
+  const { gameMode, settings: overrides } = req.body;
+
+  const settings = await matchSettingsService.updateGameSettings(
+    req.params.gameId,
+    gameMode,
+    overrides
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { settings }
+  });
+});
+
+/**
+ * List players with matchmaking penalties that have not worn off (admin only)
+ */
+const getPenalties = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await penaltyService.listPenalties({
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Get a player's matchmaking penalty and recent offenses (admin only)
+ */
+const getUserPenalties = asyncHandler(async (req, res) => {
+  const penalty = await penaltyService.getUserPenalties(req.params.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { penalty }
+  });
+});
+
 module.exports = {
   submitMatchRequest,
   cancelMatchRequest,
+  acceptPartyInvite,
+  leaveParty,
   getMatchmakingStatus,
   getMatchHistory,
-  getMatchmakingStats
+  acceptMatch,
+  declineMatch,
+  reportMatchResult,
+  ratePlayer,
+  removePlayerRating,
+  getTeammateLists,
+  getRatingHistory,
+  getMatchmakingStats,
+  getMatchSettings,
+  updateMatchSettings,
+  getPenalties,
+  getUserPenalties
 };
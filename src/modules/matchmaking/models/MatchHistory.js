@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+const teamOutcomeSchema = new mongoose.Schema(
+  {
+    team: {
+      type: Number,
+      min: 1,
+      required: true
+    },
+    outcome: {
+      type: String,
+      enum: ['win', 'loss', 'draw'],
+      required: true
+    }
+  },
+  { _id: false }
+);
+
 const matchHistorySchema = new mongoose.Schema(
   {
     participants: [
@@ -13,6 +29,16 @@ const matchHistorySchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: 'MatchRequest'
         },
+        team: {
+          type: Number,
+          min: 1
+        },
+        role: String,
+        // Joined the match's lobby later to fill a slot someone left
+        backfill: {
+          type: Boolean,
+          default: false
+        },
         joinedAt: {
           type: Date,
           default: Date.now
@@ -20,7 +46,8 @@ const matchHistorySchema = new mongoose.Schema(
         leftAt: Date,
         status: {
           type: String,
-          enum: ['active', 'left', 'kicked', 'disconnected'],
+          // 'dodged' declined the accept check, 'no_show' let it run out
+          enum: ['active', 'left', 'kicked', 'disconnected', 'dodged', 'no_show'],
           default: 'active'
         }
       }
@@ -57,12 +84,43 @@ const matchHistorySchema = new mongoose.Schema(
         min: 0,
         max: 100
       },
+      // Only set when the players stated a play style or play times
+      competitivenessMatch: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      playTimeOverlap: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
       overallScore: {
         type: Number,
         min: 0,
         max: 100
+      },
+      // Difference between the strongest and weakest team's average rating
+      teamSkillGap: {
+        type: Number,
+        min: 0
       }
     },
+    // Why the group was formed on this game when its players listed several
+    gameSelection: {
+      preference: Number, // Combined weight the players gave the game
+      topChoiceCount: Number, // Players who weighted it highest
+      alternatives: [
+        {
+          _id: false,
+          gameId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Game'
+          },
+          preference: Number
+        }
+      ]
+    },
     matchingMetrics: {
       totalSearchTime: Number, // Average search time for all participants
       maxSearchTime: Number, // Longest wait time
@@ -79,8 +137,58 @@ const matchHistorySchema = new mongoose.Schema(
       default: Date.now,
       index: true
     },
+    // Every player accepts the match before its lobby is created
+    acceptance: {
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'expired']
+      },
+      acceptBy: Date,
+      responses: [
+        {
+          _id: false,
+          userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+          },
+          accepted: {
+            type: Boolean,
+            required: true
+          },
+          respondedAt: {
+            type: Date,
+            default: Date.now
+          }
+        }
+      ]
+    },
     startedAt: Date,
     completedAt: Date,
+    resultReports: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        outcomes: [teamOutcomeSchema],
+        submittedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    result: {
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'disputed'],
+        default: 'pending'
+      },
+      outcomes: [teamOutcomeSchema],
+      confirmedAt: Date
+    },
     feedback: [
       {
         userId: {
@@ -95,6 +203,32 @@ const matchHistorySchema = new mongoose.Schema(
         comment: String,
         submittedAt: Date
       }
+    ],
+    // What players thought of each other after playing; never sent to clients, so nobody
+    // learns who avoids them
+    playerFeedback: [
+      {
+        _id: false,
+        fromUserId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        toUserId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        type: {
+          type: String,
+          enum: ['commend', 'avoid'],
+          required: true
+        },
+        submittedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
     ]
   },
   {
@@ -103,6 +237,7 @@ const matchHistorySchema = new mongoose.Schema(
       virtuals: true,
       transform: function (doc, ret) {
         delete ret.__v;
+        delete ret.playerFeedback;
         return ret;
       }
     }
@@ -113,6 +248,8 @@ const matchHistorySchema = new mongoose.Schema(
 matchHistorySchema.index({ gameId: 1, formedAt: -1 });
 matchHistorySchema.index({ 'participants.userId': 1, formedAt: -1 });
 matchHistorySchema.index({ status: 1, formedAt: -1 });
+matchHistorySchema.index({ 'acceptance.status': 1, 'acceptance.acceptBy': 1 });
+matchHistorySchema.index({ 'playerFeedback.fromUserId': 1, formedAt: -1 });
 
 // Virtual for match duration
 matchHistorySchema.virtual('duration').get(function () {
@@ -122,15 +259,27 @@ matchHistorySchema.virtual('duration').get(function () {
   return null;
 });
 
-// Instance method to add participant
-matchHistorySchema.methods.addParticipant = function (userId, requestId) {
+// Instance method to add participant; `slot` carries their team, role and backfill flag.
+// A player who left and comes back takes up the new slot on their old entry.
+matchHistorySchema.methods.addParticipant = function (userId, requestId, slot = {}) {
   const existing = this.participants.find((p) => p.userId.toString() === userId.toString());
   if (!existing) {
     this.participants.push({
       userId,
       requestId,
+      team: slot.team,
+      role: slot.role,
+      backfill: Boolean(slot.backfill),
       joinedAt: new Date()
     });
+  } else if (existing.status !== 'active') {
+    existing.status = 'active';
+    existing.requestId = requestId;
+    existing.team = slot.team;
+    existing.role = slot.role;
+    existing.backfill = Boolean(slot.backfill);
+    existing.joinedAt = new Date();
+    existing.leftAt = undefined;
   }
 };
 
@@ -143,6 +292,30 @@ matchHistorySchema.methods.removeParticipant = function (userId, reason = 'left'
   }
 };
 
+// Instance method to group active participants' user ids by team
+matchHistorySchema.methods.getTeams = function () {
+  const teams = new Map();
+  this.participants
+    .filter((p) => p.team && p.status === 'active')
+    .forEach((p) => {
+      if (!teams.has(p.team)) {
+        teams.set(p.team, []);
+      }
+      teams.get(p.team).push(p.userId.toString());
+    });
+  return teams;
+};
+
+// Instance method to find a user's answer to the accept check
+matchHistorySchema.methods.getAcceptResponse = function (userId) {
+  return this.acceptance?.responses?.find((r) => r.userId.toString() === userId.toString());
+};
+
+// Instance method to find a user's result report
+matchHistorySchema.methods.getResultReport = function (userId) {
+  return this.resultReports.find((r) => r.userId.toString() === userId.toString());
+};
+
 // Instance method to calculate match metrics
 matchHistorySchema.methods.calculateMetrics = function (matchRequests) {
   if (!matchRequests || matchRequests.length === 0) {
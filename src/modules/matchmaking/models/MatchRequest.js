@@ -10,7 +10,7 @@ const matchRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['searching', 'cancelled', 'matched', 'expired'],
+      enum: ['pending', 'searching', 'accepting', 'cancelled', 'matched', 'expired'],
       default: 'searching',
       required: true,
       index: true
@@ -50,15 +50,37 @@ const matchRequestSchema = new mongoose.Schema(
       },
       regionPreference: {
         type: String,
-        enum: ['strict', 'preferred', 'any'],
+        enum: ['strict', 'preferred', 'any', 'max_ping'],
         default: 'preferred'
       },
+      // Highest ping to a shared region the player accepts under 'max_ping'
+      maxPing: {
+        type: Number,
+        min: 0
+      },
+      // Ranked by ping when the client measured any
       regions: [
         {
           type: String,
           enum: ['NA', 'EU', 'AS', 'SA', 'OC', 'AF', 'ANY']
         }
       ],
+      // Round-trip times the client measured to each region's servers
+      regionPings: [
+        {
+          _id: false,
+          region: {
+            type: String,
+            enum: ['NA', 'EU', 'AS', 'SA', 'OC', 'AF'],
+            required: true
+          },
+          pingMs: {
+            type: Number,
+            min: 0,
+            required: true
+          }
+        }
+      ],
       languagePreference: {
         type: String,
         enum: ['strict', 'preferred', 'any'],
@@ -70,14 +92,28 @@ const matchRequestSchema = new mongoose.Schema(
         enum: ['similar', 'any'],
         default: 'similar'
       },
+      // Roles the leader will play in games with role slots; none means any role
+      roles: {
+        preferred: [String],
+        acceptable: [String]
+      },
       scheduledTime: Date
     },
+    // Party members queueing with the leader (userId); the party waits in
+    // 'pending' until every member has confirmed
     preselectedUsers: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       }
     ],
+    confirmedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    partyConfirmBy: Date,
     searchStartTime: {
       type: Date,
       default: Date.now
@@ -90,6 +126,26 @@ const matchRequestSchema = new mongoose.Schema(
       default: 0
     },
     relaxationTimestamp: Date,
+    // Found match the players are asked to accept while the request is 'accepting'
+    acceptance: {
+      matchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MatchHistory'
+      },
+      acceptBy: Date
+    },
+    // Set when the request goes back to the front of the queue after others missed a match
+    requeuedAt: Date,
+    // Who called off a cancelled request and why; only players' own cancels count
+    // toward the repeated-cancel cooldown
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelReason: {
+      type: String,
+      enum: ['user', 'party_left', 'match_called_off', 'queue_failed']
+    },
     matchedLobbyId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Lobby'
@@ -114,6 +170,8 @@ matchRequestSchema.index(
   { unique: true, partialFilterExpression: { status: 'searching' } }
 );
 matchRequestSchema.index({ 'criteria.scheduledTime': 1 }, { sparse: true });
+matchRequestSchema.index({ preselectedUsers: 1, status: 1 });
+matchRequestSchema.index({ status: 1, partyConfirmBy: 1 });
 
 // Virtual for search duration
 matchRequestSchema.virtual('searchDuration').get(function () {
@@ -123,6 +181,31 @@ matchRequestSchema.virtual('searchDuration').get(function () {
   return 0;
 });
 
+// Virtual for the number of players queueing on this request
+matchRequestSchema.virtual('partySize').get(function () {
+  return 1 + (this.preselectedUsers?.length || 0);
+});
+
+// Instance method to list the leader and party members as id strings
+matchRequestSchema.methods.getMemberIds = function () {
+  return [this.userId, ...(this.preselectedUsers || [])].map((member) =>
+    (member._id || member).toString()
+  );
+};
+
+// Instance method to check whether every party member has confirmed
+matchRequestSchema.methods.isPartyConfirmed = function () {
+  const confirmed = new Set((this.confirmedUsers || []).map((id) => id.toString()));
+  return (this.preselectedUsers || []).every((member) =>
+    confirmed.has((member._id || member).toString())
+  );
+};
+
+// Instance method to check if the request is for a future play session
+matchRequestSchema.methods.isScheduled = function () {
+  return Boolean(this.criteria?.scheduledTime);
+};
+
 // Instance method to check if request is expired
 matchRequestSchema.methods.isExpired = function () {
   if (this.matchExpireTime && new Date() > this.matchExpireTime) {
@@ -152,6 +235,27 @@ matchRequestSchema.statics.findActiveByUser = function (userId) {
   });
 };
 
+// Static method to find the live request a user leads or belongs to as a party member
+matchRequestSchema.statics.findActiveByMember = function (userId, excludeRequestId = null) {
+  const query = {
+    $and: [
+      { $or: [{ userId }, { preselectedUsers: userId }] },
+      {
+        $or: [
+          { status: { $in: ['searching', 'accepting'] } },
+          { status: 'pending', partyConfirmBy: { $gt: new Date() } }
+        ]
+      }
+    ]
+  };
+
+  if (excludeRequestId) {
+    query._id = { $ne: excludeRequestId };
+  }
+
+  return this.findOne(query);
+};
+
 // Static method to find requests for matching
 matchRequestSchema.statics.findMatchableRequests = function (
   gameId,
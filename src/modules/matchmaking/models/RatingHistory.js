@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const ratingHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    gameId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Game',
+      required: true
+    },
+    matchHistoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MatchHistory',
+      required: true
+    },
+    team: Number,
+    outcome: {
+      type: String,
+      enum: ['win', 'loss', 'draw'],
+      required: true
+    },
+    ratingBefore: {
+      type: Number,
+      required: true
+    },
+    ratingAfter: {
+      type: Number,
+      required: true
+    },
+    change: {
+      type: Number,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes
+ratingHistorySchema.index({ userId: 1, gameId: 1, createdAt: -1 });
+// A match can only move a player's rating once
+ratingHistorySchema.index({ userId: 1, matchHistoryId: 1 }, { unique: true });
+
+const RatingHistory = mongoose.model('RatingHistory', ratingHistorySchema);
+
+module.exports = RatingHistory;
@@ -1,7 +1,9 @@
 const MatchRequest = require('./MatchRequest');
 const MatchHistory = require('./MatchHistory');
+const RatingHistory = require('./RatingHistory');
 
 module.exports = {
   MatchRequest,
-  MatchHistory
+  MatchHistory,
+  RatingHistory
 };
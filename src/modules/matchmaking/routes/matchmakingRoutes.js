@@ -6,8 +6,17 @@ const { rateLimiter } = require('../../../middleware/rateLimiter');
 const {
   submitMatchRequestSchema,
   cancelMatchRequestParamsSchema,
+  matchResultParamsSchema,
+  reportMatchResultSchema,
+  ratingHistoryParamsSchema,
+  ratingHistoryQuerySchema,
   getMatchHistoryQuerySchema,
-  getMatchmakingStatsQuerySchema
+  getMatchmakingStatsQuerySchema,
+  updateMatchSettingsSchema,
+  getPenaltiesQuerySchema,
+  userPenaltiesParamsSchema,
+  matchPlayerParamsSchema,
+  playerFeedbackSchema
 } = require('../validations/matchmakingValidation');
 
 const router = express.Router();
@@ -34,6 +43,22 @@ router.delete(
   matchmakingController.cancelMatchRequest
 );
 
+// Confirm a party invite
+router.post(
+  '/:requestId/party/accept',
+  rateLimiter.standard,
+  validateParams(cancelMatchRequestParamsSchema),
+  matchmakingController.acceptPartyInvite
+);
+
+// Decline a party invite or leave a queued party
+router.post(
+  '/:requestId/party/leave',
+  rateLimiter.standard,
+  validateParams(cancelMatchRequestParamsSchema),
+  matchmakingController.leaveParty
+);
+
 // Get match history
 router.get(
   '/history',
@@ -42,6 +67,60 @@ router.get(
   matchmakingController.getMatchHistory
 );
 
+// Accept a found match
+router.post(
+  '/matches/:matchId/accept',
+  rateLimiter.standard,
+  validateParams(matchResultParamsSchema),
+  matchmakingController.acceptMatch
+);
+
+// Decline a found match
+router.post(
+  '/matches/:matchId/decline',
+  rateLimiter.standard,
+  validateParams(matchResultParamsSchema),
+  matchmakingController.declineMatch
+);
+
+// Report the result of a matchmade game
+router.post(
+  '/matches/:matchId/result',
+  rateLimiter.standard,
+  validateParams(matchResultParamsSchema),
+  validateRequest(reportMatchResultSchema),
+  matchmakingController.reportMatchResult
+);
+
+// Commend a player from a match or mark them to avoid
+router.post(
+  '/matches/:matchId/players/:userId/feedback',
+  rateLimiter.standard,
+  validateParams(matchPlayerParamsSchema),
+  validateRequest(playerFeedbackSchema),
+  matchmakingController.ratePlayer
+);
+
+// Take back a commend or avoid
+router.delete(
+  '/matches/:matchId/players/:userId/feedback',
+  rateLimiter.standard,
+  validateParams(matchPlayerParamsSchema),
+  matchmakingController.removePlayerRating
+);
+
+// Get own avoid and prefer-again lists
+router.get('/teammates', rateLimiter.relaxed, matchmakingController.getTeammateLists);
+
+// Get own rating history for a game
+router.get(
+  '/ratings/:gameId/history',
+  rateLimiter.relaxed,
+  validateParams(ratingHistoryParamsSchema),
+  validateQuery(ratingHistoryQuerySchema),
+  matchmakingController.getRatingHistory
+);
+
 // Admin routes
 router.get(
   '/stats',
@@ -51,4 +130,37 @@ router.get(
   matchmakingController.getMatchmakingStats
 );
 
+router.get(
+  '/settings/:gameId',
+  authorize('admin'),
+  rateLimiter.relaxed,
+  validateParams(ratingHistoryParamsSchema),
+  matchmakingController.getMatchSettings
+);
+
+router.put(
+  '/settings/:gameId',
+  authorize('admin'),
+  rateLimiter.standard,
+  validateParams(ratingHistoryParamsSchema),
+  validateRequest(updateMatchSettingsSchema),
+  matchmakingController.updateMatchSettings
+);
+
+router.get(
+  '/penalties',
+  authorize('admin'),
+  rateLimiter.relaxed,
+  validateQuery(getPenaltiesQuerySchema),
+  matchmakingController.getPenalties
+);
+
+router.get(
+  '/penalties/:userId',
+  authorize('admin'),
+  rateLimiter.relaxed,
+  validateParams(userPenaltiesParamsSchema),
+  matchmakingController.getUserPenalties
+);
+
 module.exports = router;
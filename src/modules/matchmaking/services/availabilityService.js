@@ -0,0 +1,163 @@
+const logger = require('../../../utils/logger').forModule('matchmaking:availability');
+
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+// Days of a Monday-first week each set of windows applies to
+const WINDOW_DAYS = [
+  ['weekdays', [0, 1, 2, 3, 4]],
+  ['weekends', [5, 6]]
+];
+
+class AvailabilityService {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  /**
+   * When a player usually plays, as [start, end) minutes of a Monday-first UTC week,
+   * from the weekday and weekend windows in their local timezone. Windows ending before
+   * they start run past midnight. Returns null when the player has not said.
+   */
+  getWeeklyWindows(playTimePreferences, at = new Date()) {
+    if (!playTimePreferences) {
+      return null;
+    }
+
+    const offset = this.getTimezoneOffset(playTimePreferences.timezone, at);
+    const windows = [];
+
+    WINDOW_DAYS.forEach(([key, days]) => {
+      // eslint-disable-next-line security/detect-object-injection
+      const window = playTimePreferences[key];
+      const start = this.parseTime(window?.start);
+      const end = this.parseTime(window?.end);
+      if (start === null || end === null) {
+        return;
+      }
+
+      const length = (end - start + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+      days.forEach((day) => {
+        const utcStart =
+          (((day * DAY_MINUTES + start - offset) % WEEK_MINUTES) + WEEK_MINUTES) % WEEK_MINUTES;
+        const utcEnd = utcStart + length;
+        // Split windows that wrap past the end of the week
+        if (utcEnd > WEEK_MINUTES) {
+          windows.push([utcStart, WEEK_MINUTES], [0, utcEnd - WEEK_MINUTES]);
+        } else {
+          windows.push([utcStart, utcEnd]);
+        }
+      });
+    });
+
+    return windows.length > 0 ? this.mergeWindows(windows) : null;
+  }
+
+  /**
+   * Share of the shorter schedule two players can play together, from 0 to 1,
+   * or null if either has not said when they play
+   */
+  getOverlapScore(preferences1, preferences2, at = new Date()) {
+    const windows1 = this.getWeeklyWindows(preferences1, at);
+    const windows2 = this.getWeeklyWindows(preferences2, at);
+    if (!windows1 || !windows2) {
+      return null;
+    }
+
+    let overlap = 0;
+    windows1.forEach(([start1, end1]) => {
+      windows2.forEach(([start2, end2]) => {
+        overlap += Math.max(0, Math.min(end1, end2) - Math.max(start1, start2));
+      });
+    });
+
+    const total = (windows) => windows.reduce((sum, [start, end]) => sum + (end - start), 0);
+    return overlap / Math.min(total(windows1), total(windows2));
+  }
+
+  /**
+   * Whether a time falls in a player's play windows; players who have not said are
+   * always available
+   */
+  isAvailableAt(playTimePreferences, time) {
+    const at = new Date(time);
+    const windows = this.getWeeklyWindows(playTimePreferences, at);
+    if (!windows) {
+      return true;
+    }
+
+    const minute =
+      ((at.getUTCDay() + 6) % 7) * DAY_MINUTES + at.getUTCHours() * 60 + at.getUTCMinutes();
+    return windows.some(([start, end]) => minute >= start && minute < end);
+  }
+
+  /**
+   * Minutes a timezone is ahead of UTC at a moment, so daylight saving is applied as of
+   * then. Unknown timezones are treated as UTC.
+   */
+  getTimezoneOffset(timeZone = 'UTC', at = new Date()) {
+    try {
+      if (!this.formatters.has(timeZone)) {
+        this.formatters.set(
+          timeZone,
+          new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+          })
+        );
+      }
+
+      const parts = new Map(
+        this.formatters
+          .get(timeZone)
+          .formatToParts(at)
+          .map((part) => [part.type, Number(part.value)])
+      );
+      const local = Date.UTC(
+        parts.get('year'),
+        parts.get('month') - 1,
+        parts.get('day'),
+        parts.get('hour'),
+        parts.get('minute')
+      );
+      return Math.round((local - Math.floor(at.getTime() / 60000) * 60000) / 60000);
+    } catch (error) {
+      logger.warn('Unknown play time timezone, using UTC', { timeZone, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Minutes after midnight of an "HH:MM" time, or null if it is not one
+   */
+  parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Sort windows and join any that touch or overlap
+   */
+  mergeWindows(windows) {
+    return [...windows]
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, [start, end]) => {
+        const last = merged.at(-1);
+        if (last && start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          merged.push([start, end]);
+        }
+        return merged;
+      }, []);
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,231 @@
+const Lobby = require('../../lobby/models/Lobby');
+const Chat = require('../../chat/models/Chat');
+const MatchHistory = require('../models/MatchHistory');
+const MatchRequest = require('../models/MatchRequest');
+const queueManager = require('./queueManager');
+const matchAlgorithmService = require('./matchAlgorithmService');
+const lockManager = require('../../../services/redis/lockManager');
+const socketManager = require('../../../services/socketManager');
+const notificationService = require('../../notification/services/notificationService');
+const config = require('../../../config');
+const logger = require('../../../utils/logger').forModule('matchmaking:backfill');
+
+class BackfillService {
+  /**
+   * Offer the open slots of lobbies waiting in a queue to its searching requests, before
+   * they are matched with each other. Returns the ids of the requests that joined a lobby.
+   */
+  async fillLobbies(gameId, gameMode, region, enrichedRequests, settings) {
+    const joined = new Set();
+
+    try {
+      const lobbyIds = await queueManager.getBackfillLobbyIds(gameId, gameMode, region);
+
+      for (const lobbyId of lobbyIds) {
+        const candidates = enrichedRequests.filter(
+          (enriched) => !joined.has(enriched.request._id.toString())
+        );
+        if (candidates.length === 0) {
+          break;
+        }
+
+        const lock = await lockManager.acquire(`lobby:${lobbyId}:backfill`, config.redis.lockTTL);
+        if (!lock) {
+          // Another pass is filling this lobby
+          continue;
+        }
+
+        try {
+          const requestIds = await this.fillLobby(
+            { _id: lobbyId, gameId, gameMode, region },
+            candidates,
+            settings
+          );
+          requestIds.forEach((requestId) => joined.add(requestId));
+        } finally {
+          await lockManager.release(lock);
+        }
+      }
+
+      return joined;
+    } catch (error) {
+      logger.error('Failed to backfill lobbies', {
+        error: error.message,
+        gameId,
+        gameMode,
+        region
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fill one lobby from the candidates. Lobbies that started, closed or have no open
+   * slots left leave the backfill queue.
+   */
+  async fillLobby(queuedLobby, candidates, settings) {
+    const lobby = await Lobby.findById(queuedLobby._id);
+    if (!this.isBackfilling(lobby)) {
+      await queueManager.removeBackfill(queuedLobby);
+      return [];
+    }
+
+    // A party with anyone banned from the lobby cannot take its slots
+    const eligible = candidates.filter(
+      (candidate) => !candidate.memberIds.some((userId) => lobby.isBanned(userId))
+    );
+    if (eligible.length === 0) {
+      return [];
+    }
+
+    const memberRequests = await this.getMemberRequests(lobby);
+    const chosen = matchAlgorithmService.findBackfillPlayers(
+      memberRequests,
+      eligible,
+      lobby.getOpenSlots(),
+      queuedLobby.gameId,
+      lobby.capacity.max,
+      settings
+    );
+    if (chosen.length === 0) {
+      return [];
+    }
+
+    const matchHistory = await MatchHistory.findById(lobby.matchHistoryId);
+    const userIds = [];
+
+    chosen.forEach((enriched) => {
+      enriched.memberIds.forEach((userId, index) => {
+        const slot = { ...enriched.slots.at(index), backfill: true };
+        lobby.addMember(userId, false, slot);
+        matchHistory?.addParticipant(userId, enriched.request._id, slot);
+        userIds.push(userId);
+      });
+    });
+
+    if (lobby.getOpenSlots().length === 0) {
+      lobby.backfillRequestedAt = undefined;
+      await queueManager.removeBackfill(lobby);
+    }
+    await lobby.save();
+    await matchHistory?.save();
+
+    const requestIds = chosen.map((enriched) => enriched.request._id.toString());
+    await MatchRequest.updateMany(
+      { _id: { $in: requestIds } },
+      { status: 'matched', matchedLobbyId: lobby._id }
+    );
+    await Promise.all(
+      chosen.map((enriched) =>
+        queueManager.removeRequest(enriched.request.userId.toString(), enriched.request._id, {
+          silent: true
+        })
+      )
+    );
+
+    await this.announceJoin(lobby, chosen, userIds);
+
+    logger.info('Lobby backfilled from the queue', {
+      lobbyId: lobby._id,
+      matchId: lobby.matchHistoryId,
+      playerCount: userIds.length,
+      openSlots: lobby.getOpenSlots().length
+    });
+
+    return requestIds;
+  }
+
+  /**
+   * Check a lobby is still an unlocked matchmade lobby waiting to start with slots to fill
+   */
+  isBackfilling(lobby) {
+    return Boolean(
+      lobby?.backfillRequestedAt &&
+        lobby.matchHistoryId &&
+        !lobby.settings?.isLocked &&
+        (lobby.status === 'forming' || lobby.status === 'ready') &&
+        lobby.getOpenSlots().length > 0
+    );
+  }
+
+  /**
+   * Enriched requests of the players still in a lobby, for comparing candidates against
+   */
+  async getMemberRequests(lobby) {
+    const activeIds = new Set(
+      lobby.members
+        .filter((m) => m.status === 'joined' || m.status === 'ready')
+        .map((m) => m.userId.toString())
+    );
+
+    const requests = await MatchRequest.find({ matchedLobbyId: lobby._id });
+    const stillInLobby = requests.filter((request) =>
+      matchAlgorithmService.getRequestMemberIds(request).some((id) => activeIds.has(id))
+    );
+
+    return matchAlgorithmService.enrichRequests(stillInLobby);
+  }
+
+  /**
+   * Tell the lobby and the players who joined it
+   */
+  async announceJoin(lobby, chosen, userIds) {
+    // Lazily required: the lobby module depends on matchmaking services
+    const lobbyService = require('../../lobby/services/lobbyService');
+
+    const chat = await Chat.findById(lobby.chatId);
+    if (chat) {
+      userIds.forEach((userId) => {
+        if (!chat.participants.some((id) => id.toString() === userId)) {
+          chat.participants.push(userId);
+        }
+      });
+      await chat.save();
+    }
+
+    // Newcomers have not readied up, so a ready lobby goes back to forming
+    if (lobby.status === 'ready') {
+      await lobbyService.transitionLobbyState(lobby, 'forming');
+    }
+
+    const names = chosen.flatMap((enriched) =>
+      matchAlgorithmService.getParticipantUsers(enriched).map((user) => user?.username)
+    );
+    await lobbyService.sendSystemMessage(
+      lobby._id,
+      `${names.filter(Boolean).join(', ')} joined from matchmaking to fill an open slot`
+    );
+
+    await lobby.populate('members.userId', 'username profile.displayName profile.profileImage');
+    lobbyService.emitLobbyUpdate(lobby);
+    userIds.forEach((userId) => lobbyService.emitMemberJoined(lobby, userId));
+
+    chosen.forEach((enriched) => {
+      socketManager.emitMatchmakingStatus(enriched.request._id.toString(), {
+        status: 'matched',
+        matchId: lobby.matchHistoryId.toString(),
+        lobbyId: lobby._id.toString(),
+        backfill: true
+      });
+    });
+    socketManager.emitToUsers(userIds, 'lobby:backfill:joined', { lobbyId: lobby._id.toString() });
+
+    await Promise.all(
+      userIds.map((userId) =>
+        notificationService.createNotification(userId, {
+          type: 'match_found',
+          title: 'Match Found!',
+          message: `You've joined a ${lobby.gameMode} lobby that needed players`,
+          data: {
+            entityType: 'lobby',
+            entityId: lobby._id,
+            actionUrl: `/lobbies/${lobby._id}`
+          },
+          priority: 'high'
+        })
+      )
+    );
+  }
+}
+
+module.exports = new BackfillService();
@@ -1,9 +1,31 @@
 const matchmakingService = require('./matchmakingService');
 const matchAlgorithmService = require('./matchAlgorithmService');
+const matchResultService = require('./matchResultService');
+const matchAcceptService = require('./matchAcceptService');
 const queueManager = require('./queueManager');
+const ratingService = require('./ratingService');
+const scheduledMatchService = require('./scheduledMatchService');
+const waitTimeService = require('./waitTimeService');
+const matchSettingsService = require('./matchSettingsService');
+const availabilityService = require('./availabilityService');
+const latencyService = require('./latencyService');
+const teammateService = require('./teammateService');
+const penaltyService = require('./penaltyService');
+const backfillService = require('./backfillService');
 
 module.exports = {
   matchmakingService,
   matchAlgorithmService,
-  queueManager
+  matchResultService,
+  matchAcceptService,
+  queueManager,
+  ratingService,
+  scheduledMatchService,
+  waitTimeService,
+  matchSettingsService,
+  availabilityService,
+  latencyService,
+  teammateService,
+  penaltyService,
+  backfillService
 };
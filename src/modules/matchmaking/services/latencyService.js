@@ -0,0 +1,88 @@
+const config = require('../../../config');
+
+class LatencyService {
+  constructor() {
+    this.config = config.matchmaking.latency;
+  }
+
+  /**
+   * Regions a request queues in, fastest first. Measured regions are ranked by ping, and
+   * under 'max_ping' only measured regions within the limit are kept. Regions picked by
+   * hand narrow the measured ones; unmeasured picks follow them. Without pings the
+   * regions are left as picked.
+   */
+  rankRegions({ regions = [], regionPings = [], regionPreference, maxPing }) {
+    if (regionPings.length === 0) {
+      return [...regions];
+    }
+
+    const picked = regions.filter((region) => region !== 'ANY');
+    const measured = [...regionPings]
+      .filter(({ pingMs }) => regionPreference !== 'max_ping' || pingMs <= maxPing)
+      .sort((a, b) => a.pingMs - b.pingMs)
+      .map(({ region }) => region);
+    if (picked.length === 0) {
+      return measured;
+    }
+
+    const ranked = measured.filter((region) => picked.includes(region));
+    if (regionPreference === 'max_ping') {
+      return ranked;
+    }
+    const measuredRegions = new Set(regionPings.map(({ region }) => region));
+    return [...ranked, ...picked.filter((region) => !measuredRegions.has(region))];
+  }
+
+  /**
+   * Region both players measured with the lowest ping for the slower of the two, as
+   * { region, pingMs }, or null if they measured none in common
+   */
+  getSharedPing(regionPings1 = [], regionPings2 = []) {
+    const pings2 = new Map(regionPings2.map(({ region, pingMs }) => [region, pingMs]));
+
+    return (
+      regionPings1
+        .filter(({ region }) => pings2.has(region))
+        .map(({ region, pingMs }) => ({ region, pingMs: Math.max(pingMs, pings2.get(region)) }))
+        .sort((a, b) => a.pingMs - b.pingMs)
+        .at(0) || null
+    );
+  }
+
+  /**
+   * Score a shared region's ping from 1 at the ideal ping down to the floor at a poor one
+   */
+  getLatencyScore(pingMs) {
+    const { idealPingMs, poorPingMs, floorScore } = this.config;
+    if (pingMs <= idealPingMs) {
+      return 1;
+    }
+    if (pingMs >= poorPingMs) {
+      return floorScore;
+    }
+    return 1 - ((pingMs - idealPingMs) / (poorPingMs - idealPingMs)) * (1 - floorScore);
+  }
+
+  /**
+   * Whether a pair meets a max ping one of them set. Pings are compared where both
+   * measured a region; otherwise the other player has to queue in one of the regions
+   * kept under the limit.
+   */
+  isWithinMaxPing(criteria, otherCriteria) {
+    if (criteria.regionPreference !== 'max_ping') {
+      return true;
+    }
+
+    const shared = this.getSharedPing(criteria.regionPings, otherCriteria.regionPings);
+    if (shared) {
+      return shared.pingMs <= criteria.maxPing;
+    }
+
+    const otherRegions = new Set(otherCriteria.regions);
+    return (
+      otherRegions.has('ANY') || (criteria.regions || []).some((region) => otherRegions.has(region))
+    );
+  }
+}
+
+module.exports = new LatencyService();
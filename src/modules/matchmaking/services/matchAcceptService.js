@@ -0,0 +1,340 @@
+const MatchHistory = require('../models/MatchHistory');
+const MatchRequest = require('../models/MatchRequest');
+const queueManager = require('./queueManager');
+const penaltyService = require('./penaltyService');
+const lockManager = require('../../../services/redis/lockManager');
+const socketManager = require('../../../services/socketManager');
+const config = require('../../../config');
+const {
+  NotFoundError,
+  BadRequestError,
+  AuthorizationError,
+  ConflictError
+} = require('../../../utils/errors');
+const logger = require('../../../utils/logger').forModule('matchmaking:accept');
+
+class MatchAcceptService {
+  constructor() {
+    this.config = {
+      ...config.matchmaking.acceptance,
+      batchSize: 100
+    };
+  }
+
+  /**
+   * Ask every player in a found match to accept it. The requests leave the queue and wait
+   * in 'accepting' until everyone accepts, someone declines or the time runs out.
+   */
+  async requestAcceptance(matchData, now = new Date()) {
+    const { matchHistory, participants } = matchData;
+    const acceptBy = new Date(now.getTime() + this.config.timeoutMs);
+    const requestLeaders = this.getRequestLeaders(participants);
+
+    try {
+      matchHistory.acceptance = { status: 'pending', acceptBy, responses: [] };
+      await matchHistory.save();
+
+      await MatchRequest.updateMany(
+        { _id: { $in: [...requestLeaders.keys()] } },
+        { status: 'accepting', acceptance: { matchId: matchHistory._id, acceptBy } }
+      );
+
+      await Promise.all(
+        [...requestLeaders].map(([requestId, userId]) =>
+          queueManager.removeRequest(userId, requestId, { silent: true })
+        )
+      );
+
+      const payload = {
+        matchId: matchHistory._id.toString(),
+        gameId: matchHistory.gameId.toString(),
+        gameMode: matchHistory.gameMode,
+        playerCount: participants.length,
+        gameChoice: this.describeGameChoice(matchHistory, participants.length),
+        acceptBy,
+        timeoutMs: this.config.timeoutMs
+      };
+
+      requestLeaders.forEach((userId, requestId) => {
+        socketManager.emitMatchmakingStatus(requestId, { status: 'accepting', ...payload });
+      });
+      socketManager.emitToUsers(
+        participants.map((p) => p.userId.toString()),
+        'matchmaking:match:found',
+        payload
+      );
+
+      logger.info('Match found, waiting for players to accept', {
+        matchId: matchHistory._id,
+        playerCount: participants.length,
+        acceptBy
+      });
+
+      return matchHistory.acceptance;
+    } catch (error) {
+      logger.error('Failed to request match acceptance', {
+        error: error.message,
+        matchId: matchHistory?._id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a player's answer to a found match. The last acceptance creates the lobby;
+   * a decline calls the match off straight away.
+   */
+  async respond(matchId, userId, accepted) {
+    const lock = await lockManager.acquire(`match:${matchId}:accept`, config.redis.lockTTL);
+    if (!lock) {
+      throw new ConflictError('Another response is being recorded for this match, please retry');
+    }
+
+    try {
+      const match = await MatchHistory.findById(matchId);
+      if (!match) {
+        throw new NotFoundError('Match not found');
+      }
+
+      if (!match.participants.some((p) => p.userId.toString() === userId)) {
+        throw new AuthorizationError('Only match participants can respond to this match');
+      }
+
+      if (match.acceptance?.status !== 'pending') {
+        throw new BadRequestError('Match is no longer waiting for players to accept');
+      }
+      if (match.acceptance.acceptBy <= new Date()) {
+        throw new BadRequestError('The time to accept this match has run out');
+      }
+      if (match.getAcceptResponse(userId)) {
+        throw new ConflictError('You have already responded to this match');
+      }
+
+      match.acceptance.responses.push({ userId, accepted, respondedAt: new Date() });
+
+      if (!accepted) {
+        await this.callOffMatch(match, 'declined');
+      } else if (match.acceptance.responses.length === match.participants.length) {
+        match.acceptance.status = 'accepted';
+        await match.save();
+        await this.startMatch(match);
+      } else {
+        await match.save();
+        socketManager.emitToUsers(
+          match.participants.map((p) => p.userId.toString()),
+          'matchmaking:match:accept:updated',
+          {
+            matchId: match._id,
+            acceptedCount: match.acceptance.responses.length,
+            playerCount: match.participants.length
+          }
+        );
+      }
+
+      logger.info('Match acceptance response recorded', {
+        matchId,
+        userId,
+        accepted,
+        acceptanceStatus: match.acceptance.status
+      });
+
+      return match.acceptance;
+    } catch (error) {
+      logger.error('Failed to record match acceptance response', {
+        error: error.message,
+        matchId,
+        userId
+      });
+      throw error;
+    } finally {
+      await lockManager.release(lock);
+    }
+  }
+
+  /**
+   * Call off matches whose players did not all accept in time
+   */
+  async expireAcceptances(now = new Date()) {
+    try {
+      const overdue = await MatchHistory.find({
+        'acceptance.status': 'pending',
+        'acceptance.acceptBy': { $lte: now }
+      })
+        .select('_id')
+        .limit(this.config.batchSize);
+
+      let expired = 0;
+
+      for (const { _id } of overdue) {
+        const lock = await lockManager.acquire(`match:${_id}:accept`, config.redis.lockTTL);
+        if (!lock) {
+          // A response is being recorded; the next pass picks the match up if still overdue
+          continue;
+        }
+
+        try {
+          const match = await MatchHistory.findById(_id);
+          if (match?.acceptance?.status === 'pending') {
+            await this.callOffMatch(match, 'expired', now);
+            expired += 1;
+          }
+        } finally {
+          await lockManager.release(lock);
+        }
+      }
+
+      if (expired > 0) {
+        logger.info('Expired unaccepted matches', { expired });
+      }
+
+      return expired;
+    } catch (error) {
+      logger.error('Failed to expire unaccepted matches', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the lobby once every player has accepted
+   */
+  async startMatch(match) {
+    const participants = match.participants.map((p) => ({
+      userId: p.userId,
+      requestId: p.requestId,
+      team: p.team,
+      role: p.role
+    }));
+
+    await MatchRequest.updateMany(
+      { _id: { $in: [...this.getRequestLeaders(participants).keys()] } },
+      { status: 'matched' }
+    );
+
+    // Lazily required: matchmakingService depends on this service
+    const matchmakingService = require('./matchmakingService');
+    await matchmakingService.finalizeMatch({ matchHistory: match, participants });
+  }
+
+  /**
+   * Call off a match someone declined or let time out. Requests where everyone did their part
+   * go back to the front of the queue; requests with a player who missed the match are
+   * cancelled and that player is penalized for a dodge or a no-show.
+   */
+  async callOffMatch(match, reason, now = new Date()) {
+    const responded = new Map(
+      match.acceptance.responses.map((r) => [r.userId.toString(), r.accepted])
+    );
+    // On a decline only the decliner is at fault; players yet to answer did nothing wrong
+    const missedIds = match.participants
+      .map((p) => p.userId.toString())
+      .filter((userId) =>
+        reason === 'declined' ? responded.get(userId) === false : !responded.has(userId)
+      );
+    const missed = new Set(missedIds);
+    const offense = reason === 'declined' ? 'dodge' : 'no_show';
+
+    match.acceptance.status = reason;
+    match.status = 'cancelled';
+    missedIds.forEach((userId) =>
+      match.removeParticipant(userId, offense === 'dodge' ? 'dodged' : 'no_show')
+    );
+    await match.save();
+
+    const cooldowns = await penaltyService.applyPenalty(missedIds, offense, now);
+
+    const requestMembers = new Map();
+    match.participants.forEach((p) => {
+      const requestId = p.requestId.toString();
+      requestMembers.set(requestId, [
+        ...(requestMembers.get(requestId) || []),
+        p.userId.toString()
+      ]);
+    });
+
+    // Lazily required: matchmakingService depends on this service
+    const matchmakingService = require('./matchmakingService');
+
+    for (const [requestId, memberIds] of requestMembers) {
+      const missedMembers = memberIds.filter((userId) => missed.has(userId));
+
+      if (missedMembers.length > 0) {
+        await MatchRequest.updateOne(
+          { _id: requestId, status: 'accepting' },
+          { status: 'cancelled', cancelReason: 'match_called_off' }
+        );
+        socketManager.emitMatchmakingStatus(requestId, {
+          status: 'cancelled',
+          matchId: match._id.toString(),
+          reason,
+          cooldowns: missedMembers.map((userId) => ({
+            userId,
+            queueBlockedUntil: cooldowns.get(userId)
+          }))
+        });
+        continue;
+      }
+
+      const request = await MatchRequest.findOneAndUpdate(
+        { _id: requestId, status: 'accepting' },
+        { status: 'searching', requeuedAt: now, $unset: { acceptance: 1 } },
+        { new: true }
+      );
+      if (!request) {
+        continue;
+      }
+
+      await matchmakingService.enqueueRequest(request, { front: true });
+      socketManager.emitMatchmakingStatus(requestId, {
+        status: 'searching',
+        matchId: match._id.toString(),
+        reason,
+        requeued: true
+      });
+    }
+
+    logger.info('Match called off before the lobby was created', {
+      matchId: match._id,
+      reason,
+      missedCount: missedIds.length
+    });
+  }
+
+  /**
+   * Explain to the players why their match is on this game
+   */
+  describeGameChoice(matchHistory, playerCount) {
+    const { preference, topChoiceCount, alternatives = [] } = matchHistory.gameSelection || {};
+    const otherGames =
+      alternatives.length === 1 ? '1 other game' : `${alternatives.length} other games`;
+
+    return {
+      gameId: matchHistory.gameId.toString(),
+      preference,
+      topChoiceCount,
+      alternatives: alternatives.map((alt) => ({
+        gameId: alt.gameId.toString(),
+        preference: alt.preference
+      })),
+      reason:
+        alternatives.length === 0
+          ? 'The only game everyone in the match listed'
+          : `Top pick for ${topChoiceCount} of ${playerCount} players, chosen over ${otherGames}`
+    };
+  }
+
+  /**
+   * Map each request in a match to its first listed player; party members share a request
+   */
+  getRequestLeaders(participants) {
+    const requestLeaders = new Map();
+    participants.forEach((participant) => {
+      const requestId = participant.requestId.toString();
+      if (!requestLeaders.has(requestId)) {
+        requestLeaders.set(requestId, participant.userId.toString());
+      }
+    });
+    return requestLeaders;
+  }
+}
+
+module.exports = new MatchAcceptService();
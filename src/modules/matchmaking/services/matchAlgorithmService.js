@@ -1,16 +1,30 @@
 const MatchRequest = require('../models/MatchRequest');
 const MatchHistory = require('../models/MatchHistory');
 const User = require('../../auth/models/User');
+const Game = require('../../game/models/Game');
+const friendService = require('../../social/services/friendService');
+const ratingService = require('./ratingService');
+const matchSettingsService = require('./matchSettingsService');
+const availabilityService = require('./availabilityService');
+const latencyService = require('./latencyService');
+const teammateService = require('./teammateService');
+const config = require('../../../config');
 const logger = require('../../../utils/logger');
 
+const COMPETITIVENESS_LEVELS = new Map([
+  ['casual', 0],
+  ['balanced', 1],
+  ['competitive', 2]
+]);
+
 class MatchAlgorithmService {
   constructor() {
-    // Configuration for matching
+    // Configuration for matching; games and modes can override the matching
+    // defaults through matchSettingsService
     this.config = {
-      minGroupSize: 2,
-      maxGroupSize: 10,
-      skillRangeTiers: [2, 4, 6, 10, 15], // Adjusted: More lenient initial tier
-      compatibilityThreshold: 0.5, // Minimum compatibility score
+      ...config.matchmaking.defaults,
+      teamCount: 2,
+      scheduleToleranceMs: config.matchmaking.scheduled.toleranceMs,
       batchSize: 100 // Max requests to process at once
     };
   }
@@ -20,7 +34,18 @@ class MatchAlgorithmService {
    */
   async processQueue(gameId, gameMode, region, requests) {
     try {
-      if (!requests || requests.length < this.config.minGroupSize) {
+      if (!requests || requests.length < 2) {
+        return [];
+      }
+
+      // Too few players for a match on this game
+      const settings = await matchSettingsService.getSettingsByGame([gameId], gameMode);
+      const { minGroupSize } = settings.get(gameId.toString());
+      const playerCount = requests.reduce(
+        (sum, request) => sum + this.getRequestMemberIds(request).length,
+        0
+      );
+      if (playerCount < minGroupSize) {
         return [];
       }
 
@@ -32,10 +57,16 @@ class MatchAlgorithmService {
       });
 
       // Load user data for all requests
-      const enrichedRequests = await this.enrichRequests(requests);
+      const [enrichedRequests, roleSlots] = await Promise.all([
+        this.enrichRequests(requests),
+        this.getRoleSlots(gameId)
+      ]);
 
       // Find compatible matches
-      const matches = await this.findMatches(enrichedRequests, gameId, gameMode, region);
+      const matches = await this.findMatches(enrichedRequests, gameId, gameMode, region, {
+        roleSlots,
+        settings
+      });
 
       logger.info('Match processing completed', {
         gameId,
@@ -57,84 +88,142 @@ class MatchAlgorithmService {
   }
 
   /**
-   * Enrich requests with user data
+   * Enrich requests with user data; party requests carry every member
    */
   async enrichRequests(requests) {
-    const userIds = requests.map((req) => req.userId);
-    const users = await User.find({ _id: { $in: userIds } })
-      .select('username profile gameProfiles gamingPreferences')
-      .lean();
+    const memberIdsByRequest = requests.map((req) => this.getRequestMemberIds(req));
+    const userIds = [...new Set(memberIdsByRequest.flat())];
+    const [users, blockedMap, teammateMap] = await Promise.all([
+      User.find({ _id: { $in: userIds } })
+        .select('username profile gameProfiles gamingPreferences')
+        .lean(),
+      friendService.getBlockedUserMap(userIds),
+      teammateService.getTeammateMap(userIds)
+    ]);
 
     const userMap = new Map(users.map((user) => [user._id.toString(), user]));
 
-    return requests.map((request) => ({
-      request,
-      user: userMap.get(request.userId.toString())
-    }));
+    return requests.map((request, index) => {
+      // eslint-disable-next-line security/detect-object-injection
+      const memberIds = memberIdsByRequest[index];
+      const blockedUserIds = new Set();
+      const avoidUserIds = new Set();
+      const preferredUserIds = new Set();
+      memberIds.forEach((memberId) => {
+        (blockedMap.get(memberId) || new Set()).forEach((id) => blockedUserIds.add(id));
+        const teammates = teammateMap.get(memberId);
+        teammates?.avoid.forEach((id) => avoidUserIds.add(id));
+        teammates?.preferred.forEach((id) => preferredUserIds.add(id));
+      });
+
+      return {
+        request,
+        user: userMap.get(memberIds[0]),
+        members: memberIds.map((memberId) => userMap.get(memberId)).filter(Boolean),
+        memberIds,
+        blockedUserIds,
+        avoidUserIds,
+        preferredUserIds
+      };
+    });
+  }
+
+  /**
+   * List the leader and any party members of a request as id strings
+   */
+  getRequestMemberIds(request) {
+    return [request.userId, ...(request.preselectedUsers || [])].map((member) =>
+      (member._id || member).toString()
+    );
+  }
+
+  /**
+   * Users an enriched request brings to a group, leader first
+   */
+  getParticipantUsers(enriched) {
+    return enriched.members?.length ? enriched.members : [enriched.user];
   }
 
   /**
-   * Find compatible matches from enriched requests
+   * Number of players an enriched request brings to a group
    */
+  getPartySize(enriched) {
+    return enriched.memberIds?.length || 1;
+  }
+
+  /**
+   * Largest group an enriched request accepts
+   */
+  getMaxGroupSize(enriched, settings = this.config) {
+    return Math.min(
+      enriched.request.criteria.groupSize?.max || settings.maxGroupSize,
+      settings.maxGroupSize
+    );
+  }
 
-  async findMatches(enrichedRequests, gameId, gameMode, region) {
+  /**
+   * Find compatible matches from enriched requests.
+   * `games` maps each game a group may be formed on to its role slots, defaulting to
+   * `gameId` with `roleSlots`. A request listing several of them can be matched in any;
+   * the game the group prefers most, by the weights its players gave it, is chosen.
+   * `settings` maps game ids to their matching settings; games without use the defaults.
+   */
+  async findMatches(enrichedRequests, gameId, gameMode, region, options = {}) {
+    const {
+      roleSlots = [],
+      games = new Map([[gameId.toString(), roleSlots]]),
+      settings = new Map()
+    } = options;
     const matches = [];
     const processed = new Set();
 
-    // Sort by wait time (oldest first)
-    enrichedRequests.sort((a, b) => a.request.searchStartTime - b.request.searchStartTime);
+    // Requeued requests first, then by wait time (oldest first)
+    enrichedRequests.sort(
+      (a, b) =>
+        Boolean(b.request.requeuedAt) - Boolean(a.request.requeuedAt) ||
+        a.request.searchStartTime - b.request.searchStartTime
+    );
 
     for (const primary of enrichedRequests) {
       if (processed.has(primary.request._id.toString())) {
         continue;
       }
 
-      const compatiblePartners = this.findCompatiblePartners(
-        primary,
-        enrichedRequests,
-        processed,
-        gameId
-      );
-
-      const primaryMinGroupSize =
-        primary.request?.criteria?.groupSize?.min || this.config.minGroupSize;
-      const requiredPartners = Math.max(primaryMinGroupSize, this.config.minGroupSize) - 1;
+      const groups = this.getCandidateGames(primary, games, gameId)
+        .map((candidateGameId) => ({
+          gameId: candidateGameId,
+          ...this.formGroup(
+            primary,
+            enrichedRequests,
+            processed,
+            candidateGameId,
+            games.get(candidateGameId) || [],
+            settings.get(candidateGameId) || this.config
+          )
+        }))
+        .filter((group) => group.participants)
+        .map((group) => ({
+          ...group,
+          preference: this.getGroupPreference(group.participants, group.gameId)
+        }));
 
-      if (compatiblePartners.length < requiredPartners) {
+      if (groups.length === 0) {
         continue;
       }
 
-      const matchParticipants = [primary, ...compatiblePartners];
-
-      const requiredMinGroupSize = matchParticipants.reduce(
-        (max, participant) =>
-          Math.max(max, participant.request?.criteria?.groupSize?.min || this.config.minGroupSize),
-        this.config.minGroupSize
+      // Ties go to the game the longest-waiting player weighted highest
+      const chosen = groups.reduce((best, group) =>
+        group.preference > best.preference ? group : best
       );
 
-      if (matchParticipants.length < requiredMinGroupSize) {
-        logger.debug('Skipping match due to unmet minimum group size requirement', {
-          requiredMinGroupSize,
-          participantCount: matchParticipants.length,
-          primaryRequestId: primary.request._id
-        });
-        continue;
-      }
-
-      const maxGroupSizeForPrimary =
-        primary.request.criteria.groupSize?.max || this.config.maxGroupSize;
-
-      if (
-        matchParticipants.length < this.config.minGroupSize ||
-        matchParticipants.length > maxGroupSizeForPrimary
-      ) {
-        continue;
-      }
-
-      const match = await this.createMatch(matchParticipants, gameId, gameMode, region);
+      const match = await this.createMatch(chosen.participants, chosen.gameId, gameMode, region, {
+        roles: chosen.roles,
+        roleSlots: games.get(chosen.gameId),
+        gameSelection: this.describeGameSelection(chosen, groups)
+      });
       matches.push(match);
 
-      matchParticipants.forEach((participant) => {
+      chosen.participants.forEach((participant) => {
         processed.add(participant.request._id.toString());
       });
     }
@@ -142,15 +231,146 @@ class MatchAlgorithmService {
     return matches;
   }
 
+  /**
+   * Games a primary request can be matched on, highest weighted first.
+   * Requests without a game list fall back to the queue's game.
+   */
+  getCandidateGames(primary, games, defaultGameId) {
+    const listed = [...(primary.request.criteria.games || [])]
+      .filter((game) => games.has(game.gameId.toString()))
+      .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+      .map((game) => game.gameId.toString());
+
+    return listed.length > 0 ? listed : [defaultGameId.toString()];
+  }
+
+  /**
+   * Form a group around a primary request for one game, or return an empty object if
+   * the partners found do not make a valid group
+   */
+  formGroup(primary, candidates, processed, gameId, roleSlots = [], settings = this.config) {
+    const compatiblePartners = this.findCompatiblePartners(
+      primary,
+      candidates,
+      processed,
+      gameId,
+      roleSlots,
+      settings
+    );
+
+    // A party never matches on its own; it needs at least one other request
+    if (compatiblePartners.length === 0) {
+      return {};
+    }
+
+    const participants = [primary, ...compatiblePartners];
+    const playerCount = participants.reduce(
+      (sum, participant) => sum + this.getPartySize(participant),
+      0
+    );
+
+    const requiredMinGroupSize = participants.reduce(
+      (max, participant) =>
+        Math.max(max, participant.request?.criteria?.groupSize?.min || settings.minGroupSize),
+      settings.minGroupSize
+    );
+
+    if (playerCount < requiredMinGroupSize) {
+      logger.debug('Skipping match due to unmet minimum group size requirement', {
+        requiredMinGroupSize,
+        participantCount: playerCount,
+        primaryRequestId: primary.request._id
+      });
+      return {};
+    }
+
+    if (playerCount > Math.min(...participants.map((p) => this.getMaxGroupSize(p, settings)))) {
+      return {};
+    }
+
+    if (roleSlots.length > 0) {
+      if (playerCount !== this.getRoleSeatCount(roleSlots)) {
+        return {};
+      }
+      // Every team has to get its share of each role, not just the group as a whole
+      const lineup = this.assignTeams(participants, gameId, roleSlots);
+      if (!lineup) {
+        return {};
+      }
+      return { participants, roles: lineup.roles };
+    }
+
+    return { participants, roles: null };
+  }
+
+  /**
+   * A request's entry for a game in its game list
+   */
+  findListedGame(enriched, gameId) {
+    return (enriched.request.criteria.games || []).find(
+      (g) => g.gameId.toString() === gameId.toString()
+    );
+  }
+
+  /**
+   * Weight a request gave a game, or 0 if it did not list it
+   */
+  getGameWeight(enriched, gameId) {
+    return this.findListedGame(enriched, gameId)?.weight || 0;
+  }
+
+  /**
+   * Combined weight a group's players gave a game; party members share their leader's weights
+   */
+  getGroupPreference(participants, gameId) {
+    return participants.reduce(
+      (sum, participant) =>
+        sum + this.getGameWeight(participant, gameId) * this.getPartySize(participant),
+      0
+    );
+  }
+
+  /**
+   * Explain why a group was formed on its game: how strongly its players preferred it,
+   * for how many it was their top pick, and the games it beat
+   */
+  describeGameSelection(chosen, groups) {
+    const topChoiceCount = chosen.participants.reduce((count, participant) => {
+      const weights = (participant.request.criteria.games || []).map((g) => g.weight || 0);
+      const isTopChoice =
+        weights.length === 0 ||
+        this.getGameWeight(participant, chosen.gameId) === Math.max(...weights);
+      return isTopChoice ? count + this.getPartySize(participant) : count;
+    }, 0);
+
+    return {
+      preference: chosen.preference,
+      topChoiceCount,
+      alternatives: groups
+        .filter((group) => group !== chosen)
+        .map((group) => ({ gameId: group.gameId, preference: group.preference }))
+    };
+  }
+
   /**
    * Find compatible partners for a primary request
    */
-  findCompatiblePartners(primary, candidates, processed, gameId) {
+  findCompatiblePartners(
+    primary,
+    candidates,
+    processed,
+    gameId,
+    roleSlots = [],
+    settings = this.config
+  ) {
     const partners = [];
-    const maxSize = Math.min(
-      primary.request.criteria.groupSize?.max || this.config.maxGroupSize,
-      this.config.maxGroupSize
-    );
+    // Parties take up all their seats at once, and the group must stay within
+    // the smallest maximum of everyone in it
+    let playerCount = this.getPartySize(primary);
+    let maxSize = this.getMaxGroupSize(primary, settings);
+    if (roleSlots.length > 0) {
+      maxSize = Math.min(maxSize, this.getRoleSeatCount(roleSlots));
+    }
 
     for (const candidate of candidates) {
       // Skip if already processed or same user
@@ -161,30 +381,242 @@ class MatchAlgorithmService {
         continue;
       }
 
+      const candidateSize = this.getPartySize(candidate);
+      const candidateMaxSize = Math.min(maxSize, this.getMaxGroupSize(candidate, settings));
+      if (playerCount + candidateSize > candidateMaxSize) {
+        continue;
+      }
+
+      // Never group users who have blocked each other
+      if ([primary, ...partners].some((member) => this.isBlockedPair(member, candidate))) {
+        continue;
+      }
+
       // Calculate compatibility
-      const compatibility = this.calculateCompatibility(primary, candidate, gameId);
+      const compatibility = this.calculateCompatibility(primary, candidate, gameId, settings);
 
-      if (compatibility >= this.config.compatibilityThreshold) {
+      // Everyone so far must still fit into a role slot they will play
+      if (
+        compatibility >= settings.compatibilityThreshold &&
+        (roleSlots.length === 0 || this.assignRoles([primary, ...partners, candidate], roleSlots))
+      ) {
         partners.push({
           ...candidate,
           compatibility
         });
+        playerCount += candidateSize;
+        maxSize = candidateMaxSize;
 
-        // Check if we have enough partners
-        if (partners.length >= maxSize - 1) {
+        // Check if the group is full
+        if (playerCount >= maxSize) {
           break;
         }
       }
     }
 
     // Sort by compatibility and return best matches
-    return partners.sort((a, b) => b.compatibility - a.compatibility).slice(0, maxSize - 1);
+    return partners.sort((a, b) => b.compatibility - a.compatibility);
+  }
+
+  /**
+   * Pick searching requests to fill a lobby's open slots, longest waiting first. A request
+   * must be compatible with every request already in the lobby and fit, party and all,
+   * into the open slots of one team. Returns the chosen requests with the slot of each
+   * of their players.
+   */
+  findBackfillPlayers(members, candidates, openSlots, gameId, lobbySize, settings = this.config) {
+    const chosen = [];
+    if (members.length === 0) {
+      return chosen;
+    }
+
+    const group = [...members];
+    let remaining = [...openSlots];
+
+    const waiting = [...candidates].sort(
+      (a, b) => a.request.searchStartTime - b.request.searchStartTime
+    );
+
+    for (const candidate of waiting) {
+      if (remaining.length === 0) {
+        break;
+      }
+      if (
+        this.getMaxGroupSize(candidate, settings) < lobbySize ||
+        group.some((member) => this.isBlockedPair(member, candidate))
+      ) {
+        continue;
+      }
+
+      const scores = group.map((member) =>
+        this.calculateCompatibility(member, candidate, gameId, settings)
+      );
+      const compatibility = scores.reduce((sum, score) => sum + score, 0) / group.length;
+      if (scores.includes(0) || compatibility < settings.compatibilityThreshold) {
+        continue;
+      }
+
+      const slots = this.assignBackfillSlots(candidate, remaining);
+      if (!slots) {
+        continue;
+      }
+
+      chosen.push({ ...candidate, compatibility, slots });
+      group.push(candidate);
+      remaining = remaining.filter((slot) => !slots.includes(slot));
+    }
+
+    return chosen;
+  }
+
+  /**
+   * Open slots a request's players would take, all on one team and in roles the leader
+   * plays, or null if they do not fit
+   */
+  assignBackfillSlots(candidate, openSlots) {
+    const partySize = this.getPartySize(candidate);
+    const teams = new Map();
+    openSlots.forEach((slot) => {
+      teams.set(slot.team, [...(teams.get(slot.team) || []), slot]);
+    });
+
+    for (const slots of teams.values()) {
+      if (slots.length < partySize) {
+        continue;
+      }
+      if (!slots.some((slot) => slot.role)) {
+        return slots.slice(0, partySize);
+      }
+
+      const roleCounts = new Map();
+      slots.forEach((slot) => roleCounts.set(slot.role, (roleCounts.get(slot.role) || 0) + 1));
+      const roles = this.assignRoles(
+        [candidate],
+        [...roleCounts].map(([role, count]) => ({ role, count }))
+      );
+      if (roles) {
+        const free = [...slots];
+        return roles[0].map(
+          (role) =>
+            free.splice(
+              free.findIndex((slot) => slot.role === role),
+              1
+            )[0]
+        );
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Role slots a game's matches must fill
+   */
+  async getRoleSlots(gameId) {
+    const game = await Game.findById(gameId).select('maogaData.roleSlots').lean();
+    return game?.maogaData?.roleSlots || [];
+  }
+
+  /**
+   * Number of players a set of role slots seats
+   */
+  getRoleSeatCount(roleSlots) {
+    return roleSlots.reduce((sum, slot) => sum + slot.count, 0);
+  }
+
+  /**
+   * Seat every player in a role slot, placing as many as possible in a preferred role.
+   * Only a request's leader states roles; party members and players without roles can
+   * fill any slot. Slots with a `team` only seat players of that team, given per
+   * participant in `teams`. Members already seated in a role, given per participant in
+   * `roles`, keep it. Returns each participant's member roles, in order, or null if the
+   * players cannot all be seated.
+   */
+  assignRoles(participants, roleSlots, teams = []) {
+    const seats = roleSlots.flatMap((slot) => Array(slot.count).fill(slot));
+    const players = participants.flatMap((participant, participantIndex) => {
+      const roles = participant.request?.criteria.roles || {};
+      const preferred = new Set(roles.preferred || []);
+      const acceptable = new Set([...preferred, ...(roles.acceptable || [])]);
+
+      return this.getParticipantUsers(participant).map((_, memberIndex) => {
+        const player = { participantIndex, team: teams.at(participantIndex) };
+        const seatedRole = participant.roles?.at(memberIndex);
+        if (seatedRole) {
+          return { ...player, preferred: new Set([seatedRole]), acceptable: new Set([seatedRole]) };
+        }
+
+        const statesRoles = memberIndex === 0 && acceptable.size > 0;
+        return {
+          ...player,
+          preferred: statesRoles ? preferred : new Set(),
+          acceptable: statesRoles ? acceptable : null
+        };
+      });
+    });
+
+    if (players.length > seats.length) {
+      return null;
+    }
+
+    // Augmenting-path matching: preferred roles first, then anything acceptable
+    const seatOwners = new Map();
+    const place = (player, allows, visited) => {
+      for (const [seat, slot] of seats.entries()) {
+        if (
+          visited.has(seat) ||
+          (slot.team && slot.team !== player.team) ||
+          !allows(player, slot.role)
+        ) {
+          continue;
+        }
+        visited.add(seat);
+        const owner = seatOwners.get(seat);
+        if (!owner || place(owner, allows, visited)) {
+          seatOwners.set(seat, player);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    const prefers = (player, role) => player.preferred.has(role);
+    const accepts = (player, role) => !player.acceptable || player.acceptable.has(role);
+    players.forEach((player) => place(player, prefers, new Set()));
+
+    const seated = () => new Set(seatOwners.values());
+    for (const player of players) {
+      if (!seated().has(player) && !place(player, accepts, new Set())) {
+        return null;
+      }
+    }
+
+    seatOwners.forEach((player, seat) => {
+      player.role = seats.at(seat).role;
+    });
+
+    return participants.map((_, index) =>
+      players.filter((player) => player.participantIndex === index).map((player) => player.role)
+    );
+  }
+
+  /**
+   * Check whether anyone on either side of a pair has blocked someone on the other
+   */
+  isBlockedPair(enriched1, enriched2) {
+    const memberIds1 = enriched1.memberIds || [enriched1.request.userId.toString()];
+    const memberIds2 = enriched2.memberIds || [enriched2.request.userId.toString()];
+
+    return (
+      memberIds2.some((id) => enriched1.blockedUserIds?.has(id)) ||
+      memberIds1.some((id) => enriched2.blockedUserIds?.has(id))
+    );
   }
 
   /**
    * Calculate compatibility between two requests
    */
-  calculateCompatibility(request1, request2, gameId) {
+  calculateCompatibility(request1, request2, gameId, settings = this.config) {
     const scores = {
       game: 0,
       gameMode: 0,
@@ -193,19 +625,21 @@ class MatchAlgorithmService {
       skill: 0
     };
 
-    // Game compatibility (must match for Sprint 5)
-    const game1 = request1.request.criteria.games.find(
-      (g) => g.gameId.toString() === gameId.toString()
-    );
-    const game2 = request2.request.criteria.games.find(
-      (g) => g.gameId.toString() === gameId.toString()
-    );
-
-    if (!game1 || !game2) {
+    // Both requests must list the game being matched
+    if (!this.findListedGame(request1, gameId) || !this.findListedGame(request2, gameId)) {
       return 0;
     }
     scores.game = 1.0;
 
+    // Scheduled requests only match others planning to play around the same time,
+    // when everyone involved is usually free
+    if (
+      !this.isScheduleCompatible(request1.request.criteria, request2.request.criteria) ||
+      !this.isAvailabilityCompatible(request1, request2)
+    ) {
+      return 0;
+    }
+
     // Game mode compatibility (must match)
     if (request1.request.criteria.gameMode === request2.request.criteria.gameMode) {
       scores.gameMode = 1.0;
@@ -213,8 +647,16 @@ class MatchAlgorithmService {
       return 0; // Different game modes cannot match
     }
 
-    // Region compatibility
-    scores.region = this.calculateRegionScore(request1.request.criteria, request2.request.criteria);
+    // Region compatibility; a max ping is a hard limit, unlike the other preferences
+    const criteria1 = request1.request.criteria;
+    const criteria2 = request2.request.criteria;
+    if (
+      !latencyService.isWithinMaxPing(criteria1, criteria2) ||
+      !latencyService.isWithinMaxPing(criteria2, criteria1)
+    ) {
+      return 0;
+    }
+    scores.region = this.calculateRegionScore(criteria1, criteria2);
 
     // Language compatibility (simplified for Sprint 5)
     scores.language = this.calculateLanguageScore(
@@ -223,7 +665,14 @@ class MatchAlgorithmService {
     );
 
     // Skill compatibility
-    scores.skill = this.calculateSkillScore(request1, request2, gameId);
+    scores.skill = this.calculateSkillScore(request1, request2, gameId, settings);
+
+    // Play style and play times only count when both sides have stated them
+    const competitiveness = this.calculateCompetitivenessScore(request1, request2);
+    if (competitiveness === 0) {
+      return 0;
+    }
+    const playTime = this.calculatePlayTimeScore(request1, request2);
 
     // Calculate weighted average
     const weights = {
@@ -231,23 +680,154 @@ class MatchAlgorithmService {
       gameMode: 0.2,
       region: 0.2,
       language: 0.1,
-      skill: 0.2
+      skill: 0.2,
+      competitiveness: 0.15,
+      playTime: 0.1
     };
 
-    const totalScore =
+    let totalScore =
       scores.game * weights.game +
       scores.gameMode * weights.gameMode +
       scores.region * weights.region +
       scores.language * weights.language +
       scores.skill * weights.skill;
+    let totalWeight =
+      weights.game + weights.gameMode + weights.region + weights.language + weights.skill;
+
+    if (competitiveness !== null) {
+      totalScore += competitiveness * weights.competitiveness;
+      totalWeight += weights.competitiveness;
+    }
+    if (playTime !== null) {
+      totalScore += playTime * weights.playTime;
+      totalWeight += weights.playTime;
+    }
+
+    return this.applyTeammateVerdicts(request1, request2, totalScore / totalWeight);
+  }
+
+  /**
+   * Lower a pair's score when either side recently marked someone on the other to avoid,
+   * otherwise raise it when either opted in to playing again with someone they commended
+   */
+  applyTeammateVerdicts(enriched1, enriched2, score) {
+    const memberIds1 = enriched1.memberIds || [enriched1.request.userId?.toString()];
+    const memberIds2 = enriched2.memberIds || [enriched2.request.userId?.toString()];
+    const { avoidFactor, preferBonus } = teammateService.config;
+    // eslint-disable-next-line security/detect-object-injection
+    const marks = (enriched, key, others) => others.some((id) => enriched[key]?.has(id));
+
+    if (
+      marks(enriched1, 'avoidUserIds', memberIds2) ||
+      marks(enriched2, 'avoidUserIds', memberIds1)
+    ) {
+      return score * avoidFactor;
+    }
+    if (
+      marks(enriched1, 'preferredUserIds', memberIds2) ||
+      marks(enriched2, 'preferredUserIds', memberIds1)
+    ) {
+      return Math.min(1, score + preferBonus);
+    }
+    return score;
+  }
+
+  /**
+   * How closely two requests want to play seriously, or null if either has not said.
+   * Parties use their members' average. Casual players only meet competitive ones once
+   * either side's criteria have relaxed.
+   */
+  calculateCompetitivenessScore(enriched1, enriched2) {
+    const level1 = this.getCompetitivenessLevel(enriched1);
+    const level2 = this.getCompetitivenessLevel(enriched2);
+    if (level1 === null || level2 === null) {
+      return null;
+    }
+
+    const gap = Math.abs(level1 - level2);
+    if (gap >= 2) {
+      const relaxed =
+        Math.max(enriched1.request.relaxationLevel || 0, enriched2.request.relaxationLevel || 0) >
+        0;
+      return relaxed ? 0.2 : 0;
+    }
+    return 1 - gap * 0.4;
+  }
+
+  /**
+   * Average competitiveness of a request's players, from 0 (casual) to 2 (competitive)
+   */
+  getCompetitivenessLevel(enriched) {
+    const levels = this.getParticipantUsers(enriched)
+      .map((user) => COMPETITIVENESS_LEVELS.get(user?.gamingPreferences?.competitiveness))
+      .filter((level) => level !== undefined);
+
+    if (levels.length === 0) {
+      return null;
+    }
+    return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  }
+
+  /**
+   * How much the leaders' weekly play times overlap, or null if either has not said.
+   * Timezones are resolved as of the scheduled time, if any.
+   */
+  calculatePlayTimeScore(enriched1, enriched2) {
+    const at =
+      enriched1.request.criteria.scheduledTime ||
+      enriched2.request.criteria.scheduledTime ||
+      new Date();
+
+    return availabilityService.getOverlapScore(
+      enriched1.user?.gamingPreferences?.playTimePreferences,
+      enriched2.user?.gamingPreferences?.playTimePreferences,
+      new Date(at)
+    );
+  }
 
-    return totalScore;
+  /**
+   * Check every player of two scheduled requests usually plays at both scheduled times
+   */
+  isAvailabilityCompatible(enriched1, enriched2) {
+    const times = [
+      enriched1.request.criteria.scheduledTime,
+      enriched2.request.criteria.scheduledTime
+    ].filter(Boolean);
+
+    return [enriched1, enriched2]
+      .flatMap((enriched) => this.getParticipantUsers(enriched))
+      .every((user) =>
+        times.every((time) =>
+          availabilityService.isAvailableAt(user?.gamingPreferences?.playTimePreferences, time)
+        )
+      );
+  }
+
+  /**
+   * Check two requests are both for now, or both scheduled within the tolerance window
+   */
+  isScheduleCompatible(criteria1, criteria2) {
+    const time1 = criteria1.scheduledTime;
+    const time2 = criteria2.scheduledTime;
+    if (!time1 || !time2) {
+      return !time1 && !time2;
+    }
+    return (
+      Math.abs(new Date(time1).getTime() - new Date(time2).getTime()) <=
+      this.config.scheduleToleranceMs
+    );
   }
 
   /**
    * Calculate region compatibility score
    */
   calculateRegionScore(criteria1, criteria2) {
+    // Players who measured a region in common are scored on the slower side's ping there
+    const shared = latencyService.getSharedPing(criteria1.regionPings, criteria2.regionPings);
+    if (shared) {
+      return latencyService.getLatencyScore(shared.pingMs);
+    }
+
     const regions1 = new Set(criteria1.regions);
     const regions2 = new Set(criteria2.regions);
 
@@ -256,7 +836,9 @@ class MatchAlgorithmService {
 
     if (commonRegions.length === 0) {
       // No common regions
-      if (criteria1.regionPreference === 'strict' || criteria2.regionPreference === 'strict') {
+      const isStrict = (criteria) =>
+        criteria.regionPreference === 'strict' || criteria.regionPreference === 'max_ping';
+      if (isStrict(criteria1) || isStrict(criteria2)) {
         return 0;
       }
       if (criteria1.regionPreference === 'any' && criteria2.regionPreference === 'any') {
@@ -292,34 +874,29 @@ class MatchAlgorithmService {
   /**
    * Calculate skill compatibility score
    */
-  calculateSkillScore(enriched1, enriched2, gameId) {
-    const user1 = enriched1.user;
-    const user2 = enriched2.user;
-
-    if (!user1 || !user2) {
+  calculateSkillScore(enriched1, enriched2, gameId, settings = this.config) {
+    if (!enriched1.user || !enriched2.user) {
       return 0.5;
     }
 
-    // Get game profiles
-    const profile1 = user1.gameProfiles?.find((p) => p.gameId.toString() === gameId.toString());
-    const profile2 = user2.gameProfiles?.find((p) => p.gameId.toString() === gameId.toString());
+    const skill1 = this.getSkillLevel(enriched1, gameId);
+    const skill2 = this.getSkillLevel(enriched2, gameId);
 
-    if (!profile1?.skillLevel || !profile2?.skillLevel) {
+    if (!skill1 || !skill2) {
       return 0.5; // No skill data available
     }
 
     // Calculate skill difference
-    const skillDiff = Math.abs(profile1.skillLevel - profile2.skillLevel);
+    const skillDiff = Math.abs(skill1 - skill2);
     const relaxationLevel = Math.max(
       enriched1.request.relaxationLevel,
       enriched2.request.relaxationLevel
     );
 
     // Get allowed skill range based on relaxation
-    const allowedRange =
-      this.config.skillRangeTiers[
-        Math.min(relaxationLevel, this.config.skillRangeTiers.length - 1)
-      ];
+    const allowedRange = settings.skillRangeTiers.at(
+      Math.min(relaxationLevel, settings.skillRangeTiers.length - 1)
+    );
 
     if (skillDiff <= allowedRange) {
       // Within range - higher score for closer skills
@@ -338,13 +915,52 @@ class MatchAlgorithmService {
     return 0; // Too far apart
   }
 
+  /**
+   * Skill level of an enriched request for a game; parties use their members' average.
+   * Ratings earned from match results take precedence over self-reported skill.
+   */
+  getSkillLevel(enriched, gameId) {
+    const levels = this.getParticipantUsers(enriched)
+      .map((user) => {
+        const profile = user?.gameProfiles?.find((p) => p.gameId.toString() === gameId.toString());
+        if (typeof profile?.rating === 'number') {
+          return ratingService.ratingToSkillLevel(profile.rating);
+        }
+        return profile?.skillLevel;
+      })
+      .filter(Boolean);
+
+    if (levels.length === 0) {
+      return null;
+    }
+
+    return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  }
+
   /**
    * Create a match from compatible participants
    */
-  async createMatch(participants, gameId, gameMode, region) {
+  async createMatch(participants, gameId, gameMode, region, options = {}) {
     try {
       // Calculate match quality metrics
-      const matchQuality = this.calculateMatchQuality(participants);
+      const matchQuality = this.calculateMatchQuality(participants, gameId);
+
+      const lineup = this.assignTeams(participants, gameId, options.roleSlots);
+      if (!lineup) {
+        throw new Error('Players cannot fill every role slot on each team');
+      }
+      matchQuality.teamSkillGap = lineup.ratingGap;
+      const roles = lineup.roles || options.roles;
+
+      // One entry per player, so party members all get a seat in the lobby
+      const players = participants.flatMap((p, index) =>
+        this.getParticipantUsers(p).map((user, memberIndex) => ({
+          user,
+          request: p.request,
+          team: lineup.teams.at(index),
+          role: roles?.at(index)?.at(memberIndex)
+        }))
+      );
 
       // Create match history entry
       const matchHistory = new MatchHistory({
@@ -352,9 +968,12 @@ class MatchAlgorithmService {
         gameMode,
         region,
         matchQuality,
-        participants: participants.map((p) => ({
+        gameSelection: options.gameSelection,
+        participants: players.map((p) => ({
           userId: p.user._id,
-          requestId: p.request._id
+          requestId: p.request._id,
+          team: p.team,
+          role: p.role
         }))
       });
 
@@ -378,16 +997,18 @@ class MatchAlgorithmService {
         gameId,
         gameMode,
         region,
-        participantCount: participants.length,
+        participantCount: players.length,
         matchQuality: matchQuality.overallScore
       });
 
       return {
         matchHistory,
-        participants: participants.map((p) => ({
+        participants: players.map((p) => ({
           userId: p.user._id,
           username: p.user.username,
-          requestId: p.request._id
+          requestId: p.request._id,
+          team: p.team,
+          role: p.role
         }))
       };
     } catch (error) {
@@ -400,13 +1021,240 @@ class MatchAlgorithmService {
   }
 
   /**
-   * Calculate overall match quality
+   * Split participants into rating-balanced teams, keeping each party on one team.
+   * With role slots each team also gets its share of every role. Returns the team number
+   * for each participant, in order, the resulting rating gap and, with role slots, each
+   * participant's member roles; or null if the roles cannot be shared out between teams.
+   */
+  assignTeams(participants, gameId, roleSlots = []) {
+    const units = participants.map((participant) => ({
+      ratings: this.getParticipantUsers(participant).map((user) =>
+        ratingService.getRating(
+          user?.gameProfiles?.find((p) => p.gameId.toString() === gameId?.toString())
+        )
+      )
+    }));
+
+    if (roleSlots.length > 0) {
+      return this.balanceRoleTeams(participants, units, roleSlots);
+    }
+
+    const teams = this.balanceTeams(units);
+    return { teams, ratingGap: this.getTeamRatingGap(this.summariseTeams(units, teams)) };
+  }
+
+  /**
+   * Share role slots out between teams: each team gets an even share of every role, and
+   * seats left over from a role that does not divide evenly can go to any team
+   */
+  splitRoleSlots(roleSlots, teamCount) {
+    return roleSlots.flatMap(({ role, count }) => {
+      const share = Math.floor(count / teamCount);
+      const teamShares =
+        share > 0
+          ? Array.from({ length: teamCount }, (_, index) => ({
+              role,
+              count: share,
+              team: index + 1
+            }))
+          : [];
+      const leftover = count % teamCount;
+      return leftover > 0 ? [...teamShares, { role, count: leftover }] : teamShares;
+    });
+  }
+
+  /**
+   * Find the split into teams of even headcount with the smallest rating gap in which
+   * every team fills its share of the role slots. Groups with roles are small enough to
+   * try every split. With `random` the first split found in a shuffled order is taken,
+   * ignoring ratings. Returns the team number and member roles for each participant, in
+   * order, with the rating gap, or null if no split seats everyone.
+   */
+  balanceRoleTeams(
+    participants,
+    units,
+    roleSlots,
+    teamCount = this.config.teamCount,
+    options = {}
+  ) {
+    const count = Math.max(1, Math.min(teamCount, units.length));
+    const teamSlots = this.splitRoleSlots(roleSlots, count);
+    const playerCount = units.reduce((sum, unit) => sum + unit.ratings.length, 0);
+    const maxTeamSize = Math.ceil(playerCount / count);
+    const order = units.map((_, index) => index);
+    if (options.random) {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        // eslint-disable-next-line security/detect-object-injection
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    order.sort((a, b) => units.at(b).ratings.length - units.at(a).ratings.length);
+    const assignment = new Array(units.length);
+    const sizes = new Array(count).fill(0);
+    let best = null;
+
+    const place = (position) => {
+      if (best && (options.random || best.ratingGap === 0)) {
+        return;
+      }
+      if (position === order.length) {
+        const teams = [...assignment];
+        const ratingGap = this.getTeamRatingGap(this.summariseTeams(units, teams));
+        const roles =
+          (!best || ratingGap < best.ratingGap) && this.assignRoles(participants, teamSlots, teams);
+        if (roles) {
+          best = { teams, roles, ratingGap };
+        }
+        return;
+      }
+
+      const index = order.at(position);
+      const size = units.at(index).ratings.length;
+      for (let team = 1; team <= count; team++) {
+        if (sizes.at(team - 1) + size > maxTeamSize) {
+          continue;
+        }
+        // eslint-disable-next-line security/detect-object-injection
+        assignment[index] = team;
+        sizes[team - 1] += size;
+        place(position + 1);
+        sizes[team - 1] -= size;
+        // Teams are interchangeable, so a unit only ever opens the first empty one
+        if (sizes.at(team - 1) === 0) {
+          break;
+        }
+      }
+    };
+
+    place(0);
+    return best;
+  }
+
+  /**
+   * Headcount and rating total per team for a team assignment
+   */
+  summariseTeams(units, assignment) {
+    const totals = new Map();
+    units.forEach((unit, index) => {
+      // eslint-disable-next-line security/detect-object-injection
+      const team = assignment[index];
+      const summary = totals.get(team) || { size: 0, total: 0 };
+      summary.size += unit.ratings.length;
+      summary.total += unit.ratings.reduce((sum, rating) => sum + rating, 0);
+      totals.set(team, summary);
+    });
+    return [...totals.values()];
+  }
+
+  /**
+   * Split units (solo players or parties, each with its members' ratings) into teams of
+   * even headcount whose average ratings are as close as possible. With `random` the
+   * headcount stays even but the split ignores ratings.
+   * Returns the team number for each unit, in order.
    */
-  calculateMatchQuality(participants) {
+  balanceTeams(units, teamCount = this.config.teamCount, options = {}) {
+    const count = Math.max(1, Math.min(teamCount, units.length));
+    const teams = Array.from({ length: count }, () => ({ size: 0, total: 0 }));
+    const entries = units.map((unit, index) => ({
+      index,
+      size: unit.ratings.length,
+      total: unit.ratings.reduce((sum, rating) => sum + rating, 0),
+      team: null
+    }));
+
+    if (options.random) {
+      for (let i = entries.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        // eslint-disable-next-line security/detect-object-injection
+        [entries[i], entries[j]] = [entries[j], entries[i]];
+      }
+      entries.sort((a, b) => b.size - a.size);
+    } else {
+      entries.sort((a, b) => b.size - a.size || b.total - a.total);
+    }
+
+    // Largest and strongest first, each onto the smallest team (weakest on ties)
+    entries.forEach((entry) => {
+      const target = teams.reduce((best, candidate) =>
+        candidate.size < best.size ||
+        (!options.random && candidate.size === best.size && candidate.total < best.total)
+          ? candidate
+          : best
+      );
+      entry.team = teams.indexOf(target);
+      target.size += entry.size;
+      target.total += entry.total;
+    });
+
+    if (!options.random) {
+      this.improveTeamBalance(entries, teams);
+    }
+
+    const assignment = new Array(units.length);
+    entries.forEach((entry) => {
+      assignment[entry.index] = entry.team + 1;
+    });
+    return assignment;
+  }
+
+  /**
+   * Swap equally sized units between teams while doing so narrows the rating gap
+   */
+  improveTeamBalance(entries, teams, maxPasses = 10) {
+    const gap = () => this.getTeamRatingGap(teams);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+      let improved = false;
+
+      for (const a of entries) {
+        for (const b of entries) {
+          if (a.team === b.team || a.size !== b.size || a.total === b.total) {
+            continue;
+          }
+
+          const before = gap();
+          teams[a.team].total += b.total - a.total;
+          teams[b.team].total += a.total - b.total;
+
+          if (gap() < before) {
+            [a.team, b.team] = [b.team, a.team];
+            improved = true;
+          } else {
+            teams[a.team].total -= b.total - a.total;
+            teams[b.team].total -= a.total - b.total;
+          }
+        }
+      }
+
+      if (!improved) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Difference between the highest and lowest average team rating
+   */
+  getTeamRatingGap(teams) {
+    const averages = teams.filter((t) => t.size > 0).map((t) => t.total / t.size);
+    if (averages.length < 2) {
+      return 0;
+    }
+    return Math.round(Math.max(...averages) - Math.min(...averages));
+  }
+
+  /**
+   * Calculate overall match quality for participants matched on a game
+   */
+  calculateMatchQuality(participants, gameId) {
     let totalSkillBalance = 0;
     let totalRegionCompat = 0;
     let totalLangCompat = 0;
     let comparisons = 0;
+    // Preference factors are averaged over the pairs that stated them
+    const competitivenessScores = [];
+    const playTimeScores = [];
 
     // Compare all pairs
     participants.forEach((p1, index) => {
@@ -419,54 +1267,58 @@ class MatchAlgorithmService {
           );
           return;
         }
-        // Ensure primary game can be determined for skill score calculation
-        const primaryGame1 = p1.request.getPrimaryGame ? p1.request.getPrimaryGame() : null;
-        const primaryGame2 = p2.request.getPrimaryGame ? p2.request.getPrimaryGame() : null;
-
-        if (
-          !primaryGame1 ||
-          !primaryGame1.gameId ||
-          !primaryGame2 ||
-          !primaryGame2.gameId ||
-          primaryGame1.gameId.toString() !== primaryGame2.gameId.toString()
-        ) {
-          logger.warn(
-            'Skipping skill score in calculateMatchQuality due to missing or mismatched primary game IDs',
-            { p1_game: primaryGame1?.gameId, p2_game: primaryGame2?.gameId }
-          );
-          totalSkillBalance += 0.5; // Neutral score if games mismatch or no info
-        } else {
-          totalSkillBalance += this.calculateSkillScore(p1, p2, primaryGame1.gameId);
-        }
+        // Skill is compared on the game the match was formed on
+        totalSkillBalance += this.calculateSkillScore(p1, p2, gameId);
 
         // Calculate individual compatibility scores
         totalRegionCompat += this.calculateRegionScore(p1.request.criteria, p2.request.criteria);
         totalLangCompat += this.calculateLanguageScore(p1.request.criteria, p2.request.criteria);
         comparisons++;
+
+        const competitiveness = this.calculateCompetitivenessScore(p1, p2);
+        if (competitiveness !== null) {
+          competitivenessScores.push(competitiveness);
+        }
+        const playTime = this.calculatePlayTimeScore(p1, p2);
+        if (playTime !== null) {
+          playTimeScores.push(playTime);
+        }
       });
     });
 
     const avgRegion = comparisons > 0 ? totalRegionCompat / comparisons : 0;
     const avgLang = comparisons > 0 ? totalLangCompat / comparisons : 0;
     const avgSkill = comparisons > 0 ? totalSkillBalance / comparisons : 0;
+    const average = (scores) =>
+      scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+    const avgCompetitiveness = average(competitivenessScores);
+    const avgPlayTime = average(playTimeScores);
+
+    const factors = [avgRegion, avgLang, avgSkill, avgCompetitiveness, avgPlayTime].filter(
+      (score) => score !== null
+    );
+    const percent = (score) => (score === null ? null : Math.round(score * 100));
 
     return {
       regionCompatibility: Math.round(avgRegion * 100),
       languageCompatibility: Math.round(avgLang * 100),
       skillBalance: Math.round(avgSkill * 100),
-      overallScore: Math.round(((avgRegion + avgLang + avgSkill) / 3) * 100)
+      competitivenessMatch: percent(avgCompetitiveness),
+      playTimeOverlap: percent(avgPlayTime),
+      overallScore: Math.round(
+        (factors.reduce((sum, score) => sum + score, 0) / factors.length) * 100
+      )
     };
   }
 
   /**
-   * Apply criteria relaxation to long-waiting requests
+   * Apply criteria relaxation to long-waiting requests, on the intervals in `settings`
    */
-  async applyCriteriaRelaxation(request) {
+  async applyCriteriaRelaxation(request, settings = this.config) {
     const waitTime = request.searchDuration; // This is a virtual, ensure it's accessed correctly
-    const relaxationIntervals = [30000, 60000, 120000, 180000, 300000]; // 30s, 1m, 2m, 3m, 5m
 
     let newRelaxationLevel = 0;
-    relaxationIntervals.forEach((interval, index) => {
+    settings.relaxationIntervals.forEach((interval, index) => {
       if (waitTime >= interval) {
         newRelaxationLevel = index + 1;
       }
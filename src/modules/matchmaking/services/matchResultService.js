@@ -0,0 +1,161 @@
+const MatchHistory = require('../models/MatchHistory');
+const Lobby = require('../../lobby/models/Lobby');
+const ratingService = require('./ratingService');
+const lockManager = require('../../../services/redis/lockManager');
+const socketManager = require('../../../services/socketManager');
+const config = require('../../../config');
+const {
+  NotFoundError,
+  BadRequestError,
+  AuthorizationError,
+  ConflictError
+} = require('../../../utils/errors');
+const logger = require('../../../utils/logger').forModule('matchmaking:result');
+
+class MatchResultService {
+  /**
+   * Record a participant's view of the match result.
+   * A result is only confirmed once players from every team report the same outcomes;
+   * conflicting reports mark it disputed and no ratings change.
+   */
+  async reportResult(matchId, userId, outcomes) {
+    const lock = await lockManager.acquire(`match:${matchId}:result`, config.redis.lockTTL);
+    if (!lock) {
+      throw new ConflictError('Another result is being recorded for this match, please retry');
+    }
+
+    try {
+      const match = await MatchHistory.findById(matchId);
+      if (!match) {
+        throw new NotFoundError('Match not found');
+      }
+
+      const participant = match.participants.find(
+        (p) => p.userId.toString() === userId && p.status === 'active'
+      );
+      if (!participant) {
+        throw new AuthorizationError('Only match participants can report results');
+      }
+
+      await this.assertReportable(match);
+
+      if (match.getResultReport(userId)) {
+        throw new ConflictError('You have already reported a result for this match');
+      }
+
+      const teams = match.getTeams();
+      this.validateOutcomes(teams, outcomes);
+
+      match.resultReports.push({ userId, outcomes, submittedAt: new Date() });
+      this.evaluateReports(match, teams);
+      await match.save();
+
+      if (match.result.status === 'confirmed') {
+        await ratingService.applyMatchResult(match);
+      }
+
+      socketManager.emitToUsers([...teams.values()].flat(), 'match:result:updated', {
+        matchId: match._id,
+        status: match.result.status,
+        reportCount: match.resultReports.length
+      });
+
+      logger.info('Match result reported', {
+        matchId,
+        userId,
+        resultStatus: match.result.status
+      });
+
+      return match.result;
+    } catch (error) {
+      logger.error('Failed to report match result', {
+        error: error.message,
+        matchId,
+        userId
+      });
+      throw error;
+    } finally {
+      await lockManager.release(lock);
+    }
+  }
+
+  /**
+   * Check the match came from matchmaking, has started and is still open for reports
+   */
+  async assertReportable(match) {
+    if (!match.lobbyId) {
+      throw new BadRequestError('Results can only be reported for matchmade lobbies');
+    }
+
+    const lobby = await Lobby.findById(match.lobbyId).select('status');
+    if (!lobby || !['active', 'closed'].includes(lobby.status)) {
+      throw new BadRequestError('Results can only be reported once the game has started');
+    }
+
+    if (match.result?.status === 'confirmed') {
+      throw new ConflictError('Match result has already been confirmed');
+    }
+    if (match.result?.status === 'disputed') {
+      throw new BadRequestError('Match result is disputed and awaiting review');
+    }
+  }
+
+  /**
+   * Check a report names every team exactly once and is internally consistent
+   */
+  validateOutcomes(teams, outcomes) {
+    if (teams.size < 2) {
+      throw new BadRequestError('Match has no teams to report results for');
+    }
+
+    const reportedTeams = new Set(outcomes.map((o) => o.team));
+    if (
+      reportedTeams.size !== outcomes.length ||
+      reportedTeams.size !== teams.size ||
+      ![...teams.keys()].every((team) => reportedTeams.has(team))
+    ) {
+      throw new BadRequestError('Report an outcome for every team in the match');
+    }
+
+    const distinctOutcomes = new Set(outcomes.map((o) => o.outcome));
+    if (distinctOutcomes.size === 1 && !distinctOutcomes.has('draw')) {
+      throw new BadRequestError('Every team cannot have the same outcome unless it is a draw');
+    }
+  }
+
+  /**
+   * Confirm the result once every team agrees, or mark it disputed on any disagreement
+   */
+  evaluateReports(match, teams) {
+    const [first, ...others] = match.resultReports;
+    const key = (report) =>
+      report.outcomes
+        .map((o) => `${o.team}:${o.outcome}`)
+        .sort()
+        .join(',');
+
+    if (others.some((report) => key(report) !== key(first))) {
+      match.result.status = 'disputed';
+      logger.warn('Conflicting match result reports', {
+        matchId: match._id,
+        reportCount: match.resultReports.length
+      });
+      return;
+    }
+
+    const reporters = new Set(match.resultReports.map((r) => r.userId.toString()));
+    const everyTeamReported = [...teams.values()].every((members) =>
+      members.some((userId) => reporters.has(userId))
+    );
+
+    if (everyTeamReported) {
+      match.result.status = 'confirmed';
+      match.result.outcomes = first.outcomes;
+      match.result.confirmedAt = new Date();
+      match.status = 'completed';
+      match.completedAt = new Date();
+    }
+  }
+}
+
+module.exports = new MatchResultService();
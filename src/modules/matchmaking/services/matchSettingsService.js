@@ -0,0 +1,196 @@
+const Game = require('../../game/models/Game');
+const MatchRequest = require('../models/MatchRequest');
+const config = require('../../../config');
+const logger = require('../../../utils/logger').forModule('matchmaking:settings');
+const { NotFoundError, BadRequestError } = require('../../../utils/errors');
+
+const SETTING_FIELDS = [
+  'minGroupSize',
+  'maxGroupSize',
+  'skillRangeTiers',
+  'compatibilityThreshold',
+  'relaxationIntervals'
+];
+
+class MatchSettingsService {
+  constructor() {
+    this.config = {
+      defaults: config.matchmaking.defaults,
+      // Other instances pick up admin changes within this long
+      cacheTtlMs: 30 * 1000
+    };
+    this.cache = new Map();
+  }
+
+  /**
+   * Matching settings in effect for a game and mode
+   */
+  async getSettings(gameId, gameMode, now = Date.now()) {
+    const game = await this.getGame(gameId, now);
+    return this.resolveSettings(game, gameMode);
+  }
+
+  /**
+   * Matching settings for each game, keyed by game id, as `findMatches` takes them
+   */
+  async getSettingsByGame(gameIds, gameMode) {
+    const settings = await Promise.all(gameIds.map((id) => this.getSettings(id, gameMode)));
+    // eslint-disable-next-line security/detect-object-injection
+    return new Map(gameIds.map((id, index) => [id.toString(), settings[index]]));
+  }
+
+  /**
+   * Layer the defaults, the game's player counts, its game-wide overrides and finally the
+   * mode's own overrides
+   */
+  resolveSettings(game, gameMode) {
+    const settings = { ...this.config.defaults };
+    const { minPlayers, maxPlayers } = game?.multiplayer || {};
+    if (minPlayers >= 2) {
+      settings.minGroupSize = minPlayers;
+    }
+    settings.maxGroupSize =
+      maxPlayers >= 2 ? maxPlayers : Math.max(settings.maxGroupSize, settings.minGroupSize);
+
+    const overrides = game?.maogaData?.matchmakingSettings || [];
+    for (const scope of ['all', gameMode]) {
+      const override = overrides.find((entry) => entry.gameMode === scope);
+      SETTING_FIELDS.forEach((field) => {
+        // eslint-disable-next-line security/detect-object-injection
+        const value = override?.[field];
+        if (value !== undefined && value !== null && !(Array.isArray(value) && !value.length)) {
+          // eslint-disable-next-line security/detect-object-injection
+          settings[field] = value;
+        }
+      });
+    }
+
+    return settings;
+  }
+
+  /**
+   * Shortest wait before any game relaxes its criteria. Intervals only increase, so the
+   * smallest value stored anywhere is the earliest first relaxation.
+   */
+  async getShortestRelaxationInterval() {
+    const overrides = await Game.distinct('maogaData.matchmakingSettings.relaxationIntervals');
+    return Math.min(...this.config.defaults.relaxationIntervals.slice(0, 1), ...overrides);
+  }
+
+  /**
+   * Game fields settings are resolved from, cached briefly since every queue pass asks
+   */
+  async getGame(gameId, now = Date.now()) {
+    const key = gameId.toString();
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > now) {
+      return cached.game;
+    }
+
+    const game = await Game.findById(gameId)
+      .select('multiplayer.minPlayers multiplayer.maxPlayers maogaData.matchmakingSettings')
+      .lean();
+    this.cache.set(key, { game, expiresAt: now + this.config.cacheTtlMs });
+
+    return game;
+  }
+
+  /**
+   * A game's overrides and the settings they result in for every mode
+   */
+  async getGameSettings(gameId) {
+    const game = await Game.findById(gameId)
+      .select('name multiplayer.minPlayers multiplayer.maxPlayers maogaData.matchmakingSettings')
+      .lean();
+    if (!game) {
+      throw new NotFoundError('Game not found');
+    }
+
+    return this.describeSettings(game);
+  }
+
+  /**
+   * Replace the overrides for one mode of a game, or the game-wide ones with 'all'.
+   * Empty settings remove the overrides. Takes effect from the next queue pass.
+   */
+  async updateGameSettings(gameId, gameMode, settings) {
+    try {
+      const game = await Game.findById(gameId)
+        .select('name multiplayer.minPlayers multiplayer.maxPlayers maogaData.matchmakingSettings')
+        .lean();
+      if (!game) {
+        throw new NotFoundError('Game not found');
+      }
+
+      const overrides = (game.maogaData?.matchmakingSettings || []).filter(
+        (entry) => entry.gameMode !== gameMode
+      );
+      if (Object.keys(settings).length > 0) {
+        overrides.push({ gameMode, ...settings });
+      }
+
+      const updated = { ...game, maogaData: { ...game.maogaData, matchmakingSettings: overrides } };
+      this.validateSettings(updated);
+
+      await Game.updateOne(
+        { _id: gameId },
+        { $set: { 'maogaData.matchmakingSettings': overrides } },
+        { runValidators: true }
+      );
+      this.cache.delete(gameId.toString());
+
+      logger.info('Game matchmaking settings updated', { gameId, gameMode, settings });
+
+      return this.describeSettings(updated);
+    } catch (error) {
+      logger.error('Failed to update game matchmaking settings', {
+        error: error.message,
+        gameId,
+        gameMode
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject overrides that leave any mode unable to form groups or relaxing out of order
+   */
+  validateSettings(game) {
+    const isAscending = (values) => values.every((value, i) => i === 0 || value > values.at(i - 1));
+
+    for (const settings of Object.values(this.describeSettings(game).modes)) {
+      if (settings.minGroupSize > settings.maxGroupSize) {
+        throw new BadRequestError('Minimum group size cannot be greater than maximum');
+      }
+      if (!isAscending(settings.relaxationIntervals)) {
+        throw new BadRequestError('Relaxation intervals must be in increasing order');
+      }
+      if (!isAscending(settings.skillRangeTiers)) {
+        throw new BadRequestError('Skill range tiers must widen with each relaxation level');
+      }
+    }
+  }
+
+  /**
+   * Overrides as stored, with the settings in effect for each mode
+   */
+  describeSettings(game) {
+    const modes = MatchRequest.schema.path('criteria.gameMode').enumValues;
+
+    return {
+      gameId: game._id,
+      name: game.name,
+      overrides: game.maogaData?.matchmakingSettings || [],
+      modes: Object.fromEntries(modes.map((mode) => [mode, this.resolveSettings(game, mode)]))
+    };
+  }
+
+  /**
+   * Drop cached games so the next lookups read current settings
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new MatchSettingsService();
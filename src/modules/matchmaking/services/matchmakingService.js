@@ -6,6 +6,14 @@ const User = require('../../auth/models/User');
 const Game = require('../../game/models/Game');
 const queueManager = require('./queueManager');
 const matchAlgorithmService = require('./matchAlgorithmService');
+const scheduledMatchService = require('./scheduledMatchService');
+const matchAcceptService = require('./matchAcceptService');
+const waitTimeService = require('./waitTimeService');
+const matchSettingsService = require('./matchSettingsService');
+const penaltyService = require('./penaltyService');
+const backfillService = require('./backfillService');
+const latencyService = require('./latencyService');
+const friendService = require('../../social/services/friendService');
 const lockManager = require('../../../services/redis/lockManager');
 const { NotFoundError, BadRequestError, ConflictError } = require('../../../utils/errors');
 const logger = require('../../../utils/logger').forModule('matchmaking:service');
@@ -13,6 +21,9 @@ const socketManager = require('../../../services/socketManager');
 const config = require('../../../config');
 const notificationService = require('../../notification/services/notificationService');
 
+const PARTY_CONFIRM_WINDOW_MS = 5 * 60 * 1000;
+const PARTY_EXPIRY_BATCH_SIZE = 500;
+
 class MatchmakingService {
   constructor() {
     this.isProcessing = false;
@@ -41,7 +52,7 @@ class MatchmakingService {
 
       logger.debug(`Attempting to submit match request for userId: ${userId}`, { criteria });
 
-      const existingRequestQuery = MatchRequest.findActiveByUser(userId);
+      const existingRequestQuery = MatchRequest.findActiveByMember(userId);
       if (session) {
         existingRequestQuery.session(session);
       }
@@ -65,6 +76,8 @@ class MatchmakingService {
         throw new BadRequestError('User is not eligible for matchmaking');
       }
 
+      penaltyService.assertCanQueue([user]);
+
       if (!criteria.games || criteria.games.length === 0) {
         throw new BadRequestError('At least one game must be specified');
       }
@@ -86,15 +99,48 @@ class MatchmakingService {
         throw new BadRequestError(`Invalid game IDs: ${missingGameIds.join(', ')}`);
       }
 
+      this.validateRoles(criteria.roles, games);
+
+      const { preselectedUsers = [], ...matchCriteria } = criteria;
+      const partyMemberIds = [...new Set(preselectedUsers.map((id) => id.toString()))];
+
+      // Measured pings put the fastest region first, which is the queue the request joins
+      const regions = latencyService.rankRegions({
+        ...matchCriteria,
+        regions: criteria.regions || user.gamingPreferences?.regions || ['ANY']
+      });
+      if (regions.length === 0 && matchCriteria.regionPreference === 'max_ping') {
+        throw new BadRequestError('None of the selected regions are within your max ping');
+      }
+
       const matchRequest = new MatchRequest({
         userId,
         criteria: {
-          ...criteria,
+          ...matchCriteria,
           languages: criteria.languages || user.gamingPreferences?.languages || ['en'],
-          regions: criteria.regions || user.gamingPreferences?.regions || ['ANY']
+          regions
         }
       });
 
+      // Scheduled requests wait for partners until their play session starts
+      if (matchRequest.isScheduled()) {
+        matchRequest.matchExpireTime = matchRequest.criteria.scheduledTime;
+      }
+
+      if (partyMemberIds.length > 0) {
+        await this.validatePartyMembers(
+          userId,
+          partyMemberIds,
+          matchRequest.criteria.groupSize,
+          games.map((game) => matchSettingsService.resolveSettings(game, criteria.gameMode))
+        );
+
+        // The party only enters the queue once every member has confirmed
+        matchRequest.status = 'pending';
+        matchRequest.preselectedUsers = partyMemberIds;
+        matchRequest.partyConfirmBy = new Date(Date.now() + PARTY_CONFIRM_WINDOW_MS);
+      }
+
       await matchRequest.save(sessionOptions);
       logger.info('Match request saved to DB', { requestId: matchRequest._id, userId });
       return matchRequest;
@@ -163,31 +209,307 @@ class MatchmakingService {
       );
     }
 
+    if (matchRequest.status === 'pending') {
+      await this.notifyPartyInvites(matchRequest);
+
+      logger.info('Party match request created and awaiting confirmation', {
+        requestId: matchRequest._id,
+        userId,
+        partySize: matchRequest.partySize
+      });
+
+      return matchRequest;
+    }
+
+    await this.enqueueRequest(matchRequest);
+
+    logger.info('Match request submitted successfully', {
+      requestId: matchRequest._id,
+      userId,
+      primaryGame: matchRequest.getPrimaryGame()?.gameId,
+      gameMode: matchRequest.criteria.gameMode,
+      transactionFallback: usedTransactionFallback
+    });
+
+    return matchRequest;
+  }
+
+  /**
+   * Add a persisted request to the queue, cancelling it if the queue rejects it
+   */
+  async enqueueRequest(matchRequest, options = {}) {
+    // Scheduled requests are matched by the scheduled matchmaking job, not the live queue
+    if (matchRequest.isScheduled()) {
+      return;
+    }
+
     try {
-      await queueManager.addRequest(matchRequest);
+      await queueManager.addRequest(matchRequest, options);
     } catch (error) {
       logger.error('Failed to add request to queue after DB persistence', {
         errorName: error.name,
         errorMessage: error.message,
         requestId: matchRequest?._id,
-        userId
+        userId: matchRequest?.userId
       });
       await MatchRequest.updateOne(
         { _id: matchRequest?._id, status: 'searching' },
-        { status: 'cancelled' }
+        { status: 'cancelled', cancelReason: 'queue_failed' }
       );
       throw error;
     }
+  }
 
-    logger.info('Match request submitted successfully', {
-      requestId: matchRequest._id,
-      userId,
-      primaryGame: matchRequest.getPrimaryGame()?.gameId,
-      gameMode: matchRequest.criteria.gameMode,
-      transactionFallback: usedTransactionFallback
+  /**
+   * Check requested roles exist in at least one of the selected games
+   */
+  validateRoles(roles, games) {
+    const requested = [...(roles?.preferred || []), ...(roles?.acceptable || [])];
+    if (requested.length === 0) {
+      return;
+    }
+
+    const knownRoles = new Set(
+      games.flatMap((game) => (game.maogaData?.roleSlots || []).map((slot) => slot.role))
+    );
+    if (knownRoles.size === 0) {
+      throw new BadRequestError('None of the selected games use roles');
+    }
+
+    const unknownRoles = [...new Set(requested)].filter((role) => !knownRoles.has(role));
+    if (unknownRoles.length > 0) {
+      throw new BadRequestError(`Unknown roles: ${unknownRoles.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check that invited party members can queue with the leader. `gameSettings` holds the
+   * matching settings of each selected game; the party has to fit a match in one of them.
+   */
+  async validatePartyMembers(leaderId, memberIds, groupSize, gameSettings) {
+    if (memberIds.includes(leaderId.toString())) {
+      throw new BadRequestError('You cannot add yourself to your own party');
+    }
+
+    const gameMaxGroupSize = Math.max(...gameSettings.map((settings) => settings.maxGroupSize));
+    const maxGroupSize = Math.min(groupSize?.max || gameMaxGroupSize, gameMaxGroupSize);
+    if (memberIds.length + 1 >= maxGroupSize) {
+      throw new BadRequestError('Party must leave room for at least one more player');
+    }
+
+    const members = await User.find({ _id: { $in: memberIds }, status: 'active' }).select(
+      '_id matchmakingRestrictions'
+    );
+    if (members.length !== memberIds.length) {
+      throw new BadRequestError('One or more party members are not eligible for matchmaking');
+    }
+
+    penaltyService.assertCanQueue(members, { party: true });
+
+    for (const memberId of memberIds) {
+      if (!(await friendService.areFriends(leaderId, memberId))) {
+        throw new BadRequestError('You can only queue with friends');
+      }
+      if (await MatchRequest.findActiveByMember(memberId)) {
+        throw new ConflictError('A party member already has an active matchmaking request');
+      }
+    }
+  }
+
+  /**
+   * Confirm a party invite; the last confirmation puts the party in the queue
+   */
+  async acceptPartyInvite(userId, requestId) {
+    try {
+      const invited = await this.getPartyRequestForMember(userId, requestId, ['pending']);
+
+      if (invited.partyConfirmBy && invited.partyConfirmBy <= new Date()) {
+        invited.status = 'expired';
+        await invited.save();
+        this.notifyPartyUpdate(invited);
+        throw new BadRequestError('Party invite has expired');
+      }
+
+      if (await MatchRequest.findActiveByMember(userId, invited._id)) {
+        throw new ConflictError('User already has an active matchmaking request');
+      }
+
+      // Confirm atomically so concurrent confirmations cannot queue the party twice
+      let request = await MatchRequest.findOneAndUpdate(
+        { _id: invited._id, status: 'pending' },
+        { $addToSet: { confirmedUsers: userId } },
+        { new: true }
+      );
+      if (!request) {
+        throw new BadRequestError('Party is no longer waiting for confirmations');
+      }
+
+      if (request.isPartyConfirmed()) {
+        const queued = await MatchRequest.findOneAndUpdate(
+          { _id: request._id, status: 'pending' },
+          { status: 'searching', searchStartTime: new Date() },
+          { new: true }
+        );
+
+        if (queued) {
+          request = queued;
+          await this.enqueueRequest(request);
+        }
+      }
+
+      this.notifyPartyUpdate(request, { acceptedUserId: userId });
+
+      logger.info('Party invite accepted', {
+        requestId,
+        userId,
+        status: request.status
+      });
+
+      return request;
+    } catch (error) {
+      logger.error('Failed to accept party invite', {
+        error: error.message,
+        userId,
+        requestId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a party invite or leave a queued party; either way the party is called off
+   */
+  async leaveParty(userId, requestId) {
+    try {
+      const request = await this.getPartyRequestForMember(userId, requestId, [
+        'pending',
+        'searching'
+      ]);
+
+      if (request.status === 'searching') {
+        await queueManager.removeRequest(request.userId.toString(), request._id.toString());
+      }
+
+      request.status = 'cancelled';
+      request.cancelledBy = userId;
+      request.cancelReason = 'party_left';
+      await request.save();
+
+      socketManager.emitMatchmakingStatus(request._id.toString(), { status: 'cancelled' });
+      this.notifyPartyUpdate(request, { leftUserId: userId });
+
+      logger.info('Party member left, party request cancelled', {
+        requestId,
+        userId
+      });
+
+      return request;
+    } catch (error) {
+      logger.error('Failed to leave party', {
+        error: error.message,
+        userId,
+        requestId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a party request the user was invited to
+   */
+  async getPartyRequestForMember(userId, requestId, statuses) {
+    const request = await MatchRequest.findOne({
+      _id: requestId,
+      preselectedUsers: userId,
+      status: { $in: statuses }
     });
 
-    return matchRequest;
+    if (!request) {
+      throw new NotFoundError('Party not found or no longer active');
+    }
+
+    return request;
+  }
+
+  /**
+   * Invite party members to confirm
+   */
+  async notifyPartyInvites(request) {
+    const leader = await User.findById(request.userId, 'username');
+    const memberIds = request.preselectedUsers.map((id) => id.toString());
+
+    socketManager.emitToUsers(memberIds, 'matchmaking:party:invite', {
+      requestId: request._id,
+      leaderId: request.userId,
+      leaderName: leader?.username,
+      gameMode: request.criteria.gameMode,
+      expiresAt: request.partyConfirmBy
+    });
+
+    await Promise.all(
+      memberIds.map((memberId) =>
+        notificationService.createNotification(memberId, {
+          type: 'party_invite',
+          title: 'Party Invite',
+          message: `${leader?.username || 'A friend'} wants you to queue with their party`,
+          data: {
+            entityType: 'match',
+            entityId: request._id,
+            actionUrl: '/matchmaking'
+          },
+          expiresAt: request.partyConfirmBy
+        })
+      )
+    );
+  }
+
+  /**
+   * Expire party requests whose members did not all confirm before the deadline
+   */
+  async expirePendingParties(now = new Date()) {
+    try {
+      const stale = await MatchRequest.find({ status: 'pending', partyConfirmBy: { $lte: now } })
+        .select('_id')
+        .limit(PARTY_EXPIRY_BATCH_SIZE);
+
+      let expired = 0;
+
+      for (const { _id } of stale) {
+        // Conditional update so a party that finished confirming in the meantime is left alone
+        const request = await MatchRequest.findOneAndUpdate(
+          { _id, status: 'pending' },
+          { status: 'expired' },
+          { new: true }
+        );
+        if (!request) {
+          continue;
+        }
+
+        expired += 1;
+        this.notifyPartyUpdate(request, { reason: 'Not every party member confirmed in time' });
+      }
+
+      if (expired > 0) {
+        logger.info('Expired unconfirmed party requests', { expired });
+      }
+
+      return expired;
+    } catch (error) {
+      logger.error('Failed to expire pending party requests', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Tell everyone in a party how it changed
+   */
+  notifyPartyUpdate(request, details = {}) {
+    socketManager.emitToUsers(request.getMemberIds(), 'matchmaking:party:updated', {
+      requestId: request._id,
+      status: request.status,
+      confirmedUsers: request.confirmedUsers,
+      ...details
+    });
   }
 
   async cancelMatchRequest(userId, requestId) {
@@ -195,14 +517,18 @@ class MatchmakingService {
       const request = await MatchRequest.findOne({
         _id: requestId,
         userId,
-        status: 'searching'
+        status: { $in: ['pending', 'searching'] }
       });
 
       if (!request) {
         throw new NotFoundError('Match request not found or already processed');
       }
 
-      const removed = await queueManager.removeRequest(userId, requestId);
+      // Pending parties and scheduled requests are not in the live queue
+      const removed =
+        request.status === 'pending' ||
+        request.isScheduled() ||
+        (await queueManager.removeRequest(userId, requestId));
       if (!removed) {
         logger.warn(
           'Request not found in queue manager, but DB record exists and is being cancelled',
@@ -211,7 +537,14 @@ class MatchmakingService {
       }
 
       request.status = 'cancelled';
+      request.cancelledBy = userId;
+      request.cancelReason = 'user';
       await request.save();
+      await penaltyService.recordCancellation(userId);
+
+      if (request.preselectedUsers.length > 0) {
+        this.notifyPartyUpdate(request);
+      }
 
       logger.info('Match request cancelled', {
         requestId,
@@ -238,7 +571,8 @@ class MatchmakingService {
     try {
       // Fetch the full Mongoose document, do not use .lean() here
       // as methods like getPrimaryGame() and virtuals like searchDuration are needed.
-      const requestDoc = await MatchRequest.findActiveByUser(userId)
+      // Party members see the request their leader queued for them
+      const requestDoc = await MatchRequest.findActiveByMember(userId)
         .populate('criteria.games.gameId', 'name slug')
         .populate('preselectedUsers', 'username profile.displayName');
 
@@ -246,6 +580,29 @@ class MatchmakingService {
         return null;
       }
 
+      if (requestDoc.isScheduled()) {
+        return {
+          request: requestDoc.toJSON(),
+          queueInfo: {
+            position: null,
+            scheduledTime: requestDoc.criteria.scheduledTime,
+            potentialMatches: await scheduledMatchService.countPotentialMatches(requestDoc)
+          }
+        };
+      }
+
+      // A found match is waiting for the players to accept it
+      if (requestDoc.status === 'accepting') {
+        return {
+          request: requestDoc.toJSON(),
+          queueInfo: {
+            position: null,
+            matchId: requestDoc.acceptance?.matchId,
+            acceptBy: requestDoc.acceptance?.acceptBy
+          }
+        };
+      }
+
       // Ensure requestDoc is a Mongoose document to use its methods/virtuals
       const primaryGame = requestDoc.getPrimaryGame(); // Relies on requestDoc being a Mongoose doc
       let potentialMatchesCount = 0;
@@ -278,6 +635,7 @@ class MatchmakingService {
         queueInfo: {
           position: null, // Placeholder, implement if needed
           estimatedWaitTime: estimatedTimeResult.estimated,
+          estimatedRange: estimatedTimeResult.range || null,
           confidence: estimatedTimeResult.confidence,
           potentialMatches: potentialMatchesCount
         }
@@ -309,6 +667,7 @@ class MatchmakingService {
         MatchHistory.find(query)
           .populate('gameId', 'name slug')
           .populate('participants.userId', 'username profile.displayName')
+          .select('-playerFeedback')
           .sort({ formedAt: -1 })
           .limit(limit)
           .skip(skip)
@@ -348,11 +707,17 @@ class MatchmakingService {
     }
     this.isProcessing = true;
     try {
+      // Requeue players from matches that were not accepted in time before matching again
+      await matchAcceptService.expireAcceptances();
+      await this.expirePendingParties();
+
       const stats = await queueManager.getStats();
       for (const [gameId, gameQueues] of Object.entries(stats.queueSizes)) {
         for (const [gameMode, modeQueues] of Object.entries(gameQueues)) {
           for (const [region, queueSize] of Object.entries(modeQueues)) {
-            if (queueSize >= (matchAlgorithmService.config.minGroupSize || 2)) {
+            // Visit every waiting queue so its players get a fresh wait estimate; a lone
+            // request can still be matched with players pooled from its other games
+            if (queueSize > 0) {
               await this.processSpecificQueue(gameId, gameMode, region);
             }
           }
@@ -384,7 +749,9 @@ class MatchmakingService {
           status: 'searching',
           searchTime: searchDuration,
           potentialMatches: requests.length - 1, // Other users in the same specific queue
-          estimatedTime: estimatedTimeResult ? estimatedTimeResult.estimated : 300000
+          estimatedTime: estimatedTimeResult ? estimatedTimeResult.estimated : 300000,
+          estimatedRange: estimatedTimeResult?.range || null,
+          confidence: estimatedTimeResult?.confidence || 'low'
         };
         logger.debug(
           `Emitting 'searching' status update for request ${request._id} in processSpecificQueue`,
@@ -393,28 +760,60 @@ class MatchmakingService {
         socketManager.emitMatchmakingStatus(request._id.toString(), statusPayload);
       }
 
-      if (requests.length < (matchAlgorithmService.config.minGroupSize || 2)) {
+      if (requests.length === 0) {
+        return;
+      }
+
+      const { pool, games, settings } = await this.getCrossGamePool(
+        requests,
+        gameId,
+        gameMode,
+        region
+      );
+      const enrichedPool = await matchAlgorithmService.enrichRequests(
+        pool.map((r) => (r instanceof MatchRequest ? r : new MatchRequest(r)))
+      );
+
+      // Lobbies missing players take them from this queue before new matches are formed
+      const queuedIds = new Set(requests.map((r) => r._id.toString()));
+      const backfilled = await backfillService.fillLobbies(
+        gameId,
+        gameMode,
+        region,
+        enrichedPool.filter((enriched) => queuedIds.has(enriched.request._id.toString())),
+        settings.get(gameId.toString()) || matchAlgorithmService.config
+      );
+      const enrichedRequests = enrichedPool.filter(
+        (enriched) => !backfilled.has(enriched.request._id.toString())
+      );
+
+      // Too few players for a match on any of the pooled games
+      const minGroupSize = Math.min(...[...settings.values()].map((s) => s.minGroupSize));
+      const playerCount = enrichedRequests.reduce(
+        (sum, enriched) => sum + matchAlgorithmService.getPartySize(enriched),
+        0
+      );
+      if (enrichedRequests.length < 2 || playerCount < minGroupSize) {
         logger.info(
-          `Not enough requests in queue ${gameId}-${gameMode}-${region} to form a match. Found ${requests.length}, need at least ${matchAlgorithmService.config.minGroupSize || 2}.`
+          `Not enough players in queue ${gameId}-${gameMode}-${region} to form a match. Found ${playerCount}, need at least ${minGroupSize}.`
         );
         return;
       }
 
-      const enrichedRequests = await matchAlgorithmService.enrichRequests(
-        requests.map((r) => (r instanceof MatchRequest ? r : new MatchRequest(r)))
-      );
       const matches = await matchAlgorithmService.findMatches(
         enrichedRequests,
         gameId,
         gameMode,
-        region
+        region,
+        { games, settings }
       );
       logger.info(
         `Match algorithm found ${matches.length} matches for queue ${gameId}-${gameMode}-${region}`
       );
 
+      // Lobbies are only created once every player accepts the match
       for (const match of matches) {
-        await this.finalizeMatch(match);
+        await matchAcceptService.requestAcceptance(match);
       }
       if (matches.length > 0) {
         await queueManager.updateStats(
@@ -436,6 +835,42 @@ class MatchmakingService {
     }
   }
 
+  /**
+   * Players in a queue may have listed other games too, so pull in everyone waiting for
+   * those games in the same mode and region. Returns the pooled requests and the role
+   * slots of every game the pool can be matched on.
+   */
+  async getCrossGamePool(requests, gameId, gameMode, region) {
+    const gameIds = [
+      ...new Set([
+        gameId.toString(),
+        ...requests.flatMap((r) => (r.criteria?.games || []).map((g) => g.gameId.toString()))
+      ])
+    ];
+
+    const [otherQueues, roleSlots, settings] = await Promise.all([
+      Promise.all(
+        gameIds
+          .slice(1)
+          .map((otherGameId) => queueManager.getQueueRequests(otherGameId, gameMode, region))
+      ),
+      Promise.all(gameIds.map((id) => matchAlgorithmService.getRoleSlots(id))),
+      matchSettingsService.getSettingsByGame(gameIds, gameMode)
+    ]);
+
+    const pool = new Map();
+    [...requests, ...otherQueues.flat()].forEach((request) => {
+      pool.set(request._id.toString(), request);
+    });
+
+    return {
+      pool: [...pool.values()],
+      // eslint-disable-next-line security/detect-object-injection
+      games: new Map(gameIds.map((id, index) => [id, roleSlots[index]])),
+      settings
+    };
+  }
+
   async finalizeMatch(matchData) {
     const matchId = matchData?.matchHistory?._id?.toString();
     if (!matchId) {
@@ -537,8 +972,17 @@ class MatchmakingService {
         lobby = await lobbyService.getLobbyById(finalizedMatchHistory.lobbyId.toString());
       }
 
+      // Party members share their leader's request, so each request is handled once
+      const requestLeaders = new Map();
+      participants.forEach((participant) => {
+        const requestId = participant.requestId.toString();
+        if (!requestLeaders.has(requestId)) {
+          requestLeaders.set(requestId, participant);
+        }
+      });
+
       await Promise.all(
-        participants.map((participant) =>
+        [...requestLeaders.values()].map((participant) =>
           queueManager.removeRequest(
             participant.user?._id?.toString() || participant.userId.toString(),
             participant.requestId.toString(),
@@ -560,7 +1004,9 @@ class MatchmakingService {
             }))
           };
 
-          socketManager.emitMatchmakingStatus(participant.requestId.toString(), statusPayload);
+          if (requestLeaders.get(participant.requestId.toString()) === participant) {
+            socketManager.emitMatchmakingStatus(participant.requestId.toString(), statusPayload);
+          }
           socketManager.emitToUser(participantId, 'lobby:created', {
             lobbyId: lobby._id.toString()
           });
@@ -617,20 +1063,26 @@ class MatchmakingService {
 
   async applyRelaxationToWaitingRequests() {
     try {
+      // Only requests that have waited long enough to relax in at least one game
+      const shortestInterval = await matchSettingsService.getShortestRelaxationInterval();
       const waitingRequests = await MatchRequest.find({
         status: 'searching',
-        searchStartTime: { $lte: new Date(Date.now() - 30000) }
+        'criteria.scheduledTime': null,
+        searchStartTime: { $lte: new Date(Date.now() - shortestInterval) }
       }).limit(50);
 
       for (const request of waitingRequests) {
         // request is a Mongoose document here
-        const relaxed = await matchAlgorithmService.applyCriteriaRelaxation(request); // Pass the Mongoose document
+        const primaryGame = request.getPrimaryGame(); // This will work
+        const settings = primaryGame?.gameId
+          ? await matchSettingsService.getSettings(primaryGame.gameId, request.criteria.gameMode)
+          : undefined;
+        const relaxed = await matchAlgorithmService.applyCriteriaRelaxation(request, settings); // Pass the Mongoose document
         if (relaxed) {
           logger.debug('Relaxed criteria for request', {
             requestId: request._id,
             newRelaxationLevel: request.relaxationLevel
           });
-          const primaryGame = request.getPrimaryGame(); // This will work
           if (primaryGame && primaryGame.gameId) {
             await this.processSpecificQueue(
               primaryGame.gameId.toString(),
@@ -687,22 +1139,16 @@ class MatchmakingService {
       );
     }
 
-    const minGroupSizeForMatch = matchAlgorithmService.config.minGroupSize || 2;
-    let estimatedTime = avgWaitTime;
-
-    if (queueSize > 0) {
-      const playersNeeded = Math.max(0, minGroupSizeForMatch - queueSize);
-      if (playersNeeded === 0) {
-        estimatedTime = avgWaitTime / minGroupSizeForMatch;
-      } else {
-        estimatedTime = avgWaitTime * playersNeeded;
-      }
-    } else {
-      estimatedTime = avgWaitTime * minGroupSizeForMatch;
-    }
-
-    estimatedTime = Math.min(estimatedTime, 30 * 60 * 1000);
-    estimatedTime = Math.max(estimatedTime, 10000);
+    const settings = await matchSettingsService.getSettings(gameId, gameMode);
+    const estimate = await waitTimeService.estimate({
+      gameId,
+      gameMode,
+      region,
+      queueSize,
+      groupSize: Math.max(settings.minGroupSize, request.criteria?.groupSize?.min || 0),
+      relaxationLevel: request.relaxationLevel || 0,
+      fallbackWaitMs: avgWaitTime
+    });
 
     logger.debug('Estimated wait time calculated', {
       userId: userIdString,
@@ -710,13 +1156,11 @@ class MatchmakingService {
       gameMode,
       region,
       queueSize,
-      avgWaitTime,
-      estimatedTime
+      estimated: estimate.estimated,
+      basis: estimate.basis,
+      sampleSize: estimate.sampleSize
     });
-    return {
-      estimated: estimatedTime,
-      confidence: queueSize >= minGroupSizeForMatch ? 'medium' : 'low'
-    };
+    return estimate;
   }
 
   async getStatistics(options = {}) {
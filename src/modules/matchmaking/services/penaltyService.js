@@ -0,0 +1,260 @@
+const User = require('../../auth/models/User');
+const MatchHistory = require('../models/MatchHistory');
+const MatchRequest = require('../models/MatchRequest');
+const config = require('../../../config');
+const { NotFoundError, AuthorizationError } = require('../../../utils/errors');
+const logger = require('../../../utils/logger').forModule('matchmaking:penalties');
+
+// What each offense was, worded to follow "You" or "A party member"
+const OFFENSE_DESCRIPTIONS = new Map([
+  ['dodge', 'declined a found match'],
+  ['no_show', 'missed a found match'],
+  ['early_leave', 'left a match lobby before it started'],
+  ['repeated_cancel', 'cancelled too many searches in a row']
+]);
+
+// Match history participant statuses that record an offense
+const PARTICIPANT_OFFENSES = new Map([
+  ['dodged', 'dodge'],
+  ['no_show', 'no_show'],
+  ['left', 'early_leave']
+]);
+
+class PenaltyService {
+  constructor() {
+    this.config = config.matchmaking.penalties;
+  }
+
+  /**
+   * Give players a strike for an offense and block them from queueing for a while. The
+   * cooldown doubles with every strike they still carry; strikes wear off one decay
+   * period at a time.
+   */
+  async applyPenalty(userIds, offense, now = new Date()) {
+    const cooldowns = new Map();
+    if (userIds.length === 0) {
+      return cooldowns;
+    }
+
+    try {
+      const users = await User.find({ _id: { $in: userIds } }).select('matchmakingRestrictions');
+
+      for (const user of users) {
+        const restrictions = user.matchmakingRestrictions || {};
+        const strikes = this.getStrikes(restrictions, now) + this.getOffenseStrikes(offense);
+        const blockedUntil = Math.max(
+          now.getTime() + this.getCooldownMs(strikes),
+          restrictions.queueBlockedUntil?.getTime() || 0
+        );
+        const queueBlockedUntil = new Date(blockedUntil);
+
+        await User.updateOne(
+          { _id: user._id },
+          {
+            matchmakingRestrictions: {
+              strikes,
+              lastOffense: offense,
+              lastOffenseAt: now,
+              queueBlockedUntil
+            }
+          }
+        );
+        cooldowns.set(user._id.toString(), queueBlockedUntil);
+      }
+
+      logger.info('Applied matchmaking penalties', { offense, userCount: cooldowns.size });
+
+      return cooldowns;
+    } catch (error) {
+      logger.error('Failed to apply matchmaking penalties', {
+        error: error.message,
+        offense,
+        userIds
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Penalize a player who keeps cancelling searches. Only searches they called off
+   * themselves count, and cancellations before their last offense are not counted again.
+   */
+  async recordCancellation(userId, now = new Date()) {
+    const user = await User.findById(userId).select('matchmakingRestrictions');
+    const since = Math.max(
+      now.getTime() - this.config.cancelWindowMs,
+      user?.matchmakingRestrictions?.lastOffenseAt?.getTime() || 0
+    );
+
+    const cancellations = await MatchRequest.countDocuments({
+      userId,
+      status: 'cancelled',
+      cancelReason: 'user',
+      updatedAt: { $gt: new Date(since) }
+    });
+    if (cancellations < this.config.cancelLimit) {
+      return null;
+    }
+
+    const cooldowns = await this.applyPenalty([userId], 'repeated_cancel', now);
+    return cooldowns.get(userId.toString()) || null;
+  }
+
+  /**
+   * Refuse to queue players who are still cooling down, naming what they did. For parties
+   * the member with the longest cooldown is reported.
+   */
+  assertCanQueue(users, { party = false } = {}, now = new Date()) {
+    const blocked = users
+      .map((user) => ({ user, cooldown: user.getMatchmakingCooldown(now) }))
+      .filter(({ cooldown }) => cooldown > 0)
+      .sort((a, b) => b.cooldown - a.cooldown)
+      .at(0);
+    if (!blocked) {
+      return;
+    }
+
+    const offense =
+      OFFENSE_DESCRIPTIONS.get(blocked.user.matchmakingRestrictions?.lastOffense) ||
+      'missed a found match';
+    throw new AuthorizationError(
+      `${party ? 'A party member' : 'You'} ${offense} and can queue again in ${formatCooldown(
+        blocked.cooldown
+      )}`
+    );
+  }
+
+  /**
+   * Strikes a player still carries once decay is taken into account
+   */
+  getStrikes(restrictions, now = new Date()) {
+    const { strikes = 0, lastOffenseAt } = restrictions || {};
+    if (!strikes || !lastOffenseAt) {
+      return 0;
+    }
+
+    const decayed = Math.floor(
+      (now.getTime() - lastOffenseAt.getTime()) / this.config.strikeDecayMs
+    );
+    return Math.max(0, strikes - Math.max(0, decayed));
+  }
+
+  /**
+   * Strikes an offense adds
+   */
+  getOffenseStrikes(offense) {
+    // eslint-disable-next-line security/detect-object-injection
+    return this.config.strikes[offense] || 1;
+  }
+
+  /**
+   * Queue cooldown for a number of strikes
+   */
+  getCooldownMs(strikes) {
+    if (strikes <= 0) {
+      return 0;
+    }
+    return Math.min(this.config.baseCooldownMs * 2 ** (strikes - 1), this.config.maxCooldownMs);
+  }
+
+  /**
+   * Players with strikes that have not worn off yet, most recent offenders first
+   */
+  async listPenalties({ page = 1, limit = 20 } = {}, now = new Date()) {
+    try {
+      // Strikes last one decay period each from the last offense
+      const query = {
+        'matchmakingRestrictions.strikes': { $gt: 0 },
+        $expr: {
+          $gt: [
+            { $multiply: ['$matchmakingRestrictions.strikes', this.config.strikeDecayMs] },
+            { $subtract: [now, '$matchmakingRestrictions.lastOffenseAt'] }
+          ]
+        }
+      };
+
+      const [users, total] = await Promise.all([
+        User.find(query)
+          .select('username matchmakingRestrictions')
+          .sort({ 'matchmakingRestrictions.lastOffenseAt': -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(query)
+      ]);
+
+      return {
+        penalties: users.map((user) => this.describePenalty(user, now)),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      };
+    } catch (error) {
+      logger.error('Failed to list matchmaking penalties', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * A player's current penalty and the offenses recorded in their recent matches
+   */
+  async getUserPenalties(userId, now = new Date()) {
+    const user = await User.findById(userId).select('username matchmakingRestrictions');
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const matches = await MatchHistory.find({
+      participants: {
+        $elemMatch: { userId, status: { $in: [...PARTICIPANT_OFFENSES.keys()] } }
+      },
+      formedAt: { $gte: new Date(now.getTime() - this.config.historyWindowMs) }
+    })
+      .select('gameId gameMode formedAt participants')
+      .sort({ formedAt: -1 })
+      .lean();
+
+    const offenses = matches.map((match) => {
+      const participant = match.participants.find((p) => p.userId.toString() === userId.toString());
+      return {
+        matchId: match._id,
+        gameId: match.gameId,
+        gameMode: match.gameMode,
+        offense: PARTICIPANT_OFFENSES.get(participant.status),
+        occurredAt: participant.leftAt || match.formedAt
+      };
+    });
+
+    return { ...this.describePenalty(user, now), offenses };
+  }
+
+  /**
+   * Penalty state as admins see it
+   */
+  describePenalty(user, now = new Date()) {
+    const restrictions = user.matchmakingRestrictions || {};
+    const strikes = this.getStrikes(restrictions, now);
+    const cooldownMs = user.getMatchmakingCooldown(now);
+
+    return {
+      userId: user._id,
+      username: user.username,
+      strikes,
+      lastOffense: restrictions.lastOffense || null,
+      lastOffenseAt: restrictions.lastOffenseAt || null,
+      queueBlockedUntil: cooldownMs > 0 ? restrictions.queueBlockedUntil : null,
+      cooldownMs,
+      strikesClearAt:
+        strikes > 0
+          ? new Date(
+              restrictions.lastOffenseAt.getTime() +
+                restrictions.strikes * this.config.strikeDecayMs
+            )
+          : null
+    };
+  }
+}
+
+function formatCooldown(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+module.exports = new PenaltyService();
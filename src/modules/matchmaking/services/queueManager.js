@@ -48,6 +48,24 @@ class QueueManager extends EventEmitter {
     return `${this.prefix}:queue:${gameId}:${gameMode}:${region}`;
   }
 
+  // A request waits in the queue of every game it lists, so it can be matched in any of them
+  _requestQueueKeys(requestInfo) {
+    const gameIds = (requestInfo.gameIds || requestInfo.gameId).split(',');
+    return gameIds.map((gameId) =>
+      this._queueKey(gameId, requestInfo.gameMode, requestInfo.region)
+    );
+  }
+
+  // Matchmade lobbies offering open slots to players searching the same queue
+  _backfillKey(gameId, gameMode, region) {
+    return `${this.prefix}:backfill:${gameId}:${gameMode}:${region}`;
+  }
+
+  _lobbyBackfillKey(lobby) {
+    const gameId = (lobby.gameId?._id || lobby.gameId).toString();
+    return this._backfillKey(gameId, lobby.gameMode, lobby.region || 'ANY');
+  }
+
   _requestKey(requestId) {
     return `${this.prefix}:request:${requestId}`;
   }
@@ -95,7 +113,7 @@ class QueueManager extends EventEmitter {
     }
   }
 
-  async addRequest(request) {
+  async addRequest(request, options = {}) {
     if (!request) {
       throw new BadRequestError('Match request payload is required');
     }
@@ -119,8 +137,11 @@ class QueueManager extends EventEmitter {
 
     const region = request.criteria?.regions?.[0] || 'ANY';
     const gameId = primaryGame.gameId.toString();
+    const gameIds = [
+      ...new Set([gameId, ...(request.criteria?.games || []).map((g) => g.gameId.toString())])
+    ];
     const requestId = request._id.toString();
-    const queueKey = this._queueKey(gameId, gameMode, region);
+    const queueKeys = gameIds.map((id) => this._queueKey(id, gameMode, region));
     const userKey = this._userKey(userId);
     const requestKey = this._requestKey(requestId);
     const now = Date.now();
@@ -140,6 +161,17 @@ class QueueManager extends EventEmitter {
       throw new ConflictError('User already has an active match request in queue');
     }
 
+    // Requests put back after a called-off match go ahead of everyone already waiting
+    const scores = await Promise.all(
+      queueKeys.map(async (queueKey) => {
+        if (!options.front) {
+          return now;
+        }
+        const [, headScore] = await client.zrange(queueKey, 0, 0, 'WITHSCORES');
+        return headScore === undefined ? now : Math.min(now, Number(headScore) - 1);
+      })
+    );
+
     const multi = client.multi();
     let setResultIndex = null;
 
@@ -154,14 +186,18 @@ class QueueManager extends EventEmitter {
       userId,
       requestId,
       gameId,
+      gameIds: gameIds.join(','),
       gameMode,
       region,
       createdAt: now,
       expiresAt,
       status: request.status || 'searching'
     });
-    multi.zadd(queueKey, now, requestId);
-    multi.sadd(this.queueRegistryKey, queueKey);
+    queueKeys.forEach((queueKey, index) => {
+      // eslint-disable-next-line security/detect-object-injection
+      multi.zadd(queueKey, scores[index], requestId);
+      multi.sadd(this.queueRegistryKey, queueKey);
+    });
 
     const results = await multi.exec();
 
@@ -169,10 +205,9 @@ class QueueManager extends EventEmitter {
       // eslint-disable-next-line security/detect-object-injection
       const commandResult = results?.[setResultIndex]?.[1];
       if (commandResult !== 'OK') {
-        await client
-          .multi()
-          .del(requestKey)
-          .zrem(queueKey, requestId)
+        const rollback = client.multi().del(requestKey);
+        queueKeys.forEach((queueKey) => rollback.zrem(queueKey, requestId));
+        await rollback
           .hincrby(this.statsKey, 'totalRequests', -1)
           .hincrby(this.statsKey, 'activeRequests', -1)
           .exec();
@@ -188,7 +223,7 @@ class QueueManager extends EventEmitter {
     logger.info('Match request added to distributed queue', {
       requestId,
       userId,
-      gameId,
+      gameIds,
       gameMode,
       region
     });
@@ -217,24 +252,29 @@ class QueueManager extends EventEmitter {
       return false;
     }
 
-    const queueKey = this._queueKey(requestInfo.gameId, requestInfo.gameMode, requestInfo.region);
+    const queueKeys = this._requestQueueKeys(requestInfo);
     const userKey = this._userKey(requestInfo.userId);
 
     const multi = client.multi();
-    multi.zrem(queueKey, requestId);
+    queueKeys.forEach((queueKey) => multi.zrem(queueKey, requestId));
     multi.del(requestKey);
 
     const removalResults = await multi.exec();
     await this._releaseUserLock(client, userKey, requestId.toString());
 
-    const removedFromQueue = Number(removalResults?.[0]?.[1] || 0);
-    if (removedFromQueue > 0) {
+    const removedFromQueue = queueKeys.some((_, index) =>
+      // eslint-disable-next-line security/detect-object-injection
+      Number(removalResults?.[index]?.[1] || 0)
+    );
+    if (removedFromQueue) {
       await client.hincrby(this.statsKey, 'activeRequests', -1);
     }
 
-    const remaining = await client.zcard(queueKey);
-    if (remaining === 0) {
-      await client.srem(this.queueRegistryKey, queueKey);
+    for (const queueKey of queueKeys) {
+      const remaining = await client.zcard(queueKey);
+      if (remaining === 0) {
+        await client.srem(this.queueRegistryKey, queueKey);
+      }
     }
 
     if (!options.silent) {
@@ -247,7 +287,7 @@ class QueueManager extends EventEmitter {
       });
     }
 
-    return removedFromQueue > 0;
+    return removedFromQueue;
   }
 
   async getQueueRequests(gameId, gameMode, region) {
@@ -297,6 +337,30 @@ class QueueManager extends EventEmitter {
     return { size, found: size > 0 };
   }
 
+  async addBackfill(lobby) {
+    const client = await this._getRedisClient();
+    const requestedAt = new Date(lobby.backfillRequestedAt || Date.now()).getTime();
+    await client.zadd(this._lobbyBackfillKey(lobby), requestedAt, lobby._id.toString());
+
+    logger.info('Lobby added to backfill queue', {
+      lobbyId: lobby._id,
+      gameMode: lobby.gameMode,
+      region: lobby.region
+    });
+  }
+
+  async removeBackfill(lobby) {
+    const client = await this._getRedisClient();
+    const removed = await client.zrem(this._lobbyBackfillKey(lobby), lobby._id.toString());
+    return removed > 0;
+  }
+
+  // Lobbies waiting for backfill in a queue, longest waiting first
+  async getBackfillLobbyIds(gameId, gameMode, region) {
+    const client = await this._getRedisClient();
+    return client.zrange(this._backfillKey(gameId, gameMode, region), 0, -1);
+  }
+
   async getGameModeRequests(gameId, gameMode) {
     const client = await this._getRedisClient();
     const queueKeys = await client.smembers(this.queueRegistryKey);
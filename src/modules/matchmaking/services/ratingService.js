@@ -0,0 +1,206 @@
+const User = require('../../auth/models/User');
+const RatingHistory = require('../models/RatingHistory');
+const logger = require('../../../utils/logger').forModule('matchmaking:rating');
+
+const OUTCOME_RANK = new Map([
+  ['win', 2],
+  ['draw', 1],
+  ['loss', 0]
+]);
+
+class RatingService {
+  constructor() {
+    this.config = {
+      defaultRating: 1500,
+      // Self-reported skill levels (0-100) seed the rating on a 1000-2000 scale
+      skillLevelFloor: 1000,
+      ratingPerSkillLevel: 10,
+      provisionalMatches: 10,
+      provisionalK: 40,
+      establishedK: 20
+    };
+  }
+
+  /**
+   * Current rating for a game profile, seeded from its skill level before the first rated match
+   */
+  getRating(profile) {
+    if (typeof profile?.rating === 'number') {
+      return profile.rating;
+    }
+    if (typeof profile?.skillLevel === 'number') {
+      return this.config.skillLevelFloor + profile.skillLevel * this.config.ratingPerSkillLevel;
+    }
+    return this.config.defaultRating;
+  }
+
+  /**
+   * Map a rating back onto the 0-100 skill scale used by the match algorithm
+   */
+  ratingToSkillLevel(rating) {
+    const level = (rating - this.config.skillLevelFloor) / this.config.ratingPerSkillLevel;
+    return Math.min(100, Math.max(0, Math.round(level)));
+  }
+
+  /**
+   * Elo expected score of a rating against another
+   */
+  expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  /**
+   * Rating change per player. Each team plays every other team once, using its average rating;
+   * players on the same team share the result but keep their own K-factor.
+   */
+  calculateRatingChanges(teams) {
+    const changes = new Map();
+
+    const teamRatings = teams.map(
+      (team) => team.players.reduce((sum, p) => sum + p.rating, 0) / team.players.length
+    );
+
+    teams.forEach((team, index) => {
+      let scoreDelta = 0;
+
+      teams.forEach((opponent, opponentIndex) => {
+        if (opponentIndex === index) {
+          return;
+        }
+        const rank = OUTCOME_RANK.get(team.outcome);
+        const opponentRank = OUTCOME_RANK.get(opponent.outcome);
+        const actual = rank > opponentRank ? 1 : rank < opponentRank ? 0 : 0.5;
+        // eslint-disable-next-line security/detect-object-injection
+        scoreDelta += actual - this.expectedScore(teamRatings[index], teamRatings[opponentIndex]);
+      });
+
+      const averageDelta = scoreDelta / (teams.length - 1);
+
+      team.players.forEach((player) => {
+        const k =
+          player.ratedMatches < this.config.provisionalMatches
+            ? this.config.provisionalK
+            : this.config.establishedK;
+        changes.set(player.userId, Math.round(k * averageDelta));
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Apply a confirmed match result to every participant's rating for the game
+   */
+  async applyMatchResult(matchHistory) {
+    try {
+      const gameId = matchHistory.gameId.toString();
+      const teamMembers = matchHistory.getTeams();
+      const userIds = [...teamMembers.values()].flat();
+      const users = await User.find({ _id: { $in: userIds } });
+      const userMap = new Map(users.map((user) => [user._id.toString(), user]));
+
+      const findProfile = (user) =>
+        user.gameProfiles.find((profile) => profile.gameId.toString() === gameId);
+
+      const teams = matchHistory.result.outcomes.map(({ team, outcome }) => ({
+        team,
+        outcome,
+        players: (teamMembers.get(team) || [])
+          .filter((userId) => userMap.has(userId))
+          .map((userId) => {
+            const profile = findProfile(userMap.get(userId));
+            return {
+              userId,
+              rating: this.getRating(profile),
+              ratedMatches: profile?.ratedMatches || 0
+            };
+          })
+      }));
+
+      const ratedTeams = teams.filter((team) => team.players.length > 0);
+      if (ratedTeams.length < 2) {
+        logger.warn('Not enough rated teams to apply match result', {
+          matchId: matchHistory._id
+        });
+        return [];
+      }
+
+      const changes = this.calculateRatingChanges(ratedTeams);
+      const entries = ratedTeams.flatMap((team) =>
+        team.players.map((player) => ({
+          userId: player.userId,
+          gameId,
+          matchHistoryId: matchHistory._id,
+          team: team.team,
+          outcome: team.outcome,
+          ratingBefore: player.rating,
+          ratingAfter: player.rating + changes.get(player.userId),
+          change: changes.get(player.userId)
+        }))
+      );
+
+      // History goes first so its unique index stops a result being applied twice
+      await RatingHistory.insertMany(entries);
+
+      for (const entry of entries) {
+        const user = userMap.get(entry.userId);
+        const profile = findProfile(user);
+
+        if (profile) {
+          profile.rating = entry.ratingAfter;
+          profile.ratedMatches = (profile.ratedMatches || 0) + 1;
+          profile.updatedAt = new Date();
+        } else {
+          user.gameProfiles.push({ gameId, rating: entry.ratingAfter, ratedMatches: 1 });
+        }
+
+        await user.save();
+      }
+
+      logger.info('Match result applied to ratings', {
+        matchId: matchHistory._id,
+        gameId,
+        playerCount: entries.length
+      });
+
+      return entries;
+    } catch (error) {
+      logger.error('Failed to apply match result to ratings', {
+        error: error.message,
+        matchId: matchHistory._id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's rating and rating changes for a game
+   */
+  async getRatingHistory(userId, gameId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+      const query = { userId, gameId };
+
+      const [user, history, total] = await Promise.all([
+        User.findById(userId).select('gameProfiles'),
+        RatingHistory.find(query).sort({ createdAt: -1 }).limit(limit).skip(skip).lean(),
+        RatingHistory.countDocuments(query)
+      ]);
+
+      const profile = user?.gameProfiles.find((p) => p.gameId.toString() === gameId.toString());
+
+      return {
+        rating: this.getRating(profile),
+        ratedMatches: profile?.ratedMatches || 0,
+        history,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      };
+    } catch (error) {
+      logger.error('Failed to get rating history', { error: error.message, userId, gameId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,256 @@
+const MatchRequest = require('../models/MatchRequest');
+const Lobby = require('../../lobby/models/Lobby');
+const matchAlgorithmService = require('./matchAlgorithmService');
+const matchSettingsService = require('./matchSettingsService');
+const notificationService = require('../../notification/services/notificationService');
+const socketManager = require('../../../services/socketManager');
+const config = require('../../../config');
+const logger = require('../../../utils/logger').forModule('matchmaking:scheduled');
+
+class ScheduledMatchService {
+  constructor() {
+    this.config = {
+      reminderLeadMs: config.matchmaking.scheduled.reminderLeadMs,
+      batchSize: 500
+    };
+  }
+
+  /**
+   * One pass of scheduled matchmaking: expire requests whose session has started,
+   * match the rest, then remind lobbies that are about to start
+   */
+  async run(now = new Date()) {
+    const expired = await this.expireUnmatchedRequests(now);
+    const matched = await this.processScheduledRequests(now);
+    const reminded = await this.sendReminders(now);
+
+    return { expired, matched, reminded };
+  }
+
+  /**
+   * Match upcoming scheduled requests with others planning to play within the tolerance
+   * window. Lobbies are created straight away and start at the scheduled time of the
+   * longest-waiting player, which every partner is within tolerance of.
+   */
+  async processScheduledRequests(now = new Date()) {
+    try {
+      const requests = await MatchRequest.find({
+        status: 'searching',
+        'criteria.scheduledTime': { $gt: now }
+      })
+        .sort({ 'criteria.scheduledTime': 1 })
+        .limit(this.config.batchSize);
+
+      const queues = new Map();
+      requests.forEach((request) => {
+        const gameId = request.getPrimaryGame()?.gameId?.toString();
+        if (!gameId) {
+          return;
+        }
+        const region = request.criteria.regions?.[0] || 'ANY';
+        const key = `${gameId}:${request.criteria.gameMode}:${region}`;
+        const queue = queues.get(key) || {
+          gameId,
+          gameMode: request.criteria.gameMode,
+          region,
+          requests: []
+        };
+        queue.requests.push(request);
+        queues.set(key, queue);
+      });
+
+      // Lazily required: matchmakingService depends on this service
+      const matchmakingService = require('./matchmakingService');
+      let matched = 0;
+
+      for (const { gameId, gameMode, region, requests: queued } of queues.values()) {
+        if (queued.length < 2) {
+          continue;
+        }
+
+        const requestsById = new Map(queued.map((r) => [r._id.toString(), r]));
+        const [enrichedRequests, roleSlots, settings] = await Promise.all([
+          matchAlgorithmService.enrichRequests(queued),
+          matchAlgorithmService.getRoleSlots(gameId),
+          matchSettingsService.getSettingsByGame([gameId], gameMode)
+        ]);
+        const matches = await matchAlgorithmService.findMatches(
+          enrichedRequests,
+          gameId,
+          gameMode,
+          region,
+          { roleSlots, settings }
+        );
+
+        for (const match of matches) {
+          const primary = requestsById.get(match.participants[0].requestId.toString());
+          await matchmakingService.finalizeMatch({
+            ...match,
+            scheduledTime: primary.criteria.scheduledTime
+          });
+          matched += 1;
+        }
+      }
+
+      if (matched > 0) {
+        logger.info('Scheduled matches formed', { matched, requestCount: requests.length });
+      }
+
+      return matched;
+    } catch (error) {
+      logger.error('Failed to process scheduled match requests', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire scheduled requests whose play session started without a match
+   */
+  async expireUnmatchedRequests(now = new Date()) {
+    try {
+      const stale = await MatchRequest.find({
+        status: { $in: ['pending', 'searching'] },
+        'criteria.scheduledTime': { $lte: now }
+      })
+        .select('_id')
+        .limit(this.config.batchSize);
+
+      let expired = 0;
+
+      for (const { _id } of stale) {
+        // Conditional update so a request matched in the meantime is left alone
+        const request = await MatchRequest.findOneAndUpdate(
+          { _id, status: { $in: ['pending', 'searching'] } },
+          { status: 'expired' },
+          { new: true }
+        );
+        if (!request) {
+          continue;
+        }
+
+        expired += 1;
+        await this.notifyExpired(request);
+      }
+
+      if (expired > 0) {
+        logger.info('Expired unmatched scheduled requests', { expired });
+      }
+
+      return expired;
+    } catch (error) {
+      logger.error('Failed to expire scheduled match requests', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remind members of scheduled lobbies that start within the reminder lead time
+   */
+  async sendReminders(now = new Date()) {
+    try {
+      const lobbies = await Lobby.find({
+        status: { $in: ['forming', 'ready'] },
+        scheduledFor: { $gt: now, $lte: new Date(now.getTime() + this.config.reminderLeadMs) },
+        reminderSentAt: null
+      });
+
+      const lobbyService = require('../../lobby/services/lobbyService');
+      let reminded = 0;
+
+      for (const lobby of lobbies) {
+        // Claim the reminder first so concurrent runs never send it twice
+        const claimed = await Lobby.updateOne(
+          { _id: lobby._id, reminderSentAt: null },
+          { reminderSentAt: now }
+        );
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+
+        const memberIds = lobby.members
+          .filter((m) => m.status === 'joined' || m.status === 'ready')
+          .map((m) => m.userId.toString());
+
+        socketManager.emitToUsers(memberIds, 'lobby:reminder', {
+          lobbyId: lobby._id,
+          scheduledFor: lobby.scheduledFor
+        });
+
+        await Promise.all(
+          memberIds.map((memberId) =>
+            notificationService.createNotification(memberId, {
+              type: 'match_reminder',
+              title: 'Match Starting Soon',
+              message: `Your scheduled ${lobby.gameMode} match starts soon. Ready up in the lobby!`,
+              data: {
+                entityType: 'lobby',
+                entityId: lobby._id,
+                actionUrl: `/lobbies/${lobby._id}`
+              },
+              priority: 'high',
+              expiresAt: lobby.scheduledFor
+            })
+          )
+        );
+
+        await lobbyService.sendSystemMessage(
+          lobby._id,
+          'Scheduled match starts soon. Ready up when you are here!'
+        );
+        reminded += 1;
+      }
+
+      return reminded;
+    } catch (error) {
+      logger.error('Failed to send scheduled match reminders', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Tell everyone on an expired request that no match was found
+   */
+  async notifyExpired(request) {
+    socketManager.emitMatchmakingStatus(request._id.toString(), {
+      status: 'expired',
+      reason: 'No players were found for your scheduled time'
+    });
+
+    await Promise.all(
+      request.getMemberIds().map((memberId) =>
+        notificationService.createNotification(memberId, {
+          type: 'match_expired',
+          title: 'Scheduled Match Expired',
+          message: 'No players were found for your scheduled match. Try another time!',
+          data: {
+            entityType: 'match',
+            entityId: request._id,
+            actionUrl: '/matchmaking'
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * Count other scheduled requests a request could be matched with
+   */
+  countPotentialMatches(request) {
+    const scheduledTime = request.criteria.scheduledTime.getTime();
+    const tolerance = matchAlgorithmService.config.scheduleToleranceMs;
+    const gameId = request.getPrimaryGame()?.gameId;
+
+    return MatchRequest.countDocuments({
+      _id: { $ne: request._id },
+      status: 'searching',
+      'criteria.games.gameId': gameId?._id || gameId,
+      'criteria.gameMode': request.criteria.gameMode,
+      'criteria.scheduledTime': {
+        $gte: new Date(scheduledTime - tolerance),
+        $lte: new Date(scheduledTime + tolerance)
+      }
+    });
+  }
+}
+
+module.exports = new ScheduledMatchService();
@@ -0,0 +1,229 @@
+const MatchHistory = require('../models/MatchHistory');
+const Lobby = require('../../lobby/models/Lobby');
+const User = require('../../auth/models/User');
+const config = require('../../../config');
+const { NotFoundError, BadRequestError, AuthorizationError } = require('../../../utils/errors');
+const logger = require('../../../utils/logger').forModule('matchmaking:teammates');
+
+// Participant statuses of players who never got to play the match
+const ABSENT_STATUSES = new Set(['dodged', 'no_show']);
+
+class TeammateService {
+  constructor() {
+    this.config = config.matchmaking.teammates;
+  }
+
+  /**
+   * Commend a player from a match, or mark them to avoid as a teammate. A new verdict on
+   * the same player in the same match replaces the old one.
+   */
+  async recordFeedback(matchId, fromUserId, toUserId, type) {
+    try {
+      const match = await this.getRateableMatch(matchId, fromUserId, toUserId);
+
+      match.playerFeedback = match.playerFeedback.filter(
+        (feedback) => !this.isFeedbackBetween(feedback, fromUserId, toUserId)
+      );
+      match.playerFeedback.push({ fromUserId, toUserId, type, submittedAt: new Date() });
+      await match.save();
+
+      logger.info('Player feedback recorded', { matchId, fromUserId, type });
+
+      return { matchId, userId: toUserId, type };
+    } catch (error) {
+      logger.error('Failed to record player feedback', {
+        error: error.message,
+        matchId,
+        fromUserId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Take back a verdict on a player from a match
+   */
+  async removeFeedback(matchId, fromUserId, toUserId) {
+    try {
+      const match = await MatchHistory.findById(matchId);
+      if (!match) {
+        throw new NotFoundError('Match not found');
+      }
+
+      const remaining = match.playerFeedback.filter(
+        (feedback) => !this.isFeedbackBetween(feedback, fromUserId, toUserId)
+      );
+      if (remaining.length === match.playerFeedback.length) {
+        throw new NotFoundError('You have not rated this player for this match');
+      }
+
+      match.playerFeedback = remaining;
+      await match.save();
+
+      logger.info('Player feedback removed', { matchId, fromUserId });
+    } catch (error) {
+      logger.error('Failed to remove player feedback', {
+        error: error.message,
+        matchId,
+        fromUserId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a match both players took part in, once its game has started
+   */
+  async getRateableMatch(matchId, fromUserId, toUserId) {
+    if (fromUserId === toUserId) {
+      throw new BadRequestError('You cannot rate yourself');
+    }
+
+    const match = await MatchHistory.findById(matchId);
+    if (!match) {
+      throw new NotFoundError('Match not found');
+    }
+
+    const played = (userId) =>
+      match.participants.some(
+        (p) => p.userId.toString() === userId && !ABSENT_STATUSES.has(p.status)
+      );
+    if (!played(fromUserId)) {
+      throw new AuthorizationError('Only match participants can rate other players');
+    }
+    if (!played(toUserId)) {
+      throw new BadRequestError('That player did not play in this match');
+    }
+
+    if (!match.lobbyId) {
+      throw new BadRequestError('Players can only be rated in matchmade lobbies');
+    }
+    const lobby = await Lobby.findById(match.lobbyId).select('status');
+    if (!lobby || !['active', 'closed'].includes(lobby.status)) {
+      throw new BadRequestError('Players can only be rated once the game has started');
+    }
+
+    return match;
+  }
+
+  /**
+   * Map each user to the players among the given ones they recently marked to avoid and,
+   * if they opted in to being grouped with them, the players they commended. The latest
+   * verdict on a player wins.
+   */
+  async getTeammateMap(userIds, now = new Date()) {
+    const teammateMap = new Map();
+    if (!userIds || userIds.length < 2) {
+      return teammateMap;
+    }
+
+    const [matches, optedIn] = await Promise.all([
+      MatchHistory.find({
+        playerFeedback: {
+          $elemMatch: { fromUserId: { $in: userIds }, toUserId: { $in: userIds } }
+        },
+        formedAt: { $gte: new Date(now.getTime() - this.config.historyWindowMs) }
+      })
+        .select('playerFeedback')
+        .lean(),
+      User.find({ _id: { $in: userIds }, 'gamingPreferences.groupWithCommended': true })
+        .select('_id')
+        .lean()
+    ]);
+
+    const pool = new Set(userIds.map((id) => id.toString()));
+    const groupsWithCommended = new Set(optedIn.map((user) => user._id.toString()));
+    const verdicts = this.getLatestVerdicts(
+      matches
+        .flatMap((match) => match.playerFeedback)
+        .filter(
+          (feedback) =>
+            pool.has(feedback.fromUserId.toString()) && pool.has(feedback.toUserId.toString())
+        )
+    );
+
+    verdicts.forEach((feedback) => {
+      const from = feedback.fromUserId.toString();
+      if (feedback.type === 'commend' && !groupsWithCommended.has(from)) {
+        return;
+      }
+      if (!teammateMap.has(from)) {
+        teammateMap.set(from, { avoid: new Set(), preferred: new Set() });
+      }
+      const lists = teammateMap.get(from);
+      (feedback.type === 'avoid' ? lists.avoid : lists.preferred).add(feedback.toUserId.toString());
+    });
+
+    return teammateMap;
+  }
+
+  /**
+   * A player's own avoid and prefer-again lists, most recent first. These are only ever
+   * shown to the player who made them.
+   */
+  async getTeammateLists(userId, now = new Date()) {
+    const user = await User.findById(userId).select('gamingPreferences.groupWithCommended');
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const matches = await MatchHistory.find({
+      'playerFeedback.fromUserId': userId,
+      formedAt: { $gte: new Date(now.getTime() - this.config.historyWindowMs) }
+    })
+      .select('gameId playerFeedback')
+      .lean();
+
+    const verdicts = this.getLatestVerdicts(
+      matches.flatMap((match) =>
+        match.playerFeedback
+          .filter((feedback) => feedback.fromUserId.toString() === userId.toString())
+          .map((feedback) => ({ ...feedback, matchId: match._id, gameId: match.gameId }))
+      )
+    ).sort((a, b) => b.submittedAt - a.submittedAt);
+
+    const users = await User.find({ _id: { $in: verdicts.map((v) => v.toUserId) } })
+      .select('username profile.displayName profile.profileImage')
+      .lean();
+    const userMap = new Map(users.map((u) => [u._id.toString(), u]));
+
+    const describe = (feedback) => ({
+      user: userMap.get(feedback.toUserId.toString()) || { _id: feedback.toUserId },
+      matchId: feedback.matchId,
+      gameId: feedback.gameId,
+      ratedAt: feedback.submittedAt
+    });
+
+    return {
+      groupWithCommended: Boolean(user.gamingPreferences?.groupWithCommended),
+      avoid: verdicts.filter((v) => v.type === 'avoid').map(describe),
+      preferAgain: verdicts.filter((v) => v.type === 'commend').map(describe)
+    };
+  }
+
+  /**
+   * Keep each player's newest verdict on each other player
+   */
+  getLatestVerdicts(feedback) {
+    const latest = new Map();
+    feedback.forEach((entry) => {
+      const key = `${entry.fromUserId}:${entry.toUserId}`;
+      if (!latest.has(key) || latest.get(key).submittedAt < entry.submittedAt) {
+        latest.set(key, entry);
+      }
+    });
+    return [...latest.values()];
+  }
+
+  /**
+   * Check a feedback entry is one player's verdict on another
+   */
+  isFeedbackBetween(feedback, fromUserId, toUserId) {
+    return (
+      feedback.fromUserId.toString() === fromUserId.toString() &&
+      feedback.toUserId.toString() === toUserId.toString()
+    );
+  }
+}
+
+module.exports = new TeammateService();
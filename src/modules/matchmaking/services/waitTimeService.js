@@ -0,0 +1,187 @@
+const MatchHistory = require('../models/MatchHistory');
+const logger = require('../../../utils/logger').forModule('matchmaking:waitTime');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WaitTimeService {
+  constructor() {
+    this.config = {
+      historyWindowMs: 14 * 24 * HOUR_MS,
+      maxSamples: 1000,
+      cacheTtlMs: 5 * 60 * 1000,
+      // Hours either side of the current hour that count as the same time of day
+      hourWindow: 1,
+      // Samples needed before a bucket is trusted, and for a high-confidence estimate
+      minSamples: 10,
+      highConfidenceSamples: 30,
+      // Each relaxation level widens the criteria, shortening the expected wait
+      relaxationDiscount: 0.1,
+      minFactor: 0.5,
+      maxFactor: 2,
+      defaultWaitMs: 60 * 1000,
+      minEstimateMs: 10 * 1000,
+      maxEstimateMs: 30 * 60 * 1000
+    };
+    this.cache = new Map();
+  }
+
+  /**
+   * Estimate how long a request waits for a match from past matches in its queue.
+   * Uses the narrowest bucket with enough samples: the same time of day, then the whole day,
+   * then every region, falling back to the global average. The historical percentiles are
+   * scaled by how full the queue is and how far the request's criteria have been relaxed.
+   */
+  async estimate({
+    gameId,
+    gameMode,
+    region,
+    queueSize = 0,
+    groupSize = 2,
+    relaxationLevel = 0,
+    fallbackWaitMs = this.config.defaultWaitMs,
+    now = new Date()
+  }) {
+    try {
+      const { samples, basis } = await this.getSamples(gameId, gameMode, region, now);
+      const percentiles = samples.length > 0 ? this.getPercentiles(samples) : null;
+      const factor = this.getAdjustmentFactor(queueSize, groupSize, relaxationLevel);
+      const clamp = (ms) =>
+        Math.round(
+          Math.min(this.config.maxEstimateMs, Math.max(this.config.minEstimateMs, ms * factor))
+        );
+
+      const base = percentiles || {
+        p25: fallbackWaitMs / 2,
+        p50: fallbackWaitMs,
+        p75: fallbackWaitMs * 2
+      };
+
+      return {
+        estimated: clamp(base.p50),
+        range: { min: clamp(base.p25), max: clamp(base.p75) },
+        confidence: this.getConfidence(samples.length, basis),
+        basis,
+        sampleSize: samples.length,
+        percentiles
+      };
+    } catch (error) {
+      logger.error('Failed to estimate wait time', {
+        error: error.message,
+        gameId,
+        gameMode,
+        region
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Past wait times for the narrowest bucket that has enough of them
+   */
+  async getSamples(gameId, gameMode, region, now) {
+    const regional = await this.getHistory({ gameId, gameMode, region }, now);
+    const timeOfDay = this.filterByTimeOfDay(regional, now);
+
+    if (timeOfDay.length >= this.config.minSamples) {
+      return { samples: timeOfDay.map((m) => m.waitMs), basis: 'time_of_day' };
+    }
+    if (regional.length >= this.config.minSamples) {
+      return { samples: regional.map((m) => m.waitMs), basis: 'region' };
+    }
+
+    const allRegions = await this.getHistory({ gameId, gameMode }, now);
+    if (allRegions.length >= this.config.minSamples) {
+      return { samples: allRegions.map((m) => m.waitMs), basis: 'game_mode' };
+    }
+
+    return { samples: [], basis: 'global' };
+  }
+
+  /**
+   * Recent wait times for a game and mode, optionally in one region, cached briefly
+   * since every status update asks for them
+   */
+  async getHistory(filter, now) {
+    const key = [filter.gameId, filter.gameMode, filter.region || '*'].join(':');
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > now.getTime()) {
+      return cached.history;
+    }
+
+    const matches = await MatchHistory.find({
+      ...filter,
+      status: { $ne: 'cancelled' },
+      formedAt: { $gte: new Date(now.getTime() - this.config.historyWindowMs) },
+      'matchingMetrics.totalSearchTime': { $gt: 0 }
+    })
+      .select('formedAt matchingMetrics.totalSearchTime')
+      .sort({ formedAt: -1 })
+      .limit(this.config.maxSamples)
+      .lean();
+
+    const history = matches.map((m) => ({
+      formedAt: new Date(m.formedAt),
+      waitMs: m.matchingMetrics.totalSearchTime
+    }));
+    this.cache.set(key, { history, expiresAt: now.getTime() + this.config.cacheTtlMs });
+
+    return history;
+  }
+
+  /**
+   * Matches formed within the hour window around the current UTC hour on any day
+   */
+  filterByTimeOfDay(history, now) {
+    const hour = now.getUTCHours();
+    return history.filter((m) => {
+      const distance = Math.abs(m.formedAt.getUTCHours() - hour);
+      return Math.min(distance, 24 - distance) <= this.config.hourWindow;
+    });
+  }
+
+  /**
+   * Nearest-rank percentiles of a set of wait times
+   */
+  getPercentiles(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const at = (p) => sorted.at(Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1));
+
+    return { p25: at(0.25), p50: at(0.5), p75: at(0.75), p90: at(0.9) };
+  }
+
+  /**
+   * Scale historical waits by queue depth and relaxation. A queue with twice the players a
+   * group needs halves the wait; one holding only half a group doubles it.
+   */
+  getAdjustmentFactor(queueSize, groupSize, relaxationLevel) {
+    const depthFactor = groupSize / Math.max(queueSize, 1);
+    const relaxationFactor = 1 - relaxationLevel * this.config.relaxationDiscount;
+
+    return Math.min(
+      this.config.maxFactor,
+      Math.max(this.config.minFactor, depthFactor * Math.max(relaxationFactor, 0))
+    );
+  }
+
+  /**
+   * How far to trust an estimate given its sample size and how far it had to widen
+   */
+  getConfidence(sampleSize, basis) {
+    if (basis === 'global') {
+      return 'low';
+    }
+    if (basis === 'time_of_day' && sampleSize >= this.config.highConfidenceSamples) {
+      return 'high';
+    }
+    return 'medium';
+  }
+
+  /**
+   * Drop cached history, e.g. after matches were recorded in bulk
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new WaitTimeService();
@@ -1,7 +1,7 @@
 const Joi = require('joi');
 
-// Calculate maxScheduleTime once when the module is loaded
-const MAX_SCHEDULE_TIME_FROM_NOW = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
+// Scheduled requests can be made up to 7 days ahead
+const MAX_SCHEDULE_AHEAD_MS = 7 * 24 * 60 * 60 * 1000;
 
 // Submit match request schema
 const submitMatchRequestSchema = Joi.object({
@@ -44,7 +44,24 @@ const submitMatchRequestSchema = Joi.object({
       'custom.groupSize': 'Minimum group size cannot be greater than maximum'
     }),
 
-  regionPreference: Joi.string().valid('strict', 'preferred', 'any').default('preferred'),
+  regionPreference: Joi.string()
+    .valid('strict', 'preferred', 'any', 'max_ping')
+    .default('preferred'),
+
+  // Only regions within this ping are used under the 'max_ping' preference
+  maxPing: Joi.number()
+    .integer()
+    .min(10)
+    .max(1000)
+    .when('regionPreference', {
+      is: 'max_ping',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'any.required': 'Max ping is required for the max_ping region preference',
+      'any.unknown': 'Max ping is only allowed with the max_ping region preference'
+    }),
 
   regions: Joi.array()
     .items(Joi.string().valid('NA', 'EU', 'AS', 'SA', 'OC', 'AF', 'ANY'))
@@ -55,17 +72,48 @@ const submitMatchRequestSchema = Joi.object({
       'array.min': 'At least one region must be selected'
     }),
 
+  // Round-trip times the client measured to each region; required for 'max_ping'
+  regionPings: Joi.array()
+    .items(
+      Joi.object({
+        region: Joi.string().valid('NA', 'EU', 'AS', 'SA', 'OC', 'AF').required(),
+        pingMs: Joi.number().integer().min(0).max(5000).required()
+      })
+    )
+    .max(6)
+    .unique('region')
+    .when('regionPreference', {
+      is: 'max_ping',
+      then: Joi.array().min(1).required()
+    })
+    .messages({
+      'any.required': 'Region pings are required for the max_ping region preference',
+      'array.min': 'Region pings are required for the max_ping region preference',
+      'array.unique': 'Each region can only be measured once'
+    }),
+
   languagePreference: Joi.string().valid('strict', 'preferred', 'any').default('any'),
 
   languages: Joi.array().items(Joi.string().min(2).max(5)).max(10).optional(),
 
   skillPreference: Joi.string().valid('similar', 'any').default('similar'),
 
-  scheduledTime: Joi.date().min('now').max(MAX_SCHEDULE_TIME_FROM_NOW).optional().messages({
-    // Use the pre-calculated value
-    'date.min': 'Scheduled time cannot be in the past',
-    'date.max': 'Scheduled time cannot be more than 7 days in the future'
-  }),
+  roles: Joi.object({
+    preferred: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(10).default([]),
+    acceptable: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(10).default([])
+  }).optional(),
+
+  // The upper bound is checked per request; a fixed Date would drift as the server runs
+  scheduledTime: Joi.date()
+    .min('now')
+    .custom((value, helpers) =>
+      value.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS ? helpers.error('date.max') : value
+    )
+    .optional()
+    .messages({
+      'date.min': 'Scheduled time cannot be in the past',
+      'date.max': 'Scheduled time cannot be more than 7 days in the future'
+    }),
 
   preselectedUsers: Joi.array()
     .items(
@@ -92,6 +140,49 @@ const cancelMatchRequestParamsSchema = Joi.object({
     })
 });
 
+// Match result params
+const matchResultParamsSchema = Joi.object({
+  matchId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid match ID format'
+    })
+});
+
+// Report match result
+const reportMatchResultSchema = Joi.object({
+  outcomes: Joi.array()
+    .items(
+      Joi.object({
+        team: Joi.number().integer().min(1).required(),
+        outcome: Joi.string().valid('win', 'loss', 'draw').required()
+      })
+    )
+    .min(2)
+    .max(10)
+    .required()
+    .messages({
+      'array.min': 'Outcomes for at least two teams are required'
+    })
+});
+
+// Rating history params
+const ratingHistoryParamsSchema = Joi.object({
+  gameId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid game ID format'
+    })
+});
+
+// Rating history query
+const ratingHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
 // Get match history query
 const getMatchHistoryQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
@@ -107,9 +198,77 @@ const getMatchmakingStatsQuerySchema = Joi.object({
   hours: Joi.number().integer().min(1).max(168).default(24) // Max 1 week
 });
 
+// Matchmaking settings update (admin); empty settings clear the overrides
+const updateMatchSettingsSchema = Joi.object({
+  gameMode: Joi.string().valid('all', 'casual', 'competitive', 'ranked', 'custom').default('all'),
+  settings: Joi.object({
+    minGroupSize: Joi.number().integer().min(2).max(100),
+    maxGroupSize: Joi.number().integer().min(2).max(100),
+    skillRangeTiers: Joi.array().items(Joi.number().min(0).max(100)).min(1).max(10),
+    compatibilityThreshold: Joi.number().min(0).max(1),
+    relaxationIntervals: Joi.array()
+      .items(
+        Joi.number()
+          .integer()
+          .min(1000)
+          .max(60 * 60 * 1000)
+      )
+      .min(1)
+      .max(10)
+  }).required()
+});
+
+// Matchmaking penalties list query (admin)
+const getPenaltiesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// User penalties params (admin)
+const userPenaltiesParamsSchema = Joi.object({
+  userId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid user ID format'
+    })
+});
+
+// A player in a match
+const matchPlayerParamsSchema = Joi.object({
+  matchId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid match ID format'
+    }),
+  userId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid user ID format'
+    })
+});
+
+// Commend a player or mark them to avoid as a teammate
+const playerFeedbackSchema = Joi.object({
+  type: Joi.string().valid('commend', 'avoid').required().messages({
+    'any.required': 'Feedback type is required'
+  })
+});
+
 module.exports = {
   submitMatchRequestSchema,
   cancelMatchRequestParamsSchema,
+  matchResultParamsSchema,
+  reportMatchResultSchema,
+  ratingHistoryParamsSchema,
+  ratingHistoryQuerySchema,
   getMatchHistoryQuerySchema,
-  getMatchmakingStatsQuerySchema
+  getMatchmakingStatsQuerySchema,
+  updateMatchSettingsSchema,
+  getPenaltiesQuerySchema,
+  userPenaltiesParamsSchema,
+  matchPlayerParamsSchema,
+  playerFeedbackSchema
 };
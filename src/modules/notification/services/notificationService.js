@@ -26,8 +26,13 @@ const resolvePreferenceKeys = (notificationType) => {
     case 'friend_accepted':
       return ['friend_request', 'friendRequests'];
     case 'match_found':
+    case 'party_invite':
+    case 'match_reminder':
+    case 'match_expired':
       return ['match_found', 'matchFound'];
     case 'lobby_invite':
+    case 'lobby_invite_accepted':
+    case 'lobby_invite_declined':
     case 'lobby_ready':
       return ['lobby_invite', 'lobbyInvites'];
     case 'message_received':
@@ -10,7 +10,12 @@ const getNotificationsQuerySchema = Joi.object({
       'friend_request',
       'friend_accepted',
       'match_found',
+      'party_invite',
+      'match_reminder',
+      'match_expired',
       'lobby_invite',
+      'lobby_invite_accepted',
+      'lobby_invite_declined',
       'lobby_ready',
       'message_received',
       'system_announcement',
@@ -0,0 +1,140 @@
+const friendService = require('../services/friendService');
+const asyncHandler = require('../../../utils/asyncHandler');
+
+const getFriends = asyncHandler(async (req, res) => {
+  const friends = await friendService.getFriends(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { friends }
+  });
+});
+
+const getFriendRequests = asyncHandler(async (req, res) => {
+  const { type = 'received' } = req.query;
+
+  const requests = await friendService.getFriendRequests(req.user.id, type);
+
+  res.status(200).json({
+    status: 'success',
+    data: { requests }
+  });
+});
+
+const sendFriendRequest = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  const friendship = await friendService.sendFriendRequest(req.user.id, userId);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      friendship,
+      message: 'Friend request sent'
+    }
+  });
+});
+
+const acceptFriendRequest = asyncHandler(async (req, res) => {
+  const { friendshipId } = req.params;
+
+  const friendship = await friendService.acceptFriendRequest(req.user.id, friendshipId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      friendship,
+      message: 'Friend request accepted'
+    }
+  });
+});
+
+const declineFriendRequest = asyncHandler(async (req, res) => {
+  const { friendshipId } = req.params;
+
+  const friendship = await friendService.declineFriendRequest(req.user.id, friendshipId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      friendship,
+      message: 'Friend request declined'
+    }
+  });
+});
+
+const cancelFriendRequest = asyncHandler(async (req, res) => {
+  const { friendshipId } = req.params;
+
+  await friendService.cancelFriendRequest(req.user.id, friendshipId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'Friend request cancelled'
+    }
+  });
+});
+
+const removeFriend = asyncHandler(async (req, res) => {
+  const { friendId } = req.params;
+
+  await friendService.removeFriend(req.user.id, friendId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'Friend removed'
+    }
+  });
+});
+
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const blockedUsers = await friendService.getBlockedUsers(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      blockedUsers
+    }
+  });
+});
+
+const blockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  await friendService.blockUser(req.user.id, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'User blocked'
+    }
+  });
+});
+
+const unblockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  await friendService.unblockUser(req.user.id, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'User unblocked'
+    }
+  });
+});
+
+module.exports = {
+  getFriends,
+  getFriendRequests,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  cancelFriendRequest,
+  removeFriend,
+  getBlockedUsers,
+  blockUser,
+  unblockUser
+};
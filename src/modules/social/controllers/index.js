@@ -1,2 +1,5 @@
-// Placeholder for Sprint 10 when full friend functionality is implemented
-module.exports = {};
+const friendController = require('./friendController');
+
+module.exports = {
+  friendController
+};
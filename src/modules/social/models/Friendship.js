@@ -25,12 +25,22 @@ const friendshipSchema = new mongoose.Schema(
       ref: 'User',
       required: true
     },
-    blockedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
+    // One entry per user blocking the other, so each side's block stands on its own
+    blocks: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        blockedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
     acceptedAt: Date,
-    blockedAt: Date,
     declinedAt: Date
   },
   {
@@ -51,6 +61,7 @@ friendshipSchema.index({ user1Id: 1, user2Id: 1 }, { unique: true });
 // Compound indexes for efficient queries
 friendshipSchema.index({ user1Id: 1, status: 1 });
 friendshipSchema.index({ user2Id: 1, status: 1 });
+friendshipSchema.index({ 'blocks.userId': 1 });
 
 // Pre-save hook to ensure user1Id < user2Id for consistency
 friendshipSchema.pre('save', function (next) {
@@ -63,6 +74,11 @@ friendshipSchema.pre('save', function (next) {
   next();
 });
 
+// Block placed by the given user, if any
+friendshipSchema.methods.getBlockBy = function (userId) {
+  return this.blocks.find((block) => block.userId.toString() === userId.toString());
+};
+
 // Static method to find friendship between two users
 friendshipSchema.statics.findFriendship = async function (userId1, userId2) {
   const [smallerId, largerId] = [userId1.toString(), userId2.toString()].sort();
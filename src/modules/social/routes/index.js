@@ -1,7 +1,3 @@
-// Placeholder for Sprint 10 when friend routes are implemented
-const express = require('express');
-const router = express.Router();
+const socialRoutes = require('./socialRoutes');
 
-// Friend routes will be added in Sprint 10
-
-module.exports = router;
+module.exports = socialRoutes;
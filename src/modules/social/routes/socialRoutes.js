@@ -0,0 +1,90 @@
+const express = require('express');
+const friendController = require('../controllers/friendController');
+const { validateRequest, validateParams, validateQuery } = require('../../../middleware/validator');
+const { authenticate } = require('../../../middleware/auth');
+const { rateLimiter } = require('../../../middleware/rateLimiter');
+const {
+  sendFriendRequestSchema,
+  getFriendRequestsQuerySchema,
+  friendshipIdParamSchema,
+  friendIdParamSchema,
+  blockUserSchema,
+  userIdParamSchema
+} = require('../validations/socialValidation');
+
+const router = express.Router();
+
+// All social routes require authentication
+router.use(authenticate);
+
+// Friends list with online presence
+router.get('/friends', rateLimiter.relaxed, friendController.getFriends);
+
+// Incoming or outgoing friend requests
+router.get(
+  '/friends/requests',
+  rateLimiter.relaxed,
+  validateQuery(getFriendRequestsQuerySchema),
+  friendController.getFriendRequests
+);
+
+// Send friend request
+router.post(
+  '/friends/requests',
+  rateLimiter.standard,
+  validateRequest(sendFriendRequestSchema),
+  friendController.sendFriendRequest
+);
+
+// Accept friend request
+router.post(
+  '/friends/requests/:friendshipId/accept',
+  rateLimiter.standard,
+  validateParams(friendshipIdParamSchema),
+  friendController.acceptFriendRequest
+);
+
+// Decline friend request
+router.post(
+  '/friends/requests/:friendshipId/decline',
+  rateLimiter.standard,
+  validateParams(friendshipIdParamSchema),
+  friendController.declineFriendRequest
+);
+
+// Cancel a sent friend request
+router.delete(
+  '/friends/requests/:friendshipId',
+  rateLimiter.standard,
+  validateParams(friendshipIdParamSchema),
+  friendController.cancelFriendRequest
+);
+
+// Remove friend
+router.delete(
+  '/friends/:friendId',
+  rateLimiter.standard,
+  validateParams(friendIdParamSchema),
+  friendController.removeFriend
+);
+
+// Users blocked by the current user
+router.get('/blocks', rateLimiter.relaxed, friendController.getBlockedUsers);
+
+// Block a user
+router.post(
+  '/blocks',
+  rateLimiter.standard,
+  validateRequest(blockUserSchema),
+  friendController.blockUser
+);
+
+// Unblock a user
+router.delete(
+  '/blocks/:userId',
+  rateLimiter.standard,
+  validateParams(userIdParamSchema),
+  friendController.unblockUser
+);
+
+module.exports = router;
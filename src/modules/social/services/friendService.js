@@ -3,6 +3,7 @@ const User = require('../../auth/models/User');
 const { NotFoundError, BadRequestError, ConflictError } = require('../../../utils/errors');
 const logger = require('../../../utils/logger');
 const notificationService = require('../../notification/services/notificationService');
+const socketManager = require('../../../services/socketManager');
 
 class FriendService {
   /**
@@ -88,6 +89,156 @@ class FriendService {
     }
   }
 
+  /**
+   * Accept a pending friend request addressed to the user
+   */
+  async acceptFriendRequest(userId, friendshipId) {
+    try {
+      const friendship = await this.getPendingRequestForRecipient(userId, friendshipId);
+
+      friendship.status = 'accepted';
+      friendship.acceptedAt = new Date();
+      await friendship.save();
+
+      const requesterId = friendship.requestedBy.toString();
+      const accepter = await User.findById(userId);
+
+      logger.info('Friend request accepted', {
+        friendshipId: friendship._id,
+        requesterId,
+        userId
+      });
+
+      await notificationService.createNotification(requesterId, {
+        type: 'friend_accepted',
+        title: 'Friend Request Accepted',
+        message: `${accepter?.username || 'A user'} accepted your friend request`,
+        data: {
+          entityType: 'user',
+          entityId: userId,
+          actionUrl: '/friends'
+        }
+      });
+
+      return friendship;
+    } catch (error) {
+      logger.error('Failed to accept friend request', {
+        error: error.message,
+        userId,
+        friendshipId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a pending friend request addressed to the user
+   */
+  async declineFriendRequest(userId, friendshipId) {
+    try {
+      const friendship = await this.getPendingRequestForRecipient(userId, friendshipId);
+
+      friendship.status = 'declined';
+      friendship.declinedAt = new Date();
+      await friendship.save();
+
+      logger.info('Friend request declined', {
+        friendshipId: friendship._id,
+        requesterId: friendship.requestedBy,
+        userId
+      });
+
+      return friendship;
+    } catch (error) {
+      logger.error('Failed to decline friend request', {
+        error: error.message,
+        userId,
+        friendshipId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending friend request sent by the user
+   */
+  async cancelFriendRequest(userId, friendshipId) {
+    try {
+      const friendship = await Friendship.findOne({
+        _id: friendshipId,
+        status: 'pending',
+        requestedBy: userId
+      });
+
+      if (!friendship) {
+        throw new NotFoundError('Friend request not found');
+      }
+
+      await friendship.deleteOne();
+
+      logger.info('Friend request cancelled', {
+        friendshipId: friendship._id,
+        userId
+      });
+
+      return friendship;
+    } catch (error) {
+      logger.error('Failed to cancel friend request', {
+        error: error.message,
+        userId,
+        friendshipId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an accepted friendship between two users
+   */
+  async removeFriend(userId, friendId) {
+    try {
+      const friendship = await Friendship.findFriendship(userId, friendId);
+
+      if (!friendship || friendship.status !== 'accepted') {
+        throw new NotFoundError('Friendship not found');
+      }
+
+      await friendship.deleteOne();
+
+      logger.info('Friend removed', {
+        friendshipId: friendship._id,
+        userId,
+        friendId
+      });
+
+      return friendship;
+    } catch (error) {
+      logger.error('Failed to remove friend', { error: error.message, userId, friendId });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a pending request that the user is allowed to answer
+   */
+  async getPendingRequestForRecipient(userId, friendshipId) {
+    const friendship = await Friendship.findOne({
+      _id: friendshipId,
+      status: 'pending',
+      $or: [{ user1Id: userId }, { user2Id: userId }]
+    });
+
+    if (!friendship) {
+      throw new NotFoundError('Friend request not found');
+    }
+
+    if (friendship.requestedBy.toString() === userId.toString()) {
+      throw new BadRequestError('Cannot respond to your own friend request');
+    }
+
+    return friendship;
+  }
+
   /**
    * Get friend requests for a user
    */
@@ -154,21 +305,33 @@ class FriendService {
         'username profile.displayName profile.profileImage status lastActive'
       );
 
+      const pairs = friendships.map((friendship) => [
+        friendship,
+        friendship.user1Id._id.toString() === userId ? friendship.user2Id : friendship.user1Id
+      ]);
+      const onlineIds = new Set(
+        socketManager.getOnlineUsers(pairs.map(([, friend]) => friend._id.toString()))
+      );
+
       // Format to show only the friend's data
-      const friends = friendships.map((friendship) => {
-        const friend =
-          friendship.user1Id._id.toString() === userId ? friendship.user2Id : friendship.user1Id;
+      const friends = pairs.map(([friendship, friend]) => ({
+        _id: friend._id,
+        username: friend.username,
+        displayName: friend.profile?.displayName,
+        profileImage: friend.profile?.profileImage,
+        status: friend.status,
+        lastActive: friend.lastActive,
+        isOnline: onlineIds.has(friend._id.toString()),
+        friendshipId: friendship._id,
+        friendsSince: friendship.acceptedAt
+      }));
 
-        return {
-          _id: friend._id,
-          username: friend.username,
-          displayName: friend.profile.displayName,
-          profileImage: friend.profile.profileImage,
-          status: friend.status,
-          lastActive: friend.lastActive,
-          friendshipId: friendship._id,
-          friendsSince: friendship.acceptedAt
-        };
+      // Online friends first, then most recently active
+      friends.sort((a, b) => {
+        if (a.isOnline !== b.isOnline) {
+          return a.isOnline ? -1 : 1;
+        }
+        return new Date(b.lastActive || 0) - new Date(a.lastActive || 0);
       });
 
       return friends;
@@ -191,6 +354,173 @@ class FriendService {
     }
   }
 
+  /**
+   * Block a user, replacing any existing friendship or pending request
+   */
+  async blockUser(userId, targetUserId) {
+    try {
+      if (userId === targetUserId) {
+        throw new BadRequestError('Cannot block yourself');
+      }
+
+      const targetUser = await User.findById(targetUserId);
+      if (!targetUser) {
+        throw new NotFoundError('User not found');
+      }
+
+      let friendship = await Friendship.findFriendship(userId, targetUserId);
+
+      if (friendship && friendship.status === 'blocked') {
+        if (friendship.getBlockBy(userId)) {
+          throw new ConflictError('User already blocked');
+        }
+        // The other side already blocked this pair; record this side's block alongside it
+        friendship.blocks.push({ userId });
+        await friendship.save();
+      } else {
+        if (!friendship) {
+          friendship = new Friendship({
+            user1Id: userId,
+            user2Id: targetUserId,
+            requestedBy: userId
+          });
+        }
+
+        friendship.status = 'blocked';
+        friendship.blocks = [{ userId }];
+        friendship.acceptedAt = undefined;
+        friendship.declinedAt = undefined;
+        await friendship.save();
+      }
+
+      logger.info('User blocked', {
+        userId,
+        targetUserId,
+        friendshipId: friendship._id
+      });
+
+      return friendship;
+    } catch (error) {
+      logger.error('Failed to block user', { error: error.message, userId, targetUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a block previously placed by the user
+   */
+  async unblockUser(userId, targetUserId) {
+    try {
+      const friendship = await Friendship.findFriendship(userId, targetUserId);
+
+      if (!friendship || friendship.status !== 'blocked' || !friendship.getBlockBy(userId)) {
+        throw new NotFoundError('User is not blocked');
+      }
+
+      // The pair stays blocked while the other side's block remains
+      friendship.blocks = friendship.blocks.filter(
+        (block) => block.userId.toString() !== userId.toString()
+      );
+      if (friendship.blocks.length > 0) {
+        await friendship.save();
+      } else {
+        await friendship.deleteOne();
+      }
+
+      logger.info('User unblocked', { userId, targetUserId });
+
+      return friendship;
+    } catch (error) {
+      logger.error('Failed to unblock user', { error: error.message, userId, targetUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get users blocked by the user
+   */
+  async getBlockedUsers(userId) {
+    try {
+      const friendships = await Friendship.find({
+        status: 'blocked',
+        'blocks.userId': userId
+      }).populate('user1Id user2Id', 'username profile.displayName profile.profileImage');
+
+      return friendships
+        .map((friendship) => {
+          const blockedUser =
+            friendship.user1Id._id.toString() === userId ? friendship.user2Id : friendship.user1Id;
+
+          return {
+            _id: blockedUser._id,
+            username: blockedUser.username,
+            displayName: blockedUser.profile?.displayName,
+            profileImage: blockedUser.profile?.profileImage,
+            blockedAt: friendship.getBlockBy(userId).blockedAt
+          };
+        })
+        .sort((a, b) => b.blockedAt - a.blockedAt);
+    } catch (error) {
+      logger.error('Failed to get blocked users', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of users on either side of a block with the user
+   */
+  async getBlockedUserIds(userId) {
+    const friendships = await Friendship.find({
+      status: 'blocked',
+      $or: [{ user1Id: userId }, { user2Id: userId }]
+    })
+      .select('user1Id user2Id')
+      .lean();
+
+    const userIdString = userId.toString();
+    return new Set(
+      friendships.map((friendship) =>
+        friendship.user1Id.toString() === userIdString
+          ? friendship.user2Id.toString()
+          : friendship.user1Id.toString()
+      )
+    );
+  }
+
+  /**
+   * Map each user to the users they share a block with, limited to the given set
+   */
+  async getBlockedUserMap(userIds) {
+    const blockedMap = new Map();
+    if (!userIds || userIds.length < 2) {
+      return blockedMap;
+    }
+
+    const friendships = await Friendship.find({
+      status: 'blocked',
+      user1Id: { $in: userIds },
+      user2Id: { $in: userIds }
+    })
+      .select('user1Id user2Id')
+      .lean();
+
+    const addPair = (from, to) => {
+      if (!blockedMap.has(from)) {
+        blockedMap.set(from, new Set());
+      }
+      blockedMap.get(from).add(to);
+    };
+
+    friendships.forEach((friendship) => {
+      const user1 = friendship.user1Id.toString();
+      const user2 = friendship.user2Id.toString();
+      addPair(user1, user2);
+      addPair(user2, user1);
+    });
+
+    return blockedMap;
+  }
+
   /**
    * Check if user is blocked
    */
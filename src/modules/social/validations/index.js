@@ -0,0 +1,17 @@
+const {
+  sendFriendRequestSchema,
+  blockUserSchema,
+  getFriendRequestsQuerySchema,
+  friendshipIdParamSchema,
+  friendIdParamSchema,
+  userIdParamSchema
+} = require('./socialValidation');
+
+module.exports = {
+  sendFriendRequestSchema,
+  blockUserSchema,
+  getFriendRequestsQuerySchema,
+  friendshipIdParamSchema,
+  friendIdParamSchema,
+  userIdParamSchema
+};
@@ -0,0 +1,48 @@
+const Joi = require('joi');
+
+const objectId = () => Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const sendFriendRequestSchema = Joi.object({
+  userId: objectId().required().messages({
+    'string.pattern.base': 'Invalid user ID format',
+    'any.required': 'Target user ID is required'
+  })
+});
+
+const blockUserSchema = Joi.object({
+  userId: objectId().required().messages({
+    'string.pattern.base': 'Invalid user ID format',
+    'any.required': 'User ID is required'
+  })
+});
+
+const getFriendRequestsQuerySchema = Joi.object({
+  type: Joi.string().valid('received', 'sent').default('received')
+});
+
+const friendshipIdParamSchema = Joi.object({
+  friendshipId: objectId().required().messages({
+    'string.pattern.base': 'Invalid friendship ID format'
+  })
+});
+
+const friendIdParamSchema = Joi.object({
+  friendId: objectId().required().messages({
+    'string.pattern.base': 'Invalid user ID format'
+  })
+});
+
+const userIdParamSchema = Joi.object({
+  userId: objectId().required().messages({
+    'string.pattern.base': 'Invalid user ID format'
+  })
+});
+
+module.exports = {
+  sendFriendRequestSchema,
+  blockUserSchema,
+  getFriendRequestsQuerySchema,
+  friendshipIdParamSchema,
+  friendIdParamSchema,
+  userIdParamSchema
+};
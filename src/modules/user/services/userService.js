@@ -107,6 +107,11 @@ class UserService {
         updatedFields.push('gamingPreferences.languages');
       }
 
+      if (preferences.groupWithCommended !== undefined) {
+        user.gamingPreferences.groupWithCommended = preferences.groupWithCommended;
+        updatedFields.push('gamingPreferences.groupWithCommended');
+      }
+
       if (updatedFields.length === 0) {
         logger.info('No valid fields to update for gaming preferences', { userId });
         return user;
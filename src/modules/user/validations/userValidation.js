@@ -14,7 +14,8 @@ const updateGamingPreferencesSchema = Joi.object({
     .items(Joi.string().regex(/^[0-9a-fA-F]{24}$/))
     .optional(),
   regions: Joi.array().items(Joi.string().max(50)).max(10).optional(),
-  languages: Joi.array().items(Joi.string().max(10)).max(10).optional()
+  languages: Joi.array().items(Joi.string().max(10)).max(10).optional(),
+  groupWithCommended: Joi.boolean().optional()
 });
 
 // Game profile schema
@@ -3,6 +3,7 @@ const logger = require('./utils/logger').forModule('app:server');
 const databaseManager = require('./config/database');
 const app = require('./app');
 const gameSyncJob = require('./jobs/gameSyncJob');
+const scheduledMatchmakingJob = require('./jobs/scheduledMatchmakingJob');
 const socketManager = require('./services/socketManager');
 const redisManager = require('./services/redis');
 const notificationQueue = require('./jobs/notificationQueue');
@@ -66,6 +67,11 @@ async function startServer() {
       gameSyncJob.schedule();
       logger.info('Game sync job scheduled');
     }
+
+    if (config.jobs.scheduledMatchmakingEnabled && config.env !== 'test') {
+      scheduledMatchmakingJob.schedule();
+      logger.info('Scheduled matchmaking job scheduled');
+    }
   } catch (error) {
     logger.fatal('Failed to start server', { error: error.message });
     process.exit(1);
@@ -1,9 +1,11 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const config = require('../config');
 const logger = require('../utils/logger').forModule('services:socket');
 const { AuthenticationError } = require('../utils/errors');
 const User = require('../modules/auth/models/User');
+const Lobby = require('../modules/lobby/models/Lobby');
 const socketMetrics = require('./socketMetrics');
 
 // Forward declare matchmakingService to be loaded dynamically
@@ -164,6 +166,8 @@ class SocketManager {
       socket.on('matchmaking:unsubscribe', (data) =>
         this.handleMatchmakingUnsubscribe(socket, data)
       );
+      socket.on('matchmaking:accept', (data) => this.handleMatchResponse(socket, data, true));
+      socket.on('matchmaking:decline', (data) => this.handleMatchResponse(socket, data, false));
 
       // User status events
       socket.on('user:status:subscribe', (data) => this.handleUserStatusSubscribe(socket, data));
@@ -336,6 +340,7 @@ class SocketManager {
                 searchTime: searchDuration,
                 potentialMatches: currentRequestState.queueInfo?.potentialMatches || 0,
                 estimatedTime: estimatedTimeResult?.estimated ?? 300000,
+                estimatedRange: estimatedTimeResult?.range || null,
                 confidence: estimatedTimeResult?.confidence || 'low',
                 matchId: currentRequestState.request.matchedLobbyId
                   ? currentRequestState.request.matchedLobbyId.toString()
@@ -530,15 +535,33 @@ class SocketManager {
     }
   }
 
-  handleLobbySubscribe(socket, data) {
+  async handleLobbySubscribe(socket, data) {
     try {
-      const { lobbyId } = data;
+      const { lobbyId } = data || {};
 
-      if (!lobbyId || typeof lobbyId !== 'string') {
+      if (!lobbyId || typeof lobbyId !== 'string' || !mongoose.Types.ObjectId.isValid(lobbyId)) {
         socket.emit('error', { message: 'Invalid lobby ID' });
         return;
       }
 
+      // Only members and spectators follow a lobby, and never users banned from it
+      const lobby = await Lobby.findById(lobbyId).select('members spectators bannedUserIds');
+      // Lazily required: lobbyService depends on this manager
+      const lobbyService = require('../modules/lobby/services/lobbyService');
+      if (
+        !lobby ||
+        lobby.isBanned(socket.userId) ||
+        !(lobbyService.isActiveMember(lobby, socket.userId) || lobby.isSpectator(socket.userId))
+      ) {
+        logger.warn('Lobby subscribe refused', {
+          socketId: socket.id,
+          userId: socket.userId,
+          lobbyId
+        });
+        socket.emit('error', { message: 'Not allowed to subscribe to this lobby' });
+        return;
+      }
+
       const roomName = `lobby:${lobbyId}`;
       socket.join(roomName);
       this.rooms.set(roomName, (this.rooms.get(roomName) || new Set()).add(socket.id));
@@ -614,19 +637,44 @@ class SocketManager {
     }
   }
 
+  async handleMatchResponse(socket, data, accepted) {
+    try {
+      const { matchId } = data || {};
+      if (!matchId || typeof matchId !== 'string') {
+        socket.emit('error', { message: 'Match ID (string) required to respond to a match' });
+        return;
+      }
+
+      // Delegate to the accept service; it notifies every player of the outcome
+      const matchAcceptService = require('../modules/matchmaking/services/matchAcceptService');
+      await matchAcceptService.respond(matchId, socket.userId, accepted);
+    } catch (error) {
+      logger.error('Failed to handle match response', {
+        error: error.message,
+        socketId: socket.id,
+        userId: socket.userId
+      });
+      socket.emit('error', { message: error.message || 'Failed to respond to match' });
+    }
+  }
+
   async handleChatMessage(socket, data) {
     try {
-      const { lobbyId, content, contentType = 'text' } = data;
+      const { lobbyId, chatId, content, contentType = 'text' } = data;
       const userId = socket.userId;
 
-      if (!lobbyId || !content) {
+      if ((!lobbyId && !chatId) || !content) {
         socket.emit('error', { message: 'Invalid message data' });
         return;
       }
 
-      // Delegate to chat service
+      // Delegate to chat service; chatId targets a direct or group conversation
       const chatService = require('../modules/chat/services/chatService');
-      await chatService.sendLobbyMessage(lobbyId, userId, content, contentType);
+      if (chatId) {
+        await chatService.sendChatMessage(chatId, userId, content, contentType);
+      } else {
+        await chatService.sendLobbyMessage(lobbyId, userId, content, contentType);
+      }
     } catch (error) {
       logger.error('Failed to handle chat message', {
         error: error.message,
@@ -658,9 +706,14 @@ class SocketManager {
   }
 
   // Add this method for emitting to room
-  emitToRoom(roomName, event, data) {
+  emitToRoom(roomName, event, data, options = {}) {
     try {
-      this.io.to(roomName).emit(event, data);
+      const { excludeUserIds = [] } = options;
+      let target = this.io.to(roomName);
+      if (excludeUserIds.length > 0) {
+        target = target.except(excludeUserIds.map((id) => `user:${id}`));
+      }
+      target.emit(event, data);
       logger.debug('Emitted event to room', { roomName, event });
       return true;
     } catch (error) {
@@ -739,6 +792,31 @@ class SocketManager {
     });
   }
 
+  removeUserFromRoom(userId, roomName) {
+    try {
+      const userSocketSet = this.userSockets.get(userId);
+      if (!userSocketSet || userSocketSet.size === 0) {
+        return false;
+      }
+
+      this.io.in(`user:${userId}`).socketsLeave(roomName);
+
+      const roomMembers = this.rooms.get(roomName);
+      if (roomMembers) {
+        userSocketSet.forEach((socketId) => roomMembers.delete(socketId));
+        if (roomMembers.size === 0) {
+          this.rooms.delete(roomName);
+        }
+      }
+
+      logger.debug('Removed user sockets from room', { userId, roomName });
+      return true;
+    } catch (error) {
+      logger.error('Failed to remove user from room', { error: error.message, userId, roomName });
+      return false;
+    }
+  }
+
   emitToUser(userId, event, data) {
     try {
       const userSocketSet = this.userSockets.get(userId);
@@ -7,6 +7,7 @@ const MatchRequest = require('../modules/matchmaking/models/MatchRequest');
 const Friendship = require('../modules/social/models/Friendship');
 const Notification = require('../modules/notification/models/Notification');
 const Chat = require('../modules/chat/models/Chat');
+const ChatMessage = require('../modules/chat/models/ChatMessage');
 
 const logger = baseLogger.forModule('dev:seeder');
 
@@ -1264,12 +1265,6 @@ async function seedFriendships(userMap) {
       });
     }
 
-    if (seed.blockedBy) {
-      friendship.blockedBy = ensureUser(userMap, seed.blockedBy)._id;
-    } else {
-      friendship.blockedBy = undefined;
-    }
-
     if (typeof seed.acceptedMinutesAgo === 'number') {
       friendship.acceptedAt = minutesAgo(seed.acceptedMinutesAgo);
     } else if (seed.acceptedAt) {
@@ -1286,12 +1281,14 @@ async function seedFriendships(userMap) {
       friendship.declinedAt = undefined;
     }
 
-    if (typeof seed.blockedMinutesAgo === 'number') {
-      friendship.blockedAt = minutesAgo(seed.blockedMinutesAgo);
-    } else if (seed.blockedAt) {
-      friendship.blockedAt = seed.blockedAt;
-    } else if (friendship.status !== 'blocked') {
-      friendship.blockedAt = undefined;
+    if (seed.blockedBy) {
+      let blockedAt = seed.blockedAt || new Date();
+      if (typeof seed.blockedMinutesAgo === 'number') {
+        blockedAt = minutesAgo(seed.blockedMinutesAgo);
+      }
+      friendship.blocks = [{ userId: ensureUser(userMap, seed.blockedBy)._id, blockedAt }];
+    } else {
+      friendship.blocks = [];
     }
 
     await friendship.save();
@@ -1453,6 +1450,7 @@ async function seedChats(userMap, lobbyMap) {
 
       const contentType = message.contentType || 'text';
       const payload = {
+        chatId: chat._id,
         content: message.content,
         contentType,
         createdAt
@@ -1473,11 +1471,11 @@ async function seedChats(userMap, lobbyMap) {
       return payload;
     });
 
-    chat.set('messages', messages);
-    chat.markModified('messages');
     chat.lastMessageAt = messages.length ? messages[messages.length - 1].createdAt : undefined;
 
     await chat.save();
+    await ChatMessage.deleteMany({ chatId: chat._id });
+    await ChatMessage.insertMany(messages);
     chats.push(chat);
 
     if (seed.chatType === 'lobby' && lobby) {
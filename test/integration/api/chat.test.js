@@ -0,0 +1,341 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../src/app');
+const User = require('../../../src/modules/auth/models/User');
+const Chat = require('../../../src/modules/chat/models/Chat');
+const ChatMessage = require('../../../src/modules/chat/models/ChatMessage');
+const ChatMute = require('../../../src/modules/chat/models/ChatMute');
+const Report = require('../../../src/modules/admin/models/Report');
+const Friendship = require('../../../src/modules/social/models/Friendship');
+const authService = require('../../../src/modules/auth/services/authService');
+const friendService = require('../../../src/modules/social/services/friendService');
+const chatService = require('../../../src/modules/chat/services/chatService');
+const chatFilterService = require('../../../src/modules/chat/services/chatFilterService');
+const config = require('../../../src/config');
+const { testUsers } = require('../../fixtures/users');
+
+describe('Direct and Group Chat API', () => {
+  let user1Token, user2Token, user3Token;
+  let user1, user2, user3;
+
+  const befriend = async (a, b) => {
+    const friendship = await friendService.sendFriendRequest(a.id, b.id);
+    await friendService.acceptFriendRequest(b.id, friendship._id.toString());
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Chat.deleteMany({});
+    await ChatMessage.deleteMany({});
+    await ChatMute.deleteMany({});
+    await Report.deleteMany({});
+    await Friendship.deleteMany({});
+
+    const results = await Promise.all([
+      authService.register({
+        email: testUsers[0].email,
+        username: testUsers[0].username,
+        password: testUsers[0].password
+      }),
+      authService.register({
+        email: testUsers[1].email,
+        username: testUsers[1].username,
+        password: testUsers[1].password
+      }),
+      authService.register({
+        email: 'user3@example.com',
+        username: 'user3',
+        password: 'Password123!'
+      })
+    ]);
+
+    [user1Token, user2Token, user3Token] = results.map((r) => r.accessToken);
+    [user1, user2, user3] = results.map((r) => r.user);
+
+    await befriend(user1, user2);
+    await befriend(user1, user3);
+  });
+
+  describe('POST /api/chat/direct', () => {
+    it('should start a direct chat once and reuse it afterwards', async () => {
+      const first = await request(app)
+        .post('/api/chat/direct')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ userId: user2.id })
+        .expect(201);
+
+      const second = await request(app)
+        .post('/api/chat/direct')
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ userId: user1.id })
+        .expect(200);
+
+      expect(second.body.data.chat._id).to.equal(first.body.data.chat._id);
+    });
+
+    it('should refuse a direct chat with a non-friend', async () => {
+      await request(app)
+        .post('/api/chat/direct')
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ userId: user3.id })
+        .expect(400);
+    });
+  });
+
+  describe('Conversations', () => {
+    it('should list conversations by latest message with unread counts', async () => {
+      const { chat: direct } = await chatService.getOrCreateDirectChat(user1.id, user2.id);
+      const group = await chatService.createGroupChat(user1.id, {
+        name: 'Raid night',
+        participantIds: [user2.id, user3.id]
+      });
+
+      await chatService.sendChatMessage(group._id.toString(), user3.id, 'who is on tonight?');
+      await chatService.sendChatMessage(direct._id.toString(), user2.id, 'hey');
+      await chatService.sendChatMessage(direct._id.toString(), user2.id, 'you there?');
+
+      const res = await request(app)
+        .get('/api/chat/conversations')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      const [latest, older] = res.body.data.conversations;
+      expect(latest._id).to.equal(direct._id.toString());
+      expect(latest.unreadCount).to.equal(2);
+      expect(latest.lastMessage.content).to.equal('you there?');
+      expect(older.name).to.equal('Raid night');
+      expect(older.unreadCount).to.equal(1);
+    });
+
+    it('should paginate history and clear unread on read', async () => {
+      const { chat } = await chatService.getOrCreateDirectChat(user1.id, user2.id);
+      for (let i = 1; i <= 3; i++) {
+        await chatService.sendChatMessage(chat._id.toString(), user2.id, `message ${i}`);
+      }
+
+      const page = await request(app)
+        .get(`/api/chat/conversations/${chat._id}/messages`)
+        .query({ limit: 2 })
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(page.body.data.messages.map((m) => m.content)).to.deep.equal([
+        'message 2',
+        'message 3'
+      ]);
+      expect(page.body.data.hasMore).to.be.true;
+
+      await request(app)
+        .post(`/api/chat/conversations/${chat._id}/read`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      const conversations = await chatService.getConversations(user1.id);
+      expect(conversations[0].unreadCount).to.equal(0);
+    });
+
+    it('should send messages over the API and hide chats from outsiders', async () => {
+      const { chat } = await chatService.getOrCreateDirectChat(user1.id, user2.id);
+
+      await request(app)
+        .post(`/api/chat/conversations/${chat._id}/messages`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ content: 'gg' })
+        .expect(201);
+
+      await request(app)
+        .get(`/api/chat/conversations/${chat._id}/messages`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+    });
+  });
+
+  describe('Message edits, deletes and reactions', () => {
+    let chatId;
+    let messageId;
+
+    beforeEach(async () => {
+      const { chat } = await chatService.getOrCreateDirectChat(user1.id, user2.id);
+      chatId = chat._id.toString();
+      const message = await chatService.sendChatMessage(chatId, user1.id, 'helo');
+      messageId = message._id.toString();
+    });
+
+    it('should show edits in history', async () => {
+      await request(app)
+        .patch(`/api/chat/${chatId}/messages/${messageId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ content: 'hello' })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/chat/conversations/${chatId}/messages`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .expect(200);
+
+      const [message] = res.body.data.messages;
+      expect(message.content).to.equal('hello');
+      expect(message.isEdited).to.be.true;
+    });
+
+    it('should only let the author edit or delete', async () => {
+      await request(app)
+        .patch(`/api/chat/${chatId}/messages/${messageId}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ content: 'hijacked' })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/chat/${chatId}/messages/${messageId}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .expect(403);
+    });
+
+    it('should soft-delete a message and hide its content', async () => {
+      await request(app)
+        .delete(`/api/chat/${chatId}/messages/${messageId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/chat/conversations/${chatId}/messages`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .expect(200);
+
+      const [message] = res.body.data.messages;
+      expect(message.isDeleted).to.be.true;
+      expect(message.content).to.be.null;
+
+      const stored = await ChatMessage.findById(messageId);
+      expect(stored.content).to.equal('helo');
+    });
+
+    it('should add and remove reactions', async () => {
+      const added = await request(app)
+        .post(`/api/chat/${chatId}/messages/${messageId}/reactions`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ emoji: '👍' })
+        .expect(200);
+
+      expect(added.body.data.reactions[0].emoji).to.equal('👍');
+      expect(added.body.data.reactions[0].userIds).to.deep.equal([user2.id]);
+
+      const removed = await request(app)
+        .delete(`/api/chat/${chatId}/messages/${messageId}/reactions/${encodeURIComponent('👍')}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .expect(200);
+
+      expect(removed.body.data.reactions).to.have.lengthOf(0);
+    });
+
+    it('should only accept a single emoji as a reaction', async () => {
+      for (const emoji of ['lol', '👍👍']) {
+        const res = await request(app)
+          .post(`/api/chat/${chatId}/messages/${messageId}/reactions`)
+          .set('Authorization', `Bearer ${user2Token}`)
+          .send({ emoji })
+          .expect(422);
+
+        expect(res.body.error.details[0].message).to.equal('Reaction must be a single emoji');
+      }
+    });
+  });
+
+  describe('Mutes', () => {
+    it('should hide a muted user from history until unmuted', async () => {
+      const group = await chatService.createGroupChat(user1.id, {
+        name: 'Squad',
+        participantIds: [user2.id, user3.id]
+      });
+      await chatService.sendChatMessage(group._id.toString(), user2.id, 'spam spam spam');
+      await chatService.sendChatMessage(group._id.toString(), user3.id, 'hi all');
+
+      await request(app)
+        .post('/api/chat/mutes')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ userId: user2.id })
+        .expect(201);
+
+      await request(app)
+        .post('/api/chat/mutes')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ userId: user2.id })
+        .expect(409);
+
+      const muted = await request(app)
+        .get(`/api/chat/conversations/${group._id}/messages`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+      expect(muted.body.data.messages.map((m) => m.content)).to.not.include('spam spam spam');
+
+      const list = await request(app)
+        .get('/api/chat/mutes')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+      expect(list.body.data.mutes[0].mutedUserId.username).to.equal(user2.username);
+
+      await request(app)
+        .delete(`/api/chat/mutes/${user2.id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      const unmuted = await request(app)
+        .get(`/api/chat/conversations/${group._id}/messages`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+      expect(unmuted.body.data.messages.map((m) => m.content)).to.include('spam spam spam');
+    });
+  });
+
+  describe('Chat filter', () => {
+    let chatId;
+
+    beforeEach(async () => {
+      const { chat } = await chatService.getOrCreateDirectChat(user1.id, user2.id);
+      chatId = chat._id.toString();
+    });
+
+    afterEach(() => {
+      chatFilterService.configure(config.chat.filter);
+    });
+
+    it('should mask filtered words by default', async () => {
+      chatFilterService.configure({ action: 'mask' });
+
+      const res = await request(app)
+        .post(`/api/chat/conversations/${chatId}/messages`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ content: 'oh shit' })
+        .expect(201);
+
+      expect(res.body.data.message.content).to.equal('oh ****');
+    });
+
+    it('should reject filtered words when configured to', async () => {
+      chatFilterService.configure({ action: 'reject' });
+
+      await request(app)
+        .post(`/api/chat/conversations/${chatId}/messages`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ content: 'oh shit' })
+        .expect(400);
+
+      expect(await ChatMessage.countDocuments({ chatId })).to.equal(0);
+    });
+
+    it('should open a report for flagged messages', async () => {
+      chatFilterService.configure({ action: 'flag' });
+
+      const res = await request(app)
+        .post(`/api/chat/conversations/${chatId}/messages`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ content: 'oh shit' })
+        .expect(201);
+
+      const report = await Report.findOne({ reportedId: user1.id });
+      expect(report.source).to.equal('auto');
+      expect(report.reportType).to.equal('chat_message');
+      expect(report.evidence.chatLogIds.map(String)).to.deep.equal([res.body.data.message._id]);
+    });
+  });
+});
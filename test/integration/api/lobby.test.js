@@ -7,6 +7,7 @@ const User = require('../../../src/modules/auth/models/User');
 const Game = require('../../../src/modules/game/models/Game');
 const Lobby = require('../../../src/modules/lobby/models/Lobby');
 const Chat = require('../../../src/modules/chat/models/Chat');
+const ChatMessage = require('../../../src/modules/chat/models/ChatMessage');
 const MatchHistory = require('../../../src/modules/matchmaking/models/MatchHistory');
 const authService = require('../../../src/modules/auth/services/authService');
 const lobbyService = require('../../../src/modules/lobby/services/lobbyService');
@@ -23,6 +24,7 @@ describe('Lobby Integration Tests', () => {
     await Game.deleteMany({});
     await Lobby.deleteMany({});
     await Chat.deleteMany({});
+    await ChatMessage.deleteMany({});
     await MatchHistory.deleteMany({});
 
     // Create test game
@@ -116,6 +118,281 @@ describe('Lobby Integration Tests', () => {
       expect(lobby.capacity.min).to.equal(3);
       expect(lobby.capacity.max).to.equal(3);
     });
+
+    it('should carry team assignments onto lobby members and let the host reshuffle', async () => {
+      const matchHistory = await MatchHistory.create({
+        gameId: testGame._id,
+        gameMode: 'competitive',
+        participants: [
+          { userId: user1.id, team: 1 },
+          { userId: user2.id, team: 2 }
+        ]
+      });
+
+      const lobby = await lobbyService.createLobby({
+        matchHistory,
+        participants: [
+          { userId: user1.id, team: 1 },
+          { userId: user2.id, team: 2 }
+        ]
+      });
+      expect(lobby.members.map((m) => m.team)).to.deep.equal([1, 2]);
+
+      await request(app)
+        .post(`/api/lobbies/${lobby._id}/teams/shuffle`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({})
+        .expect(403);
+
+      const res = await request(app)
+        .post(`/api/lobbies/${lobby._id}/teams/shuffle`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ mode: 'random' })
+        .expect(200);
+
+      const teams = res.body.data.lobby.members.map((m) => m.team);
+      expect(teams).to.have.members([1, 2]);
+
+      const updated = await MatchHistory.findById(matchHistory._id);
+      expect(updated.participants.map((p) => p.team)).to.deep.equal(teams);
+    });
+  });
+
+  describe('Custom Lobbies', () => {
+    describe('POST /api/lobbies', () => {
+      it('should create a custom lobby with the creator as host', async () => {
+        const res = await request(app)
+          .post('/api/lobbies')
+          .set('Authorization', `Bearer ${authToken1}`)
+          .send({
+            name: 'Friday scrims',
+            gameId: testGame._id.toString(),
+            gameMode: 'competitive',
+            region: 'EU',
+            capacity: { min: 2, max: 5 },
+            settings: { isPrivate: false, autoStart: false, customSettings: { map: 'Mirage' } }
+          })
+          .expect(201);
+
+        const { lobby } = res.body.data;
+        expect(lobby.name).to.equal('Friday scrims');
+        expect(lobby.hostId.toString()).to.equal(user1.id);
+        expect(lobby.capacity.max).to.equal(5);
+        expect(lobby.settings.autoStart).to.be.false;
+        expect(lobby.settings.customSettings.map).to.equal('Mirage');
+        expect(lobby.members).to.have.lengthOf(1);
+        expect(lobby.members[0].isHost).to.be.true;
+
+        const chat = await Chat.findById(lobby.chatId);
+        expect(chat.participants.map((p) => p.toString())).to.deep.equal([user1.id]);
+      });
+
+      it('should reject a capacity above the game maximum', async () => {
+        await request(app)
+          .post('/api/lobbies')
+          .set('Authorization', `Bearer ${authToken1}`)
+          .send({
+            name: 'Too big',
+            gameId: testGame._id.toString(),
+            gameMode: 'casual',
+            capacity: { min: 2, max: 50 }
+          })
+          .expect(400);
+      });
+
+      it('should reject a creator who is already in a lobby', async () => {
+        await lobbyService.createCustomLobby(user1.id, {
+          name: 'First',
+          gameId: testGame._id,
+          gameMode: 'casual',
+          capacity: { min: 2, max: 4 }
+        });
+
+        await request(app)
+          .post('/api/lobbies')
+          .set('Authorization', `Bearer ${authToken1}`)
+          .send({ name: 'Second', gameId: testGame._id.toString(), gameMode: 'casual' })
+          .expect(409);
+      });
+    });
+
+    describe('GET /api/lobbies', () => {
+      it('should include closed lobbies only when history is asked for', async () => {
+        const lobby = await lobbyService.createCustomLobby(user1.id, {
+          name: 'Last week',
+          gameId: testGame._id,
+          gameMode: 'casual',
+          capacity: { min: 2, max: 4 }
+        });
+        await Lobby.updateOne({ _id: lobby._id }, { status: 'closed' });
+
+        const current = await request(app)
+          .get('/api/lobbies')
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+        expect(current.body.data.lobbies).to.be.empty;
+
+        const history = await request(app)
+          .get('/api/lobbies')
+          .query({ includeHistory: true })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+        expect(history.body.data.lobbies.map((l) => l.name)).to.deep.equal(['Last week']);
+      });
+    });
+
+    describe('GET /api/lobbies?scope=public', () => {
+      beforeEach(async () => {
+        await lobbyService.createCustomLobby(user1.id, {
+          name: 'Open EU',
+          gameId: testGame._id,
+          gameMode: 'casual',
+          region: 'EU',
+          capacity: { min: 2, max: 4 }
+        });
+        await lobbyService.createCustomLobby(user2.id, {
+          name: 'Private EU',
+          gameId: testGame._id,
+          gameMode: 'casual',
+          region: 'EU',
+          capacity: { min: 2, max: 4 },
+          settings: { isPrivate: true }
+        });
+        await lobbyService.createCustomLobby(user3.id, {
+          name: 'Open NA',
+          gameId: testGame._id,
+          gameMode: 'casual',
+          region: 'NA',
+          capacity: { min: 2, max: 2 }
+        });
+      });
+
+      it('should only list public lobbies', async () => {
+        const res = await request(app)
+          .get('/api/lobbies')
+          .query({ scope: 'public' })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+
+        const names = res.body.data.lobbies.map((l) => l.name);
+        expect(names).to.have.members(['Open EU', 'Open NA']);
+      });
+
+      it('should filter by region and open slots', async () => {
+        const byRegion = await request(app)
+          .get('/api/lobbies')
+          .query({ scope: 'public', region: 'NA' })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+        expect(byRegion.body.data.lobbies.map((l) => l.name)).to.deep.equal(['Open NA']);
+
+        const bySlots = await request(app)
+          .get('/api/lobbies')
+          .query({ scope: 'public', openSlots: 2 })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+        expect(bySlots.body.data.lobbies.map((l) => l.name)).to.deep.equal(['Open EU']);
+      });
+
+      it('should hide locked lobbies', async () => {
+        await Lobby.updateOne({ name: 'Open NA' }, { 'settings.isLocked': true });
+
+        const res = await request(app)
+          .get('/api/lobbies')
+          .query({ scope: 'public' })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+
+        expect(res.body.data.lobbies.map((l) => l.name)).to.deep.equal(['Open EU']);
+      });
+    });
+  });
+
+  describe('Host Moderation', () => {
+    let customLobby;
+
+    beforeEach(async () => {
+      customLobby = await lobbyService.createCustomLobby(user1.id, {
+        name: 'Moderated lobby',
+        gameId: testGame._id,
+        gameMode: 'casual',
+        capacity: { min: 2, max: 4 }
+      });
+      await lobbyService.joinLobby(customLobby._id.toString(), user2.id);
+    });
+
+    it('should let the host ban a member and keep them out', async () => {
+      await request(app)
+        .post(`/api/lobbies/${customLobby._id}/members/${user2.id}/ban`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/lobbies/${customLobby._id}/join`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/lobbies/${customLobby._id}/bans/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/lobbies/${customLobby._id}/join`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({})
+        .expect(200);
+    });
+
+    it('should not let a regular member kick', async () => {
+      await request(app)
+        .post(`/api/lobbies/${customLobby._id}/members/${user1.id}/kick`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(403);
+    });
+
+    it('should transfer host by hand', async () => {
+      const res = await request(app)
+        .post(`/api/lobbies/${customLobby._id}/host`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ userId: user2.id })
+        .expect(200);
+
+      const host = res.body.data.lobby.members.find((m) => m.isHost);
+      expect(host.userId._id).to.equal(user2.id);
+    });
+
+    it('should lock the lobby against new joins', async () => {
+      await request(app)
+        .post(`/api/lobbies/${customLobby._id}/lock`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ locked: true })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/lobbies/${customLobby._id}/join`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .send({})
+        .expect(400);
+
+      const systemMessages = await ChatMessage.find({
+        chatId: customLobby.chatId,
+        contentType: 'system'
+      });
+      expect(systemMessages.map((m) => m.content)).to.include('The host locked the lobby');
+    });
+
+    it('should only backfill lobbies formed by matchmaking', async () => {
+      const res = await request(app)
+        .post(`/api/lobbies/${customLobby._id}/backfill`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+
+      expect(res.body.error.message).to.equal(
+        'Only matchmade lobbies can be backfilled from the queue'
+      );
+    });
   });
 
   describe('Join/Leave Lobby Flow', () => {
@@ -365,9 +642,9 @@ describe('Lobby Integration Tests', () => {
         expect(res.body.status).to.equal('success');
         expect(res.body.data.message.content).to.equal(messageContent);
 
-        const chat = await Chat.findById(testLobby.chatId);
-        expect(chat.messages).to.have.lengthOf(1);
-        expect(chat.messages[0].content).to.equal(messageContent);
+        const messages = await ChatMessage.find({ chatId: testLobby.chatId });
+        expect(messages).to.have.lengthOf(1);
+        expect(messages[0].content).to.equal(messageContent);
       });
 
       it('should reject message from non-participant', async () => {
@@ -396,7 +673,7 @@ describe('Lobby Integration Tests', () => {
         // Add some test messages
         const chat = await Chat.findById(testLobby.chatId);
         for (let i = 0; i < 10; i++) {
-          chat.addMessage(user1.id, `Message ${i + 1}`);
+          await chat.addMessage(user1.id, `Message ${i + 1}`);
         }
         await chat.save();
       });
@@ -421,11 +698,50 @@ describe('Lobby Integration Tests', () => {
 
         expect(res.body.data.messages).to.have.lengthOf(5);
         expect(res.body.data.hasMore).to.be.true;
+        expect(res.body.data.nextCursor).to.be.a('string');
+      });
+
+      it('should page backwards with the cursor', async () => {
+        const first = await request(app)
+          .get(`/api/chat/lobby/${testLobby._id}/messages`)
+          .set('Authorization', `Bearer ${authToken1}`)
+          .query({ limit: 4 })
+          .expect(200);
+
+        const second = await request(app)
+          .get(`/api/chat/lobby/${testLobby._id}/messages`)
+          .set('Authorization', `Bearer ${authToken1}`)
+          .query({ limit: 4, cursor: first.body.data.nextCursor })
+          .expect(200);
+
+        expect(first.body.data.messages.map((m) => m.content)).to.deep.equal([
+          'Message 7',
+          'Message 8',
+          'Message 9',
+          'Message 10'
+        ]);
+        expect(second.body.data.messages.map((m) => m.content)).to.deep.equal([
+          'Message 3',
+          'Message 4',
+          'Message 5',
+          'Message 6'
+        ]);
+        expect(second.body.data.hasMore).to.be.true;
+      });
+
+      it('should reject a malformed cursor', async () => {
+        await request(app)
+          .get(`/api/chat/lobby/${testLobby._id}/messages`)
+          .set('Authorization', `Bearer ${authToken1}`)
+          .query({ cursor: 'not-a-cursor' })
+          .expect(400);
       });
 
       it('should filter by before timestamp', async () => {
-        const chat = await Chat.findById(testLobby.chatId);
-        const cutoffMessage = chat.messages[5];
+        const messages = await ChatMessage.find({ chatId: testLobby.chatId }).sort({
+          createdAt: 1
+        });
+        const cutoffMessage = messages[5];
 
         const res = await request(app)
           .get(`/api/chat/lobby/${testLobby._id}/messages`)
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../src/app');
+const User = require('../../../src/modules/auth/models/User');
+const Game = require('../../../src/modules/game/models/Game');
+const Lobby = require('../../../src/modules/lobby/models/Lobby');
+const LobbyInvite = require('../../../src/modules/lobby/models/LobbyInvite');
+const Chat = require('../../../src/modules/chat/models/Chat');
+const Friendship = require('../../../src/modules/social/models/Friendship');
+const Notification = require('../../../src/modules/notification/models/Notification');
+const authService = require('../../../src/modules/auth/services/authService');
+const lobbyService = require('../../../src/modules/lobby/services/lobbyService');
+const friendService = require('../../../src/modules/social/services/friendService');
+const { testUsers, testGames } = require('../../fixtures');
+
+describe('Lobby Invite Integration Tests', () => {
+  let hostToken, friendToken, strangerToken;
+  let host, friend, stranger;
+  let privateLobby;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Lobby.deleteMany({});
+    await LobbyInvite.deleteMany({});
+    await Chat.deleteMany({});
+    await Friendship.deleteMany({});
+    await Notification.deleteMany({});
+
+    const testGame = await Game.create(testGames[0]);
+
+    const userResults = await Promise.all([
+      authService.register({
+        email: testUsers[0].email,
+        username: testUsers[0].username,
+        password: testUsers[0].password
+      }),
+      authService.register({
+        email: testUsers[1].email,
+        username: testUsers[1].username,
+        password: testUsers[1].password
+      }),
+      authService.register({
+        email: 'user3@example.com',
+        username: 'user3',
+        password: 'Password123!'
+      })
+    ]);
+
+    [hostToken, friendToken, strangerToken] = userResults.map((r) => r.accessToken);
+    [host, friend, stranger] = userResults.map((r) => r.user);
+
+    const friendship = await friendService.sendFriendRequest(host.id, friend.id);
+    await friendService.acceptFriendRequest(friend.id, friendship._id.toString());
+
+    privateLobby = await lobbyService.createCustomLobby(host.id, {
+      name: 'Invite only',
+      gameId: testGame._id,
+      gameMode: 'casual',
+      capacity: { min: 2, max: 4 },
+      settings: { isPrivate: true }
+    });
+  });
+
+  describe('POST /api/lobbies/:lobbyId/invites', () => {
+    it('should invite a friend and notify them', async () => {
+      const res = await request(app)
+        .post(`/api/lobbies/${privateLobby._id}/invites`)
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({ userIds: [friend.id] })
+        .expect(201);
+
+      expect(res.body.data.invites).to.have.lengthOf(1);
+      expect(res.body.data.invites[0].status).to.equal('pending');
+
+      const notification = await Notification.findOne({ userId: friend.id, type: 'lobby_invite' });
+      expect(notification).to.exist;
+    });
+
+    it('should reject inviting someone who is not a friend', async () => {
+      await request(app)
+        .post(`/api/lobbies/${privateLobby._id}/invites`)
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({ userIds: [stranger.id] })
+        .expect(400);
+    });
+
+    it('should only let the host invite', async () => {
+      await request(app)
+        .post(`/api/lobbies/${privateLobby._id}/invites`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .send({ userIds: [host.id] })
+        .expect(403);
+    });
+  });
+
+  describe('Responding to invites', () => {
+    let invite;
+
+    beforeEach(async () => {
+      const res = await request(app)
+        .post(`/api/lobbies/${privateLobby._id}/invites`)
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({ userIds: [friend.id] })
+        .expect(201);
+      invite = res.body.data.invites[0];
+    });
+
+    it('should list pending invites for the invitee', async () => {
+      const res = await request(app)
+        .get('/api/lobbies/invites')
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200);
+
+      expect(res.body.data.invites).to.have.lengthOf(1);
+      expect(res.body.data.invites[0].lobbyId.name).to.equal('Invite only');
+    });
+
+    it('should join the private lobby when accepting', async () => {
+      const res = await request(app)
+        .post(`/api/lobbies/invites/${invite._id}/accept`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200);
+
+      expect(res.body.data.lobby.memberCount).to.equal(2);
+
+      const updated = await LobbyInvite.findById(invite._id);
+      expect(updated.status).to.equal('accepted');
+
+      const notification = await Notification.findOne({
+        userId: host.id,
+        type: 'lobby_invite_accepted'
+      });
+      expect(notification).to.exist;
+    });
+
+    it('should mark the invite declined and notify the host', async () => {
+      await request(app)
+        .post(`/api/lobbies/invites/${invite._id}/decline`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200);
+
+      const updated = await LobbyInvite.findById(invite._id);
+      expect(updated.status).to.equal('declined');
+
+      const notification = await Notification.findOne({
+        userId: host.id,
+        type: 'lobby_invite_declined'
+      });
+      expect(notification).to.exist;
+    });
+
+    it('should reject an expired invite', async () => {
+      await LobbyInvite.updateOne({ _id: invite._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post(`/api/lobbies/invites/${invite._id}/accept`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(400);
+
+      const updated = await LobbyInvite.findById(invite._id);
+      expect(updated.status).to.equal('expired');
+    });
+
+    it('should not let another user answer the invite', async () => {
+      await request(app)
+        .post(`/api/lobbies/invites/${invite._id}/accept`)
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Invite codes', () => {
+    it('should keep private lobbies closed to direct joins', async () => {
+      await request(app)
+        .post(`/api/lobbies/${privateLobby._id}/join`)
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .send({})
+        .expect(404);
+    });
+
+    it('should let anyone with a valid code join', async () => {
+      const codeRes = await request(app)
+        .post(`/api/lobbies/${privateLobby._id}/invite-code`)
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({})
+        .expect(201);
+
+      const { code, link } = codeRes.body.data.inviteCode;
+      expect(code).to.match(/^[0-9A-F]{8}$/);
+      expect(link).to.equal(`/lobbies/join/${code}`);
+
+      const res = await request(app)
+        .post(`/api/lobbies/join/${code.toLowerCase()}`)
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .expect(200);
+
+      expect(res.body.data.lobby.memberCount).to.equal(2);
+    });
+
+    it('should reject an expired code', async () => {
+      await Lobby.updateOne(
+        { _id: privateLobby._id },
+        { inviteCode: { code: 'ABCDEF12', expiresAt: new Date(Date.now() - 1000) } }
+      );
+
+      await request(app)
+        .post('/api/lobbies/join/ABCDEF12')
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -7,10 +7,18 @@ const User = require('../../../src/modules/auth/models/User');
 const Game = require('../../../src/modules/game/models/Game');
 const MatchRequest = require('../../../src/modules/matchmaking/models/MatchRequest');
 const MatchHistory = require('../../../src/modules/matchmaking/models/MatchHistory');
+const RatingHistory = require('../../../src/modules/matchmaking/models/RatingHistory');
+const Lobby = require('../../../src/modules/lobby/models/Lobby');
+const Friendship = require('../../../src/modules/social/models/Friendship');
 const authService = require('../../../src/modules/auth/services/authService');
+const friendService = require('../../../src/modules/social/services/friendService');
 // matchmakingService is used for match formation test, so it's okay here.
 const matchmakingService = require('../../../src/modules/matchmaking/services/matchmakingService');
 const queueManager = require('../../../src/modules/matchmaking/services/queueManager');
+const scheduledMatchService = require('../../../src/modules/matchmaking/services/scheduledMatchService');
+const matchAcceptService = require('../../../src/modules/matchmaking/services/matchAcceptService');
+const penaltyService = require('../../../src/modules/matchmaking/services/penaltyService');
+const socketManager = require('../../../src/services/socketManager');
 const { testUsers } = require('../../fixtures/users');
 const { testGames } = require('../../fixtures/games');
 
@@ -150,6 +158,41 @@ describe('Matchmaking API', () => {
       expect(res.body.error.code).to.equal('VALIDATION_ERROR');
     });
 
+    it('should queue in the region with the lowest measured ping', async () => {
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({
+          games: [{ gameId: testGame._id.toString() }],
+          gameMode: 'casual',
+          regionPreference: 'max_ping',
+          maxPing: 100,
+          regionPings: [
+            { region: 'NA', pingMs: 140 },
+            { region: 'EU', pingMs: 35 },
+            { region: 'SA', pingMs: 80 }
+          ]
+        })
+        .expect(201);
+
+      expect(res.body.data.matchRequest.criteria.regions).to.deep.equal(['EU', 'SA']);
+      const queueInfo = await queueManager.getUserRequest(user1.id);
+      expect(queueInfo.region).to.equal('EU');
+    });
+
+    it('should require pings for a max ping', async () => {
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({
+          games: [{ gameId: testGame._id.toString() }],
+          gameMode: 'casual',
+          regionPreference: 'max_ping',
+          maxPing: 100
+        })
+        .expect(422);
+    });
+
     it('should handle scheduled matchmaking', async () => {
       const scheduledTime = new Date(Date.now() + 60 * 60 * 1000); // 1 hour from now
 
@@ -292,9 +335,11 @@ describe('Matchmaking API', () => {
       expect(matches[0].gameId.toString()).to.equal(testGame._id.toString());
       expect(matches[0].matchQuality.overallScore).to.be.greaterThan(50);
 
+      // Players are asked to accept before the lobby is created
       const requests = await MatchRequest.find({ userId: { $in: [user1.id, user2.id] } });
       requests.forEach((req) => {
-        expect(req.status).to.equal('matched');
+        expect(req.status).to.equal('accepting');
+        expect(req.acceptance.matchId.toString()).to.equal(matches[0]._id.toString());
       });
 
       // Restore original processing state if needed
@@ -347,6 +392,528 @@ describe('Matchmaking API', () => {
     });
   });
 
+  describe('Party queueing', () => {
+    const partyCriteria = () => ({
+      games: [{ gameId: testGame._id.toString(), weight: 10 }],
+      gameMode: 'competitive',
+      regions: ['NA'],
+      groupSize: { min: 2, max: 5 },
+      preselectedUsers: [user2.id]
+    });
+
+    beforeEach(async () => {
+      await Friendship.deleteMany({});
+      const friendship = await friendService.sendFriendRequest(user1.id, user2.id);
+      await friendService.acceptFriendRequest(user2.id, friendship._id.toString());
+    });
+
+    it('should hold the party until members confirm, then queue it as one request', async () => {
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(partyCriteria())
+        .expect(201);
+
+      const requestId = res.body.data.matchRequest._id;
+      expect(res.body.data.matchRequest.status).to.equal('pending');
+      expect(await queueManager.getUserRequest(user1.id)).to.be.null;
+
+      const status = await request(app)
+        .get('/api/matchmaking/status')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(status.body.data.request._id).to.equal(requestId);
+
+      const accepted = await request(app)
+        .post(`/api/matchmaking/${requestId}/party/accept`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(accepted.body.data.matchRequest.status).to.equal('searching');
+      const queueInfo = await queueManager.getUserRequest(user1.id);
+      expect(queueInfo.requestId).to.equal(requestId);
+    });
+
+    it('should size parties by the game match size', async () => {
+      await Game.updateOne({ _id: testGame._id }, { 'multiplayer.maxPlayers': 2 });
+
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(partyCriteria())
+        .expect(400);
+
+      expect(res.body.error.message).to.equal('Party must leave room for at least one more player');
+    });
+
+    it('should only allow friends in a party', async () => {
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ ...partyCriteria(), preselectedUsers: [user3.id] })
+        .expect(400);
+    });
+
+    it('should stop party members from queueing on their own', async () => {
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(partyCriteria())
+        .expect(201);
+
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ games: [{ gameId: testGame._id.toString() }], gameMode: 'competitive' })
+        .expect(409);
+    });
+
+    it('should call off the party when a member declines', async () => {
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(partyCriteria())
+        .expect(201);
+
+      const requestId = res.body.data.matchRequest._id;
+
+      await request(app)
+        .post(`/api/matchmaking/${requestId}/party/leave`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const stored = await MatchRequest.findById(requestId);
+      expect(stored.status).to.equal('cancelled');
+      expect(stored.cancelReason).to.equal('party_left');
+      expect(stored.cancelledBy.toString()).to.equal(user2.id);
+    });
+
+    it('should match the whole party together', async function () {
+      this.timeout(10000);
+      const originalProcessInterval = matchmakingService.processInterval;
+      matchmakingService.stopProcessing();
+
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(partyCriteria())
+        .expect(201);
+      await request(app)
+        .post(`/api/matchmaking/${res.body.data.matchRequest._id}/party/accept`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken3}`)
+        .send({
+          games: [{ gameId: testGame._id.toString(), weight: 10 }],
+          gameMode: 'competitive',
+          regions: ['NA']
+        })
+        .expect(201);
+
+      await matchmakingService.processSpecificQueue(testGame._id.toString(), 'competitive', 'NA');
+
+      const matches = await MatchHistory.find({});
+      expect(matches).to.have.lengthOf(1);
+      expect(matches[0].participants.map((p) => p.userId.toString())).to.have.members([
+        user1.id,
+        user2.id,
+        user3.id
+      ]);
+
+      if (originalProcessInterval) {
+        matchmakingService.startProcessing();
+      }
+    });
+  });
+
+  describe('Match acceptance', () => {
+    const acceptCriteria = () => ({
+      games: [{ gameId: testGame._id.toString(), weight: 10 }],
+      gameMode: 'competitive',
+      regions: ['NA'],
+      groupSize: { min: 2, max: 2 }
+    });
+    let originalProcessInterval;
+    let matchId;
+
+    beforeEach(async () => {
+      await Lobby.deleteMany({});
+      originalProcessInterval = matchmakingService.processInterval;
+      matchmakingService.stopProcessing();
+
+      for (const token of [authToken1, authToken2]) {
+        await request(app)
+          .post('/api/matchmaking')
+          .set('Authorization', `Bearer ${token}`)
+          .send(acceptCriteria())
+          .expect(201);
+      }
+      await matchmakingService.processSpecificQueue(testGame._id.toString(), 'competitive', 'NA');
+      matchId = (await MatchHistory.findOne({}))._id.toString();
+    });
+
+    afterEach(() => {
+      if (originalProcessInterval) {
+        matchmakingService.startProcessing();
+      }
+    });
+
+    it('should only create the lobby once everyone accepts', async () => {
+      const first = await request(app)
+        .post(`/api/matchmaking/matches/${matchId}/accept`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(first.body.data.acceptance.status).to.equal('pending');
+      expect(await Lobby.countDocuments({})).to.equal(0);
+
+      const second = await request(app)
+        .post(`/api/matchmaking/matches/${matchId}/accept`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(second.body.data.acceptance.status).to.equal('accepted');
+
+      const lobby = await Lobby.findOne({ matchHistoryId: matchId });
+      expect(lobby.members).to.have.lengthOf(2);
+      const requests = await MatchRequest.find({ userId: { $in: [user1.id, user2.id] } });
+      requests.forEach((req) => expect(req.status).to.equal('matched'));
+    });
+
+    it('should requeue the other player and put the decliner on cooldown', async () => {
+      await request(app)
+        .post(`/api/matchmaking/matches/${matchId}/accept`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      await request(app)
+        .post(`/api/matchmaking/matches/${matchId}/decline`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const requeued = await MatchRequest.findOne({ userId: user1.id, status: 'searching' });
+      expect(requeued.requeuedAt).to.be.an.instanceOf(Date);
+      expect((await queueManager.getUserRequest(user1.id)).requestId).to.equal(
+        requeued._id.toString()
+      );
+      expect(await Lobby.countDocuments({})).to.equal(0);
+
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send(acceptCriteria())
+        .expect(403);
+      expect(res.body.error.message).to.match(/^You declined a found match/);
+    });
+
+    it('should call the match off when time runs out', async () => {
+      await MatchHistory.updateOne(
+        { _id: matchId },
+        { 'acceptance.acceptBy': new Date(Date.now() - 1000) }
+      );
+
+      await matchAcceptService.expireAcceptances();
+
+      const match = await MatchHistory.findById(matchId);
+      expect(match.acceptance.status).to.equal('expired');
+      const users = await User.find({ _id: { $in: [user1.id, user2.id] } });
+      users.forEach((user) => expect(user.getMatchmakingCooldown()).to.be.greaterThan(0));
+    });
+  });
+
+  describe('Cross-game matching', () => {
+    it('should match players on the shared game they weighted highest', async () => {
+      const originalProcessInterval = matchmakingService.processInterval;
+      matchmakingService.stopProcessing();
+      const otherGame = await Game.create(testGames[1]);
+
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({
+          games: [
+            { gameId: testGame._id.toString(), weight: 10 },
+            { gameId: otherGame._id.toString(), weight: 6 }
+          ],
+          gameMode: 'casual',
+          regions: ['NA'],
+          groupSize: { min: 2, max: 2 }
+        })
+        .expect(201);
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({
+          games: [{ gameId: otherGame._id.toString(), weight: 8 }],
+          gameMode: 'casual',
+          regions: ['NA'],
+          groupSize: { min: 2, max: 2 }
+        })
+        .expect(201);
+
+      expect(
+        (await queueManager.getQueueSize(otherGame._id.toString(), 'casual', 'NA')).size
+      ).to.equal(2);
+
+      const emitToUsers = sandbox.spy(socketManager, 'emitToUsers');
+      await matchmakingService.processSpecificQueue(testGame._id.toString(), 'casual', 'NA');
+
+      const match = await MatchHistory.findOne({});
+      expect(match.gameId.toString()).to.equal(otherGame._id.toString());
+      expect(match.gameSelection.preference).to.equal(14);
+
+      const found = emitToUsers
+        .getCalls()
+        .find((call) => call.args[1] === 'matchmaking:match:found');
+      expect(found.args[2].gameChoice.gameId).to.equal(otherGame._id.toString());
+
+      if (originalProcessInterval) {
+        matchmakingService.startProcessing();
+      }
+    });
+  });
+
+  describe('Role-based matchmaking', () => {
+    const roleCriteria = (roles) => ({
+      games: [{ gameId: testGame._id.toString(), weight: 10 }],
+      gameMode: 'competitive',
+      regions: ['NA'],
+      groupSize: { min: 2, max: 2 },
+      roles
+    });
+
+    beforeEach(async () => {
+      await Lobby.deleteMany({});
+      await Game.updateOne(
+        { _id: testGame._id },
+        {
+          $set: {
+            'maogaData.roleSlots': [
+              { role: 'support', count: 1 },
+              { role: 'carry', count: 1 }
+            ]
+          }
+        }
+      );
+    });
+
+    it('should reject roles the game does not define', async () => {
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(roleCriteria({ preferred: ['tank'] }))
+        .expect(400);
+
+      expect(res.body.error.message).to.equal('Unknown roles: tank');
+    });
+
+    it('should fill every slot and store roles on lobby members', async () => {
+      const originalProcessInterval = matchmakingService.processInterval;
+      matchmakingService.stopProcessing();
+
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(roleCriteria({ preferred: ['carry'], acceptable: ['support'] }))
+        .expect(201);
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send(roleCriteria({ preferred: ['carry'] }))
+        .expect(201);
+
+      await matchmakingService.processSpecificQueue(testGame._id.toString(), 'competitive', 'NA');
+
+      const found = await MatchHistory.findOne({});
+      for (const token of [authToken1, authToken2]) {
+        await request(app)
+          .post(`/api/matchmaking/matches/${found._id}/accept`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+      }
+
+      const lobby = await Lobby.findOne({});
+      const roleOf = (userId) => lobby.members.find((m) => m.userId.toString() === userId).role;
+      expect(roleOf(user1.id)).to.equal('support');
+      expect(roleOf(user2.id)).to.equal('carry');
+
+      const match = await MatchHistory.findById(lobby.matchHistoryId);
+      expect(match.participants.map((p) => p.role)).to.have.members(['support', 'carry']);
+
+      if (originalProcessInterval) {
+        matchmakingService.startProcessing();
+      }
+    });
+  });
+
+  describe('Scheduled matchmaking', () => {
+    const inHours = (hours, minutes = 0) =>
+      new Date(Date.now() + hours * 60 * 60 * 1000 + minutes * 60 * 1000).toISOString();
+
+    const scheduledCriteria = (scheduledTime) => ({
+      games: [{ gameId: testGame._id.toString(), weight: 10 }],
+      gameMode: 'competitive',
+      regions: ['NA'],
+      groupSize: { min: 2, max: 2 },
+      scheduledTime
+    });
+
+    beforeEach(async () => {
+      await Lobby.deleteMany({});
+    });
+
+    it('should keep scheduled requests out of the live queue', async () => {
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(scheduledCriteria(inHours(48)))
+        .expect(201);
+
+      expect(await queueManager.getUserRequest(user1.id)).to.be.null;
+    });
+
+    it('should match requests within the tolerance window and create the lobby early', async () => {
+      const sessionStart = inHours(48);
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(scheduledCriteria(sessionStart))
+        .expect(201);
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send(scheduledCriteria(inHours(48, 10)))
+        .expect(201);
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken3}`)
+        .send(scheduledCriteria(inHours(50)))
+        .expect(201);
+
+      const matched = await scheduledMatchService.processScheduledRequests();
+      expect(matched).to.equal(1);
+
+      const lobby = await Lobby.findOne({});
+      expect(lobby.scheduledFor.toISOString()).to.equal(sessionStart);
+      expect(lobby.members.map((m) => m.userId.toString())).to.have.members([user1.id, user2.id]);
+
+      const unmatched = await MatchRequest.findOne({ userId: user3.id });
+      expect(unmatched.status).to.equal('searching');
+    });
+
+    it('should expire requests whose session started without a match', async () => {
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(scheduledCriteria(inHours(1)))
+        .expect(201);
+
+      const expired = await scheduledMatchService.expireUnmatchedRequests(
+        new Date(Date.now() + 2 * 60 * 60 * 1000)
+      );
+
+      expect(expired).to.equal(1);
+      const stored = await MatchRequest.findById(res.body.data.matchRequest._id);
+      expect(stored.status).to.equal('expired');
+    });
+  });
+
+  describe('Match results and ratings', () => {
+    let match;
+
+    const reportResult = (token, winningTeam) =>
+      request(app)
+        .post(`/api/matchmaking/matches/${match._id}/result`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          outcomes: [
+            { team: 1, outcome: winningTeam === 1 ? 'win' : 'loss' },
+            { team: 2, outcome: winningTeam === 2 ? 'win' : 'loss' }
+          ]
+        });
+
+    beforeEach(async () => {
+      await Lobby.deleteMany({});
+      await RatingHistory.deleteMany({});
+
+      match = await MatchHistory.create({
+        gameId: testGame._id,
+        gameMode: 'competitive',
+        participants: [
+          { userId: user1.id, team: 1 },
+          { userId: user2.id, team: 2 }
+        ]
+      });
+      const lobby = await Lobby.create({
+        name: 'Rated match',
+        gameId: testGame._id,
+        gameMode: 'competitive',
+        hostId: user1.id,
+        matchHistoryId: match._id,
+        status: 'active'
+      });
+      match.lobbyId = lobby._id;
+      await match.save();
+    });
+
+    it('should confirm a result both teams agree on and update ratings', async () => {
+      const first = await reportResult(authToken1, 1).expect(200);
+      expect(first.body.data.result.status).to.equal('pending');
+
+      const second = await reportResult(authToken2, 1).expect(200);
+      expect(second.body.data.result.status).to.equal('confirmed');
+
+      const winner = await User.findById(user1.id);
+      expect(winner.gameProfiles[0].rating).to.be.greaterThan(1500);
+
+      const history = await request(app)
+        .get(`/api/matchmaking/ratings/${testGame._id}/history`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(history.body.data.history).to.have.lengthOf(1);
+      expect(history.body.data.history[0].change).to.be.below(0);
+    });
+
+    it('should not let one player decide the result', async () => {
+      await reportResult(authToken1, 1).expect(200);
+      const res = await reportResult(authToken2, 2).expect(200);
+
+      expect(res.body.data.result.status).to.equal('disputed');
+      expect(await RatingHistory.countDocuments({})).to.equal(0);
+    });
+
+    it('should reject reports from players outside the match', async () => {
+      await reportResult(authToken3, 1).expect(403);
+    });
+
+    it('should keep avoid lists private to the player who made them', async () => {
+      await request(app)
+        .post(`/api/matchmaking/matches/${match._id}/players/${user2.id}/feedback`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ type: 'avoid' })
+        .expect(200);
+
+      const own = await request(app)
+        .get('/api/matchmaking/teammates')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(own.body.data.teammates.avoid.map((entry) => entry.user._id)).to.deep.equal([
+        user2.id
+      ]);
+
+      const theirs = await request(app)
+        .get('/api/matchmaking/teammates')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(theirs.body.data.teammates.avoid).to.be.empty;
+
+      const history = await request(app)
+        .get('/api/matchmaking/history')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(history.body.data.matches[0]).to.not.have.property('playerFeedback');
+    });
+  });
+
   describe('GET /api/matchmaking/history', () => {
     beforeEach(async () => {
       // Create some match history
@@ -434,4 +1001,167 @@ describe('Matchmaking API', () => {
       expect(res.body.error.message).to.equal('Insufficient permissions');
     });
   });
+
+  describe('/api/matchmaking/settings/:gameId (Admin)', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const adminResult = await authService.register({
+        email: 'admin@example.com',
+        username: 'admin',
+        password: 'AdminPassword123!',
+        role: 'admin'
+      });
+      adminToken = adminResult.accessToken;
+    });
+
+    it('should show the settings in effect for every mode', async () => {
+      const res = await request(app)
+        .get(`/api/matchmaking/settings/${testGame._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.settings.overrides).to.be.empty;
+      expect(res.body.data.settings.modes).to.have.all.keys(
+        'casual',
+        'competitive',
+        'ranked',
+        'custom'
+      );
+    });
+
+    it('should apply overrides to the next queue pass', async () => {
+      await request(app)
+        .put(`/api/matchmaking/settings/${testGame._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ gameMode: 'competitive', settings: { minGroupSize: 3 } })
+        .expect(200);
+
+      for (const token of [authToken1, authToken2]) {
+        await request(app)
+          .post('/api/matchmaking')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            games: [{ gameId: testGame._id.toString(), weight: 10 }],
+            gameMode: 'competitive',
+            regions: ['NA']
+          })
+          .expect(201);
+      }
+      await matchmakingService.processSpecificQueue(testGame._id.toString(), 'competitive', 'NA');
+
+      expect(await MatchHistory.countDocuments()).to.equal(0);
+    });
+
+    it('should reject settings that cannot form groups', async () => {
+      const res = await request(app)
+        .put(`/api/matchmaking/settings/${testGame._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { minGroupSize: 6, maxGroupSize: 4 } })
+        .expect(400);
+
+      expect(res.body.error.message).to.equal('Minimum group size cannot be greater than maximum');
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .put(`/api/matchmaking/settings/${testGame._id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ settings: { minGroupSize: 3 } })
+        .expect(403);
+    });
+  });
+
+  describe('/api/matchmaking/penalties (Admin)', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const adminResult = await authService.register({
+        email: 'admin@example.com',
+        username: 'admin',
+        password: 'AdminPassword123!',
+        role: 'admin'
+      });
+      adminToken = adminResult.accessToken;
+    });
+
+    it('should block players who keep cancelling and show their penalty', async () => {
+      for (let i = 0; i < penaltyService.config.cancelLimit; i++) {
+        const res = await request(app)
+          .post('/api/matchmaking')
+          .set('Authorization', `Bearer ${authToken1}`)
+          .send({
+            games: [{ gameId: testGame._id.toString(), weight: 10 }],
+            gameMode: 'casual',
+            regions: ['NA']
+          })
+          .expect(201);
+        await request(app)
+          .delete(`/api/matchmaking/${res.body.data.matchRequest._id}`)
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+      }
+
+      const blocked = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ games: [{ gameId: testGame._id.toString() }], gameMode: 'casual', regions: ['NA'] })
+        .expect(403);
+      expect(blocked.body.error.message).to.match(/^You cancelled too many searches in a row/);
+
+      const list = await request(app)
+        .get('/api/matchmaking/penalties')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.penalties.map((p) => p.userId)).to.deep.equal([user1.id]);
+
+      const detail = await request(app)
+        .get(`/api/matchmaking/penalties/${user1.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(detail.body.data.penalty).to.include({ strikes: 1, lastOffense: 'repeated_cancel' });
+    });
+
+    it('should not count searches the system called off', async () => {
+      const criteria = {
+        games: [{ gameId: testGame._id.toString(), weight: 10 }],
+        gameMode: 'casual',
+        regions: ['NA']
+      };
+      for (let i = 0; i < penaltyService.config.cancelLimit; i++) {
+        const res = await request(app)
+          .post('/api/matchmaking')
+          .set('Authorization', `Bearer ${authToken1}`)
+          .send(criteria)
+          .expect(201);
+        await MatchRequest.updateOne(
+          { _id: res.body.data.matchRequest._id },
+          { status: 'cancelled', cancelReason: 'match_called_off' }
+        );
+      }
+
+      const res = await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(criteria)
+        .expect(201);
+      await request(app)
+        .delete(`/api/matchmaking/${res.body.data.matchRequest._id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/matchmaking')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(criteria)
+        .expect(201);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .get(`/api/matchmaking/penalties/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(403);
+    });
+  });
 });
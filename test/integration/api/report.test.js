@@ -263,5 +263,22 @@ describe('Report API (User)', () => {
       expect(res.body.status).to.equal('error');
       expect(res.body.error.message).to.equal('Report not found');
     });
+
+    it('should not expose reports the chat filter opened', async () => {
+      const autoReport = await Report.create({
+        source: 'auto',
+        reportedId: targetUser.id,
+        reportType: 'chat_message',
+        reason: 'inappropriate_content',
+        description: 'Chat filter flagged a message for: test'
+      });
+
+      const res = await request(app)
+        .get(`/api/reports/${autoReport._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(res.body.error.message).to.equal('Report not found');
+    });
   });
 });
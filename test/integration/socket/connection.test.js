@@ -4,9 +4,11 @@ const app = require('../../../src/app'); // Ensure this path is correct
 const socketManager = require('../../../src/services/socketManager');
 const authService = require('../../../src/modules/auth/services/authService');
 const User = require('../../../src/modules/auth/models/User');
+const Lobby = require('../../../src/modules/lobby/models/Lobby');
 const TestSocketClient = require('../../utils/socketClient'); // Ensure this path is correct
 const { testUsers } = require('../../fixtures/users'); // Ensure this path is correct
 const http = require('http');
+const mongoose = require('mongoose');
 
 describe('Socket.IO Connection', () => {
   let server;
@@ -43,6 +45,7 @@ describe('Socket.IO Connection', () => {
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await Lobby.deleteMany({});
     if (socketManager.userSockets && typeof socketManager.userSockets.clear === 'function') {
       socketManager.userSockets.clear();
     }
@@ -253,7 +256,14 @@ describe('Socket.IO Connection', () => {
 
     it('should remove socket from custom rooms on disconnect', async () => {
       const matchRequestId = 'matchReqTest123';
-      const lobbyId = 'lobbyTest456';
+      const lobby = await Lobby.create({
+        name: 'Room Cleanup Lobby',
+        gameId: new mongoose.Types.ObjectId(),
+        gameMode: 'casual',
+        hostId: testUser1.id,
+        members: [{ userId: testUser1.id, status: 'joined', isHost: true }]
+      });
+      const lobbyId = lobby._id.toString();
       const statusUserId = 'userToWatch789';
 
       clientForRoomTest.emit('matchmaking:subscribe', { requestId: matchRequestId });
@@ -111,6 +111,35 @@ describe('Socket.IO Lobby Events', () => {
       expect(subscribed.lobbyId).to.equal(testLobby._id.toString());
     });
 
+    it('should refuse users who are not in the lobby', async () => {
+      const result3 = await authService.register({
+        email: 'outsider@example.com',
+        username: 'outsider',
+        password: 'Password123!'
+      });
+      const outsider = new TestSocketClient(serverUrl, result3.accessToken);
+      await outsider.connect();
+
+      outsider.emit('lobby:subscribe', { lobbyId: testLobby._id.toString() });
+
+      const error = await outsider.waitForEvent('error', 3000);
+      expect(error.message).to.equal('Not allowed to subscribe to this lobby');
+      outsider.disconnect();
+    });
+
+    it('should refuse users banned from the lobby', async () => {
+      await Lobby.updateOne(
+        { _id: testLobby._id },
+        { $set: { 'members.1.status': 'left' }, $push: { bannedUserIds: user2.id } }
+      );
+      await client2.connect();
+
+      client2.emit('lobby:subscribe', { lobbyId: testLobby._id.toString() });
+
+      const error = await client2.waitForEvent('error', 3000);
+      expect(error.message).to.equal('Not allowed to subscribe to this lobby');
+    });
+
     it('should unsubscribe from lobby updates', async () => {
       await client1.connect();
 
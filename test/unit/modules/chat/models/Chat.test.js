@@ -2,12 +2,14 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const mongoose = require('mongoose');
 const Chat = require('../../../../../src/modules/chat/models/Chat');
+const ChatMessage = require('../../../../../src/modules/chat/models/ChatMessage');
 
 describe('Chat Model', () => {
   let sandbox;
 
   beforeEach(() => {
     sandbox = sinon.createSandbox();
+    sandbox.stub(ChatMessage, 'create').callsFake((doc) => Promise.resolve(new ChatMessage(doc)));
   });
 
   afterEach(() => {
@@ -15,7 +17,7 @@ describe('Chat Model', () => {
   });
 
   describe('addMessage', () => {
-    it('should add a text message', () => {
+    it('should store a text message in the messages collection', async () => {
       const chat = new Chat({
         chatType: 'lobby',
         participants: [new mongoose.Types.ObjectId()]
@@ -24,29 +26,29 @@ describe('Chat Model', () => {
       const senderId = new mongoose.Types.ObjectId();
       const content = 'Hello, world!';
 
-      const message = chat.addMessage(senderId, content, 'text');
+      const message = await chat.addMessage(senderId, content, 'text');
 
-      expect(message).to.exist;
+      expect(ChatMessage.create.calledOnce).to.be.true;
+      expect(message.chatId.toString()).to.equal(chat._id.toString());
       expect(message.senderId.toString()).to.equal(senderId.toString());
       expect(message.content).to.equal(content);
       expect(message.contentType).to.equal('text');
       expect(message.createdAt).to.be.instanceOf(Date);
-      expect(chat.messages).to.have.lengthOf(1);
       expect(chat.lastMessageAt).to.equal(message.createdAt);
     });
 
-    it('should default to text content type', () => {
+    it('should default to text content type', async () => {
       const chat = new Chat({
         chatType: 'lobby',
         participants: []
       });
 
-      const message = chat.addMessage(new mongoose.Types.ObjectId(), 'Test');
+      const message = await chat.addMessage(new mongoose.Types.ObjectId(), 'Test');
 
       expect(message.contentType).to.equal('text');
     });
 
-    it('should update lastMessageAt', () => {
+    it('should update lastMessageAt', async () => {
       const chat = new Chat({
         chatType: 'lobby',
         participants: [],
@@ -54,28 +56,40 @@ describe('Chat Model', () => {
       });
 
       const beforeTime = chat.lastMessageAt;
-      const message = chat.addMessage(new mongoose.Types.ObjectId(), 'New message');
+      const message = await chat.addMessage(new mongoose.Types.ObjectId(), 'New message');
 
       expect(chat.lastMessageAt).to.be.greaterThan(beforeTime);
       expect(chat.lastMessageAt).to.equal(message.createdAt);
     });
+
+    it('should keep messages in order within the same millisecond', async () => {
+      const chat = new Chat({
+        chatType: 'lobby',
+        participants: [],
+        lastMessageAt: new Date(Date.now() + 1000)
+      });
+
+      const beforeTime = chat.lastMessageAt;
+      const message = await chat.addMessage(new mongoose.Types.ObjectId(), 'Quick one');
+
+      expect(message.createdAt.getTime()).to.equal(beforeTime.getTime() + 1);
+    });
   });
 
   describe('addSystemMessage', () => {
-    it('should add a system message with null senderId', () => {
+    it('should add a system message with null senderId', async () => {
       const chat = new Chat({
         chatType: 'lobby',
         participants: []
       });
 
       const content = 'User joined the lobby';
-      const message = chat.addSystemMessage(content);
+      const message = await chat.addSystemMessage(content);
 
       expect(message).to.exist;
       expect(message.senderId).to.be.null;
       expect(message.content).to.equal(content);
       expect(message.contentType).to.equal('system');
-      expect(chat.messages).to.have.lengthOf(1);
     });
   });
 
@@ -97,4 +111,59 @@ describe('Chat Model', () => {
       expect(chat.participants[1].toString()).to.equal(participants[1].toString());
     });
   });
+
+  describe('unread tracking', () => {
+    it('should count live messages from others after the last read time', async () => {
+      const me = new mongoose.Types.ObjectId();
+      const friend = new mongoose.Types.ObjectId();
+      const chat = new Chat({ chatType: 'direct', participants: [me, friend] });
+      const countStub = sandbox.stub(ChatMessage, 'countDocuments').resolves(2);
+
+      const lastReadAt = new Date(1000);
+      chat.markRead(me, lastReadAt);
+
+      expect(await chat.getUnreadCount(me)).to.equal(2);
+      expect(countStub.firstCall.args[0]).to.deep.equal({
+        chatId: chat._id,
+        senderId: { $ne: me },
+        deletedAt: null,
+        createdAt: { $gt: lastReadAt }
+      });
+    });
+
+    it('should leave out messages from excluded senders', async () => {
+      const me = new mongoose.Types.ObjectId();
+      const blocked = new mongoose.Types.ObjectId();
+      const chat = new Chat({ chatType: 'direct', participants: [me, blocked] });
+      const countStub = sandbox.stub(ChatMessage, 'countDocuments').resolves(0);
+
+      await chat.getUnreadCount(me, [blocked.toString()]);
+
+      expect(countStub.firstCall.args[0].senderId).to.deep.equal({
+        $ne: me,
+        $nin: [blocked.toString()]
+      });
+    });
+
+    it('should count everything from others when the chat was never read', async () => {
+      const me = new mongoose.Types.ObjectId();
+      const chat = new Chat({ chatType: 'direct', participants: [me] });
+      const countStub = sandbox.stub(ChatMessage, 'countDocuments').resolves(0);
+
+      await chat.getUnreadCount(me);
+
+      expect(countStub.firstCall.args[0]).to.not.have.property('createdAt');
+    });
+
+    it('should update an existing read marker instead of adding another', () => {
+      const me = new mongoose.Types.ObjectId();
+      const chat = new Chat({ chatType: 'group', name: 'Squad', participants: [me] });
+
+      chat.markRead(me, new Date(1000));
+      chat.markRead(me, new Date(2000));
+
+      expect(chat.readState).to.have.lengthOf(1);
+      expect(chat.readState[0].lastReadAt.getTime()).to.equal(2000);
+    });
+  });
 });
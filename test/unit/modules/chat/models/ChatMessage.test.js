@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const ChatMessage = require('../../../../../src/modules/chat/models/ChatMessage');
+
+describe('ChatMessage Model', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const buildMessage = (overrides = {}) =>
+    new ChatMessage({
+      chatId: new mongoose.Types.ObjectId(),
+      senderId: new mongoose.Types.ObjectId(),
+      content: 'gg',
+      ...overrides
+    });
+
+  describe('reactions', () => {
+    it('should add each user once per emoji and drop empty reactions', () => {
+      const me = new mongoose.Types.ObjectId();
+      const friend = new mongoose.Types.ObjectId();
+      const message = buildMessage();
+
+      expect(message.addReaction(me, '🔥')).to.be.true;
+      expect(message.addReaction(me, '🔥')).to.be.false;
+      expect(message.addReaction(friend, '🔥')).to.be.true;
+      expect(message.reactions[0].userIds).to.have.lengthOf(2);
+
+      expect(message.removeReaction(me, '🔥')).to.be.true;
+      expect(message.removeReaction(friend, '🔥')).to.be.true;
+      expect(message.removeReaction(friend, '🔥')).to.be.false;
+      expect(message.reactions).to.have.lengthOf(0);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should expose edited and deleted states and hide deleted content', () => {
+      const edited = buildMessage({ content: 'first', editedAt: new Date() }).toJSON();
+      const deleted = buildMessage({ content: 'second', deletedAt: new Date() }).toJSON();
+
+      expect(edited.isEdited).to.be.true;
+      expect(edited.content).to.equal('first');
+      expect(deleted.isDeleted).to.be.true;
+      expect(deleted.content).to.be.null;
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a message position', () => {
+      const message = buildMessage({ createdAt: new Date(1700000000000) });
+
+      const decoded = ChatMessage.decodeCursor(ChatMessage.encodeCursor(message));
+
+      expect(decoded.createdAt.getTime()).to.equal(1700000000000);
+      expect(decoded._id.toString()).to.equal(message._id.toString());
+    });
+
+    it('should reject a malformed cursor', () => {
+      expect(ChatMessage.decodeCursor('not-a-cursor')).to.be.null;
+    });
+  });
+
+  describe('findPage', () => {
+    const stubFind = (results) => {
+      const query = {
+        sort: sandbox.stub().returnsThis(),
+        limit: sandbox.stub().returnsThis(),
+        populate: sandbox.stub().returnsThis(),
+        then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+      };
+      return sandbox.stub(ChatMessage, 'find').returns(query);
+    };
+
+    it('should return the newest page oldest first with a cursor for the next one', async () => {
+      const chatId = new mongoose.Types.ObjectId();
+      const newestFirst = [3, 2, 1].map((n) =>
+        buildMessage({ chatId, content: `m${n}`, createdAt: new Date(n * 1000) })
+      );
+      stubFind(newestFirst);
+
+      const page = await ChatMessage.findPage(chatId, { limit: 2 });
+
+      expect(page.messages.map((m) => m.content)).to.deep.equal(['m2', 'm3']);
+      expect(page.hasMore).to.be.true;
+      expect(ChatMessage.decodeCursor(page.nextCursor)._id.toString()).to.equal(
+        newestFirst[1]._id.toString()
+      );
+    });
+
+    it('should filter by cursor position and excluded senders', async () => {
+      const chatId = new mongoose.Types.ObjectId();
+      const blockedId = new mongoose.Types.ObjectId();
+      const cursor = { createdAt: new Date(5000), _id: new mongoose.Types.ObjectId() };
+      const findStub = stubFind([]);
+
+      const page = await ChatMessage.findPage(chatId, {
+        limit: 10,
+        cursor,
+        excludeSenderIds: [blockedId]
+      });
+
+      expect(findStub.firstCall.args[0]).to.deep.equal({
+        chatId,
+        senderId: { $nin: [blockedId] },
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+        ]
+      });
+      expect(page.hasMore).to.be.false;
+      expect(page.nextCursor).to.be.null;
+    });
+  });
+});
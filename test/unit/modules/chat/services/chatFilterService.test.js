@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const config = require('../../../../../src/config');
+const chatFilterService = require('../../../../../src/modules/chat/services/chatFilterService');
+
+describe('ChatFilterService', () => {
+  afterEach(() => {
+    chatFilterService.configure(config.chat.filter);
+  });
+
+  describe('check', () => {
+    it('should let clean messages through untouched', () => {
+      chatFilterService.configure({ action: 'mask' });
+
+      const result = chatFilterService.check('good game everyone');
+
+      expect(result).to.deep.equal({
+        action: 'allow',
+        content: 'good game everyone',
+        matches: []
+      });
+    });
+
+    it('should mask whole words regardless of case', () => {
+      chatFilterService.configure({ action: 'mask' });
+
+      const result = chatFilterService.check('Oh SHIT, not shitake mushrooms');
+
+      expect(result.action).to.equal('mask');
+      expect(result.content).to.equal('Oh ****, not shitake mushrooms');
+      expect(result.matches).to.deep.equal(['SHIT']);
+    });
+
+    it('should apply configured words and patterns', () => {
+      chatFilterService.configure({
+        action: 'flag',
+        words: ['noob'],
+        patterns: ['discord\\.gg/\\w+']
+      });
+
+      const result = chatFilterService.check('noob, join discord.gg/abc123');
+
+      expect(result.action).to.equal('flag');
+      expect(result.content).to.equal('noob, join discord.gg/abc123');
+      expect(result.matches).to.have.members(['noob', 'discord.gg/abc123']);
+    });
+
+    it('should report the reject action without masking', () => {
+      chatFilterService.configure({ action: 'reject' });
+
+      const result = chatFilterService.check('bastard');
+
+      expect(result.action).to.equal('reject');
+      expect(result.content).to.equal('bastard');
+    });
+
+    it('should allow everything when disabled', () => {
+      chatFilterService.configure({ enabled: false });
+
+      expect(chatFilterService.check('shit').action).to.equal('allow');
+    });
+  });
+
+  describe('configure', () => {
+    it('should refuse unknown actions', () => {
+      expect(() => chatFilterService.configure({ action: 'explode' })).to.throw(
+        'Unknown chat filter action: explode'
+      );
+    });
+
+    it('should skip invalid patterns', () => {
+      chatFilterService.configure({ patterns: ['(unclosed'] });
+
+      expect(chatFilterService.check('fine').action).to.equal('allow');
+    });
+  });
+});
@@ -3,15 +3,28 @@ const sinon = require('sinon');
 const mongoose = require('mongoose');
 const chatService = require('../../../../../src/modules/chat/services/chatService');
 const Chat = require('../../../../../src/modules/chat/models/Chat');
+const ChatMessage = require('../../../../../src/modules/chat/models/ChatMessage');
+const ChatMute = require('../../../../../src/modules/chat/models/ChatMute');
+const chatFilterService = require('../../../../../src/modules/chat/services/chatFilterService');
+const reportService = require('../../../../../src/modules/admin/services/reportService');
 const User = require('../../../../../src/modules/auth/models/User');
+const Lobby = require('../../../../../src/modules/lobby/models/Lobby');
 const socketManager = require('../../../../../src/services/socketManager');
-const { NotFoundError, BadRequestError } = require('../../../../../src/utils/errors');
+const friendService = require('../../../../../src/modules/social/services/friendService');
+const config = require('../../../../../src/config');
+const {
+  NotFoundError,
+  BadRequestError,
+  AuthorizationError
+} = require('../../../../../src/utils/errors');
 
 describe('ChatService', () => {
   let sandbox;
 
   beforeEach(() => {
     sandbox = sinon.createSandbox();
+    sandbox.stub(friendService, 'getBlockedUserIds').resolves(new Set());
+    sandbox.stub(ChatMute, 'distinct').resolves([]);
   });
 
   afterEach(() => {
@@ -65,6 +78,27 @@ describe('ChatService', () => {
       expect(emitCall.args[2].message.content).to.equal(content);
     });
 
+    it('should not deliver the message to blocked users', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const blockedUserId = new mongoose.Types.ObjectId().toString();
+
+      const mockChat = {
+        participants: [userId],
+        addMessage: sandbox.stub().returns({ _id: new mongoose.Types.ObjectId(), content: 'hi' }),
+        save: sandbox.stub().resolves()
+      };
+
+      sandbox.stub(Chat, 'findOne').resolves(mockChat);
+      sandbox.stub(User, 'findById').resolves({ username: 'testuser' });
+      sandbox.stub(socketManager, 'emitToRoom');
+      friendService.getBlockedUserIds.resolves(new Set([blockedUserId]));
+
+      await chatService.sendLobbyMessage('lobbyId', userId.toString(), 'hi');
+
+      const emitCall = socketManager.emitToRoom.getCall(0);
+      expect(emitCall.args[3]).to.deep.equal({ excludeUserIds: [blockedUserId] });
+    });
+
     it('should throw NotFoundError if chat not found', async () => {
       sandbox.stub(Chat, 'findOne').resolves(null);
 
@@ -83,6 +117,7 @@ describe('ChatService', () => {
       };
 
       sandbox.stub(Chat, 'findOne').resolves(mockChat);
+      sandbox.stub(Lobby, 'findById').resolves(null);
 
       try {
         await chatService.sendLobbyMessage(
@@ -96,83 +131,417 @@ describe('ChatService', () => {
         expect(error.message).to.equal('User is not a participant in this chat');
       }
     });
+
+    it('should only let spectators post when the host allows it', async () => {
+      const spectatorId = new mongoose.Types.ObjectId();
+      const mockChat = {
+        participants: [new mongoose.Types.ObjectId()],
+        addMessage: sandbox.stub().returns({ _id: new mongoose.Types.ObjectId(), content: 'gg' }),
+        save: sandbox.stub().resolves()
+      };
+      const mockLobby = {
+        settings: { allowSpectatorChat: false },
+        isSpectator: sandbox.stub().returns(true)
+      };
+
+      sandbox.stub(Chat, 'findOne').resolves(mockChat);
+      sandbox.stub(Lobby, 'findById').resolves(mockLobby);
+      sandbox.stub(User, 'findById').resolves({ username: 'watcher' });
+      sandbox.stub(socketManager, 'emitToRoom');
+
+      try {
+        await chatService.sendLobbyMessage('lobbyId', spectatorId.toString(), 'gg');
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+      }
+
+      mockLobby.settings.allowSpectatorChat = true;
+      await chatService.sendLobbyMessage('lobbyId', spectatorId.toString(), 'gg');
+
+      expect(mockChat.addMessage.calledOnce).to.be.true;
+    });
+  });
+
+  describe('chat filter and mutes', () => {
+    let lobbyId;
+    let userId;
+    let mockChat;
+    let storedMessage;
+
+    beforeEach(() => {
+      lobbyId = new mongoose.Types.ObjectId();
+      userId = new mongoose.Types.ObjectId();
+      storedMessage = { _id: new mongoose.Types.ObjectId(), senderId: userId, content: '' };
+      mockChat = {
+        _id: new mongoose.Types.ObjectId(),
+        participants: [userId],
+        addMessage: sandbox.stub().callsFake((senderId, content) => {
+          storedMessage.content = content;
+          return Promise.resolve(storedMessage);
+        }),
+        save: sandbox.stub().resolves()
+      };
+      sandbox.stub(Chat, 'findOne').resolves(mockChat);
+      sandbox.stub(User, 'findById').resolves({ username: 'sender' });
+      sandbox.stub(socketManager, 'emitToRoom');
+      sandbox.stub(reportService, 'submitAutoReport').resolves();
+    });
+
+    it('should store and broadcast masked content', async () => {
+      sandbox
+        .stub(chatFilterService, 'check')
+        .returns({ action: 'mask', content: 'well ****', matches: ['shit'] });
+
+      await chatService.sendLobbyMessage(lobbyId.toString(), userId.toString(), 'well shit');
+
+      expect(mockChat.addMessage.firstCall.args[1]).to.equal('well ****');
+      expect(socketManager.emitToRoom.firstCall.args[2].message.content).to.equal('well ****');
+      expect(reportService.submitAutoReport.called).to.be.false;
+    });
+
+    it('should refuse rejected content without storing it', async () => {
+      sandbox
+        .stub(chatFilterService, 'check')
+        .returns({ action: 'reject', content: 'bad', matches: ['bad'] });
+
+      try {
+        await chatService.sendLobbyMessage(lobbyId.toString(), userId.toString(), 'bad');
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Message contains blocked language');
+      }
+      expect(mockChat.addMessage.called).to.be.false;
+    });
+
+    it('should open a chat_message report for flagged content', async () => {
+      sandbox
+        .stub(chatFilterService, 'check')
+        .returns({ action: 'flag', content: 'flag me', matches: ['flag'] });
+
+      await chatService.sendLobbyMessage(lobbyId.toString(), userId.toString(), 'flag me');
+
+      const report = reportService.submitAutoReport.firstCall.args[0];
+      expect(report.reportType).to.equal('chat_message');
+      expect(report.reportedId).to.equal(userId);
+      expect(report.evidence.chatLogIds).to.deep.equal([storedMessage._id]);
+    });
+
+    it('should not deliver live messages to users who muted the sender', async () => {
+      const mutedById = new mongoose.Types.ObjectId();
+      ChatMute.distinct.withArgs('userId').resolves([mutedById]);
+
+      await chatService.sendLobbyMessage(lobbyId.toString(), userId.toString(), 'hello');
+
+      const options = socketManager.emitToRoom.firstCall.args[3];
+      expect(options.excludeUserIds).to.deep.equal([mutedById.toString()]);
+    });
   });
 
   describe('getLobbyChatHistory', () => {
-    it('should retrieve chat history with pagination', async () => {
-      const lobbyId = new mongoose.Types.ObjectId();
-      const userId = new mongoose.Types.ObjectId();
+    let userId;
+    let mockChat;
+
+    beforeEach(() => {
+      userId = new mongoose.Types.ObjectId();
+      mockChat = {
+        _id: new mongoose.Types.ObjectId(),
+        participants: [userId]
+      };
+      sandbox.stub(Chat, 'findOne').resolves(mockChat);
+    });
 
+    it('should return a page of messages with a cursor', async () => {
       const messages = [
-        {
-          _id: new mongoose.Types.ObjectId(),
-          senderId: userId,
-          content: 'Message 1',
-          createdAt: new Date(Date.now() - 3600000)
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          senderId: userId,
-          content: 'Message 2',
-          createdAt: new Date()
-        }
+        { _id: new mongoose.Types.ObjectId(), content: 'Message 1' },
+        { _id: new mongoose.Types.ObjectId(), content: 'Message 2' }
       ];
+      const findPageStub = sandbox
+        .stub(ChatMessage, 'findPage')
+        .resolves({ messages, hasMore: true, nextCursor: 'abc' });
 
-      const mockChat = {
-        _id: new mongoose.Types.ObjectId(),
-        participants: [userId],
-        messages,
-        populate: sandbox.stub().returnsThis()
-      };
+      const result = await chatService.getLobbyChatHistory('lobbyId', userId.toString(), {
+        limit: 2
+      });
 
-      sandbox.stub(Chat, 'findOne').returns({
-        populate: sandbox.stub().resolves(mockChat)
+      expect(result.chatId).to.equal(mockChat._id);
+      expect(result.messages).to.equal(messages);
+      expect(result.hasMore).to.be.true;
+      expect(result.nextCursor).to.equal('abc');
+      expect(findPageStub.firstCall.args[0]).to.equal(mockChat._id);
+      expect(findPageStub.firstCall.args[1].limit).to.equal(2);
+    });
+
+    it('should decode the cursor before querying', async () => {
+      const findPageStub = sandbox
+        .stub(ChatMessage, 'findPage')
+        .resolves({ messages: [], hasMore: false, nextCursor: null });
+      const anchor = new ChatMessage({
+        chatId: mockChat._id,
+        senderId: userId,
+        content: 'anchor',
+        createdAt: new Date(5000)
       });
 
-      const result = await chatService.getLobbyChatHistory(lobbyId.toString(), userId.toString(), {
-        limit: 10
+      await chatService.getLobbyChatHistory('lobbyId', userId.toString(), {
+        cursor: ChatMessage.encodeCursor(anchor)
       });
 
-      expect(result.chatId).to.equal(mockChat._id);
-      expect(result.messages).to.have.lengthOf(2);
-      expect(result.hasMore).to.be.false;
+      const { cursor } = findPageStub.firstCall.args[1];
+      expect(cursor.createdAt.getTime()).to.equal(5000);
+      expect(cursor._id.toString()).to.equal(anchor._id.toString());
     });
 
-    it('should filter messages by before timestamp', async () => {
-      const userId = new mongoose.Types.ObjectId();
-      const cutoffTime = new Date();
+    it('should reject a malformed cursor', async () => {
+      try {
+        await chatService.getLobbyChatHistory('lobbyId', userId.toString(), {
+          cursor: 'garbage'
+        });
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Invalid cursor');
+      }
+    });
 
-      const messages = [
-        {
-          _id: new mongoose.Types.ObjectId(),
-          createdAt: new Date(cutoffTime.getTime() - 7200000) // 2 hours before
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          createdAt: new Date(cutoffTime.getTime() - 3600000) // 1 hour before
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          createdAt: new Date(cutoffTime.getTime() + 3600000) // 1 hour after
-        }
-      ];
+    it('should hide messages from blocked users', async () => {
+      const blockedUserId = new mongoose.Types.ObjectId();
+      const findPageStub = sandbox
+        .stub(ChatMessage, 'findPage')
+        .resolves({ messages: [], hasMore: false, nextCursor: null });
+      friendService.getBlockedUserIds.resolves(new Set([blockedUserId.toString()]));
 
-      const mockChat = {
-        _id: new mongoose.Types.ObjectId(),
-        participants: [userId],
-        messages,
-        populate: sandbox.stub().returnsThis()
-      };
+      await chatService.getLobbyChatHistory('lobbyId', userId.toString());
+
+      expect(findPageStub.firstCall.args[1].excludeSenderIds).to.deep.equal([
+        blockedUserId.toString()
+      ]);
+    });
+
+    it('should hide messages from users the viewer muted', async () => {
+      const mutedUserId = new mongoose.Types.ObjectId();
+      const findPageStub = sandbox
+        .stub(ChatMessage, 'findPage')
+        .resolves({ messages: [], hasMore: false, nextCursor: null });
+      ChatMute.distinct.withArgs('mutedUserId').resolves([mutedUserId]);
+
+      await chatService.getLobbyChatHistory('lobbyId', userId.toString());
+
+      expect(findPageStub.firstCall.args[1].excludeSenderIds).to.deep.equal([
+        mutedUserId.toString()
+      ]);
+    });
+  });
+
+  describe('sendChatMessage', () => {
+    let userId;
+    let friendId;
+    let mockChat;
+
+    beforeEach(() => {
+      userId = new mongoose.Types.ObjectId();
+      friendId = new mongoose.Types.ObjectId();
+      mockChat = new Chat({ chatType: 'direct', participants: [userId, friendId] });
+      sandbox.stub(mockChat, 'save').resolves(mockChat);
+      sandbox.stub(ChatMessage, 'create').callsFake((doc) => Promise.resolve(new ChatMessage(doc)));
+      sandbox.stub(Chat, 'findOne').resolves(mockChat);
+      sandbox.stub(User, 'findById').resolves({ username: 'sender' });
+      sandbox.stub(socketManager, 'emitToUsers');
+      sandbox.stub(socketManager, 'getOnlineUsers').returns([friendId.toString()]);
+    });
+
+    it('should deliver to participants and mark it read for the sender', async () => {
+      const message = await chatService.sendChatMessage(
+        mockChat._id.toString(),
+        userId.toString(),
+        'hey'
+      );
+
+      expect(message.content).to.equal('hey');
+      expect(message.chatId.toString()).to.equal(mockChat._id.toString());
+      expect(mockChat.save.calledOnce).to.be.true;
+      const readEntry = mockChat.readState.find((r) => r.userId.equals(userId));
+      expect(readEntry.lastReadAt).to.equal(message.createdAt);
 
-      sandbox.stub(Chat, 'findOne').returns({
-        populate: sandbox.stub().resolves(mockChat)
+      const [recipients, event] = socketManager.emitToUsers.firstCall.args;
+      expect(event).to.equal('chat:message');
+      expect(recipients).to.have.members([userId.toString(), friendId.toString()]);
+    });
+
+    it('should refuse direct messages across a block', async () => {
+      friendService.getBlockedUserIds.resolves(new Set([friendId.toString()]));
+
+      try {
+        await chatService.sendChatMessage(mockChat._id.toString(), userId.toString(), 'hey');
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Cannot message this user');
+      }
+    });
+
+    it('should hide the chat from non-participants', async () => {
+      try {
+        await chatService.sendChatMessage(
+          mockChat._id.toString(),
+          new mongoose.Types.ObjectId().toString(),
+          'hey'
+        );
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('message actions', () => {
+    let authorId;
+    let hostId;
+    let lobby;
+    let mockChat;
+    let message;
+
+    beforeEach(() => {
+      authorId = new mongoose.Types.ObjectId();
+      hostId = new mongoose.Types.ObjectId();
+      lobby = new Lobby({
+        name: 'Test lobby',
+        gameId: new mongoose.Types.ObjectId(),
+        hostId,
+        capacity: { min: 2, max: 4 }
+      });
+      mockChat = new Chat({
+        chatType: 'lobby',
+        lobbyId: lobby._id,
+        participants: [authorId, hostId]
       });
+      message = new ChatMessage({ chatId: mockChat._id, senderId: authorId, content: 'original' });
+      sandbox.stub(message, 'save').resolves(message);
+      sandbox.stub(Chat, 'findById').resolves(mockChat);
+      sandbox.stub(ChatMessage, 'findOne').resolves(message);
+      sandbox.stub(Lobby, 'findById').resolves(lobby);
+      sandbox.stub(socketManager, 'emitToRoom');
+    });
 
-      const result = await chatService.getLobbyChatHistory('lobbyId', userId.toString(), {
-        before: cutoffTime
+    it('should let the author edit within the window and broadcast it', async () => {
+      const result = await chatService.editMessage(
+        mockChat._id.toString(),
+        message._id.toString(),
+        authorId.toString(),
+        'fixed'
+      );
+
+      expect(result.content).to.equal('fixed');
+      expect(result.editedAt).to.be.instanceOf(Date);
+      const [room, event] = socketManager.emitToRoom.firstCall.args;
+      expect(room).to.equal(`lobby:${lobby._id}`);
+      expect(event).to.equal('chat:message:edited');
+    });
+
+    it('should refuse edits from others and after the window', async () => {
+      try {
+        await chatService.editMessage(
+          mockChat._id.toString(),
+          message._id.toString(),
+          hostId.toString(),
+          'not mine'
+        );
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+
+      message.createdAt = new Date(Date.now() - config.chat.editWindowMs - 1000);
+      try {
+        await chatService.editMessage(
+          mockChat._id.toString(),
+          message._id.toString(),
+          authorId.toString(),
+          'too late'
+        );
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Message can no longer be edited');
+      }
+    });
+
+    it('should let the lobby host soft-delete a message', async () => {
+      await chatService.deleteMessage(
+        mockChat._id.toString(),
+        message._id.toString(),
+        hostId.toString()
+      );
+
+      expect(message.deletedAt).to.be.instanceOf(Date);
+      expect(message.deletedBy.toString()).to.equal(hostId.toString());
+      expect(socketManager.emitToRoom.firstCall.args[1]).to.equal('chat:message:deleted');
+    });
+
+    it('should add and remove reactions', async () => {
+      const reactorId = hostId.toString();
+
+      await chatService.addReaction(
+        mockChat._id.toString(),
+        message._id.toString(),
+        reactorId,
+        '👍'
+      );
+      expect(message.reactions[0].emoji).to.equal('👍');
+      expect(socketManager.emitToRoom.firstCall.args[2].action).to.equal('added');
+
+      await chatService.removeReaction(
+        mockChat._id.toString(),
+        message._id.toString(),
+        reactorId,
+        '👍'
+      );
+      expect(message.reactions).to.have.lengthOf(0);
+      expect(socketManager.emitToRoom.secondCall.args[2].action).to.equal('removed');
+    });
+
+    it('should not act on deleted messages', async () => {
+      message.deletedAt = new Date();
+
+      try {
+        await chatService.addReaction(
+          mockChat._id.toString(),
+          message._id.toString(),
+          authorId.toString(),
+          '👍'
+        );
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+        expect(error.message).to.equal('Message not found');
+      }
+    });
+  });
+
+  describe('getConversations', () => {
+    it('should leave blocked and muted senders out of unread counts', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const blockedUserId = new mongoose.Types.ObjectId();
+      const mutedUserId = new mongoose.Types.ObjectId();
+      const chat = new Chat({ chatType: 'group', name: 'Squad', participants: [userId] });
+      sandbox.stub(chat, 'populate').resolves(chat);
+      const unreadStub = sandbox.stub(chat, 'getUnreadCount').resolves(0);
+      sandbox.stub(Chat, 'find').returns({
+        sort: sandbox.stub().returnsThis(),
+        limit: sandbox.stub().resolves([chat])
       });
+      sandbox.stub(ChatMessage, 'findOne').returns({ sort: sandbox.stub().resolves(null) });
+      friendService.getBlockedUserIds.resolves(new Set([blockedUserId.toString()]));
+      ChatMute.distinct.withArgs('mutedUserId').resolves([mutedUserId]);
+
+      const [summary] = await chatService.getConversations(userId.toString());
 
-      expect(result.messages).to.have.lengthOf(2);
+      expect(summary.unreadCount).to.equal(0);
+      expect(unreadStub.firstCall.args[1]).to.have.members([
+        blockedUserId.toString(),
+        mutedUserId.toString()
+      ]);
     });
   });
 
@@ -125,6 +125,52 @@ describe('Lobby Model', () => {
     });
   });
 
+  describe('getOpenSlots', () => {
+    const buildLobby = (members) =>
+      new Lobby({
+        name: 'Test Lobby',
+        gameId: new mongoose.Types.ObjectId(),
+        hostId: new mongoose.Types.ObjectId(),
+        capacity: { min: 2, max: 4 },
+        members: members.map((member) => ({ userId: new mongoose.Types.ObjectId(), ...member }))
+      });
+
+    it('should list the slots departed members left behind', () => {
+      const lobby = buildLobby([
+        { status: 'joined', team: 1, role: 'tank' },
+        { status: 'left', team: 1, role: 'healer' },
+        { status: 'kicked', team: 2, role: 'dps' },
+        { status: 'joined', team: 2, role: 'dps' }
+      ]);
+
+      expect(lobby.getOpenSlots()).to.deep.equal([
+        { team: 1, role: 'healer' },
+        { team: 2, role: 'dps' }
+      ]);
+    });
+
+    it('should not list slots taken by backfilled members', () => {
+      const lobby = buildLobby([
+        { status: 'joined', team: 1 },
+        { status: 'left', team: 1 },
+        { status: 'left', team: 2 },
+        { status: 'joined', team: 1, backfill: true }
+      ]);
+
+      expect(lobby.getOpenSlots()).to.deep.equal([{ team: 2, role: undefined }]);
+    });
+
+    it('should not reopen slots backfilled members leave', () => {
+      const lobby = buildLobby([
+        { status: 'joined', team: 1 },
+        { status: 'left', team: 1 },
+        { status: 'left', team: 1, backfill: true }
+      ]);
+
+      expect(lobby.getOpenSlots()).to.have.lengthOf(1);
+    });
+  });
+
   describe('setMemberReady', () => {
     it('should set member ready status to true', () => {
       const userId = new mongoose.Types.ObjectId();
@@ -276,4 +322,42 @@ describe('Lobby Model', () => {
       expect(lobby.canTransitionToActive()).to.be.true;
     });
   });
+
+  describe('Spectators', () => {
+    it('should not count spectators as members', () => {
+      const memberIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      const lobby = new Lobby({
+        name: 'Test Lobby',
+        gameId: new mongoose.Types.ObjectId(),
+        hostId: memberIds[0],
+        capacity: { min: 2, max: 2 },
+        members: memberIds.map((userId) => ({ userId, status: 'ready', readyStatus: true }))
+      });
+
+      lobby.addSpectator(new mongoose.Types.ObjectId());
+
+      expect(lobby.spectatorCount).to.equal(1);
+      expect(lobby.memberCount).to.equal(2);
+      expect(lobby.readyCount).to.equal(2);
+      expect(lobby.isReady).to.be.true;
+    });
+
+    it('should add each spectator once and remove them', () => {
+      const lobby = new Lobby({
+        name: 'Test Lobby',
+        gameId: new mongoose.Types.ObjectId(),
+        hostId: new mongoose.Types.ObjectId()
+      });
+      const spectatorId = new mongoose.Types.ObjectId();
+
+      lobby.addSpectator(spectatorId);
+      lobby.addSpectator(spectatorId);
+      expect(lobby.spectators).to.have.lengthOf(1);
+      expect(lobby.isSpectator(spectatorId.toString())).to.be.true;
+
+      expect(lobby.removeSpectator(spectatorId)).to.be.true;
+      expect(lobby.removeSpectator(spectatorId)).to.be.false;
+      expect(lobby.isSpectator(spectatorId)).to.be.false;
+    });
+  });
 });
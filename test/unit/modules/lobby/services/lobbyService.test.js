@@ -5,11 +5,17 @@ const lobbyService = require('../../../../../src/modules/lobby/services/lobbySer
 const Lobby = require('../../../../../src/modules/lobby/models/Lobby');
 const Chat = require('../../../../../src/modules/chat/models/Chat');
 const User = require('../../../../../src/modules/auth/models/User');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const penaltyService = require('../../../../../src/modules/matchmaking/services/penaltyService');
+const queueManager = require('../../../../../src/modules/matchmaking/services/queueManager');
+const matchAlgorithmService = require('../../../../../src/modules/matchmaking/services/matchAlgorithmService');
 const socketManager = require('../../../../../src/services/socketManager');
+const friendService = require('../../../../../src/modules/social/services/friendService');
 const {
   NotFoundError,
   BadRequestError,
-  ConflictError
+  ConflictError,
+  AuthorizationError
 } = require('../../../../../src/utils/errors');
 
 describe('LobbyService - State Machine Logic', () => {
@@ -189,5 +195,561 @@ describe('LobbyService - State Machine Logic', () => {
       expect(mockLobby.members[1].isHost).to.be.true;
       expect(mockLobby.hostId.toString()).to.equal(newHostId.toString());
     });
+
+    it('should transfer host to the chosen member', async () => {
+      const hostId = new mongoose.Types.ObjectId();
+      const firstMemberId = new mongoose.Types.ObjectId();
+      const chosenId = new mongoose.Types.ObjectId();
+
+      const mockLobby = {
+        _id: new mongoose.Types.ObjectId(),
+        hostId,
+        members: [
+          { userId: hostId, status: 'joined', isHost: true },
+          { userId: firstMemberId, status: 'joined', isHost: false },
+          { userId: chosenId, status: 'ready', isHost: false }
+        ]
+      };
+
+      sandbox.stub(lobbyService, 'sendSystemMessage').resolves();
+      sandbox.stub(socketManager, 'emitToRoom');
+
+      await lobbyService.transferHost(mockLobby, chosenId.toString());
+
+      expect(mockLobby.members[0].isHost).to.be.false;
+      expect(mockLobby.members[1].isHost).to.be.false;
+      expect(mockLobby.members[2].isHost).to.be.true;
+      expect(mockLobby.hostId.toString()).to.equal(chosenId.toString());
+      expect(
+        socketManager.emitToRoom.calledWith(`lobby:${mockLobby._id}`, 'lobby:host:transferred')
+      ).to.be.true;
+    });
+  });
+
+  describe('Early leaves', () => {
+    const buildLobby = (overrides) => {
+      const userId = new mongoose.Types.ObjectId();
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'forming',
+        matchHistoryId: new mongoose.Types.ObjectId(),
+        members: [{ userId, status: 'joined', isHost: false }],
+        memberCount: 2,
+        settings: { autoClose: true },
+        removeMember: sandbox.stub().returns({ isHost: false }),
+        save: sandbox.stub().resolves(),
+        populate: sandbox.stub().resolves(),
+        ...overrides
+      };
+    };
+
+    beforeEach(() => {
+      sandbox.stub(lobbyService, 'sendSystemMessage').resolves();
+      sandbox.stub(lobbyService, 'emitLobbyUpdate');
+      sandbox.stub(lobbyService, 'emitMemberLeft');
+      sandbox.stub(User, 'findById').resolves({ username: 'leaver' });
+      sandbox.stub(penaltyService, 'applyPenalty').resolves(new Map());
+    });
+
+    it('should penalize leaving a matchmade lobby before it starts', async () => {
+      const lobby = buildLobby();
+      const userId = lobby.members[0].userId.toString();
+      const matchHistory = new MatchHistory({
+        gameId: new mongoose.Types.ObjectId(),
+        gameMode: 'casual',
+        participants: [{ userId }]
+      });
+      sandbox.stub(matchHistory, 'save').resolves();
+      sandbox.stub(MatchHistory, 'findById').resolves(matchHistory);
+      sandbox.stub(lobbyService, 'getLobbyById').resolves(lobby);
+
+      await lobbyService.leaveLobby(lobby._id.toString(), userId);
+
+      expect(matchHistory.participants[0].status).to.equal('left');
+      expect(penaltyService.applyPenalty.firstCall.args.slice(0, 2)).to.deep.equal([
+        [userId],
+        'early_leave'
+      ]);
+    });
+
+    it('should not penalize leaving a custom or started lobby', async () => {
+      const custom = buildLobby({ matchHistoryId: undefined });
+      const started = buildLobby({ status: 'active' });
+      sandbox
+        .stub(lobbyService, 'getLobbyById')
+        .callsFake((id) => Promise.resolve(id === custom._id.toString() ? custom : started));
+
+      await lobbyService.leaveLobby(custom._id.toString(), custom.members[0].userId.toString());
+      await lobbyService.leaveLobby(started._id.toString(), started.members[0].userId.toString());
+
+      expect(penaltyService.applyPenalty.called).to.be.false;
+    });
+  });
+
+  describe('Spectators', () => {
+    let mockLobby;
+
+    beforeEach(() => {
+      mockLobby = new Lobby({
+        name: 'Watch party',
+        gameId: new mongoose.Types.ObjectId(),
+        gameMode: 'casual',
+        hostId: new mongoose.Types.ObjectId(),
+        settings: { allowSpectators: true, maxSpectators: 1 }
+      });
+      sandbox.stub(mockLobby, 'save').resolves(mockLobby);
+      sandbox.stub(lobbyService, 'getLobbyById').resolves(mockLobby);
+      sandbox.stub(User, 'findById').resolves({ username: 'watcher', status: 'active' });
+      sandbox.stub(friendService, 'getBlockedUserIds').resolves(new Set());
+      sandbox.stub(socketManager, 'emitToRoom');
+    });
+
+    it('should add a spectator and announce it', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+
+      await lobbyService.spectateLobby(mockLobby._id.toString(), userId);
+
+      expect(mockLobby.isSpectator(userId)).to.be.true;
+      expect(mockLobby.memberCount).to.equal(0);
+      expect(socketManager.emitToRoom.firstCall.args[1]).to.equal('lobby:spectator:joined');
+    });
+
+    it('should enforce the spectator cap', async () => {
+      mockLobby.addSpectator(new mongoose.Types.ObjectId());
+
+      try {
+        await lobbyService.spectateLobby(
+          mockLobby._id.toString(),
+          new mongoose.Types.ObjectId().toString()
+        );
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Spectator limit reached');
+      }
+    });
+
+    it('should reject spectators when the lobby does not allow them', async () => {
+      mockLobby.settings.allowSpectators = false;
+
+      try {
+        await lobbyService.spectateLobby(
+          mockLobby._id.toString(),
+          new mongoose.Types.ObjectId().toString()
+        );
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Lobby does not allow spectators');
+      }
+    });
+
+    it('should keep out users blocked by a member', async () => {
+      const memberId = new mongoose.Types.ObjectId();
+      mockLobby.members.push({ userId: memberId, status: 'joined' });
+      friendService.getBlockedUserIds.resolves(new Set([memberId.toString()]));
+
+      try {
+        await lobbyService.spectateLobby(
+          mockLobby._id.toString(),
+          new mongoose.Types.ObjectId().toString()
+        );
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Cannot spectate this lobby');
+      }
+      expect(mockLobby.spectatorCount).to.equal(0);
+    });
+
+    it('should send the latest spectators away when the cap is lowered', async () => {
+      const [first, second, third] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+      mockLobby.settings.maxSpectators = 5;
+      [first, second, third].forEach((id) => mockLobby.addSpectator(id));
+      sandbox.stub(lobbyService, 'assertHost');
+      sandbox.stub(lobbyService, 'emitLobbyUpdate');
+      sandbox.stub(socketManager, 'removeUserFromRoom');
+
+      await lobbyService.updateSpectatorSettings(
+        mockLobby._id.toString(),
+        mockLobby.hostId.toString(),
+        { maxSpectators: 1 }
+      );
+
+      expect(mockLobby.spectatorCount).to.equal(1);
+      expect(mockLobby.isSpectator(first)).to.be.true;
+      expect(socketManager.removeUserFromRoom.args.map(([userId]) => userId)).to.deep.equal([
+        second.toString(),
+        third.toString()
+      ]);
+    });
+  });
+
+  describe('Host Moderation', () => {
+    let hostId;
+    let memberId;
+    let mockLobby;
+
+    beforeEach(() => {
+      hostId = new mongoose.Types.ObjectId();
+      memberId = new mongoose.Types.ObjectId();
+
+      mockLobby = new Lobby({
+        name: 'Moderated',
+        gameId: new mongoose.Types.ObjectId(),
+        gameMode: 'casual',
+        hostId,
+        members: [
+          { userId: hostId, status: 'joined', isHost: true },
+          { userId: memberId, status: 'joined', isHost: false }
+        ]
+      });
+      sandbox.stub(mockLobby, 'save').resolves(mockLobby);
+
+      sandbox.stub(lobbyService, 'getLobbyById').resolves(mockLobby);
+      sandbox.stub(lobbyService, 'sendSystemMessage').resolves();
+      sandbox.stub(lobbyService, 'emitLobbyUpdate');
+      sandbox.stub(Chat, 'findById').resolves(null);
+      sandbox.stub(User, 'findById').resolves({ username: 'member' });
+      sandbox.stub(socketManager, 'emitToUser');
+      sandbox.stub(socketManager, 'emitToRoom');
+      sandbox.stub(socketManager, 'removeUserFromRoom');
+    });
+
+    it('should only allow the host to kick', async () => {
+      try {
+        await lobbyService.kickMember(
+          mockLobby._id.toString(),
+          memberId.toString(),
+          hostId.toString()
+        );
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+    });
+
+    it('should kick a member and post a system message', async () => {
+      await lobbyService.kickMember(
+        mockLobby._id.toString(),
+        hostId.toString(),
+        memberId.toString()
+      );
+
+      expect(mockLobby.members[1].status).to.equal('kicked');
+      expect(mockLobby.bannedUserIds).to.have.lengthOf(0);
+      expect(lobbyService.sendSystemMessage.firstCall.args[1]).to.equal(
+        'member was kicked from the lobby'
+      );
+      expect(socketManager.emitToUser.calledWith(memberId.toString(), 'lobby:member:kicked')).to.be
+        .true;
+      expect(socketManager.removeUserFromRoom.calledOnce).to.be.true;
+    });
+
+    it('should ban a member from rejoining', async () => {
+      await lobbyService.kickMember(
+        mockLobby._id.toString(),
+        hostId.toString(),
+        memberId.toString(),
+        {
+          ban: true
+        }
+      );
+
+      expect(mockLobby.isBanned(memberId)).to.be.true;
+
+      try {
+        await lobbyService.joinLobby(mockLobby._id.toString(), memberId.toString());
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+        expect(error.message).to.equal('You are banned from this lobby');
+      }
+    });
+
+    it('should not open the ready check until shortly before a scheduled start', async () => {
+      mockLobby.scheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      try {
+        await lobbyService.setMemberReady(mockLobby._id.toString(), memberId.toString(), true);
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Ready check opens shortly before the scheduled start');
+      }
+
+      mockLobby.scheduledFor = new Date(Date.now() + 60 * 1000);
+      sandbox.stub(mockLobby, 'populate').resolves(mockLobby);
+      sandbox.stub(lobbyService, 'emitMemberReady');
+
+      await lobbyService.setMemberReady(mockLobby._id.toString(), memberId.toString(), true);
+      expect(mockLobby.members[1].readyStatus).to.be.true;
+    });
+
+    it('should reject new joins while locked', async () => {
+      await lobbyService.setLocked(mockLobby._id.toString(), hostId.toString(), true);
+
+      expect(mockLobby.settings.isLocked).to.be.true;
+      expect(lobbyService.sendSystemMessage.calledOnce).to.be.true;
+
+      try {
+        await lobbyService.joinLobby(
+          mockLobby._id.toString(),
+          new mongoose.Types.ObjectId().toString()
+        );
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Lobby is locked');
+      }
+    });
+  });
+
+  describe('Team reshuffle', () => {
+    let gameId;
+    let hostId;
+    let userIds;
+    let mockLobby;
+    let matchHistory;
+
+    const profile = (rating) => ({ gameProfiles: [{ gameId, rating }] });
+
+    beforeEach(() => {
+      gameId = new mongoose.Types.ObjectId();
+      userIds = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+      [hostId] = userIds;
+      const partyRequestId = new mongoose.Types.ObjectId();
+
+      matchHistory = new MatchHistory({
+        gameId,
+        gameMode: 'ranked',
+        participants: userIds.map((userId, index) => ({
+          userId,
+          requestId: index < 2 ? partyRequestId : new mongoose.Types.ObjectId(),
+          team: index < 2 ? 1 : 2
+        }))
+      });
+      sandbox.stub(matchHistory, 'save').resolves(matchHistory);
+
+      mockLobby = new Lobby({
+        name: 'Teams',
+        gameId,
+        gameMode: 'ranked',
+        hostId,
+        matchHistoryId: matchHistory._id,
+        status: 'forming',
+        members: userIds.map((userId, index) => ({
+          userId,
+          status: 'joined',
+          isHost: index === 0,
+          team: index < 2 ? 1 : 2
+        }))
+      });
+      sandbox.stub(mockLobby, 'save').resolves(mockLobby);
+
+      sandbox.stub(lobbyService, 'getLobbyById').resolves(mockLobby);
+      sandbox.stub(lobbyService, 'sendSystemMessage').resolves();
+      sandbox.stub(lobbyService, 'emitLobbyUpdate');
+      sandbox.stub(socketManager, 'emitToRoom');
+      sandbox.stub(MatchHistory, 'findById').resolves(matchHistory);
+      sandbox.stub(User, 'find').returns({
+        select: sandbox
+          .stub()
+          .resolves(
+            userIds.map((_id, index) => ({ _id, ...profile([1800, 1200, 1600, 1400][index]) }))
+          )
+      });
+    });
+
+    it('should only allow the host to reshuffle', async () => {
+      try {
+        await lobbyService.reshuffleTeams(mockLobby._id.toString(), userIds[1].toString());
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+    });
+
+    it('should refuse once the game has started', async () => {
+      mockLobby.status = 'active';
+
+      try {
+        await lobbyService.reshuffleTeams(mockLobby._id.toString(), hostId.toString());
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Teams can only be changed before the game starts');
+      }
+    });
+
+    it('should keep parties together and update the match history', async () => {
+      await lobbyService.reshuffleTeams(mockLobby._id.toString(), hostId.toString(), {
+        mode: 'random'
+      });
+
+      const teams = mockLobby.members.map((m) => m.team);
+      expect(teams[0]).to.equal(teams[1]);
+      expect(teams[2]).to.equal(teams[3]);
+      expect(teams[0]).to.not.equal(teams[2]);
+      expect(matchHistory.participants.map((p) => p.team)).to.deep.equal(teams);
+      expect(matchHistory.matchQuality.teamSkillGap).to.equal(0);
+      expect(lobbyService.sendSystemMessage.firstCall.args[1]).to.equal(
+        'The host reshuffled the teams'
+      );
+      expect(socketManager.emitToRoom.firstCall.args[1]).to.equal('lobby:teams:updated');
+    });
+
+    it('should balance solo players by rating', async () => {
+      matchHistory.participants.forEach((p) => {
+        p.requestId = new mongoose.Types.ObjectId();
+      });
+
+      await lobbyService.reshuffleTeams(mockLobby._id.toString(), hostId.toString());
+
+      const [strongest, weakest, upper, lower] = mockLobby.members.map((m) => m.team);
+      expect(strongest).to.equal(weakest);
+      expect(upper).to.equal(lower);
+      expect(strongest).to.not.equal(upper);
+      expect(matchHistory.matchQuality.teamSkillGap).to.equal(0);
+    });
+
+    it('should give every team its share of each role', async () => {
+      matchHistory.participants.forEach((p) => {
+        p.requestId = new mongoose.Types.ObjectId();
+      });
+      ['tank', 'tank', 'damage', 'damage'].forEach((role, index) => {
+        mockLobby.members.at(index).role = role;
+        matchHistory.participants.at(index).role = role;
+      });
+      sandbox.stub(matchAlgorithmService, 'getRoleSlots').resolves([
+        { role: 'tank', count: 2 },
+        { role: 'damage', count: 2 }
+      ]);
+
+      await lobbyService.reshuffleTeams(mockLobby._id.toString(), hostId.toString());
+
+      const [tank1, tank2, damage1, damage2] = mockLobby.members.map((m) => m.team);
+      expect(tank1).to.not.equal(tank2);
+      expect(tank1).to.equal(damage2);
+      expect(tank2).to.equal(damage1);
+      expect(mockLobby.members.map((m) => m.role)).to.deep.equal([
+        'tank',
+        'tank',
+        'damage',
+        'damage'
+      ]);
+      expect(matchHistory.participants.map((p) => p.team)).to.deep.equal(
+        mockLobby.members.map((m) => m.team)
+      );
+      expect(matchHistory.matchQuality.teamSkillGap).to.equal(200);
+    });
+  });
+
+  describe('Public browsing', () => {
+    it('should leave private and locked lobbies out', async () => {
+      const query = {
+        populate: sandbox.stub().returnsThis(),
+        sort: sandbox.stub().returnsThis(),
+        limit: sandbox.stub().resolves([])
+      };
+      const find = sandbox.stub(Lobby, 'find').returns(query);
+
+      await lobbyService.browsePublicLobbies({ region: 'EU' });
+
+      expect(find.firstCall.args[0]).to.include({ status: 'forming' });
+      expect(find.firstCall.args[0]['settings.isPrivate']).to.deep.equal({ $ne: true });
+      expect(find.firstCall.args[0]['settings.isLocked']).to.deep.equal({ $ne: true });
+    });
+  });
+
+  describe('Backfill requests', () => {
+    let hostId;
+    let mockLobby;
+
+    beforeEach(() => {
+      hostId = new mongoose.Types.ObjectId();
+      mockLobby = new Lobby({
+        name: 'Backfill',
+        gameId: new mongoose.Types.ObjectId(),
+        gameMode: 'casual',
+        hostId,
+        matchHistoryId: new mongoose.Types.ObjectId(),
+        status: 'ready',
+        capacity: { min: 2, max: 3 },
+        members: [
+          { userId: hostId, status: 'joined', isHost: true, team: 1 },
+          { userId: new mongoose.Types.ObjectId(), status: 'left', team: 1 },
+          { userId: new mongoose.Types.ObjectId(), status: 'joined', team: 2 }
+        ]
+      });
+      sandbox.stub(mockLobby, 'save').resolves(mockLobby);
+
+      sandbox.stub(lobbyService, 'getLobbyById').resolves(mockLobby);
+      sandbox.stub(lobbyService, 'sendSystemMessage').resolves();
+      sandbox.stub(lobbyService, 'emitLobbyUpdate');
+      sandbox.stub(queueManager, 'addBackfill').resolves();
+      sandbox.stub(queueManager, 'removeBackfill').resolves(true);
+    });
+
+    it('should offer the open slots to the matchmaking queue', async () => {
+      await lobbyService.requestBackfill(mockLobby._id.toString(), hostId.toString());
+
+      expect(mockLobby.backfillRequestedAt).to.be.instanceOf(Date);
+      expect(queueManager.addBackfill.calledOnceWith(mockLobby)).to.be.true;
+      expect(lobbyService.sendSystemMessage.firstCall.args[1]).to.equal(
+        'Looking for a player to fill the open slots'
+      );
+    });
+
+    it('should only backfill matchmade lobbies with open slots', async () => {
+      const attempts = [
+        [{ matchHistoryId: undefined }, 'Only matchmade lobbies can be backfilled from the queue'],
+        [{ status: 'active' }, 'Lobby is not accepting new members'],
+        [{ 'settings.isLocked': true }, 'Lobby is locked']
+      ];
+
+      for (const [changes, message] of attempts) {
+        const original = mockLobby.toObject();
+        mockLobby.set(changes);
+        try {
+          await lobbyService.requestBackfill(mockLobby._id.toString(), hostId.toString());
+          expect.fail('Should have thrown BadRequestError');
+        } catch (error) {
+          expect(error).to.be.instanceOf(BadRequestError);
+          expect(error.message).to.equal(message);
+        }
+        mockLobby.set(original);
+      }
+
+      mockLobby.members.at(1).status = 'joined';
+      try {
+        await lobbyService.requestBackfill(mockLobby._id.toString(), hostId.toString());
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error.message).to.equal('Lobby has no open slots');
+      }
+      expect(queueManager.addBackfill.called).to.be.false;
+    });
+
+    it('should only let the host request backfill', async () => {
+      try {
+        await lobbyService.requestBackfill(
+          mockLobby._id.toString(),
+          mockLobby.members.at(2).userId.toString()
+        );
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+    });
+
+    it('should take the lobby out of the backfill queue when cancelled', async () => {
+      mockLobby.backfillRequestedAt = new Date();
+
+      await lobbyService.cancelBackfill(mockLobby._id.toString(), hostId.toString());
+
+      expect(mockLobby.backfillRequestedAt).to.be.undefined;
+      expect(queueManager.removeBackfill.calledOnceWith(mockLobby)).to.be.true;
+    });
   });
 });
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const availabilityService = require('../../../../../src/modules/matchmaking/services/availabilityService');
+
+describe('AvailabilityService', () => {
+  const DAY = 24 * 60;
+  // A Monday, outside daylight saving in both hemispheres used below
+  const winter = new Date('2026-01-12T12:00:00Z');
+  const summer = new Date('2026-07-13T12:00:00Z');
+
+  describe('getTimezoneOffset', () => {
+    it('should apply daylight saving as of the given time', () => {
+      expect(availabilityService.getTimezoneOffset('Europe/Berlin', winter)).to.equal(60);
+      expect(availabilityService.getTimezoneOffset('Europe/Berlin', summer)).to.equal(120);
+      expect(availabilityService.getTimezoneOffset('America/New_York', winter)).to.equal(-300);
+    });
+
+    it('should treat unknown timezones as UTC', () => {
+      expect(availabilityService.getTimezoneOffset('Mars/Olympus', winter)).to.equal(0);
+    });
+  });
+
+  describe('getWeeklyWindows', () => {
+    it('should convert local windows to UTC minutes of the week', () => {
+      const windows = availabilityService.getWeeklyWindows(
+        { weekdays: { start: '19:00', end: '23:00' }, timezone: 'Europe/Berlin' },
+        winter
+      );
+
+      expect(windows).to.have.lengthOf(5);
+      expect(windows[0]).to.deep.equal([18 * 60, 22 * 60]);
+      expect(windows[4]).to.deep.equal([4 * DAY + 18 * 60, 4 * DAY + 22 * 60]);
+    });
+
+    it('should run windows ending before they start past midnight', () => {
+      const windows = availabilityService.getWeeklyWindows(
+        { weekends: { start: '22:00', end: '02:00' }, timezone: 'UTC' },
+        winter
+      );
+
+      // Sunday night wraps into Monday morning at the start of the week
+      expect(windows).to.deep.equal([
+        [0, 2 * 60],
+        [5 * DAY + 22 * 60, 6 * DAY + 2 * 60],
+        [6 * DAY + 22 * 60, 7 * DAY]
+      ]);
+    });
+
+    it('should return null without any usable window', () => {
+      expect(availabilityService.getWeeklyWindows(undefined)).to.be.null;
+      expect(availabilityService.getWeeklyWindows({ timezone: 'UTC' })).to.be.null;
+      expect(availabilityService.getWeeklyWindows({ weekdays: { start: '25:00', end: '23:00' } }))
+        .to.be.null;
+    });
+  });
+
+  describe('getOverlapScore', () => {
+    it('should compare play times across timezones', () => {
+      const berlin = { weekdays: { start: '19:00', end: '23:00' }, timezone: 'Europe/Berlin' };
+      const london = { weekdays: { start: '18:00', end: '22:00' }, timezone: 'Europe/London' };
+      const newYork = { weekdays: { start: '18:00', end: '20:00' }, timezone: 'America/New_York' };
+
+      expect(availabilityService.getOverlapScore(berlin, london, winter)).to.equal(1);
+      expect(availabilityService.getOverlapScore(berlin, newYork, winter)).to.equal(0);
+    });
+
+    it('should score the share of the shorter schedule played together', () => {
+      const evenings = { weekdays: { start: '18:00', end: '22:00' }, timezone: 'UTC' };
+      const lateEvenings = { weekdays: { start: '20:00', end: '23:00' }, timezone: 'UTC' };
+
+      // Two of the three late evening hours are shared
+      expect(availabilityService.getOverlapScore(evenings, lateEvenings, winter)).to.be.closeTo(
+        2 / 3,
+        0.001
+      );
+    });
+
+    it('should return null when either player has not said', () => {
+      const evenings = { weekdays: { start: '18:00', end: '22:00' }, timezone: 'UTC' };
+
+      expect(availabilityService.getOverlapScore(evenings, { timezone: 'UTC' }, winter)).to.be.null;
+    });
+  });
+
+  describe('isAvailableAt', () => {
+    const nights = { weekdays: { start: '22:00', end: '01:00' }, timezone: 'UTC' };
+
+    it('should check the time against the play windows', () => {
+      expect(availabilityService.isAvailableAt(nights, '2026-01-12T23:30:00Z')).to.be.true;
+      expect(availabilityService.isAvailableAt(nights, '2026-01-13T00:30:00Z')).to.be.true;
+      expect(availabilityService.isAvailableAt(nights, '2026-01-12T12:00:00Z')).to.be.false;
+      // Saturday night is not covered by weekday windows
+      expect(availabilityService.isAvailableAt(nights, '2026-01-17T23:30:00Z')).to.be.false;
+    });
+
+    it('should treat players without play times as always available', () => {
+      expect(availabilityService.isAvailableAt(undefined, winter)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const backfillService = require('../../../../../src/modules/matchmaking/services/backfillService');
+const matchAlgorithmService = require('../../../../../src/modules/matchmaking/services/matchAlgorithmService');
+const queueManager = require('../../../../../src/modules/matchmaking/services/queueManager');
+const lockManager = require('../../../../../src/services/redis/lockManager');
+const Lobby = require('../../../../../src/modules/lobby/models/Lobby');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const MatchRequest = require('../../../../../src/modules/matchmaking/models/MatchRequest');
+
+describe('BackfillService', () => {
+  let sandbox;
+  let gameId;
+  let lobby;
+  let matchHistory;
+
+  const buildCandidate = (userIds) => ({
+    request: {
+      _id: new mongoose.Types.ObjectId(),
+      userId: userIds[0],
+      searchStartTime: new Date()
+    },
+    memberIds: userIds.map((id) => id.toString())
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    gameId = new mongoose.Types.ObjectId();
+    const stayed = new mongoose.Types.ObjectId();
+    const left = new mongoose.Types.ObjectId();
+
+    matchHistory = new MatchHistory({
+      gameId,
+      gameMode: 'casual',
+      participants: [
+        { userId: stayed, team: 1 },
+        { userId: left, team: 2, status: 'left' }
+      ]
+    });
+    sandbox.stub(matchHistory, 'save').resolves(matchHistory);
+
+    lobby = new Lobby({
+      name: 'Backfill',
+      gameId,
+      gameMode: 'casual',
+      hostId: stayed,
+      matchHistoryId: matchHistory._id,
+      status: 'forming',
+      capacity: { min: 2, max: 2 },
+      backfillRequestedAt: new Date(),
+      members: [
+        { userId: stayed, status: 'joined', isHost: true, team: 1 },
+        { userId: left, status: 'left', team: 2 }
+      ]
+    });
+    sandbox.stub(lobby, 'save').resolves(lobby);
+
+    sandbox.stub(Lobby, 'findById').resolves(lobby);
+    sandbox.stub(MatchHistory, 'findById').resolves(matchHistory);
+    sandbox.stub(MatchRequest, 'updateMany').resolves();
+    sandbox.stub(queueManager, 'removeBackfill').resolves(true);
+    sandbox.stub(queueManager, 'removeRequest').resolves(true);
+    sandbox.stub(backfillService, 'getMemberRequests').resolves([buildCandidate([stayed])]);
+    sandbox.stub(backfillService, 'announceJoin').resolves();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('fillLobby', () => {
+    it('should seat chosen players in the lobby and its match history', async () => {
+      const candidate = buildCandidate([new mongoose.Types.ObjectId()]);
+      sandbox
+        .stub(matchAlgorithmService, 'findBackfillPlayers')
+        .returns([{ ...candidate, slots: [{ team: 2 }] }]);
+
+      const requestIds = await backfillService.fillLobby(lobby, [candidate]);
+
+      expect(requestIds).to.deep.equal([candidate.request._id.toString()]);
+      const joined = lobby.members.at(-1);
+      expect(joined.userId.toString()).to.equal(candidate.request.userId.toString());
+      expect(joined.team).to.equal(2);
+      expect(joined.backfill).to.be.true;
+      const participant = matchHistory.participants.at(-1);
+      expect(participant.requestId.toString()).to.equal(candidate.request._id.toString());
+      expect(participant.backfill).to.be.true;
+      expect(participant.team).to.equal(2);
+      expect(MatchRequest.updateMany.firstCall.args[1]).to.deep.equal({
+        status: 'matched',
+        matchedLobbyId: lobby._id
+      });
+      expect(queueManager.removeRequest.calledOnce).to.be.true;
+    });
+
+    it('should leave the backfill queue once every slot is filled', async () => {
+      const candidate = buildCandidate([new mongoose.Types.ObjectId()]);
+      sandbox
+        .stub(matchAlgorithmService, 'findBackfillPlayers')
+        .returns([{ ...candidate, slots: [{ team: 2 }] }]);
+
+      await backfillService.fillLobby(lobby, [candidate]);
+
+      expect(lobby.backfillRequestedAt).to.be.undefined;
+      expect(queueManager.removeBackfill.calledOnceWith(lobby)).to.be.true;
+    });
+
+    it('should seat a returning player in their new slot', async () => {
+      const [, leftEarly] = matchHistory.participants;
+      const candidate = buildCandidate([leftEarly.userId]);
+      sandbox
+        .stub(matchAlgorithmService, 'findBackfillPlayers')
+        .returns([{ ...candidate, slots: [{ team: 1, role: 'support' }] }]);
+
+      await backfillService.fillLobby(lobby, [candidate]);
+
+      expect(matchHistory.participants).to.have.lengthOf(2);
+      expect(leftEarly.status).to.equal('active');
+      expect(leftEarly.team).to.equal(1);
+      expect(leftEarly.role).to.equal('support');
+      expect(leftEarly.backfill).to.be.true;
+      expect(leftEarly.leftAt).to.be.undefined;
+      expect(leftEarly.requestId.toString()).to.equal(candidate.request._id.toString());
+      expect(matchHistory.getTeams().get(1)).to.include(leftEarly.userId.toString());
+      const member = lobby.members.at(1);
+      expect(member.status).to.equal('joined');
+      expect(member.team).to.equal(1);
+      expect(member.backfill).to.be.true;
+    });
+
+    it('should not offer slots to players banned from the lobby', async () => {
+      const banned = new mongoose.Types.ObjectId();
+      const welcome = buildCandidate([new mongoose.Types.ObjectId()]);
+      const partyWithBanned = buildCandidate([new mongoose.Types.ObjectId(), banned]);
+      lobby.bannedUserIds = [banned];
+      const findBackfillPlayers = sandbox
+        .stub(matchAlgorithmService, 'findBackfillPlayers')
+        .returns([]);
+
+      await backfillService.fillLobby(lobby, [partyWithBanned, welcome]);
+
+      expect(findBackfillPlayers.firstCall.args[1]).to.deep.equal([welcome]);
+    });
+
+    it('should skip the lookup when every candidate is banned', async () => {
+      const banned = buildCandidate([new mongoose.Types.ObjectId()]);
+      lobby.bannedUserIds = [banned.request.userId];
+      const findBackfillPlayers = sandbox.spy(matchAlgorithmService, 'findBackfillPlayers');
+
+      const requestIds = await backfillService.fillLobby(lobby, [banned]);
+
+      expect(requestIds).to.be.empty;
+      expect(findBackfillPlayers.called).to.be.false;
+    });
+
+    it('should drop lobbies that are no longer waiting for players', async () => {
+      lobby.status = 'active';
+      const findBackfillPlayers = sandbox.spy(matchAlgorithmService, 'findBackfillPlayers');
+      const queued = { _id: lobby._id.toString(), gameId, gameMode: 'casual', region: 'NA' };
+
+      const requestIds = await backfillService.fillLobby(queued, [buildCandidate([gameId])]);
+
+      expect(requestIds).to.be.empty;
+      expect(queueManager.removeBackfill.calledOnceWith(queued)).to.be.true;
+      expect(findBackfillPlayers.called).to.be.false;
+    });
+  });
+
+  describe('fillLobbies', () => {
+    it('should not offer a request to a second lobby once it joined one', async () => {
+      const candidate = buildCandidate([new mongoose.Types.ObjectId()]);
+      sandbox.stub(queueManager, 'getBackfillLobbyIds').resolves(['lobby1', 'lobby2']);
+      sandbox.stub(lockManager, 'acquire').resolves({ key: 'lock' });
+      sandbox.stub(lockManager, 'release').resolves();
+      const fillLobby = sandbox
+        .stub(backfillService, 'fillLobby')
+        .resolves([candidate.request._id.toString()]);
+
+      const joined = await backfillService.fillLobbies(gameId, 'casual', 'NA', [candidate], {});
+
+      expect([...joined]).to.deep.equal([candidate.request._id.toString()]);
+      expect(fillLobby.calledOnce).to.be.true;
+      expect(lockManager.release.calledOnce).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const latencyService = require('../../../../../src/modules/matchmaking/services/latencyService');
+
+describe('LatencyService', () => {
+  const pings = [
+    { region: 'EU', pingMs: 120 },
+    { region: 'NA', pingMs: 30 },
+    { region: 'AS', pingMs: 260 }
+  ];
+
+  describe('rankRegions', () => {
+    it('should rank measured regions by ping when any region will do', () => {
+      expect(latencyService.rankRegions({ regions: ['ANY'], regionPings: pings })).to.deep.equal([
+        'NA',
+        'EU',
+        'AS'
+      ]);
+    });
+
+    it('should keep picked regions, measured ones first', () => {
+      expect(
+        latencyService.rankRegions({ regions: ['SA', 'AS', 'NA'], regionPings: pings })
+      ).to.deep.equal(['NA', 'AS', 'SA']);
+    });
+
+    it('should drop regions over a max ping', () => {
+      const criteria = { regionPings: pings, regionPreference: 'max_ping', maxPing: 150 };
+
+      expect(latencyService.rankRegions({ ...criteria, regions: ['ANY'] })).to.deep.equal([
+        'NA',
+        'EU'
+      ]);
+      expect(latencyService.rankRegions({ ...criteria, regions: ['SA', 'EU'] })).to.deep.equal([
+        'EU'
+      ]);
+    });
+
+    it('should leave regions alone without pings', () => {
+      expect(latencyService.rankRegions({ regions: ['EU', 'NA'] })).to.deep.equal(['EU', 'NA']);
+    });
+  });
+
+  describe('getSharedPing', () => {
+    it('should pick the region fastest for the slower player', () => {
+      const other = [
+        { region: 'NA', pingMs: 180 },
+        { region: 'EU', pingMs: 90 }
+      ];
+
+      expect(latencyService.getSharedPing(pings, other)).to.deep.equal({
+        region: 'EU',
+        pingMs: 120
+      });
+    });
+
+    it('should return null without a region in common', () => {
+      expect(latencyService.getSharedPing(pings, [{ region: 'OC', pingMs: 10 }])).to.be.null;
+      expect(latencyService.getSharedPing(pings, undefined)).to.be.null;
+    });
+  });
+
+  describe('getLatencyScore', () => {
+    it('should fall from full marks at the ideal ping to the floor', () => {
+      const { idealPingMs, poorPingMs, floorScore } = latencyService.config;
+
+      expect(latencyService.getLatencyScore(idealPingMs)).to.equal(1);
+      expect(latencyService.getLatencyScore((idealPingMs + poorPingMs) / 2)).to.be.closeTo(
+        (1 + floorScore) / 2,
+        1e-9
+      );
+      expect(latencyService.getLatencyScore(poorPingMs * 2)).to.equal(floorScore);
+    });
+  });
+
+  describe('isWithinMaxPing', () => {
+    const limited = {
+      regionPreference: 'max_ping',
+      maxPing: 100,
+      regions: ['NA'],
+      regionPings: pings
+    };
+
+    it('should compare pings where both players measured a region', () => {
+      expect(
+        latencyService.isWithinMaxPing(limited, { regionPings: [{ region: 'NA', pingMs: 80 }] })
+      ).to.be.true;
+      expect(
+        latencyService.isWithinMaxPing(limited, { regionPings: [{ region: 'NA', pingMs: 140 }] })
+      ).to.be.false;
+    });
+
+    it('should fall back to the regions kept under the limit', () => {
+      expect(latencyService.isWithinMaxPing(limited, { regions: ['NA', 'EU'] })).to.be.true;
+      expect(latencyService.isWithinMaxPing(limited, { regions: ['EU'] })).to.be.false;
+      expect(latencyService.isWithinMaxPing(limited, { regions: ['ANY'] })).to.be.true;
+    });
+
+    it('should accept anyone without a max ping', () => {
+      expect(latencyService.isWithinMaxPing({ regionPreference: 'strict' }, { regions: ['EU'] })).to
+        .be.true;
+    });
+  });
+});
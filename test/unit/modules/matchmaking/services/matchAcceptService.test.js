@@ -0,0 +1,194 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const matchAcceptService = require('../../../../../src/modules/matchmaking/services/matchAcceptService');
+const matchmakingService = require('../../../../../src/modules/matchmaking/services/matchmakingService');
+const queueManager = require('../../../../../src/modules/matchmaking/services/queueManager');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const MatchRequest = require('../../../../../src/modules/matchmaking/models/MatchRequest');
+const User = require('../../../../../src/modules/auth/models/User');
+const lockManager = require('../../../../../src/services/redis/lockManager');
+const socketManager = require('../../../../../src/services/socketManager');
+const { ConflictError, BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('MatchAcceptService', () => {
+  let sandbox;
+  let players;
+  let soloRequestId;
+  let partyRequestId;
+  let match;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    players = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    soloRequestId = new mongoose.Types.ObjectId();
+    partyRequestId = new mongoose.Types.ObjectId();
+    match = new MatchHistory({
+      gameId: new mongoose.Types.ObjectId(),
+      gameMode: 'competitive',
+      participants: [
+        { userId: players[0], requestId: soloRequestId, team: 1 },
+        { userId: players[1], requestId: partyRequestId, team: 2 },
+        { userId: players[2], requestId: partyRequestId, team: 2 }
+      ]
+    });
+
+    sandbox.stub(lockManager, 'acquire').resolves({ key: 'lock' });
+    sandbox.stub(lockManager, 'release').resolves(true);
+    sandbox.stub(MatchHistory, 'findById').resolves(match);
+    sandbox.stub(match, 'save').resolvesThis();
+    sandbox.stub(MatchRequest, 'updateMany').resolves();
+    sandbox.stub(MatchRequest, 'updateOne').resolves();
+    sandbox
+      .stub(MatchRequest, 'findOneAndUpdate')
+      .callsFake((filter) =>
+        Promise.resolve(new MatchRequest({ _id: filter._id, userId: players[0] }))
+      );
+    sandbox.stub(matchmakingService, 'enqueueRequest').resolves();
+    sandbox.stub(matchmakingService, 'finalizeMatch').resolves();
+    sandbox.stub(User, 'find').returns({
+      select: sandbox
+        .stub()
+        .callsFake(() =>
+          Promise.resolve(
+            User.find.firstCall.args[0]._id.$in.map((_id) => new User({ _id, username: 'p' }))
+          )
+        )
+    });
+    sandbox.stub(User, 'updateOne').resolves();
+    sandbox.stub(socketManager, 'emitToUsers');
+    sandbox.stub(socketManager, 'emitMatchmakingStatus');
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const respond = (index, accepted) =>
+    // eslint-disable-next-line security/detect-object-injection
+    matchAcceptService.respond(match._id.toString(), players[index].toString(), accepted);
+
+  const pendingAcceptance = () => {
+    match.acceptance = {
+      status: 'pending',
+      acceptBy: new Date(Date.now() + 20000),
+      responses: []
+    };
+  };
+
+  describe('requestAcceptance', () => {
+    it('should take the requests out of the queue and ask every player to accept', async () => {
+      sandbox.stub(queueManager, 'removeRequest').resolves(true);
+
+      const acceptance = await matchAcceptService.requestAcceptance({
+        matchHistory: match,
+        participants: match.participants
+      });
+
+      expect(acceptance.status).to.equal('pending');
+      expect(MatchRequest.updateMany.firstCall.args[1].status).to.equal('accepting');
+      expect(queueManager.removeRequest.callCount).to.equal(2);
+      expect(socketManager.emitMatchmakingStatus.callCount).to.equal(2);
+      expect(socketManager.emitToUsers.firstCall.args[0]).to.have.lengthOf(3);
+      expect(socketManager.emitToUsers.firstCall.args[1]).to.equal('matchmaking:match:found');
+      expect(socketManager.emitToUsers.firstCall.args[2].gameChoice.reason).to.equal(
+        'The only game everyone in the match listed'
+      );
+    });
+  });
+
+  describe('respond', () => {
+    beforeEach(pendingAcceptance);
+
+    it('should wait for everyone before creating the lobby', async () => {
+      const acceptance = await respond(0, true);
+
+      expect(acceptance.status).to.equal('pending');
+      expect(matchmakingService.finalizeMatch.called).to.be.false;
+      expect(socketManager.emitToUsers.firstCall.args[1]).to.equal(
+        'matchmaking:match:accept:updated'
+      );
+    });
+
+    it('should create the lobby once every player accepts', async () => {
+      await respond(0, true);
+      await respond(1, true);
+      const acceptance = await respond(2, true);
+
+      expect(acceptance.status).to.equal('accepted');
+      expect(MatchRequest.updateMany.firstCall.args[1]).to.deep.equal({ status: 'matched' });
+      expect(matchmakingService.finalizeMatch.calledOnce).to.be.true;
+      expect(matchmakingService.finalizeMatch.firstCall.args[0].participants).to.have.lengthOf(3);
+    });
+
+    it('should requeue the others at the front and cool down the decliner', async () => {
+      await respond(0, true);
+      const acceptance = await respond(1, false);
+
+      expect(acceptance.status).to.equal('declined');
+      expect(match.status).to.equal('cancelled');
+      expect(MatchRequest.updateOne.firstCall.args[0]._id).to.equal(partyRequestId.toString());
+      expect(MatchRequest.updateOne.firstCall.args[1]).to.deep.equal({
+        status: 'cancelled',
+        cancelReason: 'match_called_off'
+      });
+      expect(MatchRequest.findOneAndUpdate.firstCall.args[0]._id).to.equal(
+        soloRequestId.toString()
+      );
+      expect(matchmakingService.enqueueRequest.firstCall.args[1]).to.deep.equal({ front: true });
+      expect(User.updateOne.calledOnce).to.be.true;
+      expect(User.updateOne.firstCall.args[0]._id.toString()).to.equal(players[1].toString());
+      expect(User.updateOne.firstCall.args[1].matchmakingRestrictions.lastOffense).to.equal(
+        'dodge'
+      );
+      expect(match.participants.map((p) => p.status)).to.deep.equal(['active', 'dodged', 'active']);
+    });
+
+    it('should not let a player answer twice', async () => {
+      await respond(0, true);
+
+      try {
+        await respond(0, true);
+        throw new Error('Expected conflict error to be thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+
+    it('should refuse answers after the deadline', async () => {
+      match.acceptance.acceptBy = new Date(Date.now() - 1000);
+
+      try {
+        await respond(0, true);
+        throw new Error('Expected bad request error to be thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('The time to accept this match has run out');
+      }
+    });
+  });
+
+  describe('expireAcceptances', () => {
+    it('should cool down players who did not answer and requeue the rest', async () => {
+      pendingAcceptance();
+      match.acceptance.responses.push({ userId: players[0], accepted: true });
+      sandbox.stub(MatchHistory, 'find').returns({
+        select: sandbox.stub().returnsThis(),
+        limit: sandbox.stub().resolves([{ _id: match._id }])
+      });
+
+      const expired = await matchAcceptService.expireAcceptances();
+
+      expect(expired).to.equal(1);
+      expect(match.acceptance.status).to.equal('expired');
+      expect(User.updateOne.callCount).to.equal(2);
+      expect(match.participants.map((p) => p.status)).to.deep.equal([
+        'active',
+        'no_show',
+        'no_show'
+      ]);
+      expect(matchmakingService.enqueueRequest.calledOnce).to.be.true;
+      expect(socketManager.emitMatchmakingStatus.firstCall.args[1].requeued).to.be.true;
+    });
+  });
+});
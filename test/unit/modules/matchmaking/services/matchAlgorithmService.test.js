@@ -1,6 +1,8 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const matchAlgorithmService = require('../../../../../src/modules/matchmaking/services/matchAlgorithmService');
+const teammateService = require('../../../../../src/modules/matchmaking/services/teammateService');
+const matchSettingsService = require('../../../../../src/modules/matchmaking/services/matchSettingsService');
 const MatchRequest = require('../../../../../src/modules/matchmaking/models/MatchRequest');
 const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
 const User = require('../../../../../src/modules/auth/models/User');
@@ -162,6 +164,34 @@ describe('MatchAlgorithmService', () => {
     });
   });
 
+  describe('isScheduleCompatible', () => {
+    const at = (time) => ({ scheduledTime: time && new Date(time) });
+
+    it('should match scheduled requests within the tolerance window only', () => {
+      const friday = '2026-10-23T20:00:00Z';
+      const tolerance = matchAlgorithmService.config.scheduleToleranceMs;
+
+      expect(
+        matchAlgorithmService.isScheduleCompatible(
+          at(friday),
+          at(new Date(friday).getTime() + tolerance)
+        )
+      ).to.be.true;
+      expect(
+        matchAlgorithmService.isScheduleCompatible(
+          at(friday),
+          at(new Date(friday).getTime() + tolerance + 1)
+        )
+      ).to.be.false;
+    });
+
+    it('should never mix scheduled and immediate requests', () => {
+      expect(matchAlgorithmService.isScheduleCompatible(at(), at())).to.be.true;
+      expect(matchAlgorithmService.isScheduleCompatible(at('2026-10-23T20:00:00Z'), at())).to.be
+        .false;
+    });
+  });
+
   describe('calculateRegionScore', () => {
     it('should return 1.0 for matching regions', () => {
       const criteria1 = {
@@ -204,6 +234,110 @@ describe('MatchAlgorithmService', () => {
       const score = matchAlgorithmService.calculateRegionScore(criteria1, criteria2);
       expect(score).to.equal(0.5);
     });
+
+    it('should prefer shared regions with low ping', () => {
+      const nearby = {
+        regions: ['EU', 'NA'],
+        regionPings: [
+          { region: 'EU', pingMs: 20 },
+          { region: 'NA', pingMs: 110 }
+        ]
+      };
+      const faraway = {
+        regions: ['NA'],
+        regionPings: [
+          { region: 'EU', pingMs: 190 },
+          { region: 'NA', pingMs: 30 }
+        ]
+      };
+
+      expect(matchAlgorithmService.calculateRegionScore(nearby, nearby)).to.equal(1);
+      const score = matchAlgorithmService.calculateRegionScore(nearby, faraway);
+      expect(score).to.be.below(1);
+      expect(score).to.be.above(0.4);
+    });
+
+    it('should treat a max ping like strict without a shared region', () => {
+      const criteria1 = { regions: ['NA'], regionPreference: 'max_ping', maxPing: 80 };
+      const criteria2 = { regions: ['EU'], regionPreference: 'any' };
+
+      expect(matchAlgorithmService.calculateRegionScore(criteria1, criteria2)).to.equal(0);
+    });
+  });
+
+  describe('max ping', () => {
+    const buildRequest = (criteria) => ({
+      request: {
+        criteria: {
+          games: [{ gameId: 'game1' }],
+          gameMode: 'casual',
+          regions: ['EU'],
+          ...criteria
+        },
+        relaxationLevel: 0
+      },
+      user: { _id: 'user' }
+    });
+
+    it('should not match players over the max ping however well they fit otherwise', () => {
+      const limited = buildRequest({
+        regionPreference: 'max_ping',
+        maxPing: 60,
+        regionPings: [{ region: 'EU', pingMs: 20 }]
+      });
+      const laggy = buildRequest({ regionPings: [{ region: 'EU', pingMs: 90 }] });
+      const close = buildRequest({ regionPings: [{ region: 'EU', pingMs: 40 }] });
+
+      expect(matchAlgorithmService.calculateCompatibility(limited, laggy, 'game1')).to.equal(0);
+      expect(matchAlgorithmService.calculateCompatibility(laggy, limited, 'game1')).to.equal(0);
+      expect(matchAlgorithmService.calculateCompatibility(limited, close, 'game1')).to.be.above(0);
+    });
+  });
+
+  describe('teammate verdicts', () => {
+    const { avoidFactor, preferBonus } = teammateService.config;
+    const buildPlayer = (memberIds, avoid = [], preferred = []) => ({
+      request: { userId: memberIds[0] },
+      memberIds,
+      avoidUserIds: new Set(avoid),
+      preferredUserIds: new Set(preferred)
+    });
+
+    it('should lower the score when either side avoids someone on the other', () => {
+      const party = buildPlayer(['a', 'b'], ['c']);
+      const solo = buildPlayer(['c']);
+
+      expect(matchAlgorithmService.applyTeammateVerdicts(party, solo, 0.8)).to.equal(
+        0.8 * avoidFactor
+      );
+      expect(matchAlgorithmService.applyTeammateVerdicts(solo, party, 0.8)).to.equal(
+        0.8 * avoidFactor
+      );
+    });
+
+    it('should raise the score for commended players, avoids taking precedence', () => {
+      const fan = buildPlayer(['a'], [], ['c']);
+
+      expect(matchAlgorithmService.applyTeammateVerdicts(fan, buildPlayer(['c']), 0.6)).to.equal(
+        0.6 + preferBonus
+      );
+      expect(matchAlgorithmService.applyTeammateVerdicts(fan, buildPlayer(['c']), 0.95)).to.equal(
+        1
+      );
+      expect(
+        matchAlgorithmService.applyTeammateVerdicts(fan, buildPlayer(['c'], ['a']), 0.6)
+      ).to.equal(0.6 * avoidFactor);
+    });
+
+    it('should leave strangers alone', () => {
+      expect(
+        matchAlgorithmService.applyTeammateVerdicts(
+          buildPlayer(['a'], ['x'], ['y']),
+          { request: { userId: 'c' } },
+          0.7
+        )
+      ).to.equal(0.7);
+    });
   });
 
   describe('calculateSkillScore', () => {
@@ -230,6 +364,21 @@ describe('MatchAlgorithmService', () => {
       expect(score).to.equal(0.5); // Adjusted expectation
     });
 
+    it('should use an earned rating over the self-reported skill level', () => {
+      const gameId = '507f1f77bcf86cd799439011';
+      const enriched1 = {
+        user: { gameProfiles: [{ gameId, skillLevel: 90, rating: 1500 }] },
+        request: { relaxationLevel: 0, criteria: { skillPreference: 'similar' } }
+      };
+      const enriched2 = {
+        user: { gameProfiles: [{ gameId, skillLevel: 50 }] },
+        request: { relaxationLevel: 0, criteria: { skillPreference: 'similar' } }
+      };
+
+      expect(matchAlgorithmService.getSkillLevel(enriched1, gameId)).to.equal(50);
+      expect(matchAlgorithmService.calculateSkillScore(enriched1, enriched2, gameId)).to.equal(1);
+    });
+
     it('should return 0.5 when no skill data is available', () => {
       const enriched1 = {
         user: { gameProfiles: [] },
@@ -276,6 +425,888 @@ describe('MatchAlgorithmService', () => {
     });
   });
 
+  describe('findCompatiblePartners', () => {
+    const buildEnriched = (userId, blockedUserIds = []) => ({
+      request: {
+        _id: `req-${userId}`,
+        userId,
+        criteria: { groupSize: { min: 2, max: 4 } }
+      },
+      user: { _id: userId },
+      blockedUserIds: new Set(blockedUserIds)
+    });
+
+    beforeEach(() => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(1);
+    });
+
+    it('should skip candidates blocked by the primary user', () => {
+      const primary = buildEnriched('user1', ['user2']);
+      const blocked = buildEnriched('user2', ['user1']);
+      const other = buildEnriched('user3');
+
+      const partners = matchAlgorithmService.findCompatiblePartners(
+        primary,
+        [primary, blocked, other],
+        new Set(),
+        'game1'
+      );
+
+      expect(partners.map((p) => p.request.userId)).to.deep.equal(['user3']);
+    });
+
+    it('should skip candidates blocked by an already selected partner', () => {
+      const primary = buildEnriched('user1');
+      const partner = buildEnriched('user2', ['user3']);
+      const blocked = buildEnriched('user3', ['user2']);
+      const other = buildEnriched('user4');
+
+      const partners = matchAlgorithmService.findCompatiblePartners(
+        primary,
+        [primary, partner, blocked, other],
+        new Set(),
+        'game1'
+      );
+
+      expect(partners.map((p) => p.request.userId)).to.have.members(['user2', 'user4']);
+    });
+  });
+
+  describe('party queueing', () => {
+    const buildParty = (userIds, { max = 5, min = 2, searchStartTime = 0 } = {}) => ({
+      request: {
+        _id: `req-${userIds[0]}`,
+        userId: userIds[0],
+        preselectedUsers: userIds.slice(1),
+        searchStartTime,
+        criteria: { groupSize: { min, max } }
+      },
+      user: { _id: userIds[0], username: userIds[0] },
+      members: userIds.map((id) => ({ _id: id, username: id })),
+      memberIds: userIds,
+      blockedUserIds: new Set()
+    });
+
+    beforeEach(() => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(1);
+    });
+
+    it('should list the leader and party members of a request', () => {
+      const memberIds = matchAlgorithmService.getRequestMemberIds({
+        userId: 'leader',
+        preselectedUsers: [{ _id: 'friend1' }, 'friend2']
+      });
+
+      expect(memberIds).to.deep.equal(['leader', 'friend1', 'friend2']);
+    });
+
+    it('should skip a party that does not fit in the remaining seats', () => {
+      const primary = buildParty(['a', 'b', 'c']);
+      const tooBig = buildParty(['d', 'e', 'f']);
+      const solo = buildParty(['g']);
+
+      const partners = matchAlgorithmService.findCompatiblePartners(
+        primary,
+        [primary, tooBig, solo],
+        new Set(),
+        'game1'
+      );
+
+      expect(partners.map((p) => p.request.userId)).to.deep.equal(['g']);
+    });
+
+    it("should respect a partner's own maximum group size", () => {
+      const primary = buildParty(['a', 'b', 'c'], { max: 5 });
+      const smallGroupsOnly = buildParty(['d'], { max: 3 });
+      const solo = buildParty(['e']);
+
+      const partners = matchAlgorithmService.findCompatiblePartners(
+        primary,
+        [primary, smallGroupsOnly, solo],
+        new Set(),
+        'game1'
+      );
+
+      expect(partners.map((p) => p.request.userId)).to.deep.equal(['e']);
+    });
+
+    it('should treat a block by any party member as a block for the whole party', () => {
+      const primary = buildParty(['a', 'b']);
+      primary.blockedUserIds = new Set(['c']);
+      const blocked = buildParty(['c']);
+
+      expect(matchAlgorithmService.isBlockedPair(primary, blocked)).to.be.true;
+      expect(matchAlgorithmService.isBlockedPair(blocked, primary)).to.be.true;
+    });
+
+    it('should fill the group around a party without splitting it', async () => {
+      const party = buildParty(['a', 'b', 'c'], { min: 4, max: 4 });
+      const soloOne = buildParty(['d'], { min: 2, max: 4, searchStartTime: 1 });
+      const soloTwo = buildParty(['e'], { min: 2, max: 4, searchStartTime: 2 });
+      const createMatch = sandbox
+        .stub(matchAlgorithmService, 'createMatch')
+        .callsFake((participants) => Promise.resolve({ participants }));
+
+      const matches = await matchAlgorithmService.findMatches(
+        [soloOne, party, soloTwo],
+        'game1',
+        'competitive',
+        'NA'
+      );
+
+      expect(matches).to.have.lengthOf(1);
+      expect(createMatch.calledOnce).to.be.true;
+      const userIds = createMatch.firstCall.args[0].flatMap((p) => p.memberIds);
+      expect(userIds).to.have.members(['a', 'b', 'c', 'd']);
+    });
+
+    it('should not match a party on its own', async () => {
+      const party = buildParty(['a', 'b', 'c']);
+      const createMatch = sandbox.stub(matchAlgorithmService, 'createMatch');
+
+      const matches = await matchAlgorithmService.findMatches(
+        [party],
+        'game1',
+        'competitive',
+        'NA'
+      );
+
+      expect(matches).to.have.lengthOf(0);
+      expect(createMatch.called).to.be.false;
+    });
+
+    it('should keep parties on one team when splitting into teams', () => {
+      const { teams } = matchAlgorithmService.assignTeams(
+        [buildParty(['a']), buildParty(['b', 'c']), buildParty(['d'])],
+        'game1'
+      );
+
+      expect(teams).to.deep.equal([2, 1, 2]);
+    });
+
+    it('should seat every party member in the created match', async () => {
+      const party = buildParty(['a', 'b']);
+      party.request.getPrimaryGame = () => ({ gameId: 'game1' });
+      const solo = buildParty(['c']);
+      solo.request.getPrimaryGame = () => ({ gameId: 'game1' });
+
+      sandbox.stub(MatchHistory.prototype, 'save').resolvesThis();
+      sandbox.stub(MatchHistory.prototype, 'calculateMetrics').resolves();
+      sandbox.stub(MatchRequest, 'updateMany').resolves();
+      sandbox.stub(matchAlgorithmService, 'calculateMatchQuality').returns({ overallScore: 100 });
+
+      const result = await matchAlgorithmService.createMatch(
+        [party, solo],
+        '507f1f77bcf86cd799439011',
+        'competitive',
+        'NA'
+      );
+
+      expect(result.participants.map((p) => [p.userId, p.requestId, p.team])).to.deep.equal([
+        ['a', 'req-a', 1],
+        ['b', 'req-a', 1],
+        ['c', 'req-c', 2]
+      ]);
+      expect(MatchRequest.updateMany.firstCall.args[0]._id.$in).to.deep.equal(['req-a', 'req-c']);
+    });
+  });
+
+  describe('team balancing', () => {
+    const solo = (rating) => ({ ratings: [rating] });
+
+    it('should split solo players into evenly rated teams', () => {
+      const units = [solo(1800), solo(1600), solo(1500), solo(1300)];
+
+      const teams = matchAlgorithmService.balanceTeams(units, 2);
+
+      expect(teams.filter((t) => t === 1)).to.have.lengthOf(2);
+      expect(
+        matchAlgorithmService.getTeamRatingGap(matchAlgorithmService.summariseTeams(units, teams))
+      ).to.equal(0);
+    });
+
+    it('should swap players between teams to narrow the gap', () => {
+      const entries = [
+        { size: 1, total: 2000, team: 0 },
+        { size: 1, total: 1900, team: 0 },
+        { size: 1, total: 1100, team: 1 },
+        { size: 1, total: 1000, team: 1 }
+      ];
+      const teams = [
+        { size: 2, total: 3900 },
+        { size: 2, total: 2100 }
+      ];
+
+      matchAlgorithmService.improveTeamBalance(entries, teams);
+
+      expect(matchAlgorithmService.getTeamRatingGap(teams)).to.equal(0);
+      expect(entries[0].team).to.equal(entries[3].team);
+      expect(entries[1].team).to.equal(entries[2].team);
+    });
+
+    it('should support more than two teams', () => {
+      const units = [solo(1500), solo(1500), solo(1500), solo(1500), solo(1500), solo(1500)];
+
+      const teams = matchAlgorithmService.balanceTeams(units, 3);
+
+      expect([1, 2, 3].map((team) => teams.filter((t) => t === team).length)).to.deep.equal([
+        2, 2, 2
+      ]);
+    });
+
+    it('should keep headcounts even when splitting at random', () => {
+      const units = [solo(2000), solo(1000), { ratings: [1500, 1500] }];
+
+      const teams = matchAlgorithmService.balanceTeams(units, 2, { random: true });
+      const sizes = matchAlgorithmService.summariseTeams(units, teams).map((t) => t.size);
+
+      expect(sizes).to.deep.equal([2, 2]);
+    });
+
+    it('should record the team skill gap in the match quality', async () => {
+      const gameId = '507f1f77bcf86cd799439011';
+      const player = (id, skillLevel) => ({
+        user: { _id: id, username: id, gameProfiles: [{ gameId, skillLevel }] },
+        request: {
+          _id: `req-${id}`,
+          criteria: { regions: ['NA'], languagePreference: 'any' },
+          getPrimaryGame: () => ({ gameId })
+        }
+      });
+
+      sandbox.stub(MatchHistory.prototype, 'save').resolvesThis();
+      sandbox.stub(MatchHistory.prototype, 'calculateMetrics').resolves();
+      sandbox.stub(MatchRequest, 'updateMany').resolves();
+
+      const result = await matchAlgorithmService.createMatch(
+        [player('a', 80), player('b', 60), player('c', 50), player('d', 30)],
+        gameId,
+        'competitive',
+        'NA'
+      );
+
+      expect(result.matchHistory.matchQuality.teamSkillGap).to.equal(0);
+      const teamOf = (id) => result.participants.find((p) => p.userId === id).team;
+      expect(teamOf('a')).to.equal(teamOf('d'));
+      expect(teamOf('b')).to.equal(teamOf('c'));
+    });
+  });
+
+  describe('role slots', () => {
+    const roleSlots = [
+      { role: 'tank', count: 1 },
+      { role: 'healer', count: 1 },
+      { role: 'dps', count: 2 }
+    ];
+    const buildPlayer = (userIds, roles, searchStartTime = 0) => ({
+      request: {
+        _id: `req-${userIds[0]}`,
+        userId: userIds[0],
+        preselectedUsers: userIds.slice(1),
+        searchStartTime,
+        criteria: { groupSize: { min: 2, max: 10 }, roles }
+      },
+      user: { _id: userIds[0], username: userIds[0] },
+      members: userIds.map((id) => ({ _id: id, username: id })),
+      memberIds: userIds,
+      blockedUserIds: new Set()
+    });
+
+    beforeEach(() => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(1);
+    });
+
+    it('should seat players in preferred roles where possible', () => {
+      const roles = matchAlgorithmService.assignRoles(
+        [
+          buildPlayer(['a'], { preferred: ['dps'], acceptable: ['tank'] }),
+          buildPlayer(['b'], { preferred: ['tank'] }),
+          buildPlayer(['c'], { preferred: ['healer'] }),
+          buildPlayer(['d'], { preferred: ['dps'] })
+        ],
+        roleSlots
+      );
+
+      expect(roles).to.deep.equal([['dps'], ['tank'], ['healer'], ['dps']]);
+    });
+
+    it('should fall back to acceptable roles to complete the group', () => {
+      const roles = matchAlgorithmService.assignRoles(
+        [
+          buildPlayer(['a'], { preferred: ['dps'], acceptable: ['healer'] }),
+          buildPlayer(['b'], { preferred: ['dps'] }),
+          buildPlayer(['c'], { preferred: ['dps'] }),
+          buildPlayer(['d'], { preferred: ['tank'] })
+        ],
+        roleSlots
+      );
+
+      expect(roles).to.deep.equal([['healer'], ['dps'], ['dps'], ['tank']]);
+    });
+
+    it('should let party members and players without roles fill any slot', () => {
+      const roles = matchAlgorithmService.assignRoles(
+        [buildPlayer(['a', 'b', 'c'], { preferred: ['tank'] }), buildPlayer(['d'])],
+        roleSlots
+      );
+
+      expect(roles[0][0]).to.equal('tank');
+      expect([...roles[0].slice(1), ...roles[1]]).to.have.members(['healer', 'dps', 'dps']);
+    });
+
+    it('should refuse players who cannot all be seated', () => {
+      const roles = matchAlgorithmService.assignRoles(
+        [buildPlayer(['a'], { preferred: ['tank'] }), buildPlayer(['b'], { preferred: ['tank'] })],
+        roleSlots
+      );
+
+      expect(roles).to.be.null;
+    });
+
+    it('should only form groups that fill every slot', async () => {
+      const tanks = ['a', 'b'].map((id, i) => buildPlayer([id], { preferred: ['tank'] }, i));
+      const healer = buildPlayer(['c'], { preferred: ['healer'] }, 2);
+      const dps = ['d', 'e'].map((id, i) => buildPlayer([id], { preferred: ['dps'] }, 3 + i));
+      const createMatch = sandbox
+        .stub(matchAlgorithmService, 'createMatch')
+        .callsFake((participants, gameId, gameMode, region, options) =>
+          Promise.resolve({ participants, roles: options.roles })
+        );
+
+      const matches = await matchAlgorithmService.findMatches(
+        [...tanks, healer, ...dps],
+        'game1',
+        'competitive',
+        'NA',
+        { roleSlots }
+      );
+
+      expect(matches).to.have.lengthOf(1);
+      expect(createMatch.firstCall.args[0].map((p) => p.request.userId)).to.have.members([
+        'a',
+        'c',
+        'd',
+        'e'
+      ]);
+      expect(matches[0].roles.flat()).to.have.members(['tank', 'healer', 'dps', 'dps']);
+    });
+
+    it('should record assigned roles on the match participants', async () => {
+      sandbox.stub(MatchHistory.prototype, 'save').resolvesThis();
+      sandbox.stub(MatchHistory.prototype, 'calculateMetrics').resolves();
+      sandbox.stub(MatchRequest, 'updateMany').resolves();
+      sandbox.stub(matchAlgorithmService, 'calculateMatchQuality').returns({ overallScore: 100 });
+
+      const result = await matchAlgorithmService.createMatch(
+        [buildPlayer(['a', 'b']), buildPlayer(['c'])],
+        '507f1f77bcf86cd799439011',
+        'competitive',
+        'NA',
+        { roles: [['tank', 'healer'], ['dps']] }
+      );
+
+      expect(result.participants.map((p) => [p.userId, p.role])).to.deep.equal([
+        ['a', 'tank'],
+        ['b', 'healer'],
+        ['c', 'dps']
+      ]);
+      expect(result.matchHistory.participants.map((p) => p.role)).to.deep.equal([
+        'tank',
+        'healer',
+        'dps'
+      ]);
+    });
+
+    it('should give each of two teams its own share of every role', async () => {
+      const gameId = '507f1f77bcf86cd799439011';
+      const rated = (id, roles, skillLevel) => {
+        const enriched = buildPlayer([id], roles);
+        enriched.user.gameProfiles = [{ gameId, skillLevel }];
+        enriched.members = [enriched.user];
+        return enriched;
+      };
+      sandbox.stub(MatchHistory.prototype, 'save').resolvesThis();
+      sandbox.stub(MatchHistory.prototype, 'calculateMetrics').resolves();
+      sandbox.stub(MatchRequest, 'updateMany').resolves();
+      sandbox.stub(matchAlgorithmService, 'calculateMatchQuality').returns({ overallScore: 100 });
+
+      // Balancing on rating alone would put both tanks on one team and both healers on the other
+      const result = await matchAlgorithmService.createMatch(
+        [
+          rated('a', { preferred: ['tank'] }, 90),
+          rated('b', { preferred: ['tank'] }, 10),
+          rated('c', { preferred: ['healer'] }, 90),
+          rated('d', { preferred: ['healer'] }, 10),
+          rated('e', { preferred: ['dps'] }, 50),
+          rated('f', { preferred: ['dps'] }, 50)
+        ],
+        gameId,
+        'competitive',
+        'NA',
+        {
+          roleSlots: [
+            { role: 'tank', count: 2 },
+            { role: 'healer', count: 2 },
+            { role: 'dps', count: 2 }
+          ]
+        }
+      );
+
+      const rolesOf = (team) =>
+        result.participants.filter((p) => p.team === team).map((p) => p.role);
+      expect(rolesOf(1)).to.have.members(['tank', 'healer', 'dps']);
+      expect(rolesOf(2)).to.have.members(['tank', 'healer', 'dps']);
+      expect(result.matchHistory.matchQuality.teamSkillGap).to.equal(0);
+    });
+
+    it('should keep parties together while sharing roles between teams', () => {
+      const roles = { preferred: ['dps'], acceptable: ['tank', 'healer'] };
+      const participants = [
+        buildPlayer(['a', 'b'], roles),
+        buildPlayer(['c'], { preferred: ['tank'] }),
+        buildPlayer(['d'], { preferred: ['healer'] }),
+        buildPlayer(['e'], { preferred: ['dps'] }),
+        buildPlayer(['f'], { preferred: ['dps'] })
+      ];
+
+      const lineup = matchAlgorithmService.assignTeams(participants, 'game1', [
+        { role: 'tank', count: 2 },
+        { role: 'healer', count: 2 },
+        { role: 'dps', count: 2 }
+      ]);
+
+      const partyTeam = lineup.teams.at(0);
+      expect(lineup.teams.slice(1).filter((team) => team === partyTeam)).to.have.lengthOf(1);
+      [1, 2].forEach((team) => {
+        const teamRoles = participants.flatMap((_, index) =>
+          lineup.teams.at(index) === team ? lineup.roles.at(index) : []
+        );
+        expect(teamRoles).to.have.members(['tank', 'healer', 'dps']);
+      });
+    });
+
+    it('should not form a group whose roles cannot be shared between teams', async () => {
+      const createMatch = sandbox.stub(matchAlgorithmService, 'createMatch');
+      const onlyTank = { preferred: ['tank'] };
+
+      // Both tanks are in one party, so one team would be left without a tank
+      const matches = await matchAlgorithmService.findMatches(
+        [
+          buildPlayer(['a', 'b'], onlyTank),
+          buildPlayer(['c'], { preferred: ['dps'] }),
+          buildPlayer(['d'], { preferred: ['dps'] })
+        ],
+        'game1',
+        'competitive',
+        'NA',
+        {
+          roleSlots: [
+            { role: 'tank', count: 2 },
+            { role: 'dps', count: 2 }
+          ]
+        }
+      );
+
+      expect(matches).to.have.lengthOf(0);
+      expect(createMatch.called).to.be.false;
+    });
+
+    it('should not form a group without every slot filled', async () => {
+      const createMatch = sandbox.stub(matchAlgorithmService, 'createMatch');
+
+      const matches = await matchAlgorithmService.findMatches(
+        [
+          buildPlayer(['a'], { preferred: ['tank'] }),
+          buildPlayer(['b'], { preferred: ['dps'] }),
+          buildPlayer(['c'], { preferred: ['dps'] })
+        ],
+        'game1',
+        'competitive',
+        'NA',
+        { roleSlots }
+      );
+
+      expect(matches).to.have.lengthOf(0);
+      expect(createMatch.called).to.be.false;
+    });
+  });
+
+  describe('backfill', () => {
+    const buildPlayer = (userIds, roles, searchStartTime = 0, blocked = []) => ({
+      request: {
+        _id: `req-${userIds[0]}`,
+        userId: userIds[0],
+        preselectedUsers: userIds.slice(1),
+        searchStartTime,
+        criteria: { groupSize: { min: 2, max: 4 }, roles }
+      },
+      user: { _id: userIds[0], username: userIds[0] },
+      members: userIds.map((id) => ({ _id: id, username: id })),
+      memberIds: userIds,
+      blockedUserIds: new Set(blocked)
+    });
+    const members = [buildPlayer(['m1']), buildPlayer(['m2'])];
+
+    it('should fill open slots with the longest waiting compatible players', () => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(0.9);
+      const openSlots = [
+        { team: 2, role: undefined },
+        { team: 2, role: undefined }
+      ];
+
+      const chosen = matchAlgorithmService.findBackfillPlayers(
+        members,
+        [buildPlayer(['late'], undefined, 30), buildPlayer(['early'], undefined, 10)],
+        openSlots,
+        'game1',
+        4
+      );
+
+      expect(chosen.map((c) => c.request.userId)).to.deep.equal(['early', 'late']);
+      expect(chosen[0].slots).to.deep.equal([openSlots[0]]);
+      expect(chosen[1].slots).to.deep.equal([openSlots[1]]);
+      expect(chosen[0].compatibility).to.equal(0.9);
+    });
+
+    it('should skip players who clash with anyone in the lobby', () => {
+      const compatibility = sandbox.stub(matchAlgorithmService, 'calculateCompatibility');
+      compatibility.returns(1);
+      compatibility.withArgs(members[1]).returns(0);
+
+      const chosen = matchAlgorithmService.findBackfillPlayers(
+        members,
+        [buildPlayer(['a']), buildPlayer(['b'], undefined, 0, ['m1'])],
+        [{ team: 1 }],
+        'game1',
+        4
+      );
+
+      expect(chosen).to.be.empty;
+    });
+
+    it('should skip players who want a smaller lobby', () => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(1);
+      const small = buildPlayer(['a']);
+      small.request.criteria.groupSize.max = 3;
+
+      const chosen = matchAlgorithmService.findBackfillPlayers(
+        members,
+        [small],
+        [{ team: 1 }],
+        'game1',
+        4
+      );
+
+      expect(chosen).to.be.empty;
+    });
+
+    it('should seat parties together on one team in roles they play', () => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(1);
+      const openSlots = [
+        { team: 1, role: 'dps' },
+        { team: 2, role: 'healer' },
+        { team: 2, role: 'tank' }
+      ];
+
+      const slots = matchAlgorithmService.assignBackfillSlots(
+        buildPlayer(['a', 'b'], { preferred: ['tank'] }),
+        openSlots
+      );
+
+      expect(slots).to.deep.equal([openSlots[2], openSlots[1]]);
+      expect(
+        matchAlgorithmService.assignBackfillSlots(
+          buildPlayer(['a'], { preferred: ['support'] }),
+          openSlots
+        )
+      ).to.be.null;
+    });
+  });
+
+  describe('cross-game matching', () => {
+    const buildRequest = (userId, games, searchStartTime = 0) => ({
+      request: {
+        _id: `req-${userId}`,
+        userId,
+        searchStartTime,
+        criteria: {
+          groupSize: { min: 2, max: 3 },
+          games: Object.entries(games).map(([gameId, weight]) => ({ gameId, weight }))
+        }
+      },
+      user: { _id: userId, username: userId },
+      memberIds: [userId],
+      blockedUserIds: new Set()
+    });
+
+    const gamesMap = (...gameIds) => new Map(gameIds.map((gameId) => [gameId, []]));
+
+    beforeEach(() => {
+      sandbox
+        .stub(matchAlgorithmService, 'calculateCompatibility')
+        .callsFake((a, b, gameId) =>
+          matchAlgorithmService.findListedGame(a, gameId) &&
+          matchAlgorithmService.findListedGame(b, gameId)
+            ? 1
+            : 0
+        );
+      sandbox
+        .stub(matchAlgorithmService, 'createMatch')
+        .callsFake((participants, gameId, gameMode, region, options) =>
+          Promise.resolve({ participants, gameId, ...options })
+        );
+    });
+
+    it('should form the group on the game its players prefer most', async () => {
+      const requests = [
+        buildRequest('a', { x: 10, y: 6 }, 1),
+        buildRequest('b', { x: 3, y: 9 }, 2),
+        buildRequest('c', { y: 5 }, 3)
+      ];
+
+      const [match] = await matchAlgorithmService.findMatches(requests, 'x', 'casual', 'NA', {
+        games: gamesMap('x', 'y')
+      });
+
+      expect(match.gameId).to.equal('y');
+      expect(match.participants.map((p) => p.request.userId)).to.have.members(['a', 'b', 'c']);
+      expect(match.gameSelection).to.deep.equal({
+        preference: 20,
+        topChoiceCount: 2,
+        alternatives: [{ gameId: 'x', preference: 13 }]
+      });
+    });
+
+    it('should break ties with the longest-waiting player weights', async () => {
+      const requests = [buildRequest('a', { x: 8, y: 2 }, 1), buildRequest('b', { x: 2, y: 8 }, 2)];
+
+      const [match] = await matchAlgorithmService.findMatches(requests, 'y', 'casual', 'NA', {
+        games: gamesMap('x', 'y')
+      });
+
+      expect(match.gameId).to.equal('x');
+    });
+
+    it('should only consider games the pool can be matched on', async () => {
+      const requests = [
+        buildRequest('a', { x: 2, y: 10 }, 1),
+        buildRequest('b', { x: 2, y: 10 }, 2)
+      ];
+
+      const [match] = await matchAlgorithmService.findMatches(requests, 'x', 'casual', 'NA');
+
+      expect(match.gameId).to.equal('x');
+      expect(match.gameSelection.alternatives).to.be.empty;
+    });
+  });
+
+  describe('per-game settings', () => {
+    const buildRequest = (userId, searchStartTime) => ({
+      request: {
+        _id: `req-${userId}`,
+        userId,
+        searchStartTime,
+        criteria: { groupSize: { min: 1, max: 10 }, games: [{ gameId: 'x', weight: 5 }] }
+      },
+      user: { _id: userId, username: userId },
+      memberIds: [userId],
+      blockedUserIds: new Set()
+    });
+
+    beforeEach(() => {
+      sandbox.stub(matchAlgorithmService, 'calculateCompatibility').returns(0.6);
+      sandbox
+        .stub(matchAlgorithmService, 'createMatch')
+        .callsFake((participants) => Promise.resolve({ participants }));
+    });
+
+    it('should size and accept groups by the settings of the game', async () => {
+      const requests = ['a', 'b', 'c', 'd', 'e'].map(buildRequest);
+      const settings = (overrides) =>
+        new Map([['x', { ...matchAlgorithmService.config, ...overrides }]]);
+
+      const pairs = await matchAlgorithmService.findMatches(requests, 'x', 'casual', 'NA', {
+        settings: settings({ maxGroupSize: 2 })
+      });
+      const picky = await matchAlgorithmService.findMatches(requests, 'x', 'casual', 'NA', {
+        settings: settings({ compatibilityThreshold: 0.8 })
+      });
+      const largeOnly = await matchAlgorithmService.findMatches(requests, 'x', 'casual', 'NA', {
+        settings: settings({ minGroupSize: 6 })
+      });
+
+      expect(pairs.map((m) => m.participants.length)).to.deep.equal([2, 2]);
+      expect(picky).to.be.empty;
+      expect(largeOnly).to.be.empty;
+    });
+
+    it('should skip queues with fewer players than the game needs', async () => {
+      const requests = ['a', 'b', 'c'].map((userId) => ({ userId }));
+      sandbox
+        .stub(matchSettingsService, 'getSettingsByGame')
+        .resolves(new Map([['x', { ...matchAlgorithmService.config, minGroupSize: 4 }]]));
+      const enrichRequests = sandbox.stub(matchAlgorithmService, 'enrichRequests');
+
+      const matches = await matchAlgorithmService.processQueue('x', 'casual', 'NA', requests);
+
+      expect(matches).to.be.empty;
+      expect(enrichRequests.called).to.be.false;
+    });
+
+    it('should relax criteria on the intervals of the game', async () => {
+      const request = {
+        _id: '507f1f77bcf86cd799439011',
+        searchDuration: 65000,
+        relaxationLevel: 0,
+        save: sandbox.stub().resolvesThis()
+      };
+
+      await matchAlgorithmService.applyCriteriaRelaxation(request, {
+        relaxationIntervals: [10000, 20000, 40000, 80000]
+      });
+
+      expect(request.relaxationLevel).to.equal(3);
+    });
+  });
+
+  describe('play style and play times', () => {
+    const gameId = '507f1f77bcf86cd799439011';
+    const evenings = { weekdays: { start: '18:00', end: '22:00' }, timezone: 'UTC' };
+    const mornings = { weekdays: { start: '07:00', end: '10:00' }, timezone: 'UTC' };
+
+    const buildPlayer = (userId, gamingPreferences, criteria = {}, relaxationLevel = 0) => ({
+      request: {
+        criteria: {
+          games: [{ gameId, weight: 5 }],
+          gameMode: 'competitive',
+          regions: ['NA'],
+          languages: ['en'],
+          ...criteria
+        },
+        relaxationLevel,
+        getPrimaryGame: () => ({ gameId })
+      },
+      user: {
+        _id: userId,
+        gameProfiles: [{ gameId, skillLevel: 50 }],
+        gamingPreferences
+      }
+    });
+
+    it('should keep scores unchanged when players have not stated preferences', () => {
+      const score = matchAlgorithmService.calculateCompatibility(
+        buildPlayer('a', {}),
+        buildPlayer('b', { competitiveness: 'casual' }),
+        gameId
+      );
+
+      expect(score).to.equal(1);
+    });
+
+    it('should prefer players who want to play as seriously', () => {
+      const casual = buildPlayer('a', { competitiveness: 'casual' });
+
+      const same = matchAlgorithmService.calculateCompatibility(
+        casual,
+        buildPlayer('b', { competitiveness: 'casual' }),
+        gameId
+      );
+      const near = matchAlgorithmService.calculateCompatibility(
+        casual,
+        buildPlayer('c', { competitiveness: 'balanced' }),
+        gameId
+      );
+
+      expect(same).to.equal(1);
+      expect(near).to.be.lessThan(same);
+    });
+
+    it('should only group casual with competitive players once criteria relax', () => {
+      const casual = buildPlayer('a', { competitiveness: 'casual' });
+      const tryhard = buildPlayer('b', { competitiveness: 'competitive' });
+      const relaxed = buildPlayer('c', { competitiveness: 'competitive' }, {}, 1);
+
+      expect(matchAlgorithmService.calculateCompatibility(casual, tryhard, gameId)).to.equal(0);
+      expect(matchAlgorithmService.calculateCompatibility(casual, relaxed, gameId)).to.be.above(0);
+    });
+
+    it('should average the play style of party members', () => {
+      const party = {
+        ...buildPlayer('a', { competitiveness: 'casual' }),
+        members: [
+          { _id: 'a', gamingPreferences: { competitiveness: 'casual' } },
+          { _id: 'b', gamingPreferences: { competitiveness: 'competitive' } }
+        ]
+      };
+
+      expect(matchAlgorithmService.getCompetitivenessLevel(party)).to.equal(1);
+      expect(
+        matchAlgorithmService.calculateCompetitivenessScore(
+          party,
+          buildPlayer('c', { competitiveness: 'balanced' })
+        )
+      ).to.equal(1);
+    });
+
+    it('should prefer players whose play times overlap', () => {
+      const player = buildPlayer('a', { playTimePreferences: evenings });
+
+      const overlapping = matchAlgorithmService.calculateCompatibility(
+        player,
+        buildPlayer('b', { playTimePreferences: evenings }),
+        gameId
+      );
+      const apart = matchAlgorithmService.calculateCompatibility(
+        player,
+        buildPlayer('c', { playTimePreferences: mornings }),
+        gameId
+      );
+
+      expect(overlapping).to.equal(1);
+      expect(apart).to.be.lessThan(overlapping);
+    });
+
+    it('should not schedule players outside their play times', () => {
+      const scheduledTime = new Date('2026-01-12T19:00:00Z');
+      const scheduled = buildPlayer('a', {}, { scheduledTime });
+
+      const free = matchAlgorithmService.calculateCompatibility(
+        scheduled,
+        buildPlayer('b', { playTimePreferences: evenings }, { scheduledTime }),
+        gameId
+      );
+      const busy = matchAlgorithmService.calculateCompatibility(
+        scheduled,
+        buildPlayer('c', { playTimePreferences: mornings }, { scheduledTime }),
+        gameId
+      );
+
+      expect(free).to.be.above(0);
+      expect(busy).to.equal(0);
+    });
+
+    it('should report the preference factors in match quality', () => {
+      const quality = matchAlgorithmService.calculateMatchQuality(
+        [
+          buildPlayer('a', { competitiveness: 'casual', playTimePreferences: evenings }),
+          buildPlayer('b', { competitiveness: 'balanced', playTimePreferences: evenings })
+        ],
+        gameId
+      );
+      const unstated = matchAlgorithmService.calculateMatchQuality(
+        [buildPlayer('a', {}), buildPlayer('b', {})],
+        gameId
+      );
+
+      expect(quality.competitivenessMatch).to.equal(60);
+      expect(quality.playTimeOverlap).to.equal(100);
+      expect(quality.overallScore).to.equal(92);
+      expect(unstated.competitivenessMatch).to.be.null;
+      expect(unstated.playTimeOverlap).to.be.null;
+      expect(unstated.overallScore).to.equal(100);
+    });
+  });
+
   describe('createMatch', () => {
     it('should create match history and update requests', async () => {
       const gameIdToUse = '507f1f77bcf86cd799439011';
@@ -408,7 +1439,7 @@ describe('MatchAlgorithmService', () => {
       ];
       // Region=1, Lang=1, Skill (diff 2, range 2 from skillRangeTiers[0]) = 1 - (2/2)*0.5 = 0.5
       // Overall = ((1+1+0.5)/3)*100 = (2.5/3)*100 = 83.33 -> 83
-      const quality = matchAlgorithmService.calculateMatchQuality(participants);
+      const quality = matchAlgorithmService.calculateMatchQuality(participants, gameIdToUse);
 
       expect(quality).to.have.property('regionCompatibility', 100);
       expect(quality).to.have.property('languageCompatibility', 100);
@@ -416,5 +1447,31 @@ describe('MatchAlgorithmService', () => {
       expect(quality).to.have.property('overallScore');
       expect(quality.overallScore).to.be.closeTo(83, 1); // ((100+100+50)/3)
     });
+
+    it('should compare skill on the game the match was formed on', () => {
+      const primaryGameId = '507f1f77bcf86cd799439011';
+      const matchedGameId = '507f1f77bcf86cd799439012';
+      const player = (id, primarySkill, matchedSkill) => ({
+        request: {
+          criteria: { regions: ['NA'], languagePreference: 'any' },
+          relaxationLevel: 0,
+          getPrimaryGame: () => ({ gameId: primaryGameId })
+        },
+        user: {
+          _id: id,
+          gameProfiles: [
+            { gameId: primaryGameId, skillLevel: primarySkill },
+            { gameId: matchedGameId, skillLevel: matchedSkill }
+          ]
+        }
+      });
+
+      const quality = matchAlgorithmService.calculateMatchQuality(
+        [player('user1', 50, 10), player('user2', 50, 90)],
+        matchedGameId
+      );
+
+      expect(quality.skillBalance).to.equal(0);
+    });
   });
 });
@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const matchResultService = require('../../../../../src/modules/matchmaking/services/matchResultService');
+const ratingService = require('../../../../../src/modules/matchmaking/services/ratingService');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const Lobby = require('../../../../../src/modules/lobby/models/Lobby');
+const lockManager = require('../../../../../src/services/redis/lockManager');
+const socketManager = require('../../../../../src/services/socketManager');
+
+describe('MatchResultService', () => {
+  let sandbox;
+  let players;
+  let match;
+
+  const win = [
+    { team: 1, outcome: 'win' },
+    { team: 2, outcome: 'loss' }
+  ];
+  const loss = [
+    { team: 1, outcome: 'loss' },
+    { team: 2, outcome: 'win' }
+  ];
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    players = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+    match = new MatchHistory({
+      gameId: new mongoose.Types.ObjectId(),
+      gameMode: 'competitive',
+      lobbyId: new mongoose.Types.ObjectId(),
+      participants: players.map((userId, index) => ({ userId, team: index < 2 ? 1 : 2 }))
+    });
+
+    sandbox.stub(lockManager, 'acquire').resolves({ key: 'lock' });
+    sandbox.stub(lockManager, 'release').resolves(true);
+    sandbox.stub(MatchHistory, 'findById').resolves(match);
+    sandbox.stub(match, 'save').resolvesThis();
+    sandbox.stub(Lobby, 'findById').returns({
+      select: sandbox.stub().resolves({ status: 'active' })
+    });
+    sandbox.stub(ratingService, 'applyMatchResult').resolves([]);
+    sandbox.stub(socketManager, 'emitToUsers');
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const report = (index, outcomes) =>
+    // eslint-disable-next-line security/detect-object-injection
+    matchResultService.reportResult(match._id.toString(), players[index].toString(), outcomes);
+
+  it('should wait for the other team before confirming', async () => {
+    const result = await report(0, win);
+    const teammate = await report(1, win);
+
+    expect(result.status).to.equal('pending');
+    expect(teammate.status).to.equal('pending');
+    expect(ratingService.applyMatchResult.called).to.be.false;
+  });
+
+  it('should confirm and apply ratings once every team agrees', async () => {
+    await report(0, win);
+    const result = await report(2, win);
+
+    expect(result.status).to.equal('confirmed');
+    expect(match.status).to.equal('completed');
+    expect(result.outcomes.map((o) => o.outcome)).to.deep.equal(['win', 'loss']);
+    expect(ratingService.applyMatchResult.calledOnceWith(match)).to.be.true;
+  });
+
+  it('should mark conflicting reports as disputed without changing ratings', async () => {
+    await report(0, win);
+    const result = await report(2, loss);
+
+    expect(result.status).to.equal('disputed');
+    expect(ratingService.applyMatchResult.called).to.be.false;
+
+    try {
+      await report(3, loss);
+      expect.fail('Expected disputed result to reject further reports');
+    } catch (error) {
+      expect(error.message).to.equal('Match result is disputed and awaiting review');
+    }
+  });
+
+  it('should reject a second report from the same player', async () => {
+    await report(0, win);
+
+    try {
+      await report(0, loss);
+      expect.fail('Expected duplicate report to be rejected');
+    } catch (error) {
+      expect(error.statusCode).to.equal(409);
+    }
+  });
+
+  it('should reject reports from outside the match', async () => {
+    try {
+      await matchResultService.reportResult(
+        match._id.toString(),
+        new mongoose.Types.ObjectId().toString(),
+        win
+      );
+      expect.fail('Expected outsider report to be rejected');
+    } catch (error) {
+      expect(error.statusCode).to.equal(403);
+    }
+  });
+
+  it('should reject reports before the game has started', async () => {
+    Lobby.findById.returns({ select: sandbox.stub().resolves({ status: 'forming' }) });
+
+    try {
+      await report(0, win);
+      expect.fail('Expected early report to be rejected');
+    } catch (error) {
+      expect(error.message).to.equal('Results can only be reported once the game has started');
+    }
+  });
+
+  describe('validateOutcomes', () => {
+    const teams = new Map([
+      [1, ['a']],
+      [2, ['b']]
+    ]);
+
+    it('should require every team exactly once', () => {
+      expect(() =>
+        matchResultService.validateOutcomes(teams, [
+          { team: 1, outcome: 'win' },
+          { team: 1, outcome: 'loss' }
+        ])
+      ).to.throw('Report an outcome for every team in the match');
+    });
+
+    it('should reject every team winning', () => {
+      expect(() =>
+        matchResultService.validateOutcomes(teams, [
+          { team: 1, outcome: 'win' },
+          { team: 2, outcome: 'win' }
+        ])
+      ).to.throw('Every team cannot have the same outcome unless it is a draw');
+    });
+
+    it('should accept a draw', () => {
+      expect(() =>
+        matchResultService.validateOutcomes(teams, [
+          { team: 1, outcome: 'draw' },
+          { team: 2, outcome: 'draw' }
+        ])
+      ).to.not.throw();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const matchSettingsService = require('../../../../../src/modules/matchmaking/services/matchSettingsService');
+const Game = require('../../../../../src/modules/game/models/Game');
+const { NotFoundError, BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('MatchSettingsService', () => {
+  let sandbox;
+  let game;
+  const { defaults } = matchSettingsService.config;
+
+  const stubGame = () =>
+    sandbox.stub(Game, 'findById').callsFake(() => ({
+      select: sandbox.stub().returnsThis(),
+      lean: sandbox.stub().resolves(game)
+    }));
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    matchSettingsService.clearCache();
+    game = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Arena',
+      multiplayer: { minPlayers: 4, maxPlayers: 8 },
+      maogaData: {
+        matchmakingSettings: [
+          { gameMode: 'all', compatibilityThreshold: 0.7, relaxationIntervals: [20000, 40000] },
+          { gameMode: 'ranked', maxGroupSize: 6, compatibilityThreshold: 0.8 }
+        ]
+      }
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('resolveSettings', () => {
+    it('should size groups by the game and layer mode overrides over game-wide ones', () => {
+      const casual = matchSettingsService.resolveSettings(game, 'casual');
+      const ranked = matchSettingsService.resolveSettings(game, 'ranked');
+
+      expect(casual).to.deep.equal({
+        ...defaults,
+        minGroupSize: 4,
+        maxGroupSize: 8,
+        compatibilityThreshold: 0.7,
+        relaxationIntervals: [20000, 40000]
+      });
+      expect(ranked).to.include({ minGroupSize: 4, maxGroupSize: 6, compatibilityThreshold: 0.8 });
+      expect(ranked.relaxationIntervals).to.deep.equal([20000, 40000]);
+    });
+
+    it('should fall back to the defaults for unknown games', () => {
+      expect(matchSettingsService.resolveSettings(null, 'casual')).to.deep.equal(defaults);
+    });
+  });
+
+  describe('getSettings', () => {
+    it('should reuse the game between queue passes', async () => {
+      stubGame();
+
+      await matchSettingsService.getSettings(game._id, 'casual');
+      const settings = await matchSettingsService.getSettings(game._id, 'ranked');
+
+      expect(Game.findById.calledOnce).to.be.true;
+      expect(settings.maxGroupSize).to.equal(6);
+    });
+  });
+
+  describe('getShortestRelaxationInterval', () => {
+    it('should take the earliest first relaxation across the defaults and every game', async () => {
+      sandbox.stub(Game, 'distinct').resolves([20000, 40000]);
+
+      expect(await matchSettingsService.getShortestRelaxationInterval()).to.equal(20000);
+      expect(Game.distinct.firstCall.args[0]).to.equal(
+        'maogaData.matchmakingSettings.relaxationIntervals'
+      );
+    });
+
+    it('should fall back to the defaults without overrides', async () => {
+      sandbox.stub(Game, 'distinct').resolves([]);
+
+      expect(await matchSettingsService.getShortestRelaxationInterval()).to.equal(
+        defaults.relaxationIntervals.at(0)
+      );
+    });
+  });
+
+  describe('updateGameSettings', () => {
+    beforeEach(() => {
+      stubGame();
+      sandbox.stub(Game, 'updateOne').resolves();
+    });
+
+    it('should replace the overrides for a mode and apply them on the next lookup', async () => {
+      await matchSettingsService.getSettings(game._id, 'ranked');
+
+      const result = await matchSettingsService.updateGameSettings(game._id, 'ranked', {
+        minGroupSize: 2
+      });
+
+      const saved = Game.updateOne.firstCall.args[1].$set['maogaData.matchmakingSettings'];
+      expect(saved).to.deep.equal([
+        game.maogaData.matchmakingSettings[0],
+        { gameMode: 'ranked', minGroupSize: 2 }
+      ]);
+      expect(result.modes.ranked).to.include({ minGroupSize: 2, maxGroupSize: 8 });
+
+      game.maogaData.matchmakingSettings = saved;
+      const settings = await matchSettingsService.getSettings(game._id, 'ranked');
+      expect(settings.minGroupSize).to.equal(2);
+    });
+
+    it('should remove the overrides when given no settings', async () => {
+      await matchSettingsService.updateGameSettings(game._id, 'all', {});
+
+      const saved = Game.updateOne.firstCall.args[1].$set['maogaData.matchmakingSettings'];
+      expect(saved.map((entry) => entry.gameMode)).to.deep.equal(['ranked']);
+    });
+
+    it('should reject settings that leave a mode unable to form groups', async () => {
+      try {
+        await matchSettingsService.updateGameSettings(game._id, 'casual', { maxGroupSize: 3 });
+        throw new Error('Expected bad request error to be thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Minimum group size cannot be greater than maximum');
+      }
+      expect(Game.updateOne.called).to.be.false;
+    });
+
+    it('should reject relaxation intervals out of order', async () => {
+      try {
+        await matchSettingsService.updateGameSettings(game._id, 'all', {
+          relaxationIntervals: [60000, 30000]
+        });
+        throw new Error('Expected bad request error to be thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+      }
+    });
+
+    it('should report unknown games', async () => {
+      game = null;
+
+      try {
+        await matchSettingsService.updateGameSettings(new mongoose.Types.ObjectId(), 'all', {});
+        throw new Error('Expected not found error to be thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const matchmakingService = require('../../../../../src/modules/matchmaking/services/matchmakingService');
+const MatchRequest = require('../../../../../src/modules/matchmaking/models/MatchRequest');
+const socketManager = require('../../../../../src/services/socketManager');
+
+describe('MatchmakingService', () => {
+  let sandbox;
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  const stubQuery = (result) => ({
+    select: sandbox.stub().returnsThis(),
+    limit: sandbox.stub().resolves(result)
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(socketManager, 'emitToUsers');
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('expirePendingParties', () => {
+    it('should expire parties past their confirmation deadline and tell every member', async () => {
+      const memberId = new mongoose.Types.ObjectId();
+      const request = new MatchRequest({
+        userId: new mongoose.Types.ObjectId(),
+        status: 'expired',
+        preselectedUsers: [memberId],
+        partyConfirmBy: new Date(now.getTime() - 1000)
+      });
+      sandbox.stub(MatchRequest, 'find').returns(stubQuery([{ _id: request._id }]));
+      sandbox.stub(MatchRequest, 'findOneAndUpdate').resolves(request);
+
+      const expired = await matchmakingService.expirePendingParties(now);
+
+      expect(expired).to.equal(1);
+      expect(MatchRequest.find.firstCall.args[0]).to.deep.equal({
+        status: 'pending',
+        partyConfirmBy: { $lte: now }
+      });
+      expect(MatchRequest.findOneAndUpdate.firstCall.args.slice(0, 2)).to.deep.equal([
+        { _id: request._id, status: 'pending' },
+        { status: 'expired' }
+      ]);
+      const [recipients, event, payload] = socketManager.emitToUsers.firstCall.args;
+      expect(recipients).to.have.members(request.getMemberIds());
+      expect(event).to.equal('matchmaking:party:updated');
+      expect(payload.status).to.equal('expired');
+    });
+
+    it('should leave parties that finished confirming in the meantime alone', async () => {
+      sandbox
+        .stub(MatchRequest, 'find')
+        .returns(stubQuery([{ _id: new mongoose.Types.ObjectId() }]));
+      sandbox.stub(MatchRequest, 'findOneAndUpdate').resolves(null);
+
+      const expired = await matchmakingService.expirePendingParties(now);
+
+      expect(expired).to.equal(0);
+      expect(socketManager.emitToUsers.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const penaltyService = require('../../../../../src/modules/matchmaking/services/penaltyService');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const MatchRequest = require('../../../../../src/modules/matchmaking/models/MatchRequest');
+const User = require('../../../../../src/modules/auth/models/User');
+const { AuthorizationError, NotFoundError } = require('../../../../../src/utils/errors');
+
+describe('PenaltyService', () => {
+  let sandbox;
+  const now = new Date('2026-10-19T12:00:00Z');
+  const userId = new mongoose.Types.ObjectId();
+  const { baseCooldownMs, maxCooldownMs, strikeDecayMs } = penaltyService.config;
+  const ago = (ms) => new Date(now.getTime() - ms);
+
+  const buildUser = (matchmakingRestrictions) =>
+    new User({ _id: userId, username: 'leaver', matchmakingRestrictions });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('applyPenalty', () => {
+    const cooldownFor = async (restrictions, offense = 'dodge') => {
+      sandbox.stub(User, 'find').returns({
+        select: sandbox.stub().resolves([buildUser(restrictions)])
+      });
+      sandbox.stub(User, 'updateOne').resolves();
+
+      const cooldowns = await penaltyService.applyPenalty([userId.toString()], offense, now);
+      sandbox.restore();
+      return cooldowns.get(userId.toString()).getTime() - now.getTime();
+    };
+
+    it('should double the cooldown with every strike', async () => {
+      expect(await cooldownFor({})).to.equal(baseCooldownMs);
+      expect(await cooldownFor({ strikes: 2, lastOffenseAt: ago(60000) })).to.equal(
+        baseCooldownMs * 4
+      );
+      expect(await cooldownFor({ strikes: 20, lastOffenseAt: ago(60000) })).to.equal(maxCooldownMs);
+    });
+
+    it('should count early leaves as two strikes', async () => {
+      expect(await cooldownFor({}, 'early_leave')).to.equal(baseCooldownMs * 2);
+    });
+
+    it('should wear off one strike per decay period', async () => {
+      expect(await cooldownFor({ strikes: 3, lastOffenseAt: ago(strikeDecayMs * 2 + 1) })).to.equal(
+        baseCooldownMs * 2
+      );
+      expect(await cooldownFor({ strikes: 3, lastOffenseAt: ago(strikeDecayMs * 5) })).to.equal(
+        baseCooldownMs
+      );
+    });
+
+    it('should record the offense and never shorten a running cooldown', async () => {
+      sandbox.stub(User, 'find').returns({
+        select: sandbox.stub().resolves([
+          buildUser({
+            strikes: 1,
+            lastOffenseAt: ago(1000),
+            queueBlockedUntil: new Date(now.getTime() + maxCooldownMs)
+          })
+        ])
+      });
+      const updateOne = sandbox.stub(User, 'updateOne').resolves();
+
+      await penaltyService.applyPenalty([userId.toString()], 'no_show', now);
+
+      expect(updateOne.firstCall.args[1].matchmakingRestrictions).to.deep.equal({
+        strikes: 2,
+        lastOffense: 'no_show',
+        lastOffenseAt: now,
+        queueBlockedUntil: new Date(now.getTime() + maxCooldownMs)
+      });
+    });
+  });
+
+  describe('recordCancellation', () => {
+    beforeEach(() => {
+      sandbox.stub(User, 'findById').returns({
+        select: sandbox.stub().resolves(buildUser({}))
+      });
+      sandbox.stub(penaltyService, 'applyPenalty').resolves(new Map([[userId.toString(), now]]));
+    });
+
+    it('should penalize players who keep cancelling searches', async () => {
+      const countDocuments = sandbox.stub(MatchRequest, 'countDocuments').resolves(5);
+
+      const blockedUntil = await penaltyService.recordCancellation(userId, now);
+
+      expect(blockedUntil).to.equal(now);
+      expect(penaltyService.applyPenalty.firstCall.args[1]).to.equal('repeated_cancel');
+      expect(countDocuments.firstCall.args[0].updatedAt.$gt).to.deep.equal(
+        ago(penaltyService.config.cancelWindowMs)
+      );
+    });
+
+    it('should only count searches the player cancelled themselves', async () => {
+      const countDocuments = sandbox.stub(MatchRequest, 'countDocuments').resolves(0);
+
+      await penaltyService.recordCancellation(userId, now);
+
+      expect(countDocuments.firstCall.args[0]).to.include({
+        userId,
+        status: 'cancelled',
+        cancelReason: 'user'
+      });
+    });
+
+    it('should let occasional cancellations go', async () => {
+      sandbox.stub(MatchRequest, 'countDocuments').resolves(2);
+
+      expect(await penaltyService.recordCancellation(userId, now)).to.be.null;
+      expect(penaltyService.applyPenalty.called).to.be.false;
+    });
+  });
+
+  describe('assertCanQueue', () => {
+    it('should name the offense and the time left', () => {
+      const user = buildUser({
+        lastOffense: 'early_leave',
+        queueBlockedUntil: new Date(now.getTime() + 90000)
+      });
+
+      expect(() => penaltyService.assertCanQueue([user], {}, now))
+        .to.throw(AuthorizationError)
+        .with.property(
+          'message',
+          'You left a match lobby before it started and can queue again in 2 minutes'
+        );
+    });
+
+    it('should report the party member with the longest cooldown', () => {
+      const members = [
+        buildUser({ lastOffense: 'dodge', queueBlockedUntil: new Date(now.getTime() + 60000) }),
+        buildUser({ lastOffense: 'no_show', queueBlockedUntil: new Date(now.getTime() + 300000) })
+      ];
+
+      expect(() => penaltyService.assertCanQueue(members, { party: true }, now))
+        .to.throw(AuthorizationError)
+        .with.property(
+          'message',
+          'A party member missed a found match and can queue again in 5 minutes'
+        );
+    });
+
+    it('should let players without a cooldown queue', () => {
+      const user = buildUser({ strikes: 2, lastOffenseAt: ago(1000), queueBlockedUntil: ago(1) });
+
+      expect(() => penaltyService.assertCanQueue([user], {}, now)).not.to.throw();
+    });
+  });
+
+  describe('getUserPenalties', () => {
+    it('should list offenses recorded in recent matches', async () => {
+      const matchId = new mongoose.Types.ObjectId();
+      const leftAt = ago(60000);
+      sandbox.stub(User, 'findById').returns({
+        select: sandbox
+          .stub()
+          .resolves(
+            buildUser({ strikes: 3, lastOffense: 'early_leave', lastOffenseAt: ago(strikeDecayMs) })
+          )
+      });
+      sandbox.stub(MatchHistory, 'find').returns({
+        select: sandbox.stub().returnsThis(),
+        sort: sandbox.stub().returnsThis(),
+        lean: sandbox.stub().resolves([
+          {
+            _id: matchId,
+            gameId: 'game1',
+            gameMode: 'competitive',
+            formedAt: ago(120000),
+            participants: [
+              { userId: new mongoose.Types.ObjectId(), status: 'active' },
+              { userId, status: 'left', leftAt }
+            ]
+          }
+        ])
+      });
+
+      const penalty = await penaltyService.getUserPenalties(userId.toString(), now);
+
+      expect(penalty.strikes).to.equal(2);
+      expect(penalty.queueBlockedUntil).to.be.null;
+      expect(penalty.strikesClearAt).to.deep.equal(new Date(now.getTime() + strikeDecayMs * 2));
+      expect(penalty.offenses).to.deep.equal([
+        {
+          matchId,
+          gameId: 'game1',
+          gameMode: 'competitive',
+          offense: 'early_leave',
+          occurredAt: leftAt
+        }
+      ]);
+    });
+
+    it('should throw for unknown users', async () => {
+      sandbox.stub(User, 'findById').returns({ select: sandbox.stub().resolves(null) });
+
+      try {
+        await penaltyService.getUserPenalties(userId.toString(), now);
+        throw new Error('Expected not found error to be thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+});
@@ -107,6 +107,45 @@ describe('QueueManager (redis backed)', () => {
       }
     });
 
+    it('puts requeued requests ahead of everyone already waiting', async () => {
+      const gameId = new mongoose.Types.ObjectId();
+      const waiting = buildRequest({ gameId });
+      const requeued = buildRequest({ gameId });
+
+      await queueManager.addRequest(waiting);
+      await queueManager.addRequest(requeued, { front: true });
+
+      const client = await queueManager._getRedisClient();
+      const queued = await client.zrange(
+        queueManager._queueKey(gameId, 'competitive', 'NA'),
+        0,
+        -1
+      );
+      expect(queued).to.deep.equal([requeued._id.toString(), waiting._id.toString()]);
+    });
+
+    it('queues a request for every game it lists until it is removed', async () => {
+      const primaryGameId = new mongoose.Types.ObjectId();
+      const otherGameId = new mongoose.Types.ObjectId();
+      const request = buildRequest({ gameId: primaryGameId });
+      request.criteria.games.push({ gameId: otherGameId, weight: 4 });
+
+      await queueManager.addRequest(request);
+
+      const client = await queueManager._getRedisClient();
+      const queued = (gameId) =>
+        client.zrange(queueManager._queueKey(gameId, 'competitive', 'NA'), 0, -1);
+      expect(await queued(primaryGameId)).to.deep.equal([request._id.toString()]);
+      expect(await queued(otherGameId)).to.deep.equal([request._id.toString()]);
+      expect((await queueManager.getStats()).activeRequests).to.equal(1);
+
+      await queueManager.removeRequest(request.userId.toString(), request._id.toString());
+
+      expect(await queued(primaryGameId)).to.be.empty;
+      expect(await queued(otherGameId)).to.be.empty;
+      expect((await queueManager.getStats()).activeRequests).to.equal(0);
+    });
+
     it('rejects requests without a primary game', async () => {
       const request = new MatchRequest({
         userId: new mongoose.Types.ObjectId(),
@@ -223,6 +262,36 @@ describe('QueueManager (redis backed)', () => {
     });
   });
 
+  describe('backfill', () => {
+    it('lists lobbies offering open slots in a queue, longest waiting first', async () => {
+      const gameId = new mongoose.Types.ObjectId();
+      const buildLobby = (minutesAgo, region) => ({
+        _id: new mongoose.Types.ObjectId(),
+        gameId: { _id: gameId },
+        gameMode: 'competitive',
+        region,
+        backfillRequestedAt: new Date(Date.now() - minutesAgo * 60000)
+      });
+      const recent = buildLobby(1, 'NA');
+      const oldest = buildLobby(5, 'NA');
+      const elsewhere = buildLobby(10, 'EU');
+
+      await Promise.all(
+        [recent, oldest, elsewhere].map((lobby) => queueManager.addBackfill(lobby))
+      );
+
+      expect(
+        await queueManager.getBackfillLobbyIds(gameId.toString(), 'competitive', 'NA')
+      ).to.deep.equal([oldest._id.toString(), recent._id.toString()]);
+
+      expect(await queueManager.removeBackfill(oldest)).to.be.true;
+      expect(await queueManager.removeBackfill(oldest)).to.be.false;
+      expect(
+        await queueManager.getBackfillLobbyIds(gameId.toString(), 'competitive', 'NA')
+      ).to.deep.equal([recent._id.toString()]);
+    });
+  });
+
   describe('updateStats', () => {
     it('tracks matches formed and wait time averages', async () => {
       await queueManager.updateStats(true, 2000);
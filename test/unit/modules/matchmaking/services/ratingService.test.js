@@ -0,0 +1,139 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const ratingService = require('../../../../../src/modules/matchmaking/services/ratingService');
+const RatingHistory = require('../../../../../src/modules/matchmaking/models/RatingHistory');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const User = require('../../../../../src/modules/auth/models/User');
+
+describe('RatingService', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('getRating', () => {
+    it('should prefer an earned rating', () => {
+      expect(ratingService.getRating({ rating: 1620, skillLevel: 20 })).to.equal(1620);
+    });
+
+    it('should seed the rating from the self-reported skill level', () => {
+      expect(ratingService.getRating({ skillLevel: 70 })).to.equal(1700);
+    });
+
+    it('should fall back to the default rating', () => {
+      expect(ratingService.getRating(undefined)).to.equal(1500);
+    });
+  });
+
+  describe('ratingToSkillLevel', () => {
+    it('should map ratings onto the 0-100 skill scale', () => {
+      expect(ratingService.ratingToSkillLevel(1500)).to.equal(50);
+      expect(ratingService.ratingToSkillLevel(2400)).to.equal(100);
+      expect(ratingService.ratingToSkillLevel(800)).to.equal(0);
+    });
+  });
+
+  describe('calculateRatingChanges', () => {
+    it('should move evenly rated teams by half the K-factor', () => {
+      const changes = ratingService.calculateRatingChanges([
+        { outcome: 'win', players: [{ userId: 'a', rating: 1500, ratedMatches: 0 }] },
+        { outcome: 'loss', players: [{ userId: 'b', rating: 1500, ratedMatches: 50 }] }
+      ]);
+
+      expect(changes.get('a')).to.equal(20);
+      expect(changes.get('b')).to.equal(-10);
+    });
+
+    it('should reward an upset more than an expected win', () => {
+      const upset = ratingService.calculateRatingChanges([
+        { outcome: 'win', players: [{ userId: 'a', rating: 1300, ratedMatches: 50 }] },
+        { outcome: 'loss', players: [{ userId: 'b', rating: 1700, ratedMatches: 50 }] }
+      ]);
+      const expected = ratingService.calculateRatingChanges([
+        { outcome: 'win', players: [{ userId: 'a', rating: 1700, ratedMatches: 50 }] },
+        { outcome: 'loss', players: [{ userId: 'b', rating: 1300, ratedMatches: 50 }] }
+      ]);
+
+      expect(upset.get('a')).to.be.greaterThan(expected.get('a'));
+    });
+
+    it('should leave evenly rated teams unchanged on a draw', () => {
+      const changes = ratingService.calculateRatingChanges([
+        { outcome: 'draw', players: [{ userId: 'a', rating: 1500, ratedMatches: 50 }] },
+        { outcome: 'draw', players: [{ userId: 'b', rating: 1500, ratedMatches: 50 }] }
+      ]);
+
+      expect(changes.get('a')).to.equal(0);
+      expect(changes.get('b')).to.equal(0);
+    });
+
+    it('should rate teams by their average rating', () => {
+      const changes = ratingService.calculateRatingChanges([
+        {
+          outcome: 'win',
+          players: [
+            { userId: 'a', rating: 1400, ratedMatches: 50 },
+            { userId: 'b', rating: 1600, ratedMatches: 50 }
+          ]
+        },
+        {
+          outcome: 'loss',
+          players: [
+            { userId: 'c', rating: 1500, ratedMatches: 50 },
+            { userId: 'd', rating: 1500, ratedMatches: 50 }
+          ]
+        }
+      ]);
+
+      expect(changes.get('a')).to.equal(10);
+      expect(changes.get('b')).to.equal(10);
+      expect(changes.get('c')).to.equal(-10);
+    });
+  });
+
+  describe('applyMatchResult', () => {
+    it('should record history and update each player profile', async () => {
+      const gameId = new mongoose.Types.ObjectId();
+      const winner = new User({
+        username: 'winner',
+        email: 'winner@example.com',
+        gameProfiles: [{ gameId, skillLevel: 50 }]
+      });
+      const loser = new User({ username: 'loser', email: 'loser@example.com' });
+      const match = new MatchHistory({
+        gameId,
+        gameMode: 'competitive',
+        participants: [
+          { userId: winner._id, team: 1 },
+          { userId: loser._id, team: 2 }
+        ],
+        result: {
+          status: 'confirmed',
+          outcomes: [
+            { team: 1, outcome: 'win' },
+            { team: 2, outcome: 'loss' }
+          ]
+        }
+      });
+
+      sandbox.stub(User, 'find').resolves([winner, loser]);
+      sandbox.stub(User.prototype, 'save').resolvesThis();
+      const insertStub = sandbox.stub(RatingHistory, 'insertMany').resolves();
+
+      const entries = await ratingService.applyMatchResult(match);
+
+      expect(insertStub.calledBefore(User.prototype.save)).to.be.true;
+      expect(entries).to.have.lengthOf(2);
+      expect(winner.gameProfiles[0].rating).to.equal(1520);
+      expect(winner.gameProfiles[0].ratedMatches).to.equal(1);
+      expect(loser.gameProfiles[0].gameId.toString()).to.equal(gameId.toString());
+      expect(loser.gameProfiles[0].rating).to.equal(1480);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const scheduledMatchService = require('../../../../../src/modules/matchmaking/services/scheduledMatchService');
+const matchAlgorithmService = require('../../../../../src/modules/matchmaking/services/matchAlgorithmService');
+const matchmakingService = require('../../../../../src/modules/matchmaking/services/matchmakingService');
+const matchSettingsService = require('../../../../../src/modules/matchmaking/services/matchSettingsService');
+const notificationService = require('../../../../../src/modules/notification/services/notificationService');
+const lobbyService = require('../../../../../src/modules/lobby/services/lobbyService');
+const MatchRequest = require('../../../../../src/modules/matchmaking/models/MatchRequest');
+const Lobby = require('../../../../../src/modules/lobby/models/Lobby');
+const socketManager = require('../../../../../src/services/socketManager');
+
+describe('ScheduledMatchService', () => {
+  let sandbox;
+  const now = new Date('2026-10-23T18:00:00Z');
+  const gameId = new mongoose.Types.ObjectId();
+
+  const buildRequest = (scheduledTime, overrides = {}) =>
+    new MatchRequest({
+      userId: new mongoose.Types.ObjectId(),
+      criteria: {
+        games: [{ gameId, weight: 5 }],
+        gameMode: 'casual',
+        regions: ['EU'],
+        scheduledTime
+      },
+      ...overrides
+    });
+
+  const stubQuery = (result) => ({
+    sort: sandbox.stub().returnsThis(),
+    select: sandbox.stub().returnsThis(),
+    limit: sandbox.stub().resolves(result)
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(socketManager, 'emitToUsers');
+    sandbox.stub(socketManager, 'emitMatchmakingStatus');
+    sandbox.stub(notificationService, 'createNotification').resolves();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('processScheduledRequests', () => {
+    it('should create the lobby ahead of time for the longest-waiting player', async () => {
+      const first = buildRequest(new Date('2026-10-23T20:00:00Z'));
+      const second = buildRequest(new Date('2026-10-23T20:10:00Z'));
+      sandbox.stub(MatchRequest, 'find').returns(stubQuery([first, second]));
+      sandbox.stub(matchAlgorithmService, 'enrichRequests').resolves([]);
+      sandbox.stub(matchAlgorithmService, 'getRoleSlots').resolves([]);
+      sandbox.stub(matchSettingsService, 'getSettingsByGame').resolves(new Map());
+      sandbox.stub(matchAlgorithmService, 'findMatches').resolves([
+        {
+          matchHistory: { _id: new mongoose.Types.ObjectId() },
+          participants: [{ requestId: second._id }, { requestId: first._id }]
+        }
+      ]);
+      const finalizeMatch = sandbox.stub(matchmakingService, 'finalizeMatch').resolves();
+
+      const matched = await scheduledMatchService.processScheduledRequests(now);
+
+      expect(matched).to.equal(1);
+      expect(matchAlgorithmService.findMatches.firstCall.args.slice(1, 4)).to.deep.equal([
+        gameId.toString(),
+        'casual',
+        'EU'
+      ]);
+      expect(finalizeMatch.firstCall.args[0].scheduledTime).to.equal(second.criteria.scheduledTime);
+    });
+
+    it('should not try to match a request on its own', async () => {
+      sandbox
+        .stub(MatchRequest, 'find')
+        .returns(stubQuery([buildRequest(new Date('2026-10-23T20:00:00Z'))]));
+      sandbox.stub(matchAlgorithmService, 'findMatches');
+
+      const matched = await scheduledMatchService.processScheduledRequests(now);
+
+      expect(matched).to.equal(0);
+      expect(matchAlgorithmService.findMatches.called).to.be.false;
+    });
+  });
+
+  describe('expireUnmatchedRequests', () => {
+    it('should expire requests whose session started and tell their players', async () => {
+      const request = buildRequest(new Date('2026-10-23T17:55:00Z'), {
+        preselectedUsers: [new mongoose.Types.ObjectId()]
+      });
+      sandbox.stub(MatchRequest, 'find').returns(stubQuery([{ _id: request._id }]));
+      sandbox.stub(MatchRequest, 'findOneAndUpdate').resolves(request);
+
+      const expired = await scheduledMatchService.expireUnmatchedRequests(now);
+
+      expect(expired).to.equal(1);
+      expect(MatchRequest.findOneAndUpdate.firstCall.args[1]).to.deep.equal({ status: 'expired' });
+      expect(socketManager.emitMatchmakingStatus.firstCall.args[1].status).to.equal('expired');
+      expect(notificationService.createNotification.callCount).to.equal(2);
+      expect(notificationService.createNotification.firstCall.args[1].type).to.equal(
+        'match_expired'
+      );
+    });
+
+    it('should leave requests matched in the meantime alone', async () => {
+      sandbox
+        .stub(MatchRequest, 'find')
+        .returns(stubQuery([{ _id: new mongoose.Types.ObjectId() }]));
+      sandbox.stub(MatchRequest, 'findOneAndUpdate').resolves(null);
+
+      const expired = await scheduledMatchService.expireUnmatchedRequests(now);
+
+      expect(expired).to.equal(0);
+      expect(notificationService.createNotification.called).to.be.false;
+    });
+  });
+
+  describe('sendReminders', () => {
+    let lobby;
+
+    beforeEach(() => {
+      const members = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      lobby = new Lobby({
+        name: 'Friday night',
+        gameId,
+        gameMode: 'casual',
+        hostId: members[0],
+        scheduledFor: new Date('2026-10-23T18:10:00Z'),
+        members: [
+          { userId: members[0], status: 'joined', isHost: true },
+          { userId: members[1], status: 'left' }
+        ]
+      });
+      sandbox.stub(Lobby, 'find').resolves([lobby]);
+      sandbox.stub(lobbyService, 'sendSystemMessage').resolves();
+    });
+
+    it('should remind active members once', async () => {
+      sandbox.stub(Lobby, 'updateOne').resolves({ modifiedCount: 1 });
+
+      const reminded = await scheduledMatchService.sendReminders(now);
+
+      expect(reminded).to.equal(1);
+      expect(socketManager.emitToUsers.firstCall.args[0]).to.deep.equal([
+        lobby.members[0].userId.toString()
+      ]);
+      expect(socketManager.emitToUsers.firstCall.args[1]).to.equal('lobby:reminder');
+      expect(notificationService.createNotification.firstCall.args[1].type).to.equal(
+        'match_reminder'
+      );
+      expect(lobbyService.sendSystemMessage.calledOnce).to.be.true;
+    });
+
+    it('should skip lobbies another run already reminded', async () => {
+      sandbox.stub(Lobby, 'updateOne').resolves({ modifiedCount: 0 });
+
+      const reminded = await scheduledMatchService.sendReminders(now);
+
+      expect(reminded).to.equal(0);
+      expect(notificationService.createNotification.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const teammateService = require('../../../../../src/modules/matchmaking/services/teammateService');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+const Lobby = require('../../../../../src/modules/lobby/models/Lobby');
+const User = require('../../../../../src/modules/auth/models/User');
+const {
+  AuthorizationError,
+  BadRequestError,
+  NotFoundError
+} = require('../../../../../src/utils/errors');
+
+describe('TeammateService', () => {
+  let sandbox;
+  const now = new Date('2026-10-19T12:00:00Z');
+  const [alice, bob, carol] = [1, 2, 3].map(() => new mongoose.Types.ObjectId().toString());
+  const ago = (ms) => new Date(now.getTime() - ms);
+
+  const feedback = (fromUserId, toUserId, type, minutesAgo) => ({
+    fromUserId: new mongoose.Types.ObjectId(fromUserId),
+    toUserId: new mongoose.Types.ObjectId(toUserId),
+    type,
+    submittedAt: ago(minutesAgo * 60000)
+  });
+
+  const stubQuery = (result) => ({
+    select: sandbox.stub().returnsThis(),
+    lean: sandbox.stub().resolves(result)
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('recordFeedback', () => {
+    let match;
+
+    beforeEach(() => {
+      match = new MatchHistory({
+        gameId: new mongoose.Types.ObjectId(),
+        gameMode: 'casual',
+        lobbyId: new mongoose.Types.ObjectId(),
+        participants: [
+          { userId: alice, team: 1 },
+          { userId: bob, team: 1 },
+          { userId: carol, team: 2, status: 'no_show' }
+        ],
+        playerFeedback: [feedback(alice, bob, 'commend', 5)]
+      });
+      sandbox.stub(match, 'save').resolves(match);
+      sandbox.stub(MatchHistory, 'findById').resolves(match);
+      sandbox.stub(Lobby, 'findById').returns({
+        select: sandbox.stub().resolves({ status: 'active' })
+      });
+    });
+
+    it('should replace an earlier verdict on the same player', async () => {
+      await teammateService.recordFeedback(match._id.toString(), alice, bob, 'avoid');
+
+      expect(match.playerFeedback).to.have.lengthOf(1);
+      expect(match.playerFeedback[0].type).to.equal('avoid');
+      expect(match.toJSON()).to.not.have.property('playerFeedback');
+    });
+
+    it('should only let players rate others they played with', async () => {
+      const attempts = [
+        [new mongoose.Types.ObjectId().toString(), bob, AuthorizationError],
+        [alice, carol, BadRequestError],
+        [alice, alice, BadRequestError]
+      ];
+
+      for (const [from, to, ErrorClass] of attempts) {
+        try {
+          await teammateService.recordFeedback(match._id.toString(), from, to, 'commend');
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error).to.be.instanceOf(ErrorClass);
+        }
+      }
+    });
+
+    it('should wait until the game has started', async () => {
+      Lobby.findById.returns({ select: sandbox.stub().resolves({ status: 'forming' }) });
+
+      try {
+        await teammateService.recordFeedback(match._id.toString(), alice, bob, 'commend');
+        expect.fail('Should have thrown BadRequestError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BadRequestError);
+        expect(error.message).to.equal('Players can only be rated once the game has started');
+      }
+    });
+
+    it('should report missing verdicts when removing', async () => {
+      try {
+        await teammateService.removeFeedback(match._id.toString(), bob, alice);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('getTeammateMap', () => {
+    it('should keep the latest verdicts and commends only for players who opted in', async () => {
+      sandbox.stub(MatchHistory, 'find').returns(
+        stubQuery([
+          {
+            playerFeedback: [feedback(alice, bob, 'commend', 60), feedback(bob, carol, 'avoid', 5)]
+          },
+          {
+            playerFeedback: [
+              feedback(alice, bob, 'avoid', 10),
+              feedback(carol, alice, 'commend', 5),
+              feedback(bob, alice, 'commend', 5)
+            ]
+          }
+        ])
+      );
+      sandbox.stub(User, 'find').returns(stubQuery([{ _id: new mongoose.Types.ObjectId(carol) }]));
+
+      const teammates = await teammateService.getTeammateMap([alice, bob, carol], now);
+
+      expect([...teammates.get(alice).avoid]).to.deep.equal([bob]);
+      expect([...teammates.get(bob).avoid]).to.deep.equal([carol]);
+      expect(teammates.get(bob).preferred.size).to.equal(0);
+      expect([...teammates.get(carol).preferred]).to.deep.equal([alice]);
+      expect(MatchHistory.find.firstCall.args[0].formedAt.$gte).to.deep.equal(
+        ago(teammateService.config.historyWindowMs)
+      );
+    });
+
+    it('should skip the lookup for a lone player', async () => {
+      const find = sandbox.stub(MatchHistory, 'find');
+
+      expect((await teammateService.getTeammateMap([alice])).size).to.equal(0);
+      expect(find.called).to.be.false;
+    });
+  });
+
+  describe('getTeammateLists', () => {
+    it('should list only the players the user rated', async () => {
+      const matchId = new mongoose.Types.ObjectId();
+      sandbox.stub(User, 'findById').returns({
+        select: sandbox.stub().resolves({ gamingPreferences: { groupWithCommended: true } })
+      });
+      sandbox.stub(MatchHistory, 'find').returns(
+        stubQuery([
+          {
+            _id: matchId,
+            playerFeedback: [
+              feedback(alice, bob, 'avoid', 5),
+              feedback(alice, carol, 'commend', 10),
+              feedback(bob, alice, 'avoid', 1)
+            ]
+          }
+        ])
+      );
+      sandbox.stub(User, 'find').returns(stubQuery([{ _id: bob, username: 'bob' }]));
+
+      const lists = await teammateService.getTeammateLists(alice, now);
+
+      expect(lists.groupWithCommended).to.be.true;
+      expect(lists.avoid).to.have.lengthOf(1);
+      expect(lists.avoid[0].user.username).to.equal('bob');
+      expect(lists.avoid[0].matchId).to.equal(matchId);
+      expect(lists.preferAgain.map((entry) => entry.user._id.toString())).to.deep.equal([carol]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const waitTimeService = require('../../../../../src/modules/matchmaking/services/waitTimeService');
+const MatchHistory = require('../../../../../src/modules/matchmaking/models/MatchHistory');
+
+describe('WaitTimeService', () => {
+  let sandbox;
+  const now = new Date('2026-10-19T20:30:00Z');
+  const query = { gameId: 'game1', gameMode: 'competitive', region: 'EU', now };
+
+  // One match per wait time, formed at the given UTC hour a few days back
+  const history = (waits, hour) =>
+    waits.map((totalSearchTime, index) => ({
+      formedAt: new Date(Date.UTC(2026, 9, 15 + (index % 3), hour, 10)),
+      matchingMetrics: { totalSearchTime }
+    }));
+
+  const stubHistory = (...results) => {
+    const find = sandbox.stub(MatchHistory, 'find');
+    results.forEach((result, index) => {
+      find.onCall(index).returns({
+        select: sandbox.stub().returnsThis(),
+        sort: sandbox.stub().returnsThis(),
+        limit: sandbox.stub().returnsThis(),
+        lean: sandbox.stub().resolves(result)
+      });
+    });
+    return find;
+  };
+
+  const waits = (count, step = 1000) => Array.from({ length: count }, (_, i) => (i + 1) * step);
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    waitTimeService.clearCache();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should compute nearest-rank percentiles', () => {
+    expect(waitTimeService.getPercentiles(waits(20))).to.deep.equal({
+      p25: 5000,
+      p50: 10000,
+      p75: 15000,
+      p90: 18000
+    });
+  });
+
+  it('should use matches from the same time of day when there are enough', async () => {
+    stubHistory([...history(waits(30, 20000), 21), ...history([1000, 1000], 9)]);
+
+    const estimate = await waitTimeService.estimate({ ...query, queueSize: 2, groupSize: 2 });
+
+    expect(estimate.basis).to.equal('time_of_day');
+    expect(estimate.sampleSize).to.equal(30);
+    expect(estimate.confidence).to.equal('high');
+    expect(estimate.estimated).to.equal(300000);
+    expect(estimate.range).to.deep.equal({ min: 160000, max: 460000 });
+  });
+
+  it('should widen to the whole day, then every region', async () => {
+    stubHistory(history(waits(12, 20000), 9));
+    const allDay = await waitTimeService.estimate({ ...query, queueSize: 2 });
+    expect(allDay.basis).to.equal('region');
+    expect(allDay.confidence).to.equal('medium');
+
+    sandbox.restore();
+    waitTimeService.clearCache();
+    const find = stubHistory(history([5000], 20), history(waits(10, 20000), 4));
+    const allRegions = await waitTimeService.estimate({ ...query, queueSize: 2 });
+    expect(allRegions.basis).to.equal('game_mode');
+    expect(find.secondCall.args[0]).to.not.have.property('region');
+  });
+
+  it('should fall back to the global average with low confidence', async () => {
+    stubHistory([], []);
+
+    const estimate = await waitTimeService.estimate({
+      ...query,
+      queueSize: 2,
+      fallbackWaitMs: 40000
+    });
+
+    expect(estimate.basis).to.equal('global');
+    expect(estimate.confidence).to.equal('low');
+    expect(estimate.estimated).to.equal(40000);
+    expect(estimate.range).to.deep.equal({ min: 20000, max: 80000 });
+    expect(estimate.percentiles).to.be.null;
+  });
+
+  it('should expect shorter waits in fuller queues and after relaxation', () => {
+    const lonely = waitTimeService.getAdjustmentFactor(1, 2, 0);
+    const full = waitTimeService.getAdjustmentFactor(4, 2, 0);
+    const relaxed = waitTimeService.getAdjustmentFactor(2, 2, 3);
+
+    expect(lonely).to.equal(2);
+    expect(full).to.equal(0.5);
+    expect(relaxed).to.be.closeTo(0.7, 0.001);
+  });
+
+  it('should reuse cached history between status updates', async () => {
+    const find = stubHistory(history(waits(30), 20));
+
+    await waitTimeService.estimate(query);
+    await waitTimeService.estimate({ ...query, queueSize: 5 });
+
+    expect(find.calledOnce).to.be.true;
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const friendService = require('../../../../../src/modules/social/services/friendService');
+const Friendship = require('../../../../../src/modules/social/models/Friendship');
+const User = require('../../../../../src/modules/auth/models/User');
+const { ConflictError, NotFoundError } = require('../../../../../src/utils/errors');
+
+describe('FriendService', () => {
+  let sandbox;
+  let friendship;
+  const [alice, bob] = [1, 2].map(() => new mongoose.Types.ObjectId().toString());
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    friendship = new Friendship({
+      user1Id: alice,
+      user2Id: bob,
+      requestedBy: alice,
+      status: 'accepted'
+    });
+    sandbox.stub(friendship, 'save').resolves(friendship);
+    sandbox.stub(friendship, 'deleteOne').resolves();
+    sandbox.stub(User, 'findById').resolves({ _id: bob });
+    sandbox.stub(Friendship, 'findFriendship').resolves(friendship);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const blockers = () => friendship.blocks.map((block) => block.userId.toString());
+
+  describe('blockUser', () => {
+    it('should replace the friendship with a block', async () => {
+      await friendService.blockUser(alice, bob);
+
+      expect(friendship.status).to.equal('blocked');
+      expect(blockers()).to.deep.equal([alice]);
+    });
+
+    it('should record a second block on a pair the other side already blocked', async () => {
+      await friendService.blockUser(alice, bob);
+      await friendService.blockUser(bob, alice);
+
+      expect(blockers()).to.deep.equal([alice, bob]);
+    });
+
+    it('should reject blocking the same user twice', async () => {
+      await friendService.blockUser(alice, bob);
+
+      try {
+        await friendService.blockUser(alice, bob);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('unblockUser', () => {
+    it('should keep a mutual block in place when one side unblocks', async () => {
+      await friendService.blockUser(alice, bob);
+      await friendService.blockUser(bob, alice);
+
+      await friendService.unblockUser(alice, bob);
+
+      expect(friendship.status).to.equal('blocked');
+      expect(blockers()).to.deep.equal([bob]);
+      expect(friendship.deleteOne.called).to.be.false;
+
+      await friendService.unblockUser(bob, alice);
+
+      expect(friendship.deleteOne.calledOnce).to.be.true;
+    });
+
+    it('should only let users remove their own block', async () => {
+      await friendService.blockUser(alice, bob);
+
+      try {
+        await friendService.unblockUser(bob, alice);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+      expect(blockers()).to.deep.equal([alice]);
+    });
+  });
+
+  describe('getBlockedUsers', () => {
+    it('should list the user when both sides blocked each other', async () => {
+      friendship.status = 'blocked';
+      friendship.blocks = [
+        { userId: alice, blockedAt: new Date('2026-10-01') },
+        { userId: bob, blockedAt: new Date('2026-10-02') }
+      ];
+      const populated = {
+        user1Id: { _id: new mongoose.Types.ObjectId(alice), username: 'alice' },
+        user2Id: { _id: new mongoose.Types.ObjectId(bob), username: 'bob' },
+        getBlockBy: (userId) => friendship.getBlockBy(userId)
+      };
+      const find = sandbox.stub(Friendship, 'find').returns({
+        populate: sandbox.stub().resolves([populated])
+      });
+
+      const blockedUsers = await friendService.getBlockedUsers(bob);
+
+      expect(find.firstCall.args[0]).to.deep.equal({ status: 'blocked', 'blocks.userId': bob });
+      expect(blockedUsers).to.have.lengthOf(1);
+      expect(blockedUsers[0].username).to.equal('alice');
+      expect(blockedUsers[0].blockedAt).to.deep.equal(new Date('2026-10-02'));
+    });
+  });
+});